@@ -0,0 +1,293 @@
+// Gate-level circuits built by hand in the Circuit Builder tab. Every qubit is held by a network node.
+// Gates inside one node are taken as perfect; a gate on qubits held by different nodes first brings
+// the remote ones to the node of its first qubit over the shortest path and sends them back after,
+// so they cross the channel once per hop each way. A measurement ends its wire, so every measurement
+// can be taken at the end of the run without changing the statistics (deferred measurement).
+
+const CIRCUIT_MAX_QUBITS = 6 // the state is one density matrix over every qubit
+
+// operands are listed controls first
+const CIRCUIT_GATES = {
+  H: { qubits: 1, name: "Hadamard" },
+  X: { qubits: 1, name: "Pauli X" },
+  Y: { qubits: 1, name: "Pauli Y" },
+  Z: { qubits: 1, name: "Pauli Z" },
+  S: { qubits: 1, name: "Phase S" },
+  T: { qubits: 1, name: "Phase T" },
+  RX: { qubits: 1, name: "X Rotation", angle: true },
+  RY: { qubits: 1, name: "Y Rotation", angle: true },
+  RZ: { qubits: 1, name: "Z Rotation", angle: true },
+  CNOT: { qubits: 2, name: "Controlled NOT", operands: ["Control", "Target"] },
+  CZ: { qubits: 2, name: "Controlled Z", operands: ["Control", "Target"] },
+  SWAP: { qubits: 2, name: "Swap", operands: ["First", "Second"] },
+  TOFFOLI: { qubits: 3, name: "Toffoli", operands: ["Control", "Control", "Target"] },
+  MEASURE: { qubits: 1, name: "Measurement" },
+}
+
+class QuantumCircuit {
+  constructor() {
+    this.holders = [] // node index holding each qubit
+    this.operations = [] // { gate, targets, angle } in the order they run
+  }
+
+  // A Bell pair shared by the first two nodes, measured on both sides
+  static example() {
+    const circuit = new QuantumCircuit()
+    circuit.addQubit(0)
+    circuit.addQubit(1)
+    circuit.insert({ gate: "H", targets: [0] })
+    circuit.insert({ gate: "CNOT", targets: [0, 1] })
+    circuit.insert({ gate: "MEASURE", targets: [0] })
+    circuit.insert({ gate: "MEASURE", targets: [1] })
+    return circuit
+  }
+
+  clone() {
+    const circuit = new QuantumCircuit()
+    circuit.holders = [...this.holders]
+    circuit.operations = this.operations.map((operation) => ({ ...operation, targets: [...operation.targets] }))
+    return circuit
+  }
+
+  // Takes over another circuit's contents, so everything holding this instance sees the change
+  replaceWith(other) {
+    this.holders = other.holders
+    this.operations = other.operations
+  }
+
+  get qubitCount() {
+    return this.holders.length
+  }
+
+  addQubit(node = 0) {
+    if (this.holders.length >= CIRCUIT_MAX_QUBITS) return false
+    this.holders.push(node)
+    return true
+  }
+
+  // Drops every gate on the qubit; the qubits after it move up one wire
+  removeQubit(qubit) {
+    this.holders.splice(qubit, 1)
+    this.operations = this.operations
+      .filter((operation) => !operation.targets.includes(qubit))
+      .map((operation) => ({ ...operation, targets: operation.targets.map((target) => (target > qubit ? target - 1 : target)) }))
+  }
+
+  setHolder(qubit, node) {
+    this.holders[qubit] = node
+  }
+
+  // Qubits held by nodes that no longer exist go to the first node
+  clampHolders(nodeCount) {
+    this.holders = this.holders.map((node) => (node < nodeCount ? node : 0))
+  }
+
+  // Why the operation cannot run at that position, or null when it can
+  check(operation, position = this.operations.length) {
+    const definition = CIRCUIT_GATES[operation.gate]
+    if (!definition) return `Unknown gate ${operation.gate}`
+    const targets = operation.targets
+    if (targets.length !== definition.qubits) return `${definition.name} acts on ${definition.qubits} qubit${definition.qubits > 1 ? "s" : ""}`
+    if (targets.some((target) => !Number.isInteger(target) || target < 0 || target >= this.qubitCount)) {
+      return `${definition.name} refers to a qubit that does not exist`
+    }
+    if (new Set(targets).size !== targets.length) return `${definition.name} needs ${definition.qubits} different qubits`
+    if (definition.angle && !Number.isFinite(operation.angle)) return `${definition.name} needs an angle`
+    const measured = targets.find((target) =>
+      this.operations.slice(0, position).some((other) => other.gate === "MEASURE" && other.targets[0] === target),
+    )
+    if (measured !== undefined) return `Qubit ${measured + 1} is already measured`
+    if (operation.gate === "MEASURE") {
+      const later = this.operations.slice(position).some((other) => other.targets.includes(targets[0]))
+      if (later) return `Qubit ${targets[0] + 1} has gates after this point`
+    }
+    return null
+  }
+
+  // Returns the reason when the operation does not fit, otherwise adds it
+  insert(operation, position = this.operations.length) {
+    const problem = this.check(operation, position)
+    if (problem) return problem
+    const { gate, targets, angle } = operation
+    this.operations.splice(position, 0, CIRCUIT_GATES[gate].angle ? { gate, targets: [...targets], angle } : { gate, targets: [...targets] })
+    return null
+  }
+
+  remove(index) {
+    this.operations.splice(index, 1)
+  }
+
+  // Keeps the qubits and the nodes holding them
+  clear() {
+    this.operations = []
+  }
+
+  // Replaces an operation or moves it elsewhere, keeping the circuit as it was if that does not fit
+  replace(index, operation, position = index) {
+    const [previous] = this.operations.splice(index, 1)
+    const problem = this.insert(operation, Math.min(position, this.operations.length))
+    if (problem) this.operations.splice(index, 0, previous)
+    return problem
+  }
+
+  // Column of every operation when each is drawn as early as the wires it spans allow
+  columns() {
+    const free = new Array(this.qubitCount).fill(0)
+    return this.operations.map((operation) => {
+      const low = Math.min(...operation.targets)
+      const high = Math.max(...operation.targets)
+      let column = 0
+      for (let qubit = low; qubit <= high; qubit++) column = Math.max(column, free[qubit])
+      for (let qubit = low; qubit <= high; qubit++) free[qubit] = column + 1
+      return column
+    })
+  }
+
+  get depth() {
+    const columns = this.columns()
+    return columns.length > 0 ? Math.max(...columns) + 1 : 0
+  }
+
+  measuredQubits() {
+    return this.operations.filter((operation) => operation.gate === "MEASURE").map((operation) => operation.targets[0])
+  }
+
+  // Operands held somewhere other than the node of the first one
+  remoteQubits(operation) {
+    const node = this.holders[operation.targets[0]]
+    return operation.targets.filter((target) => this.holders[target] !== node)
+  }
+}
+
+const CircuitBuilder = {
+  matrix(operation) {
+    const theta = operation.angle
+    switch (operation.gate) {
+      case "S":
+        return ComplexMatrix.from([
+          [1, 0],
+          [0, [0, 1]],
+        ])
+      case "T":
+        return ComplexMatrix.from([
+          [1, 0],
+          [0, [Math.SQRT1_2, Math.SQRT1_2]],
+        ])
+      case "RX":
+        return ComplexMatrix.from([
+          [Math.cos(theta / 2), [0, -Math.sin(theta / 2)]],
+          [[0, -Math.sin(theta / 2)], Math.cos(theta / 2)],
+        ])
+      case "RY":
+        return Gates.RY(theta)
+      case "RZ":
+        return ComplexMatrix.from([
+          [[Math.cos(theta / 2), -Math.sin(theta / 2)], 0],
+          [0, [Math.cos(theta / 2), Math.sin(theta / 2)]],
+        ])
+      case "CZ":
+        return Gates.controlled(Gates.Z)
+      case "SWAP":
+        return ComplexMatrix.from([
+          [1, 0, 0, 0],
+          [0, 0, 1, 0],
+          [0, 1, 0, 0],
+          [0, 0, 0, 1],
+        ])
+      case "TOFFOLI": {
+        // identity with |110⟩ and |111⟩ swapped
+        const m = ComplexMatrix.identity(8)
+        m.re[6 * 8 + 6] = 0
+        m.re[7 * 8 + 7] = 0
+        m.re[6 * 8 + 7] = 1
+        m.re[7 * 8 + 6] = 1
+        return m
+      }
+      default:
+        return Gates[operation.gate]
+    }
+  },
+
+  // Measurements are deferred, so running a circuit only applies its unitaries
+  apply(state, operation) {
+    if (operation.gate !== "MEASURE") state.applyUnitary(CircuitBuilder.matrix(operation), operation.targets)
+    return state
+  },
+
+  // Tr(ρσ): the fidelity of σ with ρ while ρ is pure, which the noiseless run always is
+  overlap(a, b) {
+    const dim = a.dim
+    let total = 0
+    for (let r = 0; r < dim; r++) {
+      for (let c = 0; c < dim; c++) {
+        total += a.matrix.re[r * dim + c] * b.matrix.re[c * dim + r] - a.matrix.im[r * dim + c] * b.matrix.im[c * dim + r]
+      }
+    }
+    return Math.max(0, Math.min(1, total))
+  },
+
+  // Distribution of the measured qubits' outcomes, the first qubit as the leftmost bit
+  outcomes(state, qubits) {
+    return state.partialTrace(qubits).probabilities()
+  },
+
+  // Chance that the noisy outcome distribution gives a different answer than the noiseless one can
+  totalVariation(p, q) {
+    return p.reduce((sum, value, i) => sum + Math.abs(value - q[i]), 0) / 2
+  },
+
+  // Counts of each outcome over a number of shots
+  sampleCounts(probabilities, shots) {
+    const counts = new Array(probabilities.length).fill(0)
+    for (let shot = 0; shot < shots; shot++) {
+      let r = Math.random()
+      let outcome = probabilities.length - 1
+      for (let i = 0; i < probabilities.length; i++) {
+        r -= probabilities[i]
+        if (r < 0) {
+          outcome = i
+          break
+        }
+      }
+      counts[outcome]++
+    }
+    return counts
+  },
+
+  // StatePreparation's sequences on the given qubits in the builder's gates; the W state's
+  // controlled-RY becomes RY(θ/2), CNOT, RY(−θ/2), CNOT
+  preparation(entanglementType, qubits) {
+    if (entanglementType !== "w") {
+      return [
+        { gate: "H", targets: [qubits[0]] },
+        ...qubits.slice(1).map((qubit, i) => ({ gate: "CNOT", targets: [qubits[i], qubit] })),
+      ]
+    }
+    const n = qubits.length
+    const operations = [{ gate: "X", targets: [qubits[0]] }]
+    for (let q = 0; q < n - 1; q++) {
+      const theta = 2 * Math.acos(Math.sqrt(1 / (n - q)))
+      operations.push(
+        { gate: "RY", targets: [qubits[q + 1]], angle: theta / 2 },
+        { gate: "CNOT", targets: [qubits[q], qubits[q + 1]] },
+        { gate: "RY", targets: [qubits[q + 1]], angle: -theta / 2 },
+        { gate: "CNOT", targets: [qubits[q], qubits[q + 1]] },
+        { gate: "CNOT", targets: [qubits[q + 1], qubits[q]] },
+      )
+    }
+    return operations
+  },
+
+  formatAngle(angle) {
+    const ratio = angle / Math.PI
+    const fractions = [
+      [1, "π"],
+      [0.5, "π/2"],
+      [0.25, "π/4"],
+      [-0.5, "−π/2"],
+      [-1, "−π"],
+    ]
+    const match = fractions.find(([value]) => Math.abs(ratio - value) < 1e-9)
+    return match ? match[1] : `${((angle * 180) / Math.PI).toFixed(0)}°`
+  },
+}
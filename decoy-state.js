@@ -0,0 +1,172 @@
+// Decoy-state BB84 with a weak coherent source (Hwang 2003; Lo, Ma and Chen 2005). Laser pulses carry
+// a Poissonian number of photons, so some hold two or more and Eve could split one off unnoticed.
+// Alice picks the mean photon number of every pulse at random from a signal, a decoy and a vacuum
+// intensity. Eve only sees photon numbers, so each number has the same yield whatever intensity it
+// came from, and the gains of the three classes bound what the single-photon pulses did. The bounds
+// follow Ma, Qi, Zhao and Lo (2005) and the key rate is GLLP: only single photons count as private.
+
+const DECOY_CLASSES = ["signal", "decoy", "vacuum"]
+
+const DecoyState = {
+  defaultIntensities: { signal: 0.5, decoy: 0.1, vacuum: 0 },
+  probabilities: { signal: 0.7, decoy: 0.2, vacuum: 0.1 }, // how often Alice picks each intensity
+  reconciliationEfficiency: 1.16, // f assumed by the key-rate curves; a run pays what Cascade disclosed
+  maxDistance: 400, // km, where the curves stop
+  finiteDeviations: 6.4, // standard deviations a finite-key run allows each gain, a normal tail of about 1e-10
+
+  // The bounds need ω < ν and ν + ω < μ
+  validate(intensities) {
+    const { signal, decoy, vacuum } = intensities
+    if (!(vacuum < decoy)) return "The decoy intensity must be larger than the vacuum intensity"
+    if (!(decoy + vacuum < signal)) return "The decoy and vacuum intensities must add up to less than the signal intensity"
+    return null
+  },
+
+  // Chance per pulse that a detector clicks when the pulse carries the signal intensity; a coherent
+  // pulse of mean μ still has mean μT photons after a fibre of transmission T
+  detection(pathParams, intensities) {
+    const detection = QKD.detection(pathParams)
+    return {
+      ...detection,
+      signal: 1 - Math.exp(-intensities.signal * detection.transmission * detection.efficiency),
+      meanPhotonNumber: intensities.signal,
+    }
+  },
+
+  // Error probability of a photon that crosses the channel, in matching bases
+  channelError(outcomes) {
+    const cases = ["0Z", "1Z", "0X", "1X"]
+    return cases.reduce((sum, prepared) => {
+      const one = outcomes[`${prepared}${prepared[1]}`]
+      return sum + (prepared[0] === "1" ? 1 - one : one) / cases.length
+    }, 0)
+  },
+
+  // Gain Q (detections per pulse) and error rate E of every class. Alice reveals which pulses were
+  // decoys, and their bits are disclosed in full; the signal's error rate is the sampled QBER, since
+  // its other bits are the key.
+  statistics(records, signalQber) {
+    const statistics = {}
+    DECOY_CLASSES.forEach((name) => {
+      const pulses = records.filter((record) => record.intensity === name)
+      const detected = pulses.filter((record) => record.detected)
+      const matched = detected.filter((record) => record.aliceBasis === record.bobBasis)
+      const errors = matched.filter((record) => record.aliceBit !== record.bobBit).length
+      statistics[name] = {
+        pulses: pulses.length,
+        detected: detected.length,
+        gain: pulses.length > 0 ? detected.length / pulses.length : 0,
+        // without a single matched detection nothing is known, which is as bad as random bits
+        error: name === "signal" ? signalQber : matched.length > 0 ? errors / matched.length : 0.5,
+      }
+    })
+    return statistics
+  },
+
+  // Lower bounds on the vacuum yield Y0, the single-photon yield Y1 and the single-photon gain
+  // Q1 = Y1 μ e^−μ, and an upper bound on the single-photon error rate e1. share is the part of the
+  // signal detections that single photons account for at least. With deviations > 0 every measured
+  // gain first moves that many standard deviations, √(Q/N), in the direction that hurts the bound.
+  bounds(statistics, intensities, deviations = 0) {
+    const { signal: mu, decoy: nu, vacuum: omega } = intensities
+    const { signal, decoy, vacuum } = statistics
+    const shift = (value, pulses, direction) =>
+      pulses > 0 ? Math.max(0, value + direction * deviations * Math.sqrt(value / pulses)) : value
+    const signalGain = shift(signal.gain, signal.pulses, 1)
+    const decoyGain = (direction) => shift(decoy.gain, decoy.pulses, direction)
+    const vacuumGain = (direction) => shift(vacuum.gain, vacuum.pulses, direction)
+    const y0 = Math.max(0, (nu * vacuumGain(-1) * Math.exp(omega) - omega * decoyGain(1) * Math.exp(nu)) / (nu - omega))
+    const y1 = Math.max(
+      0,
+      (mu / (mu * (nu - omega) - nu ** 2 + omega ** 2)) *
+        (decoyGain(-1) * Math.exp(nu) - vacuumGain(1) * Math.exp(omega) - ((nu ** 2 - omega ** 2) / mu ** 2) * (signalGain * Math.exp(mu) - y0)),
+    )
+    // the error terms are gains of wrong bits, which fluctuate the same way
+    const decoyErrors = shift(decoy.error * decoy.gain, decoy.pulses, 1)
+    const vacuumErrors = shift(vacuum.error * vacuum.gain, vacuum.pulses, -1)
+    const e1 =
+      y1 > 0 ? Math.min(0.5, Math.max(0, (decoyErrors * Math.exp(nu) - vacuumErrors * Math.exp(omega)) / ((nu - omega) * y1))) : 0.5
+    const q1 = y1 * mu * Math.exp(-mu)
+    return { y0, y1, e1, q1, share: signal.gain > 0 ? Math.min(1, q1 / signal.gain) : 0 }
+  },
+
+  // GLLP secret bits per pulse: single-photon detections are worth 1 − h(e1), error correction is
+  // paid on every signal detection, and half the pulses survive sifting
+  keyRate(signal, bounds, f = DecoyState.reconciliationEfficiency) {
+    return Math.max(0, 0.5 * (bounds.q1 * (1 - QKD.binaryEntropy(bounds.e1)) - f * signal.gain * QKD.binaryEntropy(signal.error)))
+  },
+
+  // The average path the curves stretch: fibre attenuation weighted by length, the last detector and
+  // the channel's error rate for photons that arrive
+  model(pathParams, misalignment, intensities) {
+    const length = pathParams.reduce((sum, params) => sum + params.length, 0)
+    const loss = pathParams.reduce((sum, params) => sum + params.attenuation * params.length, 0)
+    const detection = QKD.detection(pathParams)
+    return {
+      length,
+      attenuation: length > 0 ? loss / length : LinkPhysics.defaults().attenuation,
+      efficiency: detection.efficiency,
+      dark: detection.dark,
+      misalignment,
+      intensities,
+    }
+  },
+
+  // Gains and error rates every class should show at a given distance: a click from the pulse or a
+  // dark count, which is wrong half the time
+  expected(model, distance) {
+    const eta = 10 ** (-(model.attenuation * distance) / 10) * model.efficiency
+    const statistics = {}
+    DECOY_CLASSES.forEach((name) => {
+      const clicks = 1 - Math.exp(-eta * model.intensities[name])
+      const gain = clicks + (1 - clicks) * model.dark
+      statistics[name] = { gain, error: gain > 0 ? (model.misalignment * clicks + 0.5 * (gain - clicks)) / gain : 0.5 }
+    })
+    return statistics
+  },
+
+  // Secret bits per pulse at a distance, with the decoy estimate or, without decoys, assuming Eve
+  // splits every multi-photon pulse (GLLP with the worst-case single-photon share)
+  rateAt(model, distance, decoys = true) {
+    const statistics = DecoyState.expected(model, distance)
+    const signal = statistics.signal
+    if (decoys) return DecoyState.keyRate(signal, DecoyState.bounds(statistics, model.intensities))
+    const mu = model.intensities.signal
+    const multi = 1 - Math.exp(-mu) * (1 + mu)
+    const q1 = signal.gain - multi
+    if (q1 <= 0) return 0
+    return DecoyState.keyRate(signal, { q1, e1: Math.min(0.5, (signal.error * signal.gain) / q1) })
+  },
+
+  // Longest distance that still gives a key: the rate falls with distance, so the first 1 km step
+  // without key brackets the range and a bisection refines it
+  maxRange(model, decoys = true) {
+    if (DecoyState.rateAt(model, 0, decoys) <= 0) return 0
+    let low = 0
+    while (low < DecoyState.maxDistance && DecoyState.rateAt(model, low + 1, decoys) > 0) low += 1
+    if (low >= DecoyState.maxDistance) return DecoyState.maxDistance
+    let high = low + 1
+    for (let i = 0; i < 20; i++) {
+      const middle = (low + high) / 2
+      if (DecoyState.rateAt(model, middle, decoys) > 0) low = middle
+      else high = middle
+    }
+    return low
+  },
+
+  // Everything the results show for a run: the class statistics, the bounds drawn from them (allowing
+  // for statistical fluctuations under the finite-key bound), and the expected curves for the path
+  analyse({ records, qber, intensities, pathParams, misalignment, bound = "asymptotic" }) {
+    const statistics = DecoyState.statistics(records, qber)
+    const model = DecoyState.model(pathParams, misalignment, intensities)
+    return {
+      intensities,
+      probabilities: DecoyState.probabilities,
+      statistics,
+      bounds: DecoyState.bounds(statistics, intensities, bound === "finite" ? DecoyState.finiteDeviations : 0),
+      model,
+      maxRange: DecoyState.maxRange(model),
+      maxRangeWithoutDecoys: DecoyState.maxRange(model, false),
+    }
+  },
+}
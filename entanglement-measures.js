@@ -0,0 +1,166 @@
+// Entanglement measures of a density matrix, which say how entangled a state is without comparing it to
+// one target. Concurrence and entanglement of formation are exact for two qubits (Wootters 1998).
+// Negativity comes from the partial transpose and works for any split of the qubits (Vidal and Werner
+// 2002). The von Neumann entropy of a node's reduced state is its entanglement with the rest while the
+// whole state is pure.
+
+const MEASURES_MAX_QUBITS = 6 // the eigensolver runs on a 2^n × 2^n matrix for the whole state
+
+const EntanglementMeasures = {
+  // Cyclic Jacobi rotations on the real symmetric form [[A, −B], [B, A]] of A + iB, where every
+  // eigenvalue of the Hermitian matrix shows up twice. The columns of vectors are the eigenvectors.
+  eigensystem(matrix) {
+    const n = matrix.rows
+    const size = 2 * n
+    const a = new Float64Array(size * size)
+    const v = new Float64Array(size * size)
+    for (let r = 0; r < n; r++) {
+      for (let c = 0; c < n; c++) {
+        const re = matrix.re[r * n + c]
+        const im = matrix.im[r * n + c]
+        a[r * size + c] = re
+        a[(r + n) * size + c + n] = re
+        a[(r + n) * size + c] = im
+        a[r * size + c + n] = -im
+      }
+    }
+    for (let i = 0; i < size; i++) v[i * size + i] = 1
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+      let off = 0
+      for (let p = 0; p < size; p++) {
+        for (let q = p + 1; q < size; q++) off += a[p * size + q] ** 2
+      }
+      if (off < 1e-24) break
+
+      for (let p = 0; p < size; p++) {
+        for (let q = p + 1; q < size; q++) {
+          const apq = a[p * size + q]
+          if (Math.abs(apq) < 1e-300) continue
+          const theta = (a[q * size + q] - a[p * size + p]) / (2 * apq)
+          const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1))
+          const c = 1 / Math.sqrt(t * t + 1)
+          const s = t * c
+          for (let k = 0; k < size; k++) {
+            const akp = a[k * size + p]
+            const akq = a[k * size + q]
+            a[k * size + p] = c * akp - s * akq
+            a[k * size + q] = s * akp + c * akq
+          }
+          for (let k = 0; k < size; k++) {
+            const apk = a[p * size + k]
+            const aqk = a[q * size + k]
+            a[p * size + k] = c * apk - s * aqk
+            a[q * size + k] = s * apk + c * aqk
+          }
+          for (let k = 0; k < size; k++) {
+            const vkp = v[k * size + p]
+            const vkq = v[k * size + q]
+            v[k * size + p] = c * vkp - s * vkq
+            v[k * size + q] = s * vkp + c * vkq
+          }
+        }
+      }
+    }
+
+    const values = new Float64Array(size)
+    for (let i = 0; i < size; i++) values[i] = a[i * size + i]
+    return { size, values, vectors: v }
+  },
+
+  // Eigenvalues of a Hermitian matrix, largest first
+  eigenvalues(matrix) {
+    const sorted = Array.from(EntanglementMeasures.eigensystem(matrix).values).sort((x, y) => y - x)
+    return sorted.filter((_, i) => i % 2 === 0)
+  },
+
+  // f applied to a Hermitian matrix through its eigenvalues. A function of the real form is the real
+  // form of the function, so the result is read back from its left half.
+  apply(matrix, f) {
+    const n = matrix.rows
+    const { size, values, vectors } = EntanglementMeasures.eigensystem(matrix)
+    const result = new ComplexMatrix(n, n)
+    for (let r = 0; r < n; r++) {
+      for (let c = 0; c < n; c++) {
+        let re = 0
+        let im = 0
+        for (let k = 0; k < size; k++) {
+          const weight = f(values[k]) * vectors[c * size + k]
+          re += vectors[r * size + k] * weight
+          im += vectors[(r + n) * size + k] * weight
+        }
+        result.re[r * n + c] = re
+        result.im[r * n + c] = im
+      }
+    }
+    return result
+  },
+
+  // S(ρ) = −Tr ρ log₂ ρ in bits: 0 for a pure state, n for n maximally mixed qubits
+  entropy(state) {
+    return EntanglementMeasures.eigenvalues(state.matrix).reduce((sum, p) => (p > 1e-12 ? sum - p * Math.log2(p) : sum), 0)
+  },
+
+  // ρ^Γ: the transpose on the given qubits only, the first qubit being the leftmost bit
+  partialTranspose(state, qubits) {
+    const dim = state.dim
+    const mask = qubits.reduce((bits, qubit) => bits | (1 << (state.numQubits - 1 - qubit)), 0)
+    const result = new ComplexMatrix(dim, dim)
+    for (let r = 0; r < dim; r++) {
+      for (let c = 0; c < dim; c++) {
+        const row = (r & ~mask) | (c & mask)
+        const col = (c & ~mask) | (r & mask)
+        result.re[row * dim + col] = state.matrix.re[r * dim + c]
+        result.im[row * dim + col] = state.matrix.im[r * dim + c]
+      }
+    }
+    return new DensityMatrix(state.numQubits, result)
+  },
+
+  // N = (‖ρ^Γ‖₁ − 1) / 2 and E_N = log₂ ‖ρ^Γ‖₁ for the split of side from the other qubits. Both are 0
+  // for a separable state; a Bell pair has N = 1/2 and E_N = 1.
+  negativity(state, side) {
+    const traceNorm = EntanglementMeasures.eigenvalues(EntanglementMeasures.partialTranspose(state, side).matrix).reduce(
+      (sum, value) => sum + Math.abs(value),
+      0,
+    )
+    return { negativity: Math.max(0, (traceNorm - 1) / 2), logNegativity: Math.max(0, Math.log2(traceNorm)) }
+  },
+
+  // Wootters' concurrence of a two-qubit state: the decreasing square roots λ of the eigenvalues of
+  // √ρ ρ̃ √ρ, with ρ̃ = (Y ⊗ Y) ρ* (Y ⊗ Y), give C = max(0, λ₁ − λ₂ − λ₃ − λ₄)
+  concurrence(pair) {
+    const flip = ComplexMatrix.from([
+      [0, 0, 0, -1],
+      [0, 0, 1, 0],
+      [0, 1, 0, 0],
+      [-1, 0, 0, 0],
+    ])
+    const conjugate = pair.matrix.clone()
+    conjugate.im = conjugate.im.map((value) => -value)
+    const tilde = flip.multiply(conjugate).multiply(flip)
+    const root = EntanglementMeasures.apply(pair.matrix, (value) => Math.sqrt(Math.max(0, value)))
+    const lambdas = EntanglementMeasures.eigenvalues(root.multiply(tilde).multiply(root)).map((value) => Math.sqrt(Math.max(0, value)))
+    return Math.max(0, lambdas[0] - lambdas[1] - lambdas[2] - lambdas[3])
+  },
+
+  // E_F = h((1 + √(1 − C²)) / 2) in ebits, h being the binary entropy
+  entanglementOfFormation(concurrence) {
+    return QKD.binaryEntropy((1 + Math.sqrt(Math.max(0, 1 - concurrence * concurrence))) / 2)
+  },
+
+  // Concurrence and entanglement of formation of two of the state's qubits, the others traced out
+  pair(state, first, second) {
+    const concurrence = EntanglementMeasures.concurrence(state.partialTrace([first, second]))
+    return { concurrence, entanglementOfFormation: EntanglementMeasures.entanglementOfFormation(concurrence) }
+  },
+
+  // The entropy of every node's qubits together, nodes listed in the order their first qubit appears
+  nodeEntropies(state, nodes) {
+    const names = [...new Set(nodes)]
+    return names.map((name) => {
+      const qubits = nodes.map((node, qubit) => (node === name ? qubit : null)).filter((qubit) => qubit !== null)
+      return { name, qubits, entropy: EntanglementMeasures.entropy(state.partialTrace(qubits)) }
+    })
+  },
+}
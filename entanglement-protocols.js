@@ -0,0 +1,124 @@
+// Two-qubit entanglement protocols built on the density-matrix engine.
+// Bell-diagonal coefficients are always ordered [Φ+, Ψ-, Ψ+, Φ-], as in the DEJMPS paper.
+
+const BellStates = {
+  vectors() {
+    const s = Math.SQRT1_2
+    const make = (amplitudes) => ({ re: Float64Array.from(amplitudes), im: new Float64Array(4) })
+    return [make([s, 0, 0, s]), make([0, s, -s, 0]), make([0, s, s, 0]), make([s, 0, 0, -s])]
+  },
+
+  // Overlap of a two-qubit state with each Bell state
+  coefficients(state) {
+    return BellStates.vectors().map((vector) => state.fidelity(vector))
+  },
+
+  // Builds the Bell-diagonal state Σ c_i |B_i⟩⟨B_i|
+  fromCoefficients(coefficients) {
+    const vectors = BellStates.vectors()
+    let matrix = null
+    coefficients.forEach((c, i) => {
+      const term = DensityMatrix.fromStateVector(vectors[i]).matrix.scale(c)
+      matrix = matrix ? matrix.add(term) : term
+    })
+    return new DensityMatrix(2, matrix)
+  },
+
+  werner(fidelity) {
+    const other = (1 - fidelity) / 3
+    return [fidelity, other, other, other]
+  },
+}
+
+// Recurrence purification: two noisy pairs in, at most one better pair out.
+// The two inputs may differ, e.g. when one pair has waited longer in memory.
+const Purification = {
+  protocols: {
+    bbpssw: "BBPSSW",
+    dejmps: "DEJMPS",
+  },
+
+  // Bennett et al. 1996: twirl both pairs to Werner form, bilateral CNOT, keep on matching outcomes
+  bbpssw(first, second = first) {
+    const f1 = first[0]
+    const f2 = second[0]
+    const e1 = (1 - f1) / 3
+    const e2 = (1 - f2) / 3
+    const successProbability = f1 * f2 + f1 * e2 + e1 * f2 + 5 * e1 * e2
+    const fidelity = (f1 * f2 + e1 * e2) / successProbability
+    return { coefficients: BellStates.werner(fidelity), successProbability }
+  },
+
+  // Deutsch et al. 1996: local π/2 rotations before the bilateral CNOT keep the full Bell-diagonal structure
+  dejmps(first, second = first) {
+    const [a1, b1, c1, d1] = first
+    const [a2, b2, c2, d2] = second
+    const successProbability = (a1 + b1) * (a2 + b2) + (c1 + d1) * (c2 + d2)
+    return {
+      coefficients: [
+        (a1 * a2 + b1 * b2) / successProbability,
+        (c1 * d2 + d1 * c2) / successProbability,
+        (c1 * c2 + d1 * d2) / successProbability,
+        (a1 * b2 + b1 * a2) / successProbability,
+      ],
+      successProbability,
+    }
+  },
+
+  round(protocol, first, second = first) {
+    return protocol === "bbpssw" ? Purification.bbpssw(first, second) : Purification.dejmps(first, second)
+  },
+}
+
+const EntanglementSwapping = {
+  // Bell-state measurement on the inner qubits of two pairs A–B and C–D, with Pauli
+  // corrections on D for every outcome. Returns the A–D pair averaged over outcomes.
+  swap(left, right) {
+    const joint = new DensityMatrix(4, left.matrix.kron(right.matrix))
+    joint.applyUnitary(Gates.CNOT, [1, 2])
+    joint.applyUnitary(Gates.H, [1])
+
+    let result = null
+    for (let m1 = 0; m1 < 2; m1++) {
+      for (let m2 = 0; m2 < 2; m2++) {
+        const branch = joint.clone()
+        const projector = new ComplexMatrix(4, 4)
+        projector.re[(m1 * 2 + m2) * 5] = 1
+        branch.applyKraus([projector], [1, 2])
+        if (m2) branch.applyUnitary(Gates.X, [3])
+        if (m1) branch.applyUnitary(Gates.Z, [3])
+        const reduced = branch.partialTrace([0, 3]).matrix
+        result = result ? result.add(reduced) : reduced
+      }
+    }
+    return new DensityMatrix(2, result)
+  },
+
+  // Groups the swaps of a linear chain into rounds. The first nestingLevel rounds join
+  // neighbouring segments pairwise (nested doubling); any segments left after that are
+  // joined one at a time from the left. Segments are [startNode, endNode].
+  schedule(linkCount, nestingLevel) {
+    let segments = []
+    for (let i = 0; i < linkCount; i++) segments.push([i, i + 1])
+
+    const rounds = []
+    while (segments.length > 1) {
+      const nested = rounds.length < nestingLevel
+      const merges = []
+      const next = []
+      for (let i = 0; i < segments.length; i++) {
+        const canMerge = i + 1 < segments.length && (nested || merges.length === 0)
+        if (canMerge) {
+          merges.push({ left: segments[i], right: segments[i + 1], node: segments[i][1] })
+          next.push([segments[i][0], segments[i + 1][1]])
+          i++
+        } else {
+          next.push(segments[i])
+        }
+      }
+      rounds.push(merges)
+      segments = next
+    }
+    return rounds
+  },
+}
@@ -0,0 +1,246 @@
+// Stabilizer codes that protect a qubit while it crosses the channel: the 3-qubit bit-flip and
+// phase-flip codes, Shor's 9-qubit code (Shor 1995) and Steane's 7-qubit code (Steane 1996). The
+// sender encodes the qubit into a block, every physical qubit suffers the channel on its own, and the
+// receiver measures each stabilizer generator on an ancilla, undoes the most likely error for that
+// syndrome and decodes. Paulis are kept as x and z bit masks (qubit i at bit i), so a syndrome bit is
+// just whether the error anticommutes with a generator.
+
+const PAULI_LETTERS = ["I", "X", "Z", "Y"] // indexed by x bit + 2 * z bit
+
+// Gates are listed for drawing; a CNOT fans out from one control to every target. The Steane code's
+// qubits are ordered so the data qubit comes first, like the others.
+const QEC_CODES = {
+  bitflip: {
+    name: "3-Qubit Bit-Flip",
+    qubits: 3,
+    stabilizers: ["ZZI", "IZZ"],
+    logicalX: "XXX",
+    logicalZ: "ZII",
+    encoder: [{ gate: "CNOT", control: 0, targets: [1, 2] }],
+  },
+  phaseflip: {
+    name: "3-Qubit Phase-Flip",
+    qubits: 3,
+    stabilizers: ["XXI", "IXX"],
+    logicalX: "ZZZ",
+    logicalZ: "XII",
+    encoder: [
+      { gate: "CNOT", control: 0, targets: [1, 2] },
+      { gate: "H", targets: [0, 1, 2] },
+    ],
+  },
+  shor: {
+    name: "Shor 9-Qubit",
+    qubits: 9,
+    stabilizers: [
+      "ZZIIIIIII",
+      "IZZIIIIII",
+      "IIIZZIIII",
+      "IIIIZZIII",
+      "IIIIIIZZI",
+      "IIIIIIIZZ",
+      "XXXXXXIII",
+      "IIIXXXXXX",
+    ],
+    logicalX: "ZZZZZZZZZ",
+    logicalZ: "XXXXXXXXX",
+    encoder: [
+      { gate: "CNOT", control: 0, targets: [3, 6] },
+      { gate: "H", targets: [0, 3, 6] },
+      { gate: "CNOT", control: 0, targets: [1, 2] },
+      { gate: "CNOT", control: 3, targets: [4, 5] },
+      { gate: "CNOT", control: 6, targets: [7, 8] },
+    ],
+  },
+  steane: {
+    name: "Steane 7-Qubit",
+    qubits: 7,
+    stabilizers: ["XIXIXIX", "XXIIIXX", "IIIXXXX", "ZIZIZIZ", "ZZIIIZZ", "IIIZZZZ"],
+    logicalX: "XXXXXXX",
+    logicalZ: "ZZZZZZZ",
+    encoder: [
+      { gate: "CNOT", control: 0, targets: [4, 5] },
+      { gate: "H", targets: [1, 2, 3] },
+      { gate: "CNOT", control: 2, targets: [0, 4, 6] },
+      { gate: "CNOT", control: 1, targets: [0, 5, 6] },
+      { gate: "CNOT", control: 3, targets: [4, 5, 6] },
+    ],
+  },
+}
+
+const ErrorCorrection = {
+  tables: new Map(), // code key → decoder and outcome counts, built on first use
+  curvePoints: 40,
+
+  pauli(letters) {
+    let x = 0
+    let z = 0
+    for (let qubit = 0; qubit < letters.length; qubit++) {
+      if (letters[qubit] === "X" || letters[qubit] === "Y") x |= 1 << qubit
+      if (letters[qubit] === "Z" || letters[qubit] === "Y") z |= 1 << qubit
+    }
+    return { x, z }
+  },
+
+  anticommute(a, b) {
+    let overlap = (a.x & b.z) ^ (a.z & b.x)
+    let parity = 0
+    while (overlap) {
+      parity ^= overlap & 1
+      overlap >>= 1
+    }
+    return parity === 1
+  },
+
+  syndrome(code, error, generators = ErrorCorrection.generators(code)) {
+    return generators.reduce(
+      (bits, generator, i) => bits | ((ErrorCorrection.anticommute(error, generator) ? 1 : 0) << i),
+      0,
+    )
+  },
+
+  generators(code) {
+    return QEC_CODES[code].stabilizers.map(ErrorCorrection.pauli)
+  },
+
+  // What a Pauli with a trivial syndrome does to the encoded qubit: I, X, Z or Y
+  logicalAction(code, residual) {
+    const definition = QEC_CODES[code]
+    const flips = ErrorCorrection.anticommute(residual, ErrorCorrection.pauli(definition.logicalZ))
+    const phases = ErrorCorrection.anticommute(residual, ErrorCorrection.pauli(definition.logicalX))
+    return PAULI_LETTERS[(flips ? 1 : 0) + (phases ? 2 : 0)]
+  },
+
+  // Every Pauli error on the block, counted by how many X, Y and Z it holds and what the block is
+  // left with after correction. The decoder takes the lightest error for each syndrome, X before Z
+  // before Y on ties. The channel only enters through those counts, so this runs once per code.
+  table(code) {
+    if (ErrorCorrection.tables.has(code)) return ErrorCorrection.tables.get(code)
+    const n = QEC_CODES[code].qubits
+    const generators = ErrorCorrection.generators(code)
+    const total = 4 ** n
+    const errors = new Array(total)
+    const weights = new Uint8Array(total)
+    const syndromes = new Uint16Array(total)
+    const counts = new Uint16Array(total)
+    for (let index = 0; index < total; index++) {
+      let x = 0
+      let z = 0
+      let nX = 0
+      let nY = 0
+      let nZ = 0
+      for (let qubit = 0, rest = index; qubit < n; qubit++, rest >>= 2) {
+        const letter = rest & 3
+        if (letter === 1) nX++
+        if (letter === 2) nZ++
+        if (letter === 3) nY++
+        if (letter & 1) x |= 1 << qubit
+        if (letter & 2) z |= 1 << qubit
+      }
+      errors[index] = { x, z }
+      weights[index] = nX + nY + nZ
+      syndromes[index] = ErrorCorrection.syndrome(code, errors[index], generators)
+      counts[index] = (nX * (n + 1) + nY) * (n + 1) + nZ
+    }
+
+    const decoder = new Map()
+    for (let weight = 0; weight <= n; weight++) {
+      for (let index = 0; index < total; index++) {
+        if (weights[index] === weight && !decoder.has(syndromes[index])) decoder.set(syndromes[index], errors[index])
+      }
+    }
+
+    const outcomes = new Map() // count key → { I, X, Z, Y } number of errors ending in each logical action
+    for (let index = 0; index < total; index++) {
+      const correction = decoder.get(syndromes[index])
+      const residual = { x: errors[index].x ^ correction.x, z: errors[index].z ^ correction.z }
+      if (!outcomes.has(counts[index])) outcomes.set(counts[index], { I: 0, X: 0, Z: 0, Y: 0 })
+      outcomes.get(counts[index])[ErrorCorrection.logicalAction(code, residual)] += 1
+    }
+
+    const table = { decoder, outcomes }
+    ErrorCorrection.tables.set(code, table)
+    return table
+  },
+
+  // Pauli probabilities of one use of the channel. Amplitude and phase damping are not Pauli
+  // channels; the codes are analysed under their Pauli twirl, which keeps the average fidelity.
+  pauliChannel(errorModel, rate) {
+    const p = Math.max(0, Math.min(1, rate))
+    switch (errorModel) {
+      case "amplitude": {
+        const root = Math.sqrt(1 - p)
+        return { I: (2 - p + 2 * root) / 4, X: p / 4, Y: p / 4, Z: (2 - p - 2 * root) / 4 }
+      }
+      case "phase": {
+        const root = Math.sqrt(1 - p)
+        return { I: (1 + root) / 2, X: 0, Y: 0, Z: (1 - root) / 2 }
+      }
+      default:
+        return { I: 1 - (3 * p) / 4, X: p / 4, Y: p / 4, Z: p / 4 }
+    }
+  },
+
+  // The channel the encoded qubit sees end to end, as Pauli probabilities and Kraus operators
+  logicalChannel(code, errorModel, rate) {
+    const physical = ErrorCorrection.pauliChannel(errorModel, rate)
+    const n = QEC_CODES[code].qubits
+    const logical = { I: 0, X: 0, Z: 0, Y: 0 }
+    ErrorCorrection.table(code).outcomes.forEach((actions, key) => {
+      const nZ = key % (n + 1)
+      const nY = Math.floor(key / (n + 1)) % (n + 1)
+      const nX = Math.floor(key / (n + 1) ** 2)
+      const probability = physical.X ** nX * physical.Y ** nY * physical.Z ** nZ * physical.I ** (n - nX - nY - nZ)
+      Object.keys(logical).forEach((action) => (logical[action] += actions[action] * probability))
+    })
+    return {
+      physical,
+      logical,
+      physicalErrorRate: 1 - physical.I,
+      logicalErrorRate: Math.max(0, 1 - logical.I),
+      kraus: ["I", "X", "Y", "Z"].map((action) => Gates[action].scale(Math.sqrt(Math.max(0, logical[action])))),
+    }
+  },
+
+  // Logical against unencoded error rate as the per-hop noise grows, for a qubit sent over the given
+  // number of hops
+  curve(code, errorModel, hops, maxNoise = 0.5) {
+    const points = []
+    for (let i = 0; i <= ErrorCorrection.curvePoints; i++) {
+      const noise = (i / ErrorCorrection.curvePoints) * maxNoise
+      const { physicalErrorRate, logicalErrorRate } = ErrorCorrection.logicalChannel(code, errorModel, 1 - (1 - noise) ** hops)
+      points.push({ noise, physicalErrorRate, logicalErrorRate })
+    }
+    return points
+  },
+
+  // One block sent through the channel: the error each qubit picked up, the syndrome the ancillas
+  // read, the correction applied and what is left on the encoded qubit
+  sample(code, errorModel, rate) {
+    const physical = ErrorCorrection.pauliChannel(errorModel, rate)
+    const n = QEC_CODES[code].qubits
+    const errors = []
+    for (let qubit = 0; qubit < n; qubit++) {
+      let r = Math.random()
+      let letter = "I"
+      for (const candidate of ["X", "Y", "Z"]) {
+        r -= physical[candidate]
+        if (r < 0) {
+          letter = candidate
+          break
+        }
+      }
+      errors.push(letter)
+    }
+    const error = ErrorCorrection.pauli(errors.join(""))
+    const syndrome = ErrorCorrection.syndrome(code, error)
+    const correction = ErrorCorrection.table(code).decoder.get(syndrome)
+    const residual = { x: error.x ^ correction.x, z: error.z ^ correction.z }
+    return {
+      errors,
+      syndrome: QEC_CODES[code].stabilizers.map((_, i) => (syndrome >> i) & 1).join(""),
+      correction: errors.map((_, qubit) => PAULI_LETTERS[((correction.x >> qubit) & 1) + 2 * ((correction.z >> qubit) & 1)]),
+      logical: ErrorCorrection.logicalAction(code, residual),
+    }
+  },
+}
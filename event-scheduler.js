@@ -0,0 +1,121 @@
+// Discrete-event clock that drives the network simulation. All times are in microseconds.
+
+const FIBRE_DELAY_US_PER_KM = 5 // light in fibre covers roughly 200 km per millisecond
+
+// Binary min-heap ordered by event time; ties keep their scheduling order
+class EventQueue {
+  constructor() {
+    this.heap = []
+    this.sequence = 0
+  }
+
+  get size() {
+    return this.heap.length
+  }
+
+  before(a, b) {
+    return a.time < b.time || (a.time === b.time && a.sequence < b.sequence)
+  }
+
+  push(event) {
+    event.sequence = this.sequence++
+    const heap = this.heap
+    heap.push(event)
+    let i = heap.length - 1
+    while (i > 0) {
+      const parent = (i - 1) >> 1
+      if (!this.before(heap[i], heap[parent])) break
+      ;[heap[i], heap[parent]] = [heap[parent], heap[i]]
+      i = parent
+    }
+  }
+
+  pop() {
+    const heap = this.heap
+    if (heap.length === 0) return null
+    const top = heap[0]
+    const last = heap.pop()
+    if (heap.length > 0) {
+      heap[0] = last
+      let i = 0
+      while (true) {
+        const left = 2 * i + 1
+        const right = left + 1
+        let smallest = i
+        if (left < heap.length && this.before(heap[left], heap[smallest])) smallest = left
+        if (right < heap.length && this.before(heap[right], heap[smallest])) smallest = right
+        if (smallest === i) break
+        ;[heap[i], heap[smallest]] = [heap[smallest], heap[i]]
+        i = smallest
+      }
+    }
+    return top
+  }
+}
+
+class DiscreteEventSimulator {
+  constructor() {
+    this.queue = new EventQueue()
+    this.now = 0
+    this.log = []
+  }
+
+  // Runs handler `delay` μs from now. Every processed event is kept in the timeline log.
+  schedule(delay, type, details, handler = null) {
+    this.queue.push({ time: this.now + delay, type, details, handler })
+  }
+
+  // Processes events in time order until nothing is left, returning the final clock value
+  run() {
+    while (this.queue.size > 0) {
+      const event = this.queue.pop()
+      this.now = event.time
+      this.log.push({ time: event.time, type: event.type, details: event.details })
+      if (event.handler) event.handler(event)
+    }
+    return this.now
+  }
+
+  // Timeline entries logged since a given index, used to attach events to simulation steps
+  eventsSince(index) {
+    return this.log.slice(index)
+  }
+}
+
+// Stored qubits relax with T1 and dephase with T2 (both in μs, T2 ≤ 2·T1)
+class QuantumMemory {
+  constructor(t1, t2) {
+    this.t1 = t1
+    this.t2 = Math.min(t2, 2 * t1)
+  }
+
+  // Amplitude damping for energy relaxation followed by the extra pure dephasing that T2 needs
+  channel(duration) {
+    const gamma = Number.isFinite(this.t1) ? 1 - Math.exp(-duration / this.t1) : 0
+    const relaxationOnly = Number.isFinite(this.t1) ? duration / (2 * this.t1) : 0
+    const totalDephasing = Number.isFinite(this.t2) ? duration / this.t2 : 0
+    const lambda = 1 - Math.exp(-2 * Math.max(0, totalDephasing - relaxationOnly))
+
+    const damping = NoiseChannels.amplitudeDamping(gamma)
+    const dephasing = NoiseChannels.phaseDamping(lambda)
+    const kraus = []
+    dephasing.forEach((d) => damping.forEach((a) => kraus.push(d.multiply(a))))
+    return kraus
+  }
+
+  // Decoheres every stored qubit for the time since it was last touched, then restarts its clock
+  age(pair, now) {
+    pair.storedSince.forEach((since, qubit) => {
+      if (since === null || now <= since) return
+      pair.state.applyKraus(this.channel(now - since), [qubit])
+      pair.storedSince[qubit] = now
+    })
+    return pair
+  }
+}
+
+function formatDuration(microseconds) {
+  if (microseconds >= 1e6) return `${(microseconds / 1e6).toFixed(2)} s`
+  if (microseconds >= 1000) return `${(microseconds / 1000).toFixed(2)} ms`
+  return `${microseconds.toFixed(1)} μs`
+}
@@ -0,0 +1,47 @@
+// Runs one Monte Carlo batch or parameter sweep away from the page, see monte-carlo.js. It loads the
+// same files as multinode.html apart from the page script, and posts its progress at most every
+// PROGRESS_MS.
+
+importScripts(
+  "quantum-engine.js",
+  "entanglement-protocols.js",
+  "event-scheduler.js",
+  "network-model.js",
+  "topology-io.js",
+  "routing.js",
+  "qkd-protocols.js",
+  "qkd-postprocessing.js",
+  "decoy-state.js",
+  "teleportation.js",
+  "superdense-coding.js",
+  "multipartite.js",
+  "entanglement-measures.js",
+  "error-correction.js",
+  "circuit-builder.js",
+  "openqasm.js",
+  "quantum-simulation.js",
+  "monte-carlo.js",
+  "parameter-sweep.js",
+)
+
+const PROGRESS_MS = 100
+
+self.onmessage = ({ data: job }) => {
+  const samples = job.points.map(() => [])
+  let completed = 0
+  let reported = performance.now()
+  try {
+    for (const { index, sample } of MonteCarlo.trials(job)) {
+      samples[index].push(sample)
+      completed++
+      if (performance.now() - reported >= PROGRESS_MS) {
+        self.postMessage({ type: "progress", completed })
+        reported = performance.now()
+      }
+    }
+  } catch (error) {
+    self.postMessage({ type: "error", message: error.message })
+    return
+  }
+  self.postMessage({ type: "done", samples })
+}
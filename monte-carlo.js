@@ -0,0 +1,172 @@
+// Monte Carlo batches. One run is a single random trajectory: heralds succeed or fail at random and
+// the measurements sample their outcomes. A batch repeats the current configuration without the
+// animation and summarises the spread, with 95% confidence intervals for the means. A parameter sweep
+// runs one batch at each of its points in the same way. Jobs run in a Web Worker (monte-carlo-worker.js)
+// so the page stays responsive; a page opened straight from disk may not be allowed to start one, and
+// then the job runs on the page in short slices instead.
+
+const MONTE_CARLO_HISTOGRAM_BINS = 20
+const MONTE_CARLO_SLICE_MS = 40 // longest the page runs trials without handing back to the browser
+const MONTE_CARLO_Z = 1.959964 // standard normal quantile for a two-sided 95% interval
+
+// The numbers kept from every trial, in the order the results list them
+const MONTE_CARLO_METRICS = {
+  fidelity: "Fidelity",
+  success: "Success Rate",
+  attempts: "Attempts",
+  latency: "Latency",
+}
+
+const MonteCarlo = {
+  // A fresh run of the simulation, reduced to the metrics
+  trial(simulation, run) {
+    simulation.reset()
+    simulation.simulateQuantumCommunication(run.noiseLevel, run.purificationEnabled, run.entanglementType, run.errorModel)
+    const results = simulation.getResults()
+    return {
+      fidelity: results.fidelity,
+      success: results.success ? 1 : 0,
+      attempts: results.attempts,
+      latency: results.latency,
+    }
+  },
+
+  // Student's t quantile for a two-sided 95% interval with the given degrees of freedom, by the
+  // Cornish–Fisher expansion around the normal quantile; within 0.1% from 5 degrees of freedom
+  tQuantile(degrees) {
+    const z = MONTE_CARLO_Z
+    const terms = [
+      (z ** 3 + z) / 4,
+      (5 * z ** 5 + 16 * z ** 3 + 3 * z) / 96,
+      (3 * z ** 7 + 19 * z ** 5 + 17 * z ** 3 - 15 * z) / 384,
+      (79 * z ** 9 + 776 * z ** 7 + 1482 * z ** 5 - 1920 * z ** 3 - 945 * z) / 92160,
+    ]
+    return terms.reduce((t, term, i) => t + term / degrees ** (i + 1), z)
+  },
+
+  // Mean, sample standard deviation and the t interval for the mean
+  summarize(values) {
+    const count = values.length
+    const mean = values.reduce((sum, value) => sum + value, 0) / count
+    if (count < 2) return { count, mean, std: 0, low: mean, high: mean }
+    const std = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (count - 1))
+    const half = (MonteCarlo.tQuantile(count - 1) * std) / Math.sqrt(count)
+    return { count, mean, std, low: mean - half, high: mean + half }
+  },
+
+  // A share of 0/1 outcomes takes the Wilson score interval, which stays inside [0, 1] and does not
+  // shrink to a point when every trial succeeds
+  proportion(values) {
+    const { count, mean, std } = MonteCarlo.summarize(values)
+    const z2 = MONTE_CARLO_Z ** 2 / count
+    const centre = (mean + z2 / 2) / (1 + z2)
+    const half = (MONTE_CARLO_Z / (1 + z2)) * Math.sqrt((mean * (1 - mean)) / count + z2 / (4 * count))
+    return { count, mean, std, low: Math.max(0, centre - half), high: Math.min(1, centre + half) }
+  },
+
+  formatValue(metric, value) {
+    switch (metric) {
+      case "fidelity":
+      case "success":
+        return `${(value * 100).toFixed(2)}%`
+      case "latency":
+        return formatDuration(value)
+      default:
+        return value.toFixed(2)
+    }
+  },
+
+  summary(samples) {
+    const column = (metric) => samples.map((sample) => sample[metric])
+    return Object.fromEntries(
+      Object.keys(MONTE_CARLO_METRICS).map((metric) => [
+        metric,
+        metric === "success" ? MonteCarlo.proportion(column(metric)) : MonteCarlo.summarize(column(metric)),
+      ]),
+    )
+  },
+
+  // Equal-width bins from the smallest value to the largest, the last bin closed on the right. A batch
+  // where every trial agrees gets one bin around the value.
+  histogram(values, bins = MONTE_CARLO_HISTOGRAM_BINS) {
+    let min = Math.min(...values)
+    let max = Math.max(...values)
+    if (max - min < 1e-12) {
+      min -= 0.005
+      max += 0.005
+      bins = 1
+    }
+    const counts = new Array(bins).fill(0)
+    values.forEach((value) => counts[Math.min(bins - 1, Math.floor(((value - min) / (max - min)) * bins))]++)
+    return { min, max, counts }
+  },
+
+  // Every trial of a job in turn: a batch of the given size at each point of a sweep (parameter-sweep.js),
+  // a plain batch being the one point that changes nothing. Yields the point's index with the sample.
+  *trials({ configuration, run, trials, points }) {
+    for (const [index, point] of points.entries()) {
+      const prepared = ParameterSweep.prepare(configuration, run, point)
+      for (let trial = 0; trial < trials; trial++) yield { index, sample: MonteCarlo.trial(prepared.simulation, prepared.run) }
+    }
+  },
+
+  // Runs a job and reports through the handlers: onProgress with the trials done so far, onComplete
+  // with the samples of every point and whether the worker ran them. Returns a function that cancels it.
+  start(job, { onProgress, onComplete, onError }) {
+    let worker = null
+    let timer = null
+
+    const runOnPage = () => {
+      const samples = job.points.map(() => [])
+      const trials = MonteCarlo.trials(job)
+      let finished = false
+      const slice = () => {
+        const started = performance.now()
+        try {
+          while (!finished && performance.now() - started < MONTE_CARLO_SLICE_MS) {
+            const { done, value } = trials.next()
+            if (done) finished = true
+            else samples[value.index].push(value.sample)
+          }
+        } catch (error) {
+          onError(error.message)
+          return
+        }
+        onProgress(samples.reduce((sum, point) => sum + point.length, 0))
+        if (finished) onComplete(samples, false)
+        else timer = setTimeout(slice, 0)
+      }
+      timer = setTimeout(slice, 0)
+    }
+
+    try {
+      worker = new Worker("monte-carlo-worker.js")
+    } catch (error) {
+      runOnPage()
+      return () => clearTimeout(timer)
+    }
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === "progress") {
+        onProgress(data.completed)
+        return
+      }
+      worker.terminate()
+      if (data.type === "error") onError(data.message)
+      else onComplete(data.samples, true)
+    }
+    // the worker script could not load, as happens for pages opened from disk in some browsers
+    worker.onerror = (event) => {
+      event.preventDefault()
+      worker.terminate()
+      worker = null
+      runOnPage()
+    }
+    worker.postMessage(job)
+
+    return () => {
+      if (worker) worker.terminate()
+      clearTimeout(timer)
+    }
+  },
+}
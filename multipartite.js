@@ -0,0 +1,67 @@
+// Genuine multipartite entanglement of GHZ and W states over N parties. The projector witness
+// 𝒲 = α I − |ψ⟩⟨ψ| has ⟨𝒲⟩ = α − F, where α is the largest fidelity any biseparable state reaches
+// with |ψ⟩: 1/2 for GHZ and (N − 1)/N for W (Bourennane et al. 2004). A negative value rules out every
+// split of the parties into two groups, so all N share the entanglement.
+//
+// The two states part ways when a party is lost. Tracing one qubit out of a GHZ state leaves a mixture
+// of |0…0⟩ and |1…1⟩ with no entanglement at all, while the other N − 1 qubits of a W state keep
+// fidelity (N − 1)/N with the smaller W state and stay genuinely entangled (Dür, Vidal and Cirac 2000).
+
+const MULTIPARTITE_MAX_PARTIES = 8 // the scaling curves simulate every size up to this one
+
+const Multipartite = {
+  // α: the most a biseparable state overlaps with the target
+  biseparableBound(entanglementType, parties) {
+    return entanglementType === "w" ? (parties - 1) / parties : 1 / 2
+  },
+
+  witness(state, entanglementType) {
+    const parties = state.numQubits
+    const fidelity = state.fidelity(TargetStates.forType(entanglementType, parties))
+    return { fidelity, value: Multipartite.biseparableBound(entanglementType, parties) - fidelity }
+  },
+
+  // Rounding leaves a witness a hair below zero where it should be exactly zero, as after a GHZ loss
+  certifies(value) {
+    return value < -1e-9
+  },
+
+  formatWitness(value) {
+    return Math.abs(value) < 5e-4 ? "0.000" : value.toFixed(3)
+  },
+
+  // The witness on the other N − 1 qubits, for the qubit whose loss hurts most. Below three parties a
+  // loss leaves a single qubit, which has nothing left to share.
+  afterLoss(state, entanglementType) {
+    const parties = state.numQubits
+    if (parties < 3) return null
+    const qubits = [...Array(parties).keys()]
+    return qubits
+      .map((lost) => ({ lost, ...Multipartite.witness(state.partialTrace(qubits.filter((qubit) => qubit !== lost)), entanglementType) }))
+      .reduce((worst, loss) => (loss.value > worst.value ? loss : worst))
+  },
+
+  // Everything the results report about one state
+  analyse(state, entanglementType) {
+    return {
+      parties: state.numQubits,
+      bound: Multipartite.biseparableBound(entanglementType, state.numQubits),
+      ...Multipartite.witness(state, entanglementType),
+      afterLoss: Multipartite.afterLoss(state, entanglementType),
+    }
+  },
+
+  // The witness before and after a loss for every size up to MULTIPARTITE_MAX_PARTIES, with each qubit but
+  // the source's crossing one hop of the channel. Memory and heralding are left out, so the curves show
+  // how the channel alone scales with the number of parties.
+  scaling(entanglementType, errorModel, noise) {
+    const channel = NoiseChannels.forModel(errorModel, noise)
+    const points = []
+    for (let parties = 2; parties <= MULTIPARTITE_MAX_PARTIES; parties++) {
+      const state = StatePreparation.forType(entanglementType, new DensityMatrix(parties))
+      state.applyChannel(channel, [...Array(parties).keys()].slice(1))
+      points.push(Multipartite.analyse(state, entanglementType))
+    }
+    return points
+  },
+}
@@ -0,0 +1,275 @@
+// Network graph shared by the simulation and the network view. Nodes are numbered 0..nodeCount-1
+// and links are undirected { source, target } pairs.
+
+const DEFAULT_NODE_NAMES = ["Alice", "Bob", "Charlie", "Dave", "Eve", "Frank", "Grace", "Heidi", "Ivan", "Judy"]
+
+const NetworkTopology = {
+  links(topology, nodeCount) {
+    const links = []
+    switch (topology) {
+      case "star":
+        // Central node (0) connected to all others
+        for (let i = 1; i < nodeCount; i++) links.push({ source: 0, target: i })
+        break
+
+      case "ring":
+        for (let i = 0; i < nodeCount; i++) links.push({ source: i, target: (i + 1) % nodeCount })
+        break
+
+      case "mesh":
+        for (let i = 0; i < nodeCount; i++) {
+          for (let j = i + 1; j < nodeCount; j++) links.push({ source: i, target: j })
+        }
+        break
+
+      case "linear":
+      default:
+        for (let i = 0; i < nodeCount - 1; i++) links.push({ source: i, target: i + 1 })
+        break
+    }
+    return links
+  },
+
+  // Dijkstra over the link list; weight(link) defaults to one per hop. Returns the node path or null.
+  shortestPath(links, nodeCount, from, to, weight = () => 1) {
+    const distance = new Array(nodeCount).fill(Infinity)
+    const previous = new Array(nodeCount).fill(null)
+    const visited = new Array(nodeCount).fill(false)
+    distance[from] = 0
+
+    for (let round = 0; round < nodeCount; round++) {
+      let node = -1
+      for (let i = 0; i < nodeCount; i++) {
+        if (!visited[i] && distance[i] < Infinity && (node === -1 || distance[i] < distance[node])) node = i
+      }
+      if (node === -1 || node === to) break
+      visited[node] = true
+
+      links.forEach((link) => {
+        if (link.source !== node && link.target !== node) return
+        const neighbour = link.source === node ? link.target : link.source
+        const candidate = distance[node] + weight(link)
+        if (candidate < distance[neighbour]) {
+          distance[neighbour] = candidate
+          previous[neighbour] = { node, link }
+        }
+      })
+    }
+
+    if (distance[to] === Infinity) return null
+    const path = [to]
+    for (let node = to; node !== from; node = previous[node].node) path.unshift(previous[node].node)
+    return path
+  },
+
+  findLink(links, a, b) {
+    return links.find((link) => (link.source === a && link.target === b) || (link.source === b && link.target === a))
+  },
+
+  // Links are undirected, so both orientations share one key
+  linkKey(a, b) {
+    return a < b ? `${a}-${b}` : `${b}-${a}`
+  },
+}
+
+// Detector gate used to turn a dark count rate into a per-attempt probability
+const DETECTION_WINDOW_NS = 10
+
+// Physical description of one fibre link. Brightness is the chance the source emits a pair per attempt.
+const LinkPhysics = {
+  defaults() {
+    return {
+      length: 10, // km
+      attenuation: 0.2, // dB/km, telecom fibre at 1550 nm
+      brightness: 0.8,
+      detectorEfficiency: 0.9,
+      darkCountRate: 100, // counts per second
+    }
+  },
+
+  // Accepted [min, max] for every parameter
+  ranges: {
+    length: [0.01, 1000],
+    attenuation: [0, 1],
+    brightness: [0.01, 1],
+    detectorEfficiency: [0.01, 1],
+    darkCountRate: [0, 1e7],
+  },
+
+  // Clamps user input into physical ranges, falling back to the defaults for anything unusable
+  sanitize(params) {
+    const defaults = LinkPhysics.defaults()
+    const sanitized = {}
+    Object.entries(LinkPhysics.ranges).forEach(([key, [min, max]]) => {
+      const number = Number(params[key])
+      sanitized[key] = Number.isFinite(number) ? Math.min(Math.max(number, min), max) : defaults[key]
+    })
+    return sanitized
+  },
+
+  transmission(params) {
+    return 10 ** (-(params.attenuation * params.length) / 10)
+  },
+
+  // A herald fires on a real photon or on a dark count. Dark-count heralds announce a pair that never
+  // arrived, so falseHeraldFraction of the heralded pairs are uncorrelated noise.
+  herald(params) {
+    const signal = params.brightness * LinkPhysics.transmission(params) * params.detectorEfficiency
+    const dark = 1 - Math.exp(-params.darkCountRate * DETECTION_WINDOW_NS * 1e-9)
+    const successProbability = signal + (1 - signal) * dark
+    return {
+      successProbability,
+      falseHeraldFraction: successProbability > 0 ? ((1 - signal) * dark) / successProbability : 0,
+    }
+  },
+
+  // The same for a photon that crosses several links without being stored: the fibre losses add up,
+  // the source is the first link's and the detector the last one's
+  pathHerald(pathParams) {
+    const length = pathParams.reduce((sum, params) => sum + params.length, 0)
+    const loss = pathParams.reduce((sum, params) => sum + params.attenuation * params.length, 0)
+    return LinkPhysics.herald({
+      ...pathParams[pathParams.length - 1],
+      brightness: pathParams[0].brightness,
+      length,
+      attenuation: loss / length,
+    })
+  },
+}
+
+// Editable network: the presets above are only starting points. Node indices stay contiguous, so
+// removing a node renumbers the ones after it. Pinned positions are fractions of the canvas size.
+class NetworkGraph {
+  constructor(topology = "custom") {
+    this.topology = topology
+    this.nodes = []
+    this.links = []
+  }
+
+  static preset(topology, nodeCount) {
+    const graph = new NetworkGraph()
+    graph.applyPreset(topology, nodeCount)
+    return graph
+  }
+
+  get nodeCount() {
+    return this.nodes.length
+  }
+
+  applyPreset(topology, nodeCount) {
+    this.topology = topology
+    this.nodes = []
+    this.links = []
+    for (let i = 0; i < nodeCount; i++) this.addNode()
+    NetworkTopology.links(topology, nodeCount).forEach((link) => this.addLink(link.source, link.target))
+    this.topology = topology
+  }
+
+  // Grows or shrinks the graph from the end, keeping everything else as the user left it
+  resize(nodeCount) {
+    while (this.nodes.length < nodeCount) this.addNode()
+    while (this.nodes.length > nodeCount) this.removeNode(this.nodes.length - 1)
+  }
+
+  defaultName(index) {
+    const taken = new Set(this.nodes.map((node) => node.name))
+    return DEFAULT_NODE_NAMES.find((name) => !taken.has(name)) || `Node ${index + 1}`
+  }
+
+  addNode(name = null, pinned = null) {
+    const index = this.nodes.length
+    this.nodes.push({ name: name || this.defaultName(index), pinned })
+    this.topology = "custom"
+    return index
+  }
+
+  removeNode(index) {
+    this.nodes.splice(index, 1)
+    this.links = this.links
+      .filter((link) => link.source !== index && link.target !== index)
+      .map((link) => ({
+        ...link,
+        source: link.source > index ? link.source - 1 : link.source,
+        target: link.target > index ? link.target - 1 : link.target,
+      }))
+    this.topology = "custom"
+  }
+
+  renameNode(index, name) {
+    const trimmed = name.trim()
+    if (trimmed) this.nodes[index].name = trimmed
+  }
+
+  pinNode(index, position) {
+    this.nodes[index].pinned = position
+  }
+
+  unpinNode(index) {
+    this.nodes[index].pinned = null
+  }
+
+  findLink(a, b) {
+    return NetworkTopology.findLink(this.links, a, b)
+  }
+
+  // Returns false for self-loops and links that already exist
+  addLink(source, target, params = null) {
+    if (source === target || this.findLink(source, target)) return false
+    this.links.push({ source, target, params: params ? LinkPhysics.sanitize(params) : null })
+    this.topology = "custom"
+    return true
+  }
+
+  removeLink(source, target) {
+    const link = this.findLink(source, target)
+    if (!link) return
+    this.links.splice(this.links.indexOf(link), 1)
+    this.topology = "custom"
+  }
+
+  // Takes over another graph's contents, so everything holding this instance sees the change
+  replaceWith(other) {
+    this.topology = other.topology
+    this.nodes = other.nodes
+    this.links = other.links
+  }
+
+  setLinkParameters(source, target, params) {
+    const link = this.findLink(source, target)
+    if (link) link.params = LinkPhysics.sanitize(params)
+  }
+
+  linkParameters(link) {
+    return { ...LinkPhysics.defaults(), ...link.params }
+  }
+
+  neighbours(index) {
+    return this.links
+      .filter((link) => link.source === index || link.target === index)
+      .map((link) => (link.source === index ? link.target : link.source))
+  }
+
+  // Every node reachable from node 0
+  isConnected() {
+    const seen = new Set([0])
+    const queue = [0]
+    while (queue.length > 0) {
+      this.neighbours(queue.shift()).forEach((next) => {
+        if (!seen.has(next)) {
+          seen.add(next)
+          queue.push(next)
+        }
+      })
+    }
+    return seen.size === this.nodes.length
+  }
+
+  // Exactly the links 0–1, 1–2, …, which is what a repeater chain needs
+  isChain() {
+    if (this.links.length !== this.nodes.length - 1) return false
+    for (let i = 0; i + 1 < this.nodes.length; i++) {
+      if (!this.findLink(i, i + 1)) return false
+    }
+    return true
+  }
+}
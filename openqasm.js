@@ -0,0 +1,564 @@
+// OpenQASM 2.0 (Cross et al. 2017) and 3.0 (Cross et al. 2022) for the circuits the simulator runs.
+// Export writes the builder's gates, which both versions' standard libraries (qelib1.inc and
+// stdgates.inc) provide under the same names. Import reads a flat program: register declarations,
+// the standard gates, measure and barrier. Gates the builder lacks are expanded into its own, exact
+// up to a global phase, which no measurement sees. Everything else is reported with its line.
+
+const QASM_VERSIONS = ["2.0", "3.0"]
+const QASM_INCLUDES = { "2.0": "qelib1.inc", "3.0": "stdgates.inc" }
+
+// Builder gate → QASM name
+const QASM_NAMES = {
+  H: "h",
+  X: "x",
+  Y: "y",
+  Z: "z",
+  S: "s",
+  T: "t",
+  RX: "rx",
+  RY: "ry",
+  RZ: "rz",
+  CNOT: "cx",
+  CZ: "cz",
+  SWAP: "swap",
+  TOFFOLI: "ccx",
+}
+
+// Thrown with every problem found in a program, each prefixed by its line
+class QASMFormatError extends Error {
+  constructor(errors) {
+    super(errors.join("\n"))
+    this.name = "QASMFormatError"
+    this.errors = errors
+  }
+}
+
+const qasmOp = (gate, targets, angle) => (angle === undefined ? { gate, targets } : { gate, targets, angle })
+
+// Every gate import understands: how many angles and qubits it takes and the builder gates it becomes.
+// The expansions follow the definitions in qelib1.inc.
+const QASM_IMPORT_GATES = {
+  id: { params: 0, qubits: 1, expand: () => [] },
+  x: { params: 0, qubits: 1, expand: (_, [a]) => [qasmOp("X", [a])] },
+  y: { params: 0, qubits: 1, expand: (_, [a]) => [qasmOp("Y", [a])] },
+  z: { params: 0, qubits: 1, expand: (_, [a]) => [qasmOp("Z", [a])] },
+  h: { params: 0, qubits: 1, expand: (_, [a]) => [qasmOp("H", [a])] },
+  s: { params: 0, qubits: 1, expand: (_, [a]) => [qasmOp("S", [a])] },
+  sdg: { params: 0, qubits: 1, expand: (_, [a]) => [qasmOp("RZ", [a], -Math.PI / 2)] },
+  t: { params: 0, qubits: 1, expand: (_, [a]) => [qasmOp("T", [a])] },
+  tdg: { params: 0, qubits: 1, expand: (_, [a]) => [qasmOp("RZ", [a], -Math.PI / 4)] },
+  sx: { params: 0, qubits: 1, expand: (_, [a]) => [qasmOp("RX", [a], Math.PI / 2)] },
+  sxdg: { params: 0, qubits: 1, expand: (_, [a]) => [qasmOp("RX", [a], -Math.PI / 2)] },
+  rx: { params: 1, qubits: 1, expand: ([theta], [a]) => [qasmOp("RX", [a], theta)] },
+  ry: { params: 1, qubits: 1, expand: ([theta], [a]) => [qasmOp("RY", [a], theta)] },
+  rz: { params: 1, qubits: 1, expand: ([theta], [a]) => [qasmOp("RZ", [a], theta)] },
+  p: { params: 1, qubits: 1, expand: ([lambda], [a]) => [qasmOp("RZ", [a], lambda)] },
+  u1: { params: 1, qubits: 1, expand: ([lambda], [a]) => [qasmOp("RZ", [a], lambda)] },
+  u2: {
+    params: 2,
+    qubits: 1,
+    expand: ([phi, lambda], [a]) => [qasmOp("RZ", [a], lambda), qasmOp("RY", [a], Math.PI / 2), qasmOp("RZ", [a], phi)],
+  },
+  u3: {
+    params: 3,
+    qubits: 1,
+    expand: ([theta, phi, lambda], [a]) => [qasmOp("RZ", [a], lambda), qasmOp("RY", [a], theta), qasmOp("RZ", [a], phi)],
+  },
+  cx: { params: 0, qubits: 2, expand: (_, [a, b]) => [qasmOp("CNOT", [a, b])] },
+  cy: { params: 0, qubits: 2, expand: (_, [a, b]) => [qasmOp("RZ", [b], -Math.PI / 2), qasmOp("CNOT", [a, b]), qasmOp("S", [b])] },
+  cz: { params: 0, qubits: 2, expand: (_, [a, b]) => [qasmOp("CZ", [a, b])] },
+  ch: {
+    params: 0,
+    qubits: 2,
+    expand: (_, [a, b]) => [
+      qasmOp("H", [b]),
+      qasmOp("RZ", [b], -Math.PI / 2),
+      qasmOp("CNOT", [a, b]),
+      qasmOp("H", [b]),
+      qasmOp("T", [b]),
+      qasmOp("CNOT", [a, b]),
+      qasmOp("T", [b]),
+      qasmOp("H", [b]),
+      qasmOp("S", [b]),
+      qasmOp("X", [b]),
+      qasmOp("S", [a]),
+    ],
+  },
+  cry: {
+    params: 1,
+    qubits: 2,
+    expand: ([theta], [a, b]) => [qasmOp("RY", [b], theta / 2), qasmOp("CNOT", [a, b]), qasmOp("RY", [b], -theta / 2), qasmOp("CNOT", [a, b])],
+  },
+  // RX = S† RY S, and S† S leaves the target alone when the control is off
+  crx: {
+    params: 1,
+    qubits: 2,
+    expand: ([theta], [a, b]) => [qasmOp("S", [b]), ...QASM_IMPORT_GATES.cry.expand([theta], [a, b]), qasmOp("RZ", [b], -Math.PI / 2)],
+  },
+  crz: {
+    params: 1,
+    qubits: 2,
+    expand: ([lambda], [a, b]) => [qasmOp("RZ", [b], lambda / 2), qasmOp("CNOT", [a, b]), qasmOp("RZ", [b], -lambda / 2), qasmOp("CNOT", [a, b])],
+  },
+  cu1: {
+    params: 1,
+    qubits: 2,
+    expand: ([lambda], [a, b]) => [
+      qasmOp("RZ", [a], lambda / 2),
+      qasmOp("CNOT", [a, b]),
+      qasmOp("RZ", [b], -lambda / 2),
+      qasmOp("CNOT", [a, b]),
+      qasmOp("RZ", [b], lambda / 2),
+    ],
+  },
+  cu3: {
+    params: 3,
+    qubits: 2,
+    expand: ([theta, phi, lambda], [a, b]) => [
+      qasmOp("RZ", [a], (lambda + phi) / 2),
+      qasmOp("RZ", [b], (lambda - phi) / 2),
+      qasmOp("CNOT", [a, b]),
+      ...QASM_IMPORT_GATES.u3.expand([-theta / 2, 0, -(phi + lambda) / 2], [b]),
+      qasmOp("CNOT", [a, b]),
+      ...QASM_IMPORT_GATES.u3.expand([theta / 2, phi, 0], [b]),
+    ],
+  },
+  // cu3 with a phase γ on the control's |1⟩
+  cu: {
+    params: 4,
+    qubits: 2,
+    expand: ([theta, phi, lambda, gamma], [a, b]) => [qasmOp("RZ", [a], gamma), ...QASM_IMPORT_GATES.cu3.expand([theta, phi, lambda], [a, b])],
+  },
+  swap: { params: 0, qubits: 2, expand: (_, [a, b]) => [qasmOp("SWAP", [a, b])] },
+  ccx: { params: 0, qubits: 3, expand: (_, [a, b, c]) => [qasmOp("TOFFOLI", [a, b, c])] },
+  cswap: {
+    params: 0,
+    qubits: 3,
+    expand: (_, [a, b, c]) => [qasmOp("CNOT", [c, b]), qasmOp("TOFFOLI", [a, b, c]), qasmOp("CNOT", [c, b])],
+  },
+}
+
+// Other spellings of the same gates: the built-in U and CX, and stdgates.inc's long names
+const QASM_ALIASES = { U: "u3", u: "u3", CX: "cx", phase: "p", cp: "cu1", cphase: "cu1" }
+
+// Statements a flat circuit cannot hold, with what to say about them
+const QASM_UNSUPPORTED = {
+  gate: "gate definitions are not supported; use the standard gates",
+  opaque: "opaque gates are not supported",
+  def: "subroutines are not supported",
+  defcal: "calibrations are not supported",
+  cal: "calibrations are not supported",
+  if: "classically controlled operations are not supported",
+  for: "loops are not supported",
+  while: "loops are not supported",
+  reset: "reset is not supported; every qubit starts in |0⟩",
+  delay: "delay is not supported",
+  box: "box is not supported",
+  let: "aliases are not supported",
+  const: "constants are not supported",
+  input: "input parameters are not supported",
+  output: "output declarations are not supported",
+  ctrl: "gate modifiers are not supported",
+  negctrl: "gate modifiers are not supported",
+  inv: "gate modifiers are not supported",
+  pow: "gate modifiers are not supported",
+}
+
+const QASM_FUNCTIONS = {
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  exp: Math.exp,
+  ln: Math.log,
+  sqrt: Math.sqrt,
+  arcsin: Math.asin,
+  arccos: Math.acos,
+  arctan: Math.atan,
+}
+
+const QASM_CONSTANTS = { pi: Math.PI, π: Math.PI, tau: 2 * Math.PI, τ: 2 * Math.PI, euler: Math.E, ℇ: Math.E }
+
+const OpenQASM = {
+  maxQubits: CIRCUIT_MAX_QUBITS,
+
+  // holderNames label the qubits in a comment, which import skips
+  export(circuit, version = "2.0", holderNames = null) {
+    if (!QASM_VERSIONS.includes(version)) throw new Error(`Unknown OpenQASM version ${version}`)
+    const v3 = version === "3.0"
+    const measured = circuit.measuredQubits()
+    const lines = [`OPENQASM ${version};`, `include "${QASM_INCLUDES[version]}";`]
+    if (holderNames) holderNames.forEach((name, qubit) => lines.push(`// q[${qubit}] held by ${name}`))
+    lines.push(v3 ? `qubit[${circuit.qubitCount}] q;` : `qreg q[${circuit.qubitCount}];`)
+    if (measured.length > 0) lines.push(v3 ? `bit[${measured.length}] c;` : `creg c[${measured.length}];`)
+
+    circuit.operations.forEach((operation) => {
+      const qubits = operation.targets.map((target) => `q[${target}]`).join(", ")
+      if (operation.gate === "MEASURE") {
+        const bit = `c[${measured.indexOf(operation.targets[0])}]`
+        lines.push(v3 ? `${bit} = measure ${qubits};` : `measure ${qubits} -> ${bit};`)
+        return
+      }
+      const angle = CIRCUIT_GATES[operation.gate].angle ? `(${OpenQASM.formatAngle(operation.angle)})` : ""
+      lines.push(`${QASM_NAMES[operation.gate]}${angle} ${qubits};`)
+    })
+    return lines.join("\n") + "\n"
+  },
+
+  // Multiples of π/4 as pi fractions, anything else as a plain number
+  formatAngle(angle) {
+    const quarters = (angle / Math.PI) * 4
+    if (Math.abs(quarters - Math.round(quarters)) > 1e-9) return String(Number(angle.toPrecision(15)))
+    let numerator = Math.round(quarters)
+    if (numerator === 0) return "0"
+    let divisor = 4
+    while (divisor > 1 && numerator % 2 === 0) {
+      numerator /= 2
+      divisor /= 2
+    }
+    const sign = numerator < 0 ? "-" : ""
+    const magnitude = Math.abs(numerator) === 1 ? "pi" : `${Math.abs(numerator)}*pi`
+    return divisor === 1 ? `${sign}${magnitude}` : `${sign}${magnitude}/${divisor}`
+  },
+
+  // Line comments are kept apart for the holder notes export writes; every token keeps its line
+  tokenize(text) {
+    const tokens = []
+    const comments = []
+    const errors = []
+    let line = 1
+    let i = 0
+    while (i < text.length) {
+      const char = text[i]
+      if (char === "\n") {
+        line++
+        i++
+      } else if (/\s/.test(char)) {
+        i++
+      } else if (text.startsWith("//", i)) {
+        const start = i + 2
+        while (i < text.length && text[i] !== "\n") i++
+        comments.push(text.slice(start, i).trim())
+      } else if (text.startsWith("/*", i)) {
+        const end = text.indexOf("*/", i + 2)
+        const stop = end === -1 ? text.length : end + 2
+        for (; i < stop; i++) if (text[i] === "\n") line++
+        if (end === -1) errors.push(`line ${line}: unterminated comment`)
+      } else if (char === '"') {
+        const end = text.indexOf('"', i + 1)
+        if (end === -1 || text.slice(i, end).includes("\n")) {
+          errors.push(`line ${line}: unterminated string`)
+          while (i < text.length && text[i] !== "\n") i++
+        } else {
+          tokens.push({ type: "string", value: text.slice(i + 1, end), line })
+          i = end + 1
+        }
+      } else {
+        const match = text.slice(i).match(/^(?:\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?|[A-Za-z_πτℇ][A-Za-z0-9_]*|->|==|\*\*|[;,()[\]{}+\-*/^=@])/)
+        if (!match) {
+          errors.push(`line ${line}: unexpected character "${char}"`)
+          i++
+          continue
+        }
+        const value = match[0]
+        tokens.push({ type: /^[\d.]/.test(value) ? "number" : /^[A-Za-z_πτℇ]/.test(value) ? "id" : "symbol", value, line })
+        i += value.length
+      }
+    }
+    return { tokens, comments, errors }
+  },
+
+  // Splits the tokens into statements at semicolons; a braced block ends its statement too
+  statements(tokens) {
+    const statements = []
+    let current = []
+    let depth = 0
+    tokens.forEach((token) => {
+      current.push(token)
+      if (token.value === "{") depth++
+      if (token.value === "}") depth--
+      if ((token.value === ";" && depth === 0) || (token.value === "}" && depth === 0)) {
+        statements.push(current)
+        current = []
+      }
+    })
+    if (current.length > 0) statements.push(current)
+    return statements
+  },
+
+  // Reads a program into a circuit whose qubits are the registers in the order they were declared.
+  // Every qubit is left at node 0; holderNames carries the nodes an exported file noted.
+  parse(text) {
+    const { tokens, comments, errors } = OpenQASM.tokenize(text)
+    const statements = OpenQASM.statements(tokens)
+    const circuit = new QuantumCircuit()
+    const quantum = new Map() // register name → { start, size }
+    const classical = new Map() // register name → size
+    let version = null
+    let qubitCount = 0
+    const names = [] // each qubit as the program writes it
+    let tooMany = false
+
+    const fail = (line, message) => {
+      throw { line, message }
+    }
+
+    statements.forEach((statement, index) => {
+      const line = statement[0].line
+      try {
+        const last = statement[statement.length - 1]
+        if (last.value !== ";" && last.value !== "}") fail(last.line, `expected ";" after "${last.value}"`)
+        const reader = OpenQASM.reader(statement.slice(0, -1), line)
+        const head = reader.peek()
+
+        if (head.value === "OPENQASM") {
+          if (index !== 0) fail(line, "OPENQASM must be the first statement")
+          reader.next()
+          const number = reader.expect("number", "a version number").value
+          version = number.includes(".") ? number : `${number}.0`
+          if (!QASM_VERSIONS.includes(version)) fail(line, `OpenQASM ${number} is not supported; use 2.0 or 3.0`)
+          reader.end()
+          return
+        }
+        if (head.value === "include") {
+          reader.next()
+          const file = reader.expect("string", "a file name in quotes").value
+          if (!Object.values(QASM_INCLUDES).includes(file)) fail(line, `cannot include "${file}"; only qelib1.inc and stdgates.inc are known`)
+          reader.end()
+          return
+        }
+        if (Object.hasOwn(QASM_UNSUPPORTED, head.value)) fail(line, QASM_UNSUPPORTED[head.value])
+
+        const qubitArgument = () => OpenQASM.argument(reader, quantum, "qubit", line)
+        const bitArgument = () => OpenQASM.argument(reader, classical, "bit", line)
+        let measure = null
+
+        // declarations: qreg q[2]; creg c[2]; qubit[2] q; qubit q; bit[2] c; bit c; and in 3.0 a bit
+        // register can start as a measurement, bit[2] c = measure q;
+        if (["qreg", "creg", "qubit", "bit"].includes(head.value)) {
+          const keyword = reader.next().value
+          let size = 1
+          let name
+          let initialized = false
+          if (keyword === "qreg" || keyword === "creg") {
+            name = reader.expect("id", "a register name").value
+            size = reader.index()
+          } else {
+            if (reader.peek().value === "[") size = reader.index()
+            name = reader.expect("id", "a register name").value
+            initialized = keyword === "bit" && reader.accept("=")
+          }
+          if (!initialized) reader.end()
+          if (size < 1) fail(line, `register ${name} must hold at least one ${keyword.includes("q") ? "qubit" : "bit"}`)
+          if (quantum.has(name) || classical.has(name)) fail(line, `register ${name} is declared twice`)
+          if (keyword === "qreg" || keyword === "qubit") {
+            quantum.set(name, { start: qubitCount, size })
+            for (let i = 0; i < size; i++) names.push(`${name}[${i}]`)
+            qubitCount += size
+            while (circuit.qubitCount < Math.min(qubitCount, OpenQASM.maxQubits)) circuit.addQubit(0)
+            if (qubitCount > OpenQASM.maxQubits && !tooMany) {
+              tooMany = true
+              fail(line, `the simulator holds at most ${OpenQASM.maxQubits} qubits, this program declares ${qubitCount} so far`)
+            }
+          } else {
+            classical.set(name, size)
+          }
+          if (!initialized) return
+          if (reader.next().value !== "measure") fail(line, "only measurements can be assigned to bits")
+          measure = { qubits: qubitArgument(), bits: Array.from({ length: size }, (_, i) => i) }
+          reader.end()
+        }
+
+        if (head.value === "barrier") {
+          // only orders gates for a compiler; the simulator already runs them in order
+          reader.next()
+          do qubitArgument()
+          while (reader.accept(","))
+          reader.end()
+          return
+        }
+
+        // measure q -> c; or, in 3.0, c = measure q;
+        if (head.value === "measure") {
+          reader.next()
+          const qubits = qubitArgument()
+          let bits = null
+          if (reader.accept("->")) bits = bitArgument()
+          reader.end()
+          measure = { qubits, bits }
+        } else if (classical.has(head.value) && statement.some((token) => token.value === "=")) {
+          const bits = bitArgument()
+          reader.expect("=", '"="')
+          if (reader.next().value !== "measure") fail(line, "only measurements can be assigned to bits")
+          measure = { qubits: qubitArgument(), bits }
+          reader.end()
+        }
+        if (measure) {
+          const { qubits, bits } = measure
+          if (bits && bits.length !== qubits.length) fail(line, `measures ${qubits.length} qubits into ${bits.length} bits`)
+          qubits.forEach((qubit) => OpenQASM.add(circuit, qasmOp("MEASURE", [qubit]), line, names))
+          return
+        }
+
+        // a gate call: name(angles) qubits, registers broadcast elementwise
+        const token = reader.next()
+        if (token.type !== "id") fail(line, `unexpected "${token.value}"`)
+        const name = Object.hasOwn(QASM_ALIASES, token.value) ? QASM_ALIASES[token.value] : token.value
+        const gate = Object.hasOwn(QASM_IMPORT_GATES, name) ? QASM_IMPORT_GATES[name] : null
+        if (!gate) fail(line, `gate "${token.value}" is not supported`)
+        const params = []
+        if (reader.accept("(")) {
+          if (!reader.accept(")")) {
+            do params.push(OpenQASM.expression(reader, line))
+            while (reader.accept(","))
+            reader.expect(")", '")"')
+          }
+        }
+        // U(θ, φ, λ) in 3.0 and u in stdgates.inc are u3; 3.0's u has no two-angle form
+        if (params.length !== gate.params) fail(line, `${token.value} takes ${gate.params} angle${gate.params === 1 ? "" : "s"}, found ${params.length}`)
+        const operands = []
+        do operands.push(qubitArgument())
+        while (reader.accept(","))
+        reader.end()
+        if (operands.length !== gate.qubits) fail(line, `${token.value} acts on ${gate.qubits} qubit${gate.qubits === 1 ? "" : "s"}, found ${operands.length}`)
+        const width = Math.max(...operands.map((operand) => operand.length))
+        if (operands.some((operand) => operand.length !== 1 && operand.length !== width)) fail(line, "registers of different sizes cannot be broadcast together")
+        for (let k = 0; k < width; k++) {
+          const targets = operands.map((operand) => (operand.length === 1 ? operand[0] : operand[k]))
+          if (new Set(targets).size !== targets.length) fail(line, `${token.value} is given the same qubit twice`)
+          gate.expand(params, targets).forEach((operation) => OpenQASM.add(circuit, operation, line, names))
+        }
+      } catch (problem) {
+        if (problem instanceof Error) throw problem
+        errors.push(`line ${problem.line}: ${problem.message}`)
+      }
+    })
+
+    if (statements.length === 0 || statements[0][0].value !== "OPENQASM") errors.unshift("line 1: a program must start with OPENQASM 2.0; or OPENQASM 3.0;")
+    if (qubitCount === 0 && errors.length === 0) errors.push(`line ${tokens.length > 0 ? tokens[tokens.length - 1].line : 1}: no qubits are declared`)
+    if (errors.length > 0) throw new QASMFormatError(errors)
+
+    // "q[0] held by Alice" as export writes it; null where the program does not say
+    const holderNames = names.slice(0, circuit.qubitCount).map(() => null)
+    comments.forEach((comment) => {
+      const match = comment.match(/^(\w+\[\d+\]) held by (.+)$/)
+      const qubit = match ? names.indexOf(match[1]) : -1
+      if (qubit >= 0 && qubit < holderNames.length) holderNames[qubit] = match[2]
+    })
+    return { circuit, version, holderNames }
+  },
+
+  // A gate on the circuit, or the reason it cannot go there in terms of the program's qubits
+  add(circuit, operation, line, names) {
+    // qubits past the limit were already reported where their register was declared
+    if (operation.targets.some((target) => target >= OpenQASM.maxQubits)) return
+    const measured = operation.targets.find((target) => circuit.measuredQubits().includes(target))
+    if (measured !== undefined) {
+      throw { line, message: `${names[measured]} is used after it is measured; only measurements at the end of the circuit are supported` }
+    }
+    const problem = circuit.insert(operation)
+    if (problem) throw { line, message: problem }
+  },
+
+  // Token cursor over one statement
+  reader(tokens, line) {
+    let position = 0
+    const fail = (message) => {
+      throw { line, message }
+    }
+    // a statement that runs on over a line break before going wrong most likely lost its ";" there
+    const unexpected = (message) => {
+      const previous = tokens[position - 1]
+      if (position < tokens.length && previous && tokens[position].line > previous.line) {
+        throw { line: previous.line, message: `expected ";" after "${previous.value}"` }
+      }
+      fail(message)
+    }
+    const reader = {
+      peek: () => tokens[position] || { type: "end", value: "end of statement", line },
+      next: () => {
+        if (position >= tokens.length) fail("the statement ends too early")
+        return tokens[position++]
+      },
+      accept: (value) => {
+        if (reader.peek().value !== value) return false
+        position++
+        return true
+      },
+      expect: (kind, description) => {
+        const token = reader.peek()
+        if (token.type !== kind && token.value !== kind) unexpected(`expected ${description}, found "${token.value}"`)
+        position++
+        return token
+      },
+      // [n] as a non-negative integer
+      index: () => {
+        reader.expect("[", '"["')
+        const token = reader.expect("number", "an integer")
+        if (!/^\d+$/.test(token.value)) fail(`expected an integer, found "${token.value}"`)
+        reader.expect("]", '"]"')
+        return Number.parseInt(token.value)
+      },
+      end: () => {
+        if (position < tokens.length) unexpected(`unexpected "${tokens[position].value}"`)
+      },
+    }
+    return reader
+  },
+
+  // A whole register or one element of it, as the list of qubit (or bit) indices it names
+  argument(reader, registers, kind, line) {
+    const token = reader.expect("id", `a ${kind}`)
+    const register = registers.get(token.value)
+    if (register === undefined) throw { line, message: `${token.value} is not a declared ${kind} register` }
+    const start = kind === "qubit" ? register.start : 0
+    const size = kind === "qubit" ? register.size : register
+    if (reader.peek().value !== "[") return Array.from({ length: size }, (_, i) => start + i)
+    const index = reader.index()
+    if (index >= size) throw { line, message: `${token.value}[${index}] is out of range, ${token.value} has ${size} ${kind}${size === 1 ? "" : "s"}` }
+    return [start + index]
+  },
+
+  // Angle expressions: numbers, pi, + - * / ^ and the usual functions
+  expression(reader, line) {
+    const fail = (message) => {
+      throw { line, message }
+    }
+    const sum = () => {
+      let value = product()
+      while (["+", "-"].includes(reader.peek().value)) value = reader.next().value === "+" ? value + product() : value - product()
+      return value
+    }
+    const product = () => {
+      let value = unary()
+      while (["*", "/"].includes(reader.peek().value)) value = reader.next().value === "*" ? value * unary() : value / unary()
+      return value
+    }
+    const unary = () => {
+      if (reader.accept("-")) return -unary()
+      if (reader.accept("+")) return unary()
+      const base = atom()
+      return reader.accept("^") || reader.accept("**") ? base ** unary() : base
+    }
+    const atom = () => {
+      const token = reader.next()
+      if (token.type === "number") return Number(token.value)
+      if (token.value === "(") {
+        const value = sum()
+        reader.expect(")", '")"')
+        return value
+      }
+      if (token.type === "id" && Object.hasOwn(QASM_CONSTANTS, token.value)) return QASM_CONSTANTS[token.value]
+      if (token.type === "id" && Object.hasOwn(QASM_FUNCTIONS, token.value)) {
+        reader.expect("(", '"("')
+        const value = QASM_FUNCTIONS[token.value](sum())
+        reader.expect(")", '")"')
+        return value
+      }
+      if (token.type === "id") return fail(`unknown identifier "${token.value}" in an angle`)
+      return fail(`unexpected "${token.value}" in an angle`)
+    }
+    const value = sum()
+    if (!Number.isFinite(value)) fail("the angle is not a finite number")
+    return value
+  },
+}
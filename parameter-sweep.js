@@ -0,0 +1,128 @@
+// Parameter sweeps. A sweep varies one or two settings over chosen values and runs a Monte Carlo batch
+// at every point (monte-carlo.js), which answers questions like "up to what noise does purification
+// still reach the 0.8 threshold on a 6-node ring?". Everything not swept keeps its value from the page.
+//
+// Sweeping the node count or topology rebuilds the network as a preset with default links, so a
+// custom graph becomes a linear chain. A routing request or Eve's link that no longer fits is dropped,
+// and circuit qubits on removed nodes move to the first node.
+
+const SWEEP_MAX_STEPS = 20 // values per swept parameter
+const SWEEP_THRESHOLD = 0.8 // the fidelity a run must reach to succeed, marked on the plots
+
+// Range parameters take evenly spaced values between two ends, within min and max and starting from
+// the defaults on the page; option parameters take every option
+const SWEEP_PARAMETERS = {
+  noiseLevel: {
+    name: "Noise Level",
+    type: "range",
+    min: 0.05,
+    max: 0.5,
+    defaults: { from: 0.05, to: 0.5, steps: 10 },
+    apply: (simulation, run, value) => {
+      run.noiseLevel = value
+    },
+  },
+  nodeCount: {
+    name: "Node Count",
+    type: "range",
+    min: 2,
+    max: 10,
+    integer: true,
+    defaults: { from: 2, to: 10, steps: 9 },
+    apply: (simulation, run, value) => {
+      const topology = simulation.networkTopology in SWEEP_PARAMETERS.topology.options ? simulation.networkTopology : "linear"
+      ParameterSweep.replaceGraph(simulation, NetworkGraph.preset(topology, value))
+    },
+  },
+  topology: {
+    name: "Topology",
+    type: "options",
+    options: { linear: "Linear Chain", star: "Star Network", ring: "Ring Network", mesh: "Fully Connected Mesh" },
+    apply: (simulation, run, value) => {
+      ParameterSweep.replaceGraph(simulation, NetworkGraph.preset(value, simulation.nodeCount))
+    },
+  },
+  purificationRounds: {
+    name: "Purification Rounds",
+    type: "range",
+    min: 0,
+    max: 5,
+    integer: true,
+    defaults: { from: 0, to: 5, steps: 6 },
+    // no rounds turns purification off
+    apply: (simulation, run, value) => {
+      run.purificationEnabled = value > 0
+      if (value > 0) simulation.setPurificationRounds(value)
+    },
+  },
+  errorModel: {
+    name: "Error Model",
+    type: "options",
+    options: { depolarizing: "Depolarizing", amplitude: "Amplitude Damping", phase: "Phase Damping" },
+    apply: (simulation, run, value) => {
+      run.errorModel = value
+    },
+  },
+}
+
+const ParameterSweep = {
+  // The values of a range parameter from one end to the other, or every option. Integer ranges drop
+  // the repeats rounding leaves.
+  values(key, from, to, steps) {
+    const parameter = SWEEP_PARAMETERS[key]
+    if (parameter.type === "options") return Object.keys(parameter.options)
+    const clamp = (value) => Math.min(parameter.max, Math.max(parameter.min, value))
+    const [first, last] = [clamp(from), clamp(to)]
+    const count = Math.min(SWEEP_MAX_STEPS, Math.max(1, Math.round(steps)))
+    const values = [...Array(count).keys()].map((i) => (count === 1 ? first : first + ((last - first) * i) / (count - 1)))
+    return parameter.integer ? [...new Set(values.map(Math.round))] : values
+  },
+
+  formatValue(key, value) {
+    const parameter = SWEEP_PARAMETERS[key]
+    if (parameter.type === "options") return parameter.options[value]
+    return parameter.integer ? String(value) : value.toFixed(2)
+  },
+
+  // Every combination of the swept values, the first parameter changing slowest
+  points(axes) {
+    return axes.reduce(
+      (points, axis) => points.flatMap((point) => axis.values.map((value) => [...point, { key: axis.key, value }])),
+      [[]],
+    )
+  },
+
+  replaceGraph(simulation, graph) {
+    simulation.setGraph(graph)
+    const request = simulation.routingRequest
+    if (request && Math.max(request.source, request.target) >= graph.nodeCount) simulation.setRoutingRequest(null)
+    if (simulation.eveLink && !graph.findLink(simulation.eveLink.source, simulation.eveLink.target)) simulation.setEveLink(null)
+    simulation.circuit.clampHolders(graph.nodeCount)
+  },
+
+  // The simulation and run settings for one point, checked before any trial runs
+  prepare(configuration, run, point) {
+    const simulation = QuantumSimulation.fromConfiguration(configuration)
+    const pointRun = { ...run }
+    point.forEach(({ key, value }) => SWEEP_PARAMETERS[key].apply(simulation, pointRun, value))
+    const problem = simulation.validateNetwork(pointRun.entanglementType)
+    if (problem) {
+      const where = point.map(({ key, value }) => `${SWEEP_PARAMETERS[key].name} ${ParameterSweep.formatValue(key, value)}`)
+      throw new Error(where.length > 0 ? `At ${where.join(", ")}: ${problem}` : problem)
+    }
+    return { simulation, run: pointRun }
+  },
+
+  // Where the means along a line plot first cross the threshold, by linear interpolation between the
+  // points either side, and whether they fall below it there; null when they never cross
+  crossing(values, means, threshold = SWEEP_THRESHOLD) {
+    for (let i = 1; i < values.length; i++) {
+      const before = means[i - 1] - threshold
+      const after = means[i] - threshold
+      if (before >= 0 !== after >= 0) {
+        return { value: values[i - 1] + (before / (before - after)) * (values[i] - values[i - 1]), falling: after < 0 }
+      }
+    }
+    return null
+  },
+}
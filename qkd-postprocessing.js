@@ -0,0 +1,164 @@
+// Post-processing that turns the sifted key into a secret one: Cascade error correction, a hash to
+// confirm both sides now hold the same bits, and privacy amplification with a random Toeplitz matrix.
+// The final length follows the Devetak–Winter rate, 1 − h(e) per bit minus what the public discussion
+// revealed, either asymptotically or with the finite-key correction of Tomamichel et al. (2012).
+
+const KeyPostProcessing = {
+  bounds: {
+    asymptotic: "Asymptotic",
+    finite: "Finite-Key",
+  },
+  cascadePasses: 4,
+  epsilonSecurity: 1e-10, // distance of the final key from a perfectly secret one
+  epsilonCorrectness: 1e-15, // chance that Alice's and Bob's keys still differ after the hash check
+
+  parity(bits, indices) {
+    return indices.reduce((parity, index) => parity ^ bits[index], 0)
+  },
+
+  // Cascade on Alice's and Bob's bit arrays. Every pass shuffles the key (except the first), cuts it
+  // into blocks and compares their parities; a block that disagrees is halved until the wrong bit is
+  // found. Flipping that bit changes the parity of the blocks holding it in the other passes, and
+  // those are searched in turn. Each disclosed parity leaks one bit. Blocks are searched in parallel,
+  // so a pass costs one round trip for its parities and one per halving.
+  cascade(alice, bob, qber) {
+    const corrected = [...bob]
+    const passes = []
+    let leaked = 0
+    let rounds = 0
+    const flipped = new Set()
+    // the usual choice of first block size, about 0.73/QBER, doubling every pass
+    let blockSize = Math.min(Math.max(4, Math.round(0.73 / Math.max(qber, 1 / alice.length))), alice.length)
+
+    const locate = (indices) => {
+      let span = indices
+      while (span.length > 1) {
+        const half = span.slice(0, Math.ceil(span.length / 2))
+        leaked += 1
+        span = KeyPostProcessing.parity(alice, half) !== KeyPostProcessing.parity(corrected, half) ? half : span.slice(half.length)
+      }
+      return span[0]
+    }
+
+    for (let pass = 0; pass < KeyPostProcessing.cascadePasses && alice.length > 0; pass++) {
+      const order = alice.map((_, index) => index)
+      if (pass > 0) QKD.shuffle(order)
+      const blocks = []
+      const blockOf = new Array(alice.length)
+      for (let start = 0; start < order.length; start += blockSize) {
+        const block = order.slice(start, start + blockSize)
+        block.forEach((index) => (blockOf[index] = blocks.length))
+        blocks.push(block)
+      }
+      passes.push({ blocks, blockOf })
+      leaked += blocks.length
+      rounds += 1 + Math.ceil(Math.log2(blockSize))
+
+      const pending = blocks.map((_, block) => ({ pass, block }))
+      while (pending.length > 0) {
+        const { pass: p, block } = pending.pop()
+        const indices = passes[p].blocks[block]
+        // the parities of earlier blocks are already public, so rechecking them leaks nothing new
+        if (KeyPostProcessing.parity(alice, indices) === KeyPostProcessing.parity(corrected, indices)) continue
+        const index = locate(indices)
+        corrected[index] ^= 1
+        if (flipped.has(index)) flipped.delete(index)
+        else flipped.add(index)
+        passes.forEach((other, q) => {
+          if (q !== p) pending.push({ pass: q, block: other.blockOf[index] })
+        })
+      }
+      blockSize = Math.min(2 * blockSize, alice.length)
+    }
+
+    return {
+      corrected,
+      flipped,
+      leaked,
+      rounds,
+      passes: passes.length,
+      residualErrors: corrected.filter((bit, index) => bit !== alice[index]).length,
+    }
+  },
+
+  // Output bit i is the parity of the key bits j where T[i][j] = seed[i − j + n − 1] is set. A Toeplitz
+  // matrix is fixed by its first row and column, so n + m − 1 public random bits describe it.
+  toeplitz(bits, length, seed) {
+    const n = bits.length
+    const hashed = new Array(length)
+    for (let i = 0; i < length; i++) {
+      let parity = 0
+      for (let j = 0; j < n; j++) parity ^= seed[i - j + n - 1] & bits[j]
+      hashed[i] = parity
+    }
+    return hashed
+  },
+
+  // Statistical margin on the phase-error rate when k sampled bits stand in for n kept ones
+  finiteKeyDeviation(n, k) {
+    if (n === 0 || k === 0) return 0.5
+    return Math.sqrt(((n + k) / (n * k)) * ((k + 1) / k) * Math.log(2 / KeyPostProcessing.epsilonSecurity))
+  },
+
+  // Devetak–Winter: every key bit is worth 1 − h(e_ph) secret bits before error correction; the phase
+  // error rate e_ph is taken equal to the sampled bit error rate, as in BB84 and BBM92 with symmetric
+  // bases. The finite-key version widens it by the sampling margin and pays for both ε parameters.
+  // With a weak coherent source only the single-photon part of the key counts (GLLP): singlePhoton
+  // gives its share of the key and its error rate, both from the decoy-state bounds.
+  finalKeyLength({ keyLength, sampleSize, qber, leaked, bound, singlePhoton = null }) {
+    const privateLength = singlePhoton ? keyLength * singlePhoton.share : keyLength
+    const errorRate = singlePhoton ? singlePhoton.errorRate : qber
+    if (bound === "finite") {
+      const phaseError = Math.min(errorRate + KeyPostProcessing.finiteKeyDeviation(keyLength, sampleSize), 0.5)
+      const privacyCost = 2 * Math.log2(1 / KeyPostProcessing.epsilonSecurity) + 1
+      return Math.max(0, Math.floor(privateLength * (1 - QKD.binaryEntropy(phaseError)) - leaked - privacyCost))
+    }
+    return Math.max(0, Math.floor(privateLength * (1 - QKD.binaryEntropy(errorRate)) - leaked))
+  },
+
+  // The whole pipeline on the kept (sifted, unsampled) records of a QKD run. Records whose bit Cascade
+  // flipped get reconciled = true so the circuit view can mark them.
+  run(records, { sampleSize, qber, bound = "asymptotic", singlePhoton = null }) {
+    const key = records.filter((record) => record.sifted && !record.sampled)
+    const alice = key.map((record) => record.aliceBit)
+    const bob = key.map((record) => record.bobBit)
+    const cascade = KeyPostProcessing.cascade(alice, bob, qber)
+    cascade.flipped.forEach((index) => (key[index].reconciled = true))
+
+    // Alice sends a universal hash of her key; with log2(1/ε_cor) bits a leftover mismatch slips
+    // through with probability ε_cor at most, so here any residual error fails the check
+    const verificationBits = Math.ceil(Math.log2(1 / KeyPostProcessing.epsilonCorrectness))
+    const verified = cascade.residualErrors === 0
+    const leaked = cascade.leaked + verificationBits
+    const finalLength = verified
+      ? KeyPostProcessing.finalKeyLength({ keyLength: key.length, sampleSize, qber, leaked, bound, singlePhoton })
+      : 0
+
+    const seed = Array.from({ length: Math.max(0, key.length + finalLength - 1) }, () => QKD.randomBit())
+    const aliceKey = KeyPostProcessing.toeplitz(alice, finalLength, seed)
+    const bobKey = KeyPostProcessing.toeplitz(cascade.corrected, finalLength, seed)
+
+    return {
+      bound,
+      siftedLength: key.length,
+      correctedLength: verified ? key.length : 0,
+      finalLength,
+      errorsCorrected: cascade.flipped.size,
+      residualErrors: cascade.residualErrors,
+      cascadeLeak: cascade.leaked,
+      verificationBits,
+      leaked,
+      verified,
+      // leaked bits relative to the Shannon limit n·h(e), with e the error rate Cascade actually found
+      efficiency:
+        cascade.flipped.size > 0
+          ? cascade.leaked / (key.length * QKD.binaryEntropy(cascade.flipped.size / key.length))
+          : null,
+      rounds: cascade.rounds,
+      passes: cascade.passes,
+      seedLength: seed.length,
+      keysMatch: aliceKey.every((bit, i) => bit === bobKey[i]),
+      preview: aliceKey.slice(0, 32).join(""),
+    }
+  },
+}
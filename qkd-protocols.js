@@ -0,0 +1,557 @@
+// Quantum key distribution between two nodes. Photons are sent one at a time, so every pulse is
+// sampled on its own; the channel only enters through the outcome probabilities after it, which are
+// worked out once per run with the density-matrix engine.
+// BB84 bases are "Z" (|0⟩, |1⟩, drawn +) and "X" (|+⟩, |−⟩, drawn ×). Eve may also use "B", the
+// Breidbart basis halfway between them (drawn ⊘).
+
+const QKD_BASES = ["Z", "X"]
+const QKD_BASIS_ANGLES = { Z: 0, X: Math.PI / 2, B: Math.PI / 4 } // Bloch angle in the X–Z plane
+
+// What Eve can do to the photons crossing her link
+const QKD_ATTACKS = {
+  intercept: "Intercept-Resend",
+  breidbart: "Breidbart Basis",
+  cloning: "Phase-Covariant Cloning",
+  pns: "Photon-Number Splitting",
+}
+
+// E91 measurement angles in the X–Z plane of the Bloch sphere. Alice's 45° and 90° match Bob's first
+// two settings and make the key; 0°/90° against 45°/135° give the largest CHSH violation, 2√2.
+const E91_ALICE_ANGLES = [0, Math.PI / 4, Math.PI / 2]
+const E91_BOB_ANGLES = [Math.PI / 4, Math.PI / 2, (3 * Math.PI) / 4]
+const E91_KEY_SETTINGS = ["1,0", "2,1"]
+const E91_CHSH_TERMS = [
+  { alice: 0, bob: 0, sign: 1 },
+  { alice: 0, bob: 2, sign: -1 },
+  { alice: 2, bob: 0, sign: 1 },
+  { alice: 2, bob: 2, sign: 1 },
+]
+
+const QKD = {
+  pulsePeriod: 1, // μs between pulses, a 1 MHz source
+  sampleFraction: 0.25, // share of the sifted key given up to estimate the QBER
+  defaultThreshold: 0.11, // above this QBER BB84 with one-way post-processing yields no key
+
+  randomBit() {
+    return Math.random() < 0.5 ? 0 : 1
+  },
+
+  randomBasis() {
+    return QKD_BASES[QKD.randomBit()]
+  },
+
+  formatBasis(basis) {
+    return { Z: "+", X: "×", B: "⊘" }[basis]
+  },
+
+  formatAngle(angle) {
+    return `${Math.round((angle * 180) / Math.PI)}°`
+  },
+
+  binaryEntropy(p) {
+    if (p <= 0 || p >= 1) return 0
+    return -p * Math.log2(p) - (1 - p) * Math.log2(1 - p)
+  },
+
+  // RY(θ)|bit⟩, the basis state along θ in the X–Z plane
+  prepare(bit, basis) {
+    const state = new DensityMatrix(1)
+    if (bit) state.applyUnitary(Gates.X, [0])
+    state.applyUnitary(Gates.RY(QKD_BASIS_ANGLES[basis]), [0])
+    return state
+  },
+
+  // Probability that measuring the given qubit in a basis reads 1; RY(−θ) maps the basis onto Z
+  probabilityOfOne(state, basis, qubit = 0) {
+    const rotated = state.clone()
+    rotated.applyUnitary(Gates.RY(-QKD_BASIS_ANGLES[basis]), [qubit])
+    const probabilities = rotated.probabilities()
+    const mask = 1 << (state.numQubits - 1 - qubit)
+    return probabilities.reduce((sum, p, index) => (index & mask ? sum + p : sum), 0)
+  },
+
+  // Outcome probabilities for the states of every basis measured in every basis after a channel.
+  // Keys are prepared bit, prepared basis and measurement basis, e.g. "1XZ".
+  channelOutcomes(krausOps) {
+    const outcomes = {}
+    const bits = [0, 1]
+    const bases = Object.keys(QKD_BASIS_ANGLES)
+    bits.forEach((bit) => {
+      bases.forEach((basis) => {
+        const state = QKD.prepare(bit, basis)
+        if (krausOps) state.applyChannel(krausOps, [0])
+        bases.forEach((measureBasis) => {
+          outcomes[`${bit}${basis}${measureBasis}`] = QKD.probabilityOfOne(state, measureBasis)
+        })
+      })
+    })
+    return outcomes
+  },
+
+  measure(outcomes, bit, basis, measureBasis) {
+    return Math.random() < outcomes[`${bit}${basis}${measureBasis}`] ? 1 : 0
+  },
+
+  // Projective measurement in a basis followed by a fresh photon in the observed state, averaged over
+  // the outcome: what an intercept-resend attack does to the photon's partner
+  interceptChannel(basis) {
+    const c = Math.cos(QKD_BASIS_ANGLES[basis] / 2)
+    const s = Math.sin(QKD_BASIS_ANGLES[basis] / 2)
+    return [
+      ComplexMatrix.from([
+        [c * c, c * s],
+        [c * s, s * s],
+      ]),
+      ComplexMatrix.from([
+        [s * s, -c * s],
+        [-c * s, c * c],
+      ]),
+    ]
+  },
+
+  // Optimal phase-covariant cloner for the X–Z plane on (photon, Eve's probe in |0⟩). In the X–Y plane
+  // it is the partial swap |10⟩ → cos η|10⟩ + sin η|01⟩; RX(π/2) turns the X–Z plane into that one.
+  // Bob keeps fidelity (1 + cos η)/2 and Eve's copy gets (1 + sin η)/2, equal at η = π/4.
+  cloner(eta) {
+    const c = Math.cos(eta)
+    const s = Math.sin(eta)
+    const swap = ComplexMatrix.from([
+      [1, 0, 0, 0],
+      [0, c, s, 0],
+      [0, -s, c, 0],
+      [0, 0, 0, 1],
+    ])
+    const rx = ComplexMatrix.from([
+      [Math.SQRT1_2, [0, -Math.SQRT1_2]],
+      [[0, -Math.SQRT1_2], Math.SQRT1_2],
+    ])
+    const back = rx.adjoint().kron(rx.adjoint())
+    return back.multiply(swap).multiply(rx.kron(Gates.I))
+  },
+
+  // The cloner seen from Bob's side with Eve's probe traced out: K_e = ⟨e|U|0⟩ on the probe
+  clonerChannel(eta) {
+    const unitary = QKD.cloner(eta)
+    return [0, 1].map((e) => {
+      const kraus = new ComplexMatrix(2, 2)
+      for (let r = 0; r < 2; r++) {
+        for (let c = 0; c < 2; c++) {
+          const [re, im] = unitary.get(2 * r + e, 2 * c)
+          kraus.re[r * 2 + c] = re
+          kraus.im[r * 2 + c] = im
+        }
+      }
+      return kraus
+    })
+  },
+
+  // Joint outcomes [Eve 0 Bob 0, Eve 0 Bob 1, Eve 1 Bob 0, Eve 1 Bob 1] when Eve clones every BB84 state
+  // on her link and measures her copy in Alice's basis once the bases are public. Keys are prepared bit,
+  // prepared basis and Bob's basis.
+  cloningOutcomes(eta, before, after) {
+    const outcomes = {}
+    const unitary = QKD.cloner(eta)
+    const bits = [0, 1]
+    bits.forEach((bit) => {
+      QKD_BASES.forEach((basis) => {
+        const photon = QKD.prepare(bit, basis)
+        if (before) photon.applyChannel(before, [0])
+        const pair = new DensityMatrix(2, photon.matrix.kron(new DensityMatrix(1).matrix))
+        pair.applyUnitary(unitary, [0, 1])
+        if (after) pair.applyChannel(after, [0])
+        QKD_BASES.forEach((bobBasis) => {
+          const rotated = pair.clone()
+          rotated.applyUnitary(Gates.RY(-QKD_BASIS_ANGLES[bobBasis]), [0])
+          rotated.applyUnitary(Gates.RY(-QKD_BASIS_ANGLES[basis]), [1])
+          const [b0e0, b0e1, b1e0, b1e1] = rotated.probabilities()
+          outcomes[`${bit}${basis}${bobBasis}`] = [b0e0, b1e0, b0e1, b1e1]
+        })
+      })
+    })
+    return outcomes
+  },
+
+  // Joint outcome probabilities [00, 01, 10, 11] of a two-qubit state for every pair of E91 settings,
+  // keyed "alice,bob". RY(−θ) turns the measurement along θ into a Z measurement.
+  pairOutcomes(state) {
+    const outcomes = {}
+    E91_ALICE_ANGLES.forEach((aliceAngle, a) => {
+      E91_BOB_ANGLES.forEach((bobAngle, b) => {
+        const rotated = state.clone()
+        rotated.applyUnitary(Gates.RY(-aliceAngle), [0])
+        rotated.applyUnitary(Gates.RY(-bobAngle), [1])
+        outcomes[`${a},${b}`] = rotated.probabilities()
+      })
+    })
+    return outcomes
+  },
+
+  // E91 tables for Bob's photon crossing the channel, untouched ("none"), after Eve measured it in one
+  // of her bases and sent on a fresh photon, or after she cloned it ("clone", when an η is given). She
+  // sits between the before and after parts of the channel.
+  pairOutcomeTables(before, after, cloningEta = null) {
+    const tables = {}
+    const attacks = ["none", ...Object.keys(QKD_BASIS_ANGLES), ...(cloningEta === null ? [] : ["clone"])]
+    attacks.forEach((attack) => {
+      const pair = StatePreparation.ghz(new DensityMatrix(2))
+      if (before) pair.applyChannel(before, [1])
+      if (attack === "clone") pair.applyKraus(QKD.clonerChannel(cloningEta), [1])
+      else if (attack !== "none") pair.applyKraus(QKD.interceptChannel(attack), [1])
+      if (after) pair.applyChannel(after, [1])
+      tables[attack] = QKD.pairOutcomes(pair)
+    })
+    return tables
+  },
+
+  sampleJoint(probabilities) {
+    let r = Math.random()
+    for (let i = 0; i < probabilities.length - 1; i++) {
+      r -= probabilities[i]
+      if (r < 0) return i
+    }
+    return probabilities.length - 1
+  },
+
+  // Chance per pulse that Bob's detector clicks on Alice's photon, and on a dark count. The source
+  // sits on the first link of the path and the detector on the last one.
+  detection(pathParams) {
+    const first = pathParams[0]
+    const last = pathParams[pathParams.length - 1]
+    const transmission = pathParams.reduce((product, params) => product * LinkPhysics.transmission(params), 1)
+    return {
+      signal: first.brightness * transmission * last.detectorEfficiency,
+      dark: 1 - Math.exp(-last.darkCountRate * DETECTION_WINDOW_NS * 1e-9),
+      transmission,
+      // a weak coherent source has the brightness as its mean photon number instead
+      meanPhotonNumber: first.brightness,
+      efficiency: last.detectorEfficiency,
+    }
+  },
+
+  // Poisson-distributed photon number of a weak coherent pulse, by inversion
+  samplePhotons(mean) {
+    let photons = 0
+    let probability = Math.exp(-mean)
+    let cumulative = probability
+    const r = Math.random()
+    while (r > cumulative && photons < 50) {
+      photons += 1
+      probability *= mean / photons
+      cumulative += probability
+    }
+    return photons
+  },
+
+  // Eve's plan for a photon-number-splitting attack. Pulses reach her with mean photon number
+  // meanPhotons; she keeps one photon of every multi-photon pulse and sends the rest to Bob over a
+  // lossless line, then blocks enough single photons (or even multi-photon pulses) that Bob clicks as
+  // often as the real channel would make him. knownShare is the part of his clicks she can read.
+  pnsPlan(meanPhotons, efficiency, expectedClicks) {
+    let multi = 0
+    let probability = meanPhotons * Math.exp(-meanPhotons) // one photon
+    const single = probability * efficiency
+    for (let n = 2; n < 50; n++) {
+      probability *= meanPhotons / n
+      multi += probability * (1 - (1 - efficiency) ** (n - 1)) // she keeps one of the n photons
+    }
+    const forwardMulti = multi > 0 ? Math.min(1, expectedClicks / multi) : 0
+    const forwardSingle = single > 0 ? Math.min(1, Math.max(0, (expectedClicks - multi) / single)) : 0
+    const clicks = forwardMulti * multi + forwardSingle * single
+    return { forwardMulti, forwardSingle, knownShare: clicks > 0 ? (forwardMulti * multi) / clicks : 0 }
+  },
+
+  // Both photons of a pair have to be seen. The source sits at Alice, so her photon only meets her own
+  // detector (the first link's) while Bob's crosses the whole path.
+  pairDetection(pathParams) {
+    const single = QKD.detection(pathParams)
+    const aliceEfficiency = pathParams[0].detectorEfficiency
+    return {
+      signal: single.signal * aliceEfficiency,
+      // Alice sees her photon but Bob's is lost and his detector fires anyway
+      dark: single.dark,
+      aliceOnly: pathParams[0].brightness * aliceEfficiency * (1 - single.transmission * pathParams[pathParams.length - 1].detectorEfficiency),
+      transmission: single.transmission,
+    }
+  },
+
+  // Everything a run needs to know about Eve. She taps the path between the before and after parts of
+  // the channel, after transmissionBefore of the fibre. strength is the share of pulses she attacks;
+  // a cloner attacks them all and strength sets its interaction angle η up to the symmetric π/4.
+  attack({ strategy, strength, onPath = true, before, after, transmissionBefore = 1, detection }) {
+    const eve = {
+      strategy,
+      strength,
+      onPath,
+      fraction: strategy === "cloning" ? 1 : strength,
+      transmissionBefore,
+      before: QKD.channelOutcomes(before),
+      after: QKD.channelOutcomes(after),
+    }
+    if (strategy === "cloning") {
+      eve.eta = (strength * Math.PI) / 4
+      eve.cloning = QKD.cloningOutcomes(eve.eta, before, after)
+    }
+    if (strategy === "pns") {
+      const expectedClicks = 1 - Math.exp(-detection.meanPhotonNumber * detection.transmission * detection.efficiency)
+      eve.plan = QKD.pnsPlan(detection.meanPhotonNumber * transmissionBefore, detection.efficiency, expectedClicks)
+    }
+    return eve
+  },
+
+  // QBER an attack adds on its own and what Eve learns per kept bit, in bits. knownShare is the PNS
+  // plan's share of Bob's clicks that come from split pulses.
+  tradeoff(strategy, strength, knownShare = 1) {
+    switch (strategy) {
+      case "breidbart":
+        // her guess is right with probability cos²(π/8) in both bases
+        return { qber: 0.25 * strength, information: strength * (1 - QKD.binaryEntropy(Math.sin(Math.PI / 8) ** 2)) }
+      case "cloning": {
+        const eta = (strength * Math.PI) / 4
+        return { qber: (1 - Math.cos(eta)) / 2, information: 1 - QKD.binaryEntropy((1 - Math.sin(eta)) / 2) }
+      }
+      case "pns":
+        return { qber: 0, information: strength * knownShare }
+      case "intercept":
+      default:
+        // she learns whether her basis was right once the bases are announced
+        return { qber: 0.25 * strength, information: 0.5 * strength }
+    }
+  },
+
+  // Chance that a pulse clicks at Bob. A weak coherent pulse clicks if any of its photons does.
+  clickProbability(record, detection) {
+    if (record.photons === undefined) return detection.signal
+    return 1 - (1 - detection.transmission * detection.efficiency) ** record.photons
+  },
+
+  // One pulse through the honest channel
+  transmit(record, outcomes, detection) {
+    if (Math.random() < QKD.clickProbability(record, detection)) {
+      record.bobBit = QKD.measure(outcomes, record.aliceBit, record.aliceBasis, record.bobBasis)
+    }
+  },
+
+  // One pulse that Eve attacks. eveBit is her guess at Alice's bit once the bases are public, and
+  // eveSure marks the guesses she knows to be right (up to channel noise before her). Eve resends
+  // what she measures or clones with the pulse's own photon number, so the gains of the intensity
+  // classes stay as they were; an empty pulse gives her nothing to work on and Bob nothing to detect.
+  intercept(record, eve, outcomes, detection) {
+    const { aliceBit, aliceBasis, bobBasis } = record
+    if (record.photons === 0 && eve.strategy !== "pns") return
+    switch (eve.strategy) {
+      case "cloning":
+        if (Math.random() < QKD.clickProbability(record, detection)) {
+          const outcome = QKD.sampleJoint(eve.cloning[`${aliceBit}${aliceBasis}${bobBasis}`])
+          record.eveBit = outcome >> 1
+          record.bobBit = outcome & 1
+        }
+        break
+      case "pns": {
+        let arriving = 0
+        for (let i = 0; i < record.photons; i++) if (Math.random() < eve.transmissionBefore) arriving++
+        if (arriving >= 2 && Math.random() < eve.plan.forwardMulti) {
+          // she stores one photon and measures it in Alice's basis after sifting, without disturbing the rest
+          record.split = true
+          record.eveBit = QKD.measure(eve.before, aliceBit, aliceBasis, aliceBasis)
+          record.eveSure = true
+          if (Math.random() < 1 - (1 - detection.efficiency) ** (arriving - 1)) {
+            record.bobBit = QKD.measure(outcomes, aliceBit, aliceBasis, bobBasis)
+          }
+        } else if (arriving === 1 && Math.random() < eve.plan.forwardSingle && Math.random() < detection.efficiency) {
+          record.bobBit = QKD.measure(outcomes, aliceBit, aliceBasis, bobBasis)
+        }
+        break
+      }
+      default:
+        // measure and resend, in a random BB84 basis or always in the Breidbart one
+        record.eveBasis = eve.strategy === "breidbart" ? "B" : QKD.randomBasis()
+        record.eveBit = QKD.measure(eve.before, aliceBit, aliceBasis, record.eveBasis)
+        record.eveSure = record.eveBasis === aliceBasis
+        if (Math.random() < QKD.clickProbability(record, detection)) {
+          record.bobBit = QKD.measure(eve.after, record.eveBit, record.eveBasis, bobBasis)
+        }
+    }
+  },
+
+  // Eve's Shannon information per kept bit: the guesses she knows to be right and the rest are counted
+  // separately, each worth 1 − h(her error rate in it)
+  eveInformation(key) {
+    if (key.length === 0) return 0
+    const known = [true, false].map((sure) =>
+      key.filter((record) => record.eveBit !== undefined && Boolean(record.eveSure) === sure),
+    )
+    const bits = known.reduce((sum, group) => {
+      if (group.length === 0) return sum
+      const errors = group.filter((record) => record.eveBit !== record.aliceBit).length
+      return sum + group.length * (1 - QKD.binaryEntropy(errors / group.length))
+    }, 0)
+    return bits / key.length
+  },
+
+  // The attack as reported with the results, without its outcome tables
+  describeAttack(eve) {
+    if (!eve) return null
+    const { strategy, strength, onPath, fraction, eta, plan } = eve
+    return { strategy, strength, onPath, fraction, eta, plan }
+  },
+
+  // BB84 with an optional eavesdropper (see attack). A photon-number-splitting Eve only makes sense
+  // against weak coherent pulses, so with her the source sends Poissonian pulses instead of single
+  // photons. decoy ({ intensities, probabilities } by class name) makes every pulse coherent with a
+  // randomly chosen mean; only the "signal" class goes into the key. Options: pulses, outcomes (from
+  // channelOutcomes), detection, eve, threshold, decoy.
+  bb84({ pulses, outcomes, detection, eve = null, threshold = QKD.defaultThreshold, decoy = null }) {
+    const records = []
+    const coherent = decoy !== null || (eve !== null && eve.strategy === "pns")
+    const classes = decoy ? Object.keys(decoy.intensities) : []
+
+    for (let i = 0; i < pulses; i++) {
+      const record = { aliceBit: QKD.randomBit(), aliceBasis: QKD.randomBasis(), bobBasis: QKD.randomBasis() }
+      if (decoy) record.intensity = classes[QKD.sampleJoint(classes.map((name) => decoy.probabilities[name]))]
+      if (coherent) record.photons = QKD.samplePhotons(decoy ? decoy.intensities[record.intensity] : detection.meanPhotonNumber)
+      record.attacked = eve !== null && eve.onPath && Math.random() < eve.fraction
+      if (record.attacked) QKD.intercept(record, eve, outcomes, detection)
+      else QKD.transmit(record, outcomes, detection)
+
+      // a dark count only matters when the photon itself was lost, and then gives a random bit
+      if (record.bobBit === undefined && Math.random() < detection.dark) {
+        record.bobBit = QKD.randomBit()
+        record.darkCount = true
+      }
+      record.detected = record.bobBit !== undefined
+      record.sifted = record.detected && record.aliceBasis === record.bobBasis && (!decoy || record.intensity === "signal")
+      record.error = record.sifted && record.aliceBit !== record.bobBit
+      records.push(record)
+    }
+
+    const estimate = QKD.estimateQber(records)
+    const key = records.filter((record) => record.sifted && !record.sampled)
+    return {
+      protocol: "bb84",
+      records,
+      pulses,
+      ...estimate,
+      threshold,
+      aborted: estimate.sifted === 0 || estimate.qber > threshold,
+      eavesdropper: QKD.describeAttack(eve),
+      eveInformation: eve ? QKD.eveInformation(key) : 0,
+    }
+  },
+
+  // E91 on pairs from a source at Alice: both sides pick one of three angles at random. Matching
+  // settings go into the key, the four CHSH combinations test for entanglement and the rest is dropped.
+  // pairOutcomes comes from pairOutcomeTables. Eve works on Bob's photon only; her knowledge of single
+  // bits is not tracked.
+  e91({ pulses, pairOutcomes, detection, eve = null, threshold = QKD.defaultThreshold }) {
+    const records = []
+    const chshKeys = new Set(E91_CHSH_TERMS.map((term) => `${term.alice},${term.bob}`))
+
+    for (let i = 0; i < pulses; i++) {
+      const aliceSetting = Math.floor(Math.random() * E91_ALICE_ANGLES.length)
+      const bobSetting = Math.floor(Math.random() * E91_BOB_ANGLES.length)
+      const setting = `${aliceSetting},${bobSetting}`
+      const record = { aliceSetting, bobSetting }
+      record.attacked = eve !== null && eve.onPath && Math.random() < eve.fraction
+      let table = "none"
+      if (record.attacked && eve.strategy === "cloning") {
+        table = "clone"
+      } else if (record.attacked) {
+        record.eveBasis = eve.strategy === "breidbart" ? "B" : QKD.randomBasis()
+        table = record.eveBasis
+      }
+
+      if (Math.random() < detection.signal) {
+        const outcome = QKD.sampleJoint(pairOutcomes[table][setting])
+        record.aliceBit = outcome >> 1
+        record.bobBit = outcome & 1
+      } else if (Math.random() < detection.aliceOnly * detection.dark) {
+        // an accidental coincidence: both results are random
+        record.aliceBit = QKD.randomBit()
+        record.bobBit = QKD.randomBit()
+        record.darkCount = true
+      }
+      record.detected = record.bobBit !== undefined
+      record.sifted = record.detected && E91_KEY_SETTINGS.includes(setting)
+      record.chsh = record.detected && chshKeys.has(setting)
+      record.error = record.sifted && record.aliceBit !== record.bobBit
+      records.push(record)
+    }
+
+    const estimate = QKD.estimateQber(records)
+    const chsh = QKD.chsh(records)
+    return {
+      protocol: "e91",
+      records,
+      pulses,
+      ...estimate,
+      chsh,
+      threshold,
+      // without a violation of the classical bound the correlations could have been prepared by Eve
+      aborted: estimate.sifted === 0 || estimate.qber > threshold || chsh.value <= 2,
+      eavesdropper: QKD.describeAttack(eve),
+      eveInformation: null,
+    }
+  },
+
+  // CHSH value S = E(a1, b1) − E(a1, b3) + E(a3, b1) + E(a3, b3) from the ±1 outcome products, with
+  // the standard error from each correlator's binomial spread, √((1 − E²)/N), added in quadrature
+  chsh(records) {
+    let variance = 0
+    let rounds = 0
+    const correlations = E91_CHSH_TERMS.map((term) => {
+      const matching = records.filter(
+        (record) => record.chsh && record.aliceSetting === term.alice && record.bobSetting === term.bob,
+      )
+      rounds += matching.length
+      if (matching.length === 0) {
+        variance += 1
+        return 0
+      }
+      const agree = matching.filter((record) => record.aliceBit === record.bobBit).length
+      const correlation = (2 * agree - matching.length) / matching.length
+      variance += (1 - correlation ** 2) / matching.length
+      return correlation
+    })
+    return {
+      value: correlations.reduce((sum, correlation, i) => sum + E91_CHSH_TERMS[i].sign * correlation, 0),
+      error: Math.sqrt(variance),
+      correlations,
+      rounds,
+    }
+  },
+
+  // A random part of the sifted key is compared in the open and thrown away afterwards
+  estimateQber(records) {
+    const sifted = records.filter((record) => record.sifted)
+    const sampleSize = sifted.length > 0 ? Math.max(1, Math.round(sifted.length * QKD.sampleFraction)) : 0
+    QKD.shuffle([...sifted])
+      .slice(0, sampleSize)
+      .forEach((record) => (record.sampled = true))
+
+    const sample = sifted.filter((record) => record.sampled)
+    const key = sifted.filter((record) => !record.sampled)
+    const sampleErrors = sample.filter((record) => record.error).length
+    return {
+      detected: records.filter((record) => record.detected).length,
+      darkCounts: records.filter((record) => record.darkCount).length,
+      sifted: sifted.length,
+      sampleSize,
+      sampleErrors,
+      qber: sampleSize > 0 ? sampleErrors / sampleSize : 0,
+      // the rate in the bits that are kept, which the parties never see
+      keyQber: key.length > 0 ? key.filter((record) => record.error).length / key.length : 0,
+      keyLength: key.length,
+    }
+  },
+
+  // Fisher–Yates, in place
+  shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1))
+      const swap = items[i]
+      items[i] = items[j]
+      items[j] = swap
+    }
+    return items
+  },
+}
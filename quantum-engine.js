@@ -0,0 +1,528 @@
+// Density-matrix backend for the multi-node simulator.
+// Loaded as a plain script before script.js, so everything here is a global.
+// Qubit 0 is the most significant bit of a basis index: |q0 q1 ... qn-1⟩.
+
+class ComplexMatrix {
+  constructor(rows, cols, re = null, im = null) {
+    this.rows = rows
+    this.cols = cols
+    this.re = re || new Float64Array(rows * cols)
+    this.im = im || new Float64Array(rows * cols)
+  }
+
+  static identity(size) {
+    const m = new ComplexMatrix(size, size)
+    for (let i = 0; i < size; i++) m.re[i * size + i] = 1
+    return m
+  }
+
+  // entries is a 2D array of numbers or [re, im] pairs
+  static from(entries) {
+    const rows = entries.length
+    const cols = entries[0].length
+    const m = new ComplexMatrix(rows, cols)
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const value = entries[r][c]
+        if (Array.isArray(value)) {
+          m.re[r * cols + c] = value[0]
+          m.im[r * cols + c] = value[1]
+        } else {
+          m.re[r * cols + c] = value
+        }
+      }
+    }
+    return m
+  }
+
+  clone() {
+    return new ComplexMatrix(this.rows, this.cols, Float64Array.from(this.re), Float64Array.from(this.im))
+  }
+
+  get(r, c) {
+    const k = r * this.cols + c
+    return [this.re[k], this.im[k]]
+  }
+
+  scale(factor) {
+    const m = this.clone()
+    for (let k = 0; k < m.re.length; k++) {
+      m.re[k] *= factor
+      m.im[k] *= factor
+    }
+    return m
+  }
+
+  add(other) {
+    const m = this.clone()
+    for (let k = 0; k < m.re.length; k++) {
+      m.re[k] += other.re[k]
+      m.im[k] += other.im[k]
+    }
+    return m
+  }
+
+  multiply(other) {
+    const m = new ComplexMatrix(this.rows, other.cols)
+    for (let r = 0; r < this.rows; r++) {
+      for (let k = 0; k < this.cols; k++) {
+        const aRe = this.re[r * this.cols + k]
+        const aIm = this.im[r * this.cols + k]
+        if (aRe === 0 && aIm === 0) continue
+        for (let c = 0; c < other.cols; c++) {
+          const bRe = other.re[k * other.cols + c]
+          const bIm = other.im[k * other.cols + c]
+          m.re[r * other.cols + c] += aRe * bRe - aIm * bIm
+          m.im[r * other.cols + c] += aRe * bIm + aIm * bRe
+        }
+      }
+    }
+    return m
+  }
+
+  adjoint() {
+    const m = new ComplexMatrix(this.cols, this.rows)
+    for (let r = 0; r < this.rows; r++) {
+      for (let c = 0; c < this.cols; c++) {
+        m.re[c * this.rows + r] = this.re[r * this.cols + c]
+        m.im[c * this.rows + r] = -this.im[r * this.cols + c]
+      }
+    }
+    return m
+  }
+
+  kron(other) {
+    const rows = this.rows * other.rows
+    const cols = this.cols * other.cols
+    const m = new ComplexMatrix(rows, cols)
+    for (let r1 = 0; r1 < this.rows; r1++) {
+      for (let c1 = 0; c1 < this.cols; c1++) {
+        const aRe = this.re[r1 * this.cols + c1]
+        const aIm = this.im[r1 * this.cols + c1]
+        if (aRe === 0 && aIm === 0) continue
+        for (let r2 = 0; r2 < other.rows; r2++) {
+          for (let c2 = 0; c2 < other.cols; c2++) {
+            const bRe = other.re[r2 * other.cols + c2]
+            const bIm = other.im[r2 * other.cols + c2]
+            const k = (r1 * other.rows + r2) * cols + c1 * other.cols + c2
+            m.re[k] = aRe * bRe - aIm * bIm
+            m.im[k] = aRe * bIm + aIm * bRe
+          }
+        }
+      }
+    }
+    return m
+  }
+
+  trace() {
+    let re = 0
+    let im = 0
+    for (let i = 0; i < Math.min(this.rows, this.cols); i++) {
+      re += this.re[i * this.cols + i]
+      im += this.im[i * this.cols + i]
+    }
+    return [re, im]
+  }
+}
+
+// Single- and two-qubit gates used to prepare the target states
+const Gates = {
+  I: ComplexMatrix.identity(2),
+  X: ComplexMatrix.from([
+    [0, 1],
+    [1, 0],
+  ]),
+  Y: ComplexMatrix.from([
+    [0, [0, -1]],
+    [[0, 1], 0],
+  ]),
+  Z: ComplexMatrix.from([
+    [1, 0],
+    [0, -1],
+  ]),
+  H: ComplexMatrix.from([
+    [Math.SQRT1_2, Math.SQRT1_2],
+    [Math.SQRT1_2, -Math.SQRT1_2],
+  ]),
+  CNOT: ComplexMatrix.from([
+    [1, 0, 0, 0],
+    [0, 1, 0, 0],
+    [0, 0, 0, 1],
+    [0, 0, 1, 0],
+  ]),
+
+  RY(theta) {
+    const c = Math.cos(theta / 2)
+    const s = Math.sin(theta / 2)
+    return ComplexMatrix.from([
+      [c, -s],
+      [s, c],
+    ])
+  },
+
+  // Controlled version of a single-qubit gate, control is the first target
+  controlled(gate) {
+    const m = ComplexMatrix.identity(4)
+    for (let r = 0; r < 2; r++) {
+      for (let c = 0; c < 2; c++) {
+        m.re[(r + 2) * 4 + c + 2] = gate.re[r * 2 + c]
+        m.im[(r + 2) * 4 + c + 2] = gate.im[r * 2 + c]
+      }
+    }
+    return m
+  },
+}
+
+class DensityMatrix {
+  constructor(numQubits, matrix = null) {
+    this.numQubits = numQubits
+    this.dim = 1 << numQubits
+    if (matrix) {
+      this.matrix = matrix
+    } else {
+      // start in |00...0⟩
+      this.matrix = new ComplexMatrix(this.dim, this.dim)
+      this.matrix.re[0] = 1
+    }
+  }
+
+  static fromStateVector(state) {
+    const dim = state.re.length
+    const numQubits = Math.round(Math.log2(dim))
+    const matrix = new ComplexMatrix(dim, dim)
+    for (let r = 0; r < dim; r++) {
+      for (let c = 0; c < dim; c++) {
+        // |ψ⟩⟨ψ| entry: ψ_r * conj(ψ_c)
+        matrix.re[r * dim + c] = state.re[r] * state.re[c] + state.im[r] * state.im[c]
+        matrix.im[r * dim + c] = state.im[r] * state.re[c] - state.re[r] * state.im[c]
+      }
+    }
+    return new DensityMatrix(numQubits, matrix)
+  }
+
+  clone() {
+    return new DensityMatrix(this.numQubits, this.matrix.clone())
+  }
+
+  // Basis indices of the subspace spanned by the target qubits, for a given base index
+  subspaceIndices(base, targets) {
+    const size = 1 << targets.length
+    const indices = new Array(size)
+    for (let s = 0; s < size; s++) {
+      let index = base
+      for (let t = 0; t < targets.length; t++) {
+        if ((s >> (targets.length - 1 - t)) & 1) {
+          index |= 1 << (this.numQubits - 1 - targets[t])
+        }
+      }
+      indices[s] = index
+    }
+    return indices
+  }
+
+  // Every basis index whose target bits are all zero
+  subspaceBases(targets) {
+    let mask = 0
+    targets.forEach((t) => {
+      mask |= 1 << (this.numQubits - 1 - t)
+    })
+    const bases = []
+    for (let i = 0; i < this.dim; i++) {
+      if ((i & mask) === 0) bases.push(i)
+    }
+    return bases
+  }
+
+  applyUnitary(op, targets) {
+    return this.applyKraus([op], targets)
+  }
+
+  // ρ → Σ K ρ K†, applied block by block through the channel's superoperator
+  // so the full 2^n operator is never built
+  applyKraus(krausOps, targets) {
+    const dim = this.dim
+    const size = krausOps[0].rows
+    const superSize = size * size
+
+    // S[(r,c),(s,t)] = Σ K[r][s] · conj(K[c][t])
+    const sRe = new Float64Array(superSize * superSize)
+    const sIm = new Float64Array(superSize * superSize)
+    for (const k of krausOps) {
+      for (let r = 0; r < size; r++) {
+        for (let c = 0; c < size; c++) {
+          for (let s = 0; s < size; s++) {
+            const aRe = k.re[r * size + s]
+            const aIm = k.im[r * size + s]
+            if (aRe === 0 && aIm === 0) continue
+            for (let t = 0; t < size; t++) {
+              const bRe = k.re[c * size + t]
+              const bIm = -k.im[c * size + t]
+              const index = (r * size + c) * superSize + s * size + t
+              sRe[index] += aRe * bRe - aIm * bIm
+              sIm[index] += aRe * bIm + aIm * bRe
+            }
+          }
+        }
+      }
+    }
+
+    // keep only the non-zero superoperator entries; gates and most channels are very sparse
+    const terms = []
+    for (let out = 0; out < superSize; out++) {
+      for (let j = 0; j < superSize; j++) {
+        const index = out * superSize + j
+        if (Math.abs(sRe[index]) > 1e-15 || Math.abs(sIm[index]) > 1e-15) {
+          terms.push({ row: Math.floor(out / size), col: out % size, from: j, re: sRe[index], im: sIm[index] })
+        }
+      }
+    }
+
+    const groups = this.subspaceBases(targets).map((base) => this.subspaceIndices(base, targets))
+    const result = new ComplexMatrix(dim, dim)
+    const bRe = new Float64Array(superSize)
+    const bIm = new Float64Array(superSize)
+
+    for (const rows of groups) {
+      for (const cols of groups) {
+        for (let s = 0; s < size; s++) {
+          for (let t = 0; t < size; t++) {
+            bRe[s * size + t] = this.matrix.re[rows[s] * dim + cols[t]]
+            bIm[s * size + t] = this.matrix.im[rows[s] * dim + cols[t]]
+          }
+        }
+        for (const term of terms) {
+          const index = rows[term.row] * dim + cols[term.col]
+          result.re[index] += term.re * bRe[term.from] - term.im * bIm[term.from]
+          result.im[index] += term.re * bIm[term.from] + term.im * bRe[term.from]
+        }
+      }
+    }
+    this.matrix = result
+    return this
+  }
+
+  // Applies a single-qubit channel independently to each of the given qubits
+  applyChannel(krausOps, qubits) {
+    qubits.forEach((q) => this.applyKraus(krausOps, [q]))
+    return this
+  }
+
+  // Traces out every qubit not listed in keep; kept qubits stay in the listed order
+  partialTrace(keep) {
+    const keptDim = 1 << keep.length
+    const reduced = new ComplexMatrix(keptDim, keptDim)
+
+    // each base fixes the traced-out bits; summing over them gives the reduced state
+    for (const base of this.subspaceBases(keep)) {
+      const indices = this.subspaceIndices(base, keep)
+      for (let r = 0; r < keptDim; r++) {
+        for (let c = 0; c < keptDim; c++) {
+          reduced.re[r * keptDim + c] += this.matrix.re[indices[r] * this.dim + indices[c]]
+          reduced.im[r * keptDim + c] += this.matrix.im[indices[r] * this.dim + indices[c]]
+        }
+      }
+    }
+    return new DensityMatrix(keep.length, reduced)
+  }
+
+  // Fidelity against a pure target: ⟨ψ|ρ|ψ⟩
+  fidelity(state) {
+    const dim = this.dim
+    let total = 0
+    for (let r = 0; r < dim; r++) {
+      if (state.re[r] === 0 && state.im[r] === 0) continue
+      for (let c = 0; c < dim; c++) {
+        if (state.re[c] === 0 && state.im[c] === 0) continue
+        const rhoRe = this.matrix.re[r * dim + c]
+        const rhoIm = this.matrix.im[r * dim + c]
+        // conj(ψ_r) ρ_rc ψ_c, real part only since the sum is real
+        const aRe = state.re[r] * rhoRe + state.im[r] * rhoIm
+        const aIm = state.re[r] * rhoIm - state.im[r] * rhoRe
+        total += aRe * state.re[c] - aIm * state.im[c]
+      }
+    }
+    return Math.max(0, Math.min(1, total))
+  }
+
+  // Probability of each computational basis outcome
+  probabilities() {
+    const probs = new Array(this.dim)
+    for (let i = 0; i < this.dim; i++) probs[i] = Math.max(0, this.matrix.re[i * this.dim + i])
+    return probs
+  }
+
+  // Population of |1⟩ on one qubit
+  excitedPopulation(qubit) {
+    return this.partialTrace([qubit]).matrix.re[3]
+  }
+
+  // (⟨X⟩, ⟨Y⟩, ⟨Z⟩) of one qubit, from ρ = (I + xX + yY + zZ) / 2. The length is 1 for a pure qubit
+  // and shrinks toward 0 as the qubit gets mixed, by noise or by entanglement with the others.
+  blochVector(qubit) {
+    const reduced = this.partialTrace([qubit]).matrix
+    return { x: 2 * reduced.re[1], y: -2 * reduced.im[1], z: reduced.re[0] - reduced.re[3] }
+  }
+
+  // l1-norm of coherence: sum of |ρ_ij| over the off-diagonal entries
+  l1Coherence() {
+    let total = 0
+    for (let r = 0; r < this.dim; r++) {
+      for (let c = 0; c < this.dim; c++) {
+        if (r !== c) total += Math.hypot(this.matrix.re[r * this.dim + c], this.matrix.im[r * this.dim + c])
+      }
+    }
+    return total
+  }
+
+  trace() {
+    return this.matrix.trace()[0]
+  }
+
+  purity() {
+    return this.matrix.multiply(this.matrix).trace()[0]
+  }
+}
+
+// Single-qubit Kraus sets, each driven by one rate in [0, 1]
+const NoiseChannels = {
+  // ρ → (1 - p) ρ + p I/2
+  depolarizing(p) {
+    return [
+      Gates.I.scale(Math.sqrt(1 - (3 * p) / 4)),
+      Gates.X.scale(Math.sqrt(p / 4)),
+      Gates.Y.scale(Math.sqrt(p / 4)),
+      Gates.Z.scale(Math.sqrt(p / 4)),
+    ]
+  },
+
+  // |1⟩ decays to |0⟩ with probability γ, so populations drift toward the ground state
+  amplitudeDamping(gamma) {
+    return [
+      ComplexMatrix.from([
+        [1, 0],
+        [0, Math.sqrt(1 - gamma)],
+      ]),
+      ComplexMatrix.from([
+        [0, Math.sqrt(gamma)],
+        [0, 0],
+      ]),
+    ]
+  },
+
+  // Off-diagonal terms shrink by √(1 - λ), populations are untouched
+  phaseDamping(lambda) {
+    return [
+      ComplexMatrix.from([
+        [1, 0],
+        [0, Math.sqrt(1 - lambda)],
+      ]),
+      ComplexMatrix.from([
+        [0, 0],
+        [0, Math.sqrt(lambda)],
+      ]),
+    ]
+  },
+
+  forModel(errorModel, rate) {
+    const clamped = Math.max(0, Math.min(1, rate))
+    switch (errorModel) {
+      case "amplitude":
+        return NoiseChannels.amplitudeDamping(clamped)
+      case "phase":
+        return NoiseChannels.phaseDamping(clamped)
+      default:
+        return NoiseChannels.depolarizing(clamped)
+    }
+  },
+}
+
+const TargetStates = {
+  bell() {
+    return TargetStates.ghz(2)
+  },
+
+  // (|0...0⟩ + |1...1⟩)/√2
+  ghz(numQubits) {
+    const dim = 1 << numQubits
+    const state = { re: new Float64Array(dim), im: new Float64Array(dim) }
+    state.re[0] = Math.SQRT1_2
+    state.re[dim - 1] = Math.SQRT1_2
+    return state
+  },
+
+  // (|10...0⟩ + |01...0⟩ + ... + |0...01⟩)/√n
+  w(numQubits) {
+    const dim = 1 << numQubits
+    const state = { re: new Float64Array(dim), im: new Float64Array(dim) }
+    for (let q = 0; q < numQubits; q++) {
+      state.re[1 << (numQubits - 1 - q)] = 1 / Math.sqrt(numQubits)
+    }
+    return state
+  },
+
+  forType(entanglementType, numQubits) {
+    switch (entanglementType) {
+      case "ghz":
+        return TargetStates.ghz(numQubits)
+      case "w":
+        return TargetStates.w(numQubits)
+      default:
+        return TargetStates.bell()
+    }
+  },
+}
+
+// Gate sequences that prepare each target state from |00...0⟩
+const StatePreparation = {
+  ghz(state) {
+    state.applyUnitary(Gates.H, [0])
+    for (let q = 0; q < state.numQubits - 1; q++) {
+      state.applyUnitary(Gates.CNOT, [q, q + 1])
+    }
+    return state
+  },
+
+  // Excitation is handed down the chain with controlled-RY + CNOT pairs
+  w(state) {
+    const n = state.numQubits
+    state.applyUnitary(Gates.X, [0])
+    for (let q = 0; q < n - 1; q++) {
+      const theta = 2 * Math.acos(Math.sqrt(1 / (n - q)))
+      state.applyUnitary(Gates.controlled(Gates.RY(theta)), [q, q + 1])
+      state.applyUnitary(Gates.CNOT, [q + 1, q])
+    }
+    return state
+  },
+
+  forType(entanglementType, state) {
+    switch (entanglementType) {
+      case "w":
+        return StatePreparation.w(state)
+      default:
+        return StatePreparation.ghz(state)
+    }
+  },
+}
+
+// Probability that a computational-basis measurement disagrees with the target's correlations
+function computationalErrorRate(state, entanglementType) {
+  const n = state.numQubits
+  const probs = state.probabilities()
+  let correct = 0
+  for (let i = 0; i < probs.length; i++) {
+    let ones = 0
+    for (let q = 0; q < n; q++) ones += (i >> q) & 1
+    const valid = entanglementType === "w" ? ones === 1 : ones === 0 || ones === n
+    if (valid) correct += probs[i]
+  }
+  return Math.max(0, Math.min(1, 1 - correct))
+}
+
+// Draws the number of successes in `shots` Bernoulli trials with probability p
+function sampleBinomial(shots, p) {
+  let count = 0
+  for (let i = 0; i < shots; i++) {
+    if (Math.random() < p) count++
+  }
+  return count
+}
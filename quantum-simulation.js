@@ -0,0 +1,2227 @@
+// The simulation behind the multi-node page: one run of the chosen protocol over the network, kept as
+// the steps the views play back and the results they report. It touches no DOM, so a Web Worker can
+// load it next to the engine files and run many trials off the page (monte-carlo-worker.js).
+
+class QuantumSimulation {
+  constructor() {
+    this.steps = []
+    this.results = null
+    this.currentStepIndex = 0
+    this.isRunning = false
+    this.isPaused = false
+    this.simulationTimer = null
+    this.fidelityHistory = []
+    this.errorRateHistory = []
+    this.graph = NetworkGraph.preset("linear", 2) // default: Alice and Bob on one link
+    this.purificationProtocol = "dejmps"
+    this.purificationRounds = 1
+    this.repeaterEnabled = false
+    this.nestingLevel = Infinity // fully nested doubling by default
+    this.memoryT1 = 500000 // μs, energy relaxation of stored qubits
+    this.memoryT2 = 100000 // μs, dephasing of stored qubits
+    this.routingRequest = null // { source, target, metric } asks for one Bell pair between two nodes
+    this.mode = "distribution" // or "bb84" / "decoy" / "e91" to distil a key, "teleport" to send a qubit, "superdense" to send two bits, "circuit" to run the built circuit
+    this.qkdPulses = 4096
+    this.qberThreshold = QKD.defaultThreshold
+    this.eavesdropper = false
+    this.eveStrategy = "intercept" // one of QKD_ATTACKS
+    this.eveStrength = 1 // share of pulses attacked, or the cloner's η as a fraction of π/4
+    this.eveLink = null // { source, target } Eve taps, or null for the first link of the key path
+    this.keyBound = "asymptotic" // or "finite" for the finite-key length
+    this.decoyIntensities = { ...DecoyState.defaultIntensities } // mean photon numbers of decoy-state BB84
+    this.teleportInput = { theta: Math.PI / 3, phi: Math.PI / 4 } // Bloch angles of the teleported qubit
+    this.denseMessage = "10" // the two bits superdense coding sends, one of DENSE_MESSAGES
+    this.qecCode = "none" // or a key of QEC_CODES to encode every qubit entanglement distribution sends
+    this.circuit = QuantumCircuit.example() // edited in the Circuit Builder tab
+  }
+
+  // The graph is shared with the network view, so edits on the canvas apply to the next run
+  setGraph(graph) {
+    this.graph = graph
+  }
+
+  get nodeCount() {
+    return this.graph.nodeCount
+  }
+
+  get networkTopology() {
+    return this.graph.topology
+  }
+
+  // Reasons the current graph cannot run the chosen protocol, or null when it can
+  validateNetwork(entanglementType) {
+    if (this.graph.nodeCount < 2) return "The network needs at least two nodes."
+    if (this.graph.links.length === 0) return "Add at least one link between two nodes."
+    const multipartite = this.mode === "distribution" && entanglementType !== "bell"
+    // GHZ and W states are held as one density matrix over every node, which grows as 4^n
+    if (multipartite && this.graph.nodeCount > 10) {
+      return `${entanglementType.toUpperCase()} states are limited to 10 nodes; use Bell pairs for larger networks.`
+    }
+    if (multipartite && !this.graph.isConnected()) {
+      return `Every node must be reachable from ${this.graph.nodes[0].name} to share a ${entanglementType.toUpperCase()} state.`
+    }
+    const request = this.mode === "distribution" ? this.routingRequest : this.keyRequest()
+    if (!multipartite && request) {
+      if (request.source >= this.graph.nodeCount || request.target >= this.graph.nodeCount) {
+        return "The routing request refers to a node that no longer exists."
+      }
+      if (!NetworkTopology.shortestPath(this.graph.links, this.graph.nodeCount, request.source, request.target)) {
+        return `No path connects ${this.graph.nodes[request.source].name} and ${this.graph.nodes[request.target].name}.`
+      }
+    }
+    if (this.mode === "e91" && this.eavesdropper && this.eveStrategy === "pns") {
+      return "Photon-number splitting attacks weak coherent pulses; E91 sends single pairs, so pick BB84 or another attack."
+    }
+    if (this.keyDistribution && this.eavesdropper && this.eveLink && !this.graph.findLink(this.eveLink.source, this.eveLink.target)) {
+      return "Eve's link no longer exists; pick another one."
+    }
+    if (this.mode === "decoy") return DecoyState.validate(this.decoyIntensities)
+    if (this.mode === "circuit") return this.validateCircuit()
+    return null
+  }
+
+  validateCircuit() {
+    const circuit = this.circuit
+    if (circuit.qubitCount === 0 || circuit.operations.length === 0) return "Add at least one qubit and one gate in the Circuit Builder."
+    const missing = circuit.holders.findIndex((node) => node >= this.graph.nodeCount)
+    if (missing >= 0) return `Qubit ${missing + 1} is held by a node that no longer exists.`
+    for (const operation of circuit.operations) {
+      const node = circuit.holders[operation.targets[0]]
+      const cut = circuit
+        .remoteQubits(operation)
+        .find((qubit) => !NetworkTopology.shortestPath(this.graph.links, this.graph.nodeCount, circuit.holders[qubit], node))
+      if (cut !== undefined) {
+        return `No path connects ${this.graph.nodes[circuit.holders[cut]].name} and ${this.graph.nodes[node].name} for the ${CIRCUIT_GATES[operation.gate].name} on qubit ${cut + 1}.`
+      }
+    }
+    return null
+  }
+
+  // The gates the chosen protocol applies, as a circuit the builder can draw and OpenQASM can hold.
+  // Key distribution measures in bases drawn at random pulse by pulse, so it has none and gets null.
+  // Channels, memories and heralds are not gates and are left out.
+  protocolCircuit(entanglementType, purificationEnabled) {
+    if (this.mode === "circuit") return this.circuit.clone()
+    if (this.keyDistribution) return null
+    const circuit = new QuantumCircuit()
+    const add = (operations) => operations.forEach((operation) => circuit.insert(operation))
+    const { source, target } = this.keyRequest()
+
+    if (this.mode === "teleport") {
+      // Alice's input and her half of the pair, then Bob's half; the corrections are applied as
+      // controlled gates, which gives the same statistics as measuring first (deferred measurement)
+      circuit.holders = [source, source, target]
+      const { theta, phi } = this.teleportInput
+      add([
+        { gate: "RY", targets: [0], angle: theta },
+        { gate: "RZ", targets: [0], angle: phi },
+        ...CircuitBuilder.preparation("bell", [1, 2]),
+        { gate: "CNOT", targets: [0, 1] },
+        { gate: "H", targets: [0] },
+        { gate: "CNOT", targets: [1, 2] },
+        { gate: "CZ", targets: [0, 2] },
+        { gate: "MEASURE", targets: [0] },
+        { gate: "MEASURE", targets: [1] },
+      ])
+      return circuit
+    }
+
+    if (this.mode === "superdense") {
+      circuit.holders = [source, target]
+      add([
+        ...CircuitBuilder.preparation("bell", [0, 1]),
+        ...SuperdenseCoding.encoding(this.denseMessage).map((gate) => ({ gate, targets: [0] })),
+        { gate: "CNOT", targets: [0, 1] },
+        { gate: "H", targets: [0] },
+        { gate: "MEASURE", targets: [0] },
+        { gate: "MEASURE", targets: [1] },
+      ])
+      return circuit
+    }
+
+    if (entanglementType !== "bell") {
+      circuit.holders = this.graph.nodes.map((_, node) => node)
+      add(CircuitBuilder.preparation(entanglementType, circuit.holders))
+      return circuit
+    }
+
+    if (!purificationEnabled) {
+      circuit.holders = [source, target]
+      add(CircuitBuilder.preparation("bell", [0, 1]))
+      return circuit
+    }
+
+    // One purification round over two pairs, q1 q2 kept and q3 q4 sacrificed. DEJMPS rotates
+    // Alice's qubits by RX(π/2) and Bob's by RX(−π/2) first; BBPSSW's random twirl has no fixed gates.
+    circuit.holders = [source, target, source, target]
+    add([...CircuitBuilder.preparation("bell", [0, 1]), ...CircuitBuilder.preparation("bell", [2, 3])])
+    if (this.purificationProtocol === "dejmps") {
+      add([0, 1, 2, 3].map((qubit) => ({ gate: "RX", targets: [qubit], angle: qubit % 2 === 0 ? Math.PI / 2 : -Math.PI / 2 })))
+    }
+    add([
+      { gate: "CNOT", targets: [0, 2] },
+      { gate: "CNOT", targets: [1, 3] },
+      { gate: "MEASURE", targets: [2] },
+      { gate: "MEASURE", targets: [3] },
+    ])
+    return circuit
+  }
+
+  // Bell requests between two distinct nodes are routed; anything else clears the request
+  setRoutingRequest(request) {
+    this.routingRequest = request && request.source !== request.target ? request : null
+  }
+
+  // Key distribution runs between the routed nodes, or between the first two nodes by hop count
+  keyRequest() {
+    return this.routingRequest || { source: 0, target: 1, metric: "hops" }
+  }
+
+  // Routes the current request under every metric and picks the one asked for. Link estimates
+  // use the same channel, dark counts and purification settings as the run itself.
+  planRoute(noiseLevel, errorModel, purificationEnabled, request = this.routingRequest) {
+    if (!request) return null
+
+    const pair = StatePreparation.ghz(new DensityMatrix(2))
+    pair.applyChannel(this.sendingChannel(errorModel, noiseLevel), [1])
+    const coefficients = BellStates.coefficients(pair)
+    const rounds = purificationEnabled ? this.purificationRounds : 0
+    const estimateLink = (link) =>
+      EntanglementRouting.linkEstimate(this.getLinkParameters(link), coefficients, this.purificationProtocol, rounds)
+
+    const alternatives = EntanglementRouting.compare(this.graph, request.source, request.target, estimateLink)
+    const chosen = alternatives.find((route) => route && route.metric === request.metric)
+    return chosen ? { ...request, chosen, alternatives } : null
+  }
+
+  setPurificationProtocol(protocol) {
+    this.purificationProtocol = protocol
+  }
+
+  setPurificationRounds(rounds) {
+    this.purificationRounds = Math.min(Math.max(1, rounds), 5)
+  }
+
+  setRepeaterEnabled(enabled) {
+    this.repeaterEnabled = enabled
+  }
+
+  setNestingLevel(level) {
+    this.nestingLevel = Number.isFinite(level) ? Math.max(0, level) : Infinity
+  }
+
+  setMode(mode) {
+    this.mode = mode
+  }
+
+  setQKDPulses(pulses) {
+    this.qkdPulses = Math.max(1, pulses)
+  }
+
+  setQberThreshold(threshold) {
+    this.qberThreshold = Math.min(Math.max(0, threshold), 0.5)
+  }
+
+  setEavesdropper(enabled) {
+    this.eavesdropper = enabled
+  }
+
+  setEveStrategy(strategy) {
+    this.eveStrategy = strategy
+  }
+
+  setEveStrength(strength) {
+    this.eveStrength = Math.min(Math.max(0, strength), 1)
+  }
+
+  setEveLink(link) {
+    this.eveLink = link
+  }
+
+  setKeyBound(bound) {
+    this.keyBound = bound
+  }
+
+  setDecoyIntensities(intensities) {
+    this.decoyIntensities = { ...this.decoyIntensities, ...intensities }
+  }
+
+  // Bloch angles come from the UI in degrees
+  setTeleportInput(theta, phi) {
+    this.teleportInput = { theta: (theta * Math.PI) / 180, phi: (phi * Math.PI) / 180 }
+  }
+
+  setQECCode(code) {
+    this.qecCode = code in QEC_CODES ? code : "none"
+  }
+
+  setDenseMessage(message) {
+    if (DENSE_MESSAGES.includes(message)) this.denseMessage = message
+  }
+
+  // Only the key distribution modes have an eavesdropper to place
+  get keyDistribution() {
+    return ["bb84", "decoy", "e91"].includes(this.mode)
+  }
+
+  getLinkParameters(link) {
+    return this.graph.linkParameters(link)
+  }
+
+  // Memory coherence times come from the UI in milliseconds
+  setMemoryTimes(t1, t2) {
+    this.memoryT1 = t1 * 1000
+    this.memoryT2 = Math.min(t2, 2 * t1) * 1000
+  }
+
+  // Every setting a run depends on as plain data, which survives the copy into a Web Worker. The
+  // playback state stays behind.
+  configuration() {
+    const { steps, results, currentStepIndex, isRunning, isPaused, simulationTimer, fidelityHistory, errorRateHistory, graph, circuit, ...settings } =
+      this
+    const { holders, operations } = circuit.clone()
+    return {
+      ...settings,
+      graph: {
+        topology: graph.topology,
+        nodes: graph.nodes.map((node) => ({ ...node })),
+        links: graph.links.map((link) => ({ ...link })),
+      },
+      circuit: { holders, operations },
+    }
+  }
+
+  static fromConfiguration(configuration) {
+    const { graph, circuit, ...settings } = configuration
+    const simulation = Object.assign(new QuantumSimulation(), settings)
+    simulation.graph.replaceWith(graph)
+    simulation.circuit.replaceWith(circuit)
+    return simulation
+  }
+
+  simulateQuantumCommunication(
+    noiseLevel,
+    purificationEnabled,
+    entanglementType = "bell",
+    errorModel = "depolarizing",
+  ) {
+    const steps = []
+    const threshold = 0.8
+    const maxAttempts = 3
+    const measurementShots = 1024
+    let attempt = 0
+    let success = false
+
+    // we'll get the node counts and topology from class properties
+    const nodeCount = this.nodeCount
+    const networkTopology = this.networkTopology
+
+    const problem = this.validateNetwork(entanglementType)
+    if (problem) throw new Error(problem)
+
+    if (this.mode === "teleport") return this.simulateTeleportation(noiseLevel, errorModel)
+    if (this.mode === "superdense") return this.simulateSuperdenseCoding(noiseLevel, errorModel)
+    if (this.mode === "circuit") return this.simulateCircuit(noiseLevel, errorModel)
+    if (this.mode !== "distribution") return this.simulateQKD(noiseLevel, errorModel)
+
+    if (entanglementType === "bell" && this.routingRequest) {
+      const routing = this.planRoute(noiseLevel, errorModel, purificationEnabled)
+      return this.simulateRepeaterChain(noiseLevel, purificationEnabled, errorModel, routing)
+    }
+
+    if (this.repeaterEnabled && this.graph.isChain() && entanglementType === "bell" && nodeCount > 2) {
+      return this.simulateRepeaterChain(noiseLevel, purificationEnabled, errorModel)
+    }
+
+    this.fidelityHistory = []
+    this.errorRateHistory = []
+
+    // Photons, heralds and classical messages all run on one event clock, so the latency and the
+    // time qubits spend waiting in memory come straight out of the timeline
+    const des = new DiscreteEventSimulator()
+    const memory = new QuantumMemory(this.memoryT1, this.memoryT2)
+    const links = this.graph.links
+    let logIndex = 0
+    const timeline = () => {
+      const events = des.eventsSince(logIndex)
+      logIndex = des.log.length
+      return { time: des.now, events }
+    }
+
+    // Bell pairs are simulated on every link, GHZ and W states span every node
+    const qubitCount = entanglementType === "bell" ? 2 : nodeCount
+    const targetState = TargetStates.forType(entanglementType, qubitCount)
+
+    // GHZ and W qubits are relayed out from node 0 along the shortest paths; a Bell pair crosses one link
+    const paths = entanglementType === "bell" ? null : this.sourcePaths(links, nodeCount)
+    const hops = entanglementType === "bell" ? [0, 1] : paths.map((path) => path.length - 1)
+    let pairsConsumed = 0
+    let purificationSummary = null
+    let multipartite = null
+    let finalState = null
+    const qecSamples = [] // one sampled code block per attempt, for the circuit view
+
+    // Node 0's source prepares every qubit before sending them out, so the gates all act in one place
+    const preparation = new QuantumCircuit()
+    preparation.holders = new Array(qubitCount).fill(0)
+    CircuitBuilder.preparation(entanglementType, preparation.holders.map((_, qubit) => qubit)).forEach((operation) => preparation.insert(operation))
+
+    // Qubits are named after their nodes; a Bell pair after the ends of the link it sits on
+    const qubitLabels = (link = 0) =>
+      entanglementType === "bell"
+        ? [links[link].source, links[link].target].map((node) => this.graph.nodes[node].name)
+        : this.graph.nodes.map((node) => node.name)
+
+    // The weakest link decides whether the network as a whole is usable
+    const summarize = (groups) => {
+      groups.forEach((pairs) => pairs.forEach((pair) => memory.age(pair, des.now)))
+      const fidelities = groups.map((pairs) => pairs[0].state.fidelity(targetState))
+      const weakest = fidelities.indexOf(Math.min(...fidelities))
+      return {
+        state: groups[weakest][0].state,
+        fidelity: fidelities[weakest],
+        linkFidelities: entanglementType === "bell" ? fidelities : null,
+        qubits: this.heldQubits([groups[weakest][0].state, qubitLabels(weakest)]),
+      }
+    }
+
+    while (!success && attempt < maxAttempts) {
+      attempt++
+      const attemptStart = des.now
+      let state = new DensityMatrix(qubitCount)
+
+      steps.push({
+        status: "initializing",
+        progress: 0.1,
+        fidelity: state.fidelity(targetState),
+        qubits: this.heldQubits([state, qubitLabels()]),
+        attempt,
+        ...timeline(),
+        message: `Attempt ${attempt}/${maxAttempts}: Initializing ${nodeCount} qubits`,
+        entanglementType,
+        errorModel,
+        nodeCount,
+        networkTopology,
+      })
+
+      let entanglementDescription = ""
+      switch (entanglementType) {
+        case "ghz":
+          entanglementDescription = `Creating GHZ state across ${nodeCount} nodes`
+          break
+        case "w":
+          entanglementDescription = `Creating W state across ${nodeCount} nodes`
+          break
+        default:
+          entanglementDescription = `Creating Bell pairs between nodes in ${networkTopology} topology`
+      }
+
+      // the gates the detailed circuit view draws, run on the source's qubits before any leaves
+      preparation.operations.forEach((operation) => CircuitBuilder.apply(state, operation))
+
+      steps.push({
+        status: "initializing",
+        progress: 0.2,
+        fidelity: state.fidelity(targetState),
+        qubits: this.heldQubits([state, qubitLabels()]),
+        attempt,
+        ...timeline(),
+        message: entanglementDescription,
+        entanglementType,
+        errorModel,
+        nodeCount,
+        networkTopology,
+      })
+
+      // Qubit 0 stays at the source, every other qubit passes through the noisy channel once per hop.
+      // Any of the three channels applied h times is the same channel with rate 1 - (1 - rate)^h.
+      const qubitsInFlight = []
+      for (let q = 1; q < qubitCount; q++) qubitsInFlight.push(q)
+
+      const excitedBefore = this.averageExcitedPopulation(state, qubitsInFlight)
+      const coherenceBefore = state.l1Coherence()
+      new Set(qubitsInFlight.map((q) => hops[q])).forEach((hopCount) => {
+        const qubits = qubitsInFlight.filter((q) => hops[q] === hopCount)
+        state.applyChannel(this.sendingChannel(errorModel, noiseLevel, hopCount), qubits)
+      })
+      const qec = this.describeQEC(errorModel, noiseLevel, Math.max(...hops))
+      qecSamples.push(qec)
+
+      // Amplitude damping shows up as a drift toward |0⟩, phase damping only as lost coherence
+      const channelEffect = {
+        rate: noiseLevel,
+        excitedBefore,
+        excitedAfter: this.averageExcitedPopulation(state, qubitsInFlight),
+        coherenceRetained: coherenceBefore > 0 ? state.l1Coherence() / coherenceBefore : 1,
+      }
+
+      // Purification needs 2^rounds raw pairs on every link, heralded side by side in separate memories
+      const purify = purificationEnabled && entanglementType === "bell" && state.fidelity(targetState) < threshold
+      const rounds = purify ? this.purificationRounds : 0
+      let stored = []
+
+      if (entanglementType === "bell") {
+        stored = links.map(() => [])
+        links.forEach((link, index) => {
+          for (let i = 0; i < 2 ** rounds; i++) {
+            this.heraldPair(des, link, (emittedAt, arrivedAt, genuine) => {
+              stored[index].push(this.storedPair(state, emittedAt, arrivedAt, genuine))
+            })
+          }
+        })
+      } else {
+        this.distributeFromSource(des, links, paths, (emittedAt, corruptedQubits) => {
+          const delivered = state.clone()
+          if (corruptedQubits.length > 0) delivered.applyChannel(NoiseChannels.depolarizing(1), corruptedQubits)
+          stored.push([{ state: delivered, storedSince: new Array(qubitCount).fill(emittedAt) }])
+        })
+      }
+      des.run()
+
+      let network = summarize(stored)
+      let fidelity = network.fidelity
+      let errorRate = computationalErrorRate(network.state, entanglementType)
+
+      steps.push({
+        status: "sending",
+        progress: 0.3,
+        fidelity,
+        qubits: network.qubits,
+        errorRate,
+        linkFidelities: network.linkFidelities,
+        channelEffect,
+        attempt,
+        ...timeline(),
+        message: `Distributing entangled qubits across ${nodeCount} nodes (${this.formatChannel(errorModel, noiseLevel)} per hop${qec ? `, ${this.formatQEC(qec)}` : ""}), all nodes ready after ${formatDuration(des.now - attemptStart)}`,
+        entanglementType,
+        errorModel,
+        nodeCount,
+        networkTopology,
+      })
+
+      this.fidelityHistory.push(fidelity)
+      this.errorRateHistory.push(errorRate)
+
+      let pairsThisAttempt = entanglementType === "bell" ? links.length * 2 ** rounds : 1
+
+      if (purificationEnabled && fidelity < threshold && entanglementType !== "bell") {
+        steps.push({
+          status: "purifying",
+          progress: 0.4,
+          fidelity,
+          qubits: network.qubits,
+          errorRate,
+          attempt,
+          ...timeline(),
+          message: `Recurrence purification acts on Bell pairs, skipping it for the ${entanglementType.toUpperCase()} state`,
+          entanglementType,
+          errorModel,
+          nodeCount,
+          networkTopology,
+        })
+      } else if (rounds > 0) {
+        const protocol = this.purificationProtocol
+        const protocolName = Purification.protocols[protocol]
+        const fidelityBefore = fidelity
+
+        steps.push({
+          status: "purifying",
+          progress: 0.4,
+          fidelity,
+          qubits: network.qubits,
+          errorRate,
+          attempt,
+          ...timeline(),
+          message: `Applying ${rounds} round${rounds > 1 ? "s" : ""} of ${protocolName} purification, ${2 ** rounds} Bell pairs per link`,
+          entanglementType,
+          errorModel,
+          nodeCount,
+          networkTopology,
+        })
+
+        for (let round = 1; round <= rounds; round++) {
+          // Both protocols assume Bell-diagonal inputs; a random bilateral Pauli twirl removes the
+          // off-diagonal Bell-basis terms without changing these coefficients
+          const outcomes = []
+          stored = stored.map((pairs, index) => {
+            const survivors = []
+            for (let i = 0; i + 1 < pairs.length; i += 2) {
+              this.purifyPairs(des, memory, links[index], pairs[i], pairs[i + 1], (outcome) => {
+                outcomes.push(outcome)
+                if (outcome.succeeded) {
+                  survivors.push(outcome.pair)
+                  return
+                }
+                // both pairs are lost, so the link rebuilds a pair of this level from fresh raw pairs
+                this.purifyLink(des, memory, links[index], state, round, (pair) => {
+                  pairsThisAttempt += pair.pairs
+                  survivors.push(pair)
+                })
+              })
+            }
+            return survivors
+          })
+          des.run()
+
+          const succeeded = outcomes.every((outcome) => outcome.succeeded)
+          const successProbability =
+            outcomes.reduce((sum, outcome) => sum + outcome.successProbability, 0) / outcomes.length
+          const failures = outcomes.filter((outcome) => !outcome.succeeded).length
+
+          network = summarize(stored)
+          fidelity = network.fidelity
+          errorRate = computationalErrorRate(network.state, entanglementType)
+
+          this.fidelityHistory.push(fidelity)
+          this.errorRateHistory.push(errorRate)
+
+          steps.push({
+            status: "purifying",
+            progress: 0.4 + (0.2 * round) / rounds,
+            fidelity,
+            qubits: network.qubits,
+            errorRate,
+            linkFidelities: network.linkFidelities,
+            purification: {
+              protocol,
+              round,
+              rounds,
+              succeeded,
+              successProbability,
+              pairsConsumed: pairsThisAttempt,
+            },
+            attempt,
+            ...timeline(),
+            message: succeeded
+              ? `${protocolName} round ${round}/${rounds} succeeded on all ${links.length} links (p = ${(successProbability * 100).toFixed(1)}%), weakest link now ${(fidelity * 100).toFixed(1)}%`
+              : `${protocolName} round ${round}/${rounds}: ${failures} of ${outcomes.length} purifications failed (p = ${(successProbability * 100).toFixed(1)}%) and were rebuilt, weakest link now ${(fidelity * 100).toFixed(1)}%`,
+            entanglementType,
+            errorModel,
+            nodeCount,
+            networkTopology,
+          })
+        }
+
+        purificationSummary = {
+          protocol,
+          rounds,
+          roundsCompleted: rounds,
+          fidelityBefore,
+          fidelityAfter: fidelity,
+        }
+      }
+
+      pairsConsumed += pairsThisAttempt
+
+      // Fidelity is only known to the nodes through a finite number of projective measurements
+      const measuredFidelity = sampleBinomial(measurementShots, fidelity) / measurementShots
+      finalState = {
+        ...network.qubits,
+        nodes: network.qubits.labels,
+        subject: entanglementType === "bell" ? "the pair on the weakest link" : `the ${entanglementType.toUpperCase()} state over every node`,
+      }
+      if (entanglementType !== "bell") {
+        multipartite = Multipartite.analyse(network.state, entanglementType)
+        if (multipartite.afterLoss) multipartite.afterLoss.node = this.graph.nodes[multipartite.afterLoss.lost].name
+      }
+
+      steps.push({
+        status: "measuring",
+        progress: 0.7,
+        fidelity,
+        qubits: network.qubits,
+        measuredFidelity,
+        errorRate,
+        linkFidelities: network.linkFidelities,
+        attempt,
+        ...timeline(),
+        message: `Measuring quantum state across ${nodeCount} nodes (estimated fidelity ${(measuredFidelity * 100).toFixed(1)}%)`,
+        entanglementType,
+        errorModel,
+        nodeCount,
+        networkTopology,
+      })
+
+      this.fidelityHistory.push(fidelity)
+      this.errorRateHistory.push(errorRate)
+
+      if (measuredFidelity >= threshold) {
+        success = true
+        steps.push({
+          status: "success",
+          progress: 1.0,
+          fidelity,
+          qubits: network.qubits,
+          errorRate,
+          linkFidelities: network.linkFidelities,
+          attempt,
+          ...timeline(),
+          message: `Network entanglement successful with fidelity ${(fidelity * 100).toFixed(1)}% after ${formatDuration(des.now)}`,
+          entanglementType,
+          errorModel,
+          nodeCount,
+          networkTopology,
+        })
+      } else if (attempt < maxAttempts) {
+        steps.push({
+          status: "retry",
+          progress: 0.9,
+          fidelity,
+          qubits: network.qubits,
+          errorRate,
+          attempt,
+          ...timeline(),
+          message: `Fidelity too low (${(measuredFidelity * 100).toFixed(1)}%), retrying...`,
+          entanglementType,
+          errorModel,
+          nodeCount,
+          networkTopology,
+        })
+      } else {
+        steps.push({
+          status: "retry",
+          progress: 1.0,
+          fidelity,
+          qubits: network.qubits,
+          errorRate,
+          attempt,
+          ...timeline(),
+          message: `Maximum attempts reached. Final fidelity: ${(fidelity * 100).toFixed(1)}%`,
+          entanglementType,
+          errorModel,
+          nodeCount,
+          networkTopology,
+        })
+      }
+
+      this.fidelityHistory.push(fidelity)
+      this.errorRateHistory.push(errorRate)
+    }
+
+    steps.forEach((step) => (step.qec = qecSamples[step.attempt - 1]))
+    if (entanglementType !== "bell") {
+      const names = this.graph.nodes.map((node) => node.name)
+      steps.forEach((step) => (step.preparation = { circuit: preparation, names }))
+    }
+
+    const results = {
+      success,
+      fidelity: steps[steps.length - 1].fidelity || 0,
+      errorRate: steps[steps.length - 1].errorRate ?? noiseLevel,
+      measurementShots,
+      pairsConsumed,
+      purification: purificationSummary,
+      channelEffect: steps.filter((step) => step.channelEffect).pop().channelEffect,
+      attempts: attempt,
+      latency: des.now,
+      eventCount: des.log.length,
+      memory: { t1: this.memoryT1, t2: this.memoryT2 },
+      links: this.describeLinks(links),
+      qec: qecSamples[qecSamples.length - 1],
+      multipartite,
+      finalState,
+      noiseLevel,
+      purificationEnabled,
+      entanglementType,
+      errorModel,
+      nodeCount,
+      networkTopology,
+      fidelityHistory: this.fidelityHistory,
+      errorRateHistory: this.errorRateHistory,
+    }
+
+    this.steps = steps
+    this.results = results
+    return { steps, results }
+  }
+
+  // Linear chain where intermediate nodes swap entanglement until the end nodes share a pair.
+  // Links are heralded and swapped as soon as their inputs are ready, so segments finish out of step.
+  // A routed request runs the same protocol along its chosen path instead of the chain 0, 1, …, n-1.
+  // Swaps and segments are planned on positions along the path and reported with node indices.
+  simulateRepeaterChain(noiseLevel, purificationEnabled, errorModel, routing = null) {
+    const steps = []
+    const threshold = 0.8
+    const measurementShots = 1024
+    const entanglementType = "bell"
+    const nodeCount = this.nodeCount
+    const networkTopology = this.networkTopology
+    const path = routing ? routing.chosen.path : [...Array(nodeCount).keys()]
+    const linkCount = path.length - 1
+    const targetState = TargetStates.bell()
+    const swapRounds = EntanglementSwapping.schedule(linkCount, this.nestingLevel)
+    const swapCount = linkCount - 1
+
+    this.fidelityHistory = []
+    this.errorRateHistory = []
+
+    const des = new DiscreteEventSimulator()
+    const memory = new QuantumMemory(this.memoryT1, this.memoryT2)
+    const links = []
+    for (let i = 0; i < linkCount; i++) links.push(this.graph.findLink(path[i], path[i + 1]))
+    let logIndex = 0
+    const timeline = () => {
+      const events = des.eventsSince(logIndex)
+      logIndex = des.log.length
+      return { time: des.now, events }
+    }
+
+    steps.push({
+      status: "initializing",
+      progress: 0.1,
+      fidelity: 0,
+      attempt: 1,
+      segments: [],
+      ...timeline(),
+      message: routing
+        ? `Routing ${this.graph.nodes[routing.source].name} → ${this.graph.nodes[routing.target].name} by ${EntanglementRouting.metrics[routing.metric].toLowerCase()}: ${this.formatPath(path)} (${linkCount} link${linkCount > 1 ? "s" : ""}, ${swapRounds.length} swap rounds)`
+        : `Repeater chain: ${linkCount} elementary links, ${swapRounds.length} swap rounds (nesting level ${this.formatNestingLevel()})`,
+      entanglementType,
+      errorModel,
+      nodeCount,
+      networkTopology,
+    })
+
+    // Every elementary link sees the same channel, so one noisy pair describes a fresh link
+    const rawPair = StatePreparation.ghz(new DensityMatrix(2))
+    const excitedBefore = rawPair.excitedPopulation(1)
+    const coherenceBefore = rawPair.l1Coherence()
+    rawPair.applyChannel(this.sendingChannel(errorModel, noiseLevel), [1])
+    const channelEffect = {
+      rate: noiseLevel,
+      excitedBefore,
+      excitedAfter: rawPair.excitedPopulation(1),
+      coherenceRetained: rawPair.l1Coherence() / coherenceBefore,
+    }
+    const rawFidelity = rawPair.fidelity(targetState)
+    const qec = this.describeQEC(errorModel, noiseLevel, 1)
+
+    const rounds = purificationEnabled ? this.purificationRounds : 0
+
+    // Segments keyed by "start-end" hold the pair shared by their end nodes once both ends know about it
+    const ready = new Map()
+    const pending = swapRounds.flat()
+    const records = []
+    const elementaryFidelities = []
+    let pairsConsumed = 0
+    let linkReadyTime = 0
+
+    const snapshot = () =>
+      [...ready.entries()]
+        .map(([key, pair]) => [key.split("-").map(Number), pair])
+        .sort((a, b) => a[0][0] - b[0][0])
+        .map(([[start, end], pair]) => {
+          const aged = memory.age({ state: pair.state.clone(), storedSince: [...pair.storedSince] }, des.now)
+          return {
+            start: path[start],
+            end: path[end],
+            hops: end - start,
+            fidelity: aged.state.fidelity(targetState),
+            errorRate: computationalErrorRate(aged.state, entanglementType),
+          }
+        })
+
+    const segmentReady = (key, pair, record) => {
+      ready.set(key, pair)
+      const ends = key.split("-").map((end) => this.graph.nodes[path[end]].name)
+      records.push({ ...record, time: des.now, segments: snapshot(), qubits: this.heldQubits([pair.state, ends]) })
+
+      pending.forEach((merge) => {
+        const leftKey = merge.left.join("-")
+        const rightKey = merge.right.join("-")
+        if (merge.done || !ready.has(leftKey) || !ready.has(rightKey)) return
+        merge.done = true
+
+        const left = memory.age(ready.get(leftKey), des.now)
+        const right = memory.age(ready.get(rightKey), des.now)
+        ready.delete(leftKey)
+        ready.delete(rightKey)
+        const swapped = { state: EntanglementSwapping.swap(left.state, right.state), storedSince: [des.now, des.now] }
+
+        // the measurement outcome has to reach both ends before the new segment can be used
+        const ends = [merge.left[0], merge.right[1]]
+        let notified = 0
+        ends.forEach((end) => {
+          const delay = this.pathDelay(links, nodeCount, path[merge.node], path[end])
+          des.schedule(delay, "classical", { from: merge.node, to: end, swap: true }, () => {
+            notified++
+            if (notified === ends.length) segmentReady(ends.join("-"), swapped, { kind: "swap", node: merge.node })
+          })
+        })
+      })
+    }
+
+    links.forEach((link, index) => {
+      this.purifyLink(des, memory, link, rawPair, rounds, (pair) => {
+        pairsConsumed += pair.pairs
+        linkReadyTime = Math.max(linkReadyTime, des.now)
+        elementaryFidelities.push(pair.state.fidelity(targetState))
+        segmentReady(`${index}-${index + 1}`, pair, { kind: "link", link, index })
+      })
+    })
+    des.run()
+
+    const elementaryFidelity = elementaryFidelities.reduce((sum, f) => sum + f, 0) / elementaryFidelities.length
+    let purificationSummary = null
+    if (rounds > 0) {
+      purificationSummary = {
+        protocol: this.purificationProtocol,
+        rounds,
+        roundsCompleted: rounds,
+        fidelityBefore: rawFidelity,
+        fidelityAfter: elementaryFidelity,
+      }
+    }
+
+    const protocolName = Purification.protocols[this.purificationProtocol]
+    let linksReady = 0
+    let swapsDone = 0
+    records.forEach((record) => {
+      const fidelity = Math.min(...record.segments.map((segment) => segment.fidelity))
+      const errorRate = Math.max(...record.segments.map((segment) => segment.errorRate))
+      const stepTimeline = { time: record.time, events: des.log.slice(logIndex).filter((event) => event.time <= record.time) }
+      logIndex += stepTimeline.events.length
+
+      this.fidelityHistory.push(fidelity)
+      this.errorRateHistory.push(errorRate)
+
+      if (record.kind === "link") {
+        linksReady++
+        const newest = record.segments.find((segment) => segment.start === path[record.index])
+        steps.push({
+          status: rounds > 0 ? "purifying" : "sending",
+          progress: 0.2 + (0.25 * linksReady) / linkCount,
+          fidelity,
+          errorRate,
+          channelEffect: linksReady === 1 ? channelEffect : undefined,
+          attempt: 1,
+          segments: record.segments,
+          qubits: record.qubits,
+          ...stepTimeline,
+          message:
+            rounds > 0
+              ? `Link node ${record.link.source + 1}–node ${record.link.target + 1} heralded and purified (${rounds} × ${protocolName}) after ${formatDuration(record.time)}, fidelity ${(newest.fidelity * 100).toFixed(1)}%`
+              : `Link node ${record.link.source + 1}–node ${record.link.target + 1} heralded after ${formatDuration(record.time)} (${this.formatChannel(errorModel, noiseLevel)}${qec ? `, ${this.formatQEC(qec)}` : ""})`,
+          entanglementType,
+          errorModel,
+          nodeCount,
+          networkTopology,
+        })
+      } else {
+        swapsDone++
+        steps.push({
+          status: "swapping",
+          progress: 0.5 + (0.15 * swapsDone) / swapCount,
+          fidelity,
+          errorRate,
+          attempt: 1,
+          segments: record.segments,
+          qubits: record.qubits,
+          swapNodes: [path[record.node]],
+          ...stepTimeline,
+          message: `Swap ${swapsDone}/${swapCount}: Bell-state measurement at node ${path[record.node] + 1} announced at ${formatDuration(record.time)}, weakest segment ${(fidelity * 100).toFixed(1)}%`,
+          entanglementType,
+          errorModel,
+          nodeCount,
+          networkTopology,
+        })
+      }
+    })
+
+    const time = des.now
+    const endToEnd = memory.age(ready.get(`0-${linkCount}`), time)
+    const fidelity = endToEnd.state.fidelity(targetState)
+    const errorRate = computationalErrorRate(endToEnd.state, entanglementType)
+    const measuredFidelity = sampleBinomial(measurementShots, fidelity) / measurementShots
+    const success = measuredFidelity >= threshold
+    const finalSegments = [{ start: path[0], end: path[linkCount], hops: linkCount, fidelity }]
+    const qubits = this.heldQubits([endToEnd.state, [path[0], path[linkCount]].map((node) => this.graph.nodes[node].name)])
+
+    steps.push({
+      status: "measuring",
+      progress: 0.7,
+      fidelity,
+      measuredFidelity,
+      errorRate,
+      attempt: 1,
+      segments: finalSegments,
+      qubits,
+      ...timeline(),
+      message: `Measuring end-to-end pair (estimated fidelity ${(measuredFidelity * 100).toFixed(1)}%)`,
+      entanglementType,
+      errorModel,
+      nodeCount,
+      networkTopology,
+    })
+
+    steps.push({
+      status: success ? "success" : "retry",
+      progress: 1.0,
+      fidelity,
+      errorRate,
+      attempt: 1,
+      segments: finalSegments,
+      qubits,
+      ...timeline(),
+      message: success
+        ? `End-to-end entanglement established with fidelity ${(fidelity * 100).toFixed(1)}% after ${formatDuration(time)}`
+        : `End-to-end fidelity ${(fidelity * 100).toFixed(1)}% is below the ${threshold * 100}% threshold`,
+      entanglementType,
+      errorModel,
+      nodeCount,
+      networkTopology,
+    })
+
+    this.fidelityHistory.push(fidelity)
+    this.errorRateHistory.push(errorRate)
+
+    const results = {
+      success,
+      fidelity,
+      errorRate,
+      measurementShots,
+      pairsConsumed,
+      purification: purificationSummary,
+      channelEffect,
+      attempts: 1,
+      latency: time,
+      eventCount: des.log.length,
+      memory: { t1: this.memoryT1, t2: this.memoryT2 },
+      links: this.describeLinks(links),
+      qec,
+      finalState: { ...qubits, nodes: qubits.labels, subject: "the end-to-end pair" },
+      repeater: {
+        linkCount,
+        nestingLevel: this.formatNestingLevel(),
+        swapRounds: swapRounds.length,
+        elementaryFidelity,
+        linkReadyTime,
+        generationTime: time,
+      },
+      routing: routing
+        ? {
+            source: routing.source,
+            target: routing.target,
+            metric: routing.metric,
+            path,
+            label: this.formatPath(path),
+            estimate: routing.chosen.estimate,
+            alternatives: routing.alternatives.map((route) => ({
+              metric: route.metric,
+              path: route.path,
+              label: this.formatPath(route.path),
+              estimate: route.estimate,
+            })),
+          }
+        : null,
+      noiseLevel,
+      purificationEnabled,
+      entanglementType,
+      errorModel,
+      nodeCount,
+      networkTopology,
+      fidelityHistory: this.fidelityHistory,
+      errorRateHistory: this.errorRateHistory,
+    }
+
+    // the network view keeps the route highlighted throughout playback
+    if (routing) steps.forEach((step) => (step.route = path))
+    steps.forEach((step) => (step.qec = qec))
+
+    this.steps = steps
+    this.results = results
+    return { steps, results }
+  }
+
+  // Key distribution between the two ends of the key request along its route. BB84 sends single
+  // photons from Alice; E91 sends one photon of each entangled pair from a source at Alice to Bob.
+  // All pulses go out back to back, then settings and a sample of the key go over the classical channel.
+  simulateQKD(noiseLevel, errorModel) {
+    const steps = []
+    const entanglementType = "bell"
+    const nodeCount = this.nodeCount
+    const networkTopology = this.networkTopology
+    const e91 = this.mode === "e91"
+    const decoy = this.mode === "decoy"
+    const intensities = this.decoyIntensities
+    const route = this.planRoute(noiseLevel, errorModel, false, this.keyRequest()).chosen
+    const path = route.path
+    const links = route.links
+    const alice = this.graph.nodes[path[0]].name
+    const bob = this.graph.nodes[path[path.length - 1]].name
+    // Eve taps her chosen link, or the first one of the path; photons only meet her if the path crosses it
+    const eveLink = this.eveLink || { source: path[0], target: path[1] }
+    const eveHop = links.findIndex(
+      (link) => NetworkTopology.linkKey(link.source, link.target) === NetworkTopology.linkKey(eveLink.source, eveLink.target),
+    )
+    const eve = this.eavesdropper
+      ? { source: eveLink.source, target: eveLink.target, strategy: this.eveStrategy, onPath: eveHop >= 0 }
+      : null
+    const eveName = eve ? `${this.graph.nodes[eve.source].name}–${this.graph.nodes[eve.target].name}` : ""
+
+    this.fidelityHistory = []
+    this.errorRateHistory = []
+
+    const des = new DiscreteEventSimulator()
+    let logIndex = 0
+    const timeline = () => {
+      const events = des.eventsSince(logIndex)
+      logIndex = des.log.length
+      return { time: des.now, events }
+    }
+
+    // each photon passes the channel once per hop, which composes into a single channel; Eve splits it
+    // into the hops before her link and the rest
+    const hopChannel = (hops) => NoiseChannels.forModel(errorModel, 1 - (1 - noiseLevel) ** hops)
+    const channel = hopChannel(links.length)
+    const hopsBefore = eveHop >= 0 ? eveHop : links.length
+    const before = hopChannel(hopsBefore)
+    const after = hopChannel(links.length - hopsBefore)
+    const pathParams = links.map((link) => this.getLinkParameters(link))
+    const detection = e91
+      ? QKD.pairDetection(pathParams)
+      : decoy
+        ? DecoyState.detection(pathParams, intensities)
+        : QKD.detection(pathParams)
+    const attack = eve
+      ? QKD.attack({
+          strategy: this.eveStrategy,
+          strength: this.eveStrength,
+          onPath: eve.onPath,
+          before,
+          after,
+          transmissionBefore: pathParams.slice(0, hopsBefore).reduce((product, params) => product * LinkPhysics.transmission(params), 1),
+          detection,
+        })
+      : null
+    const options = {
+      pulses: this.qkdPulses,
+      detection,
+      eve: attack,
+      threshold: this.qberThreshold,
+    }
+    const outcomes = e91 ? null : QKD.channelOutcomes(channel)
+    const run = e91
+      ? QKD.e91({ ...options, pairOutcomes: QKD.pairOutcomeTables(before, after, attack && attack.eta !== undefined ? attack.eta : null) })
+      : QKD.bb84({ ...options, outcomes, decoy: decoy ? { intensities, probabilities: DecoyState.probabilities } : null })
+    const { records, ...outcome } = run
+    // the decoy and vacuum gains bound the single photons, the only part of the key Eve cannot split
+    const decoyState = decoy
+      ? DecoyState.analyse({
+          records,
+          qber: run.qber,
+          intensities,
+          pathParams,
+          misalignment: DecoyState.channelError(outcomes),
+          bound: this.keyBound,
+        })
+      : null
+    // only a key that passed the security check goes on to error correction and privacy amplification
+    const postProcessing = run.aborted
+      ? null
+      : KeyPostProcessing.run(records, {
+          sampleSize: run.sampleSize,
+          qber: run.qber,
+          bound: this.keyBound,
+          singlePhoton: decoyState ? { share: decoyState.bounds.share, errorRate: decoyState.bounds.e1 } : null,
+        })
+    const stats = { ...outcome, postProcessing, decoyState }
+    const shown = records.slice(0, 16) // pulses drawn in the circuit view
+
+    const probe = QKD.prepare(0, "X")
+    const excitedBefore = probe.excitedPopulation(0)
+    const coherenceBefore = probe.l1Coherence()
+    probe.applyChannel(channel, [0])
+    const channelEffect = {
+      rate: noiseLevel,
+      excitedBefore,
+      excitedAfter: probe.excitedPopulation(0),
+      coherenceRetained: probe.l1Coherence() / coherenceBefore,
+    }
+
+    const delay = links.reduce((sum, link) => sum + this.linkDelay(link), 0)
+    const sendTime = run.pulses * QKD.pulsePeriod
+    const percent = (value) => `${(value * 100).toFixed(1)}%`
+    const chsh = run.chsh ? `CHSH S = ${run.chsh.value.toFixed(3)} ± ${run.chsh.error.toFixed(3)}` : ""
+    const sources = DECOY_CLASSES.map(
+      (name) => `${intensities[name]} (${name}, ${Math.round(DecoyState.probabilities[name] * 100)}%)`,
+    ).join(", ")
+
+    const addStep = (status, progress, message, extra = {}) => {
+      steps.push({
+        status,
+        progress,
+        attempt: 1,
+        ...extra,
+        qkd: { stage: status, pulses: shown, run: stats },
+        ...timeline(),
+        message,
+        entanglementType,
+        errorModel,
+        nodeCount,
+        networkTopology,
+      })
+    }
+
+    addStep(
+      "preparing",
+      0.1,
+      e91
+        ? `The source at ${alice} emits ${run.pulses} entangled pairs (Φ+), keeping one photon of each and sending the other to ${bob} over ${this.formatPath(path)}`
+        : decoy
+          ? `${alice} encodes ${run.pulses} random bits in random bases (+ or ×) on weak coherent pulses for ${bob} over ${this.formatPath(path)}, each with a mean photon number of ${sources}`
+          : `${alice} prepares ${run.pulses} random bits, each in a random basis (+ or ×), for ${bob} over ${this.formatPath(path)}`,
+    )
+
+    des.schedule(0, "emission", { from: path[0], pulses: run.pulses })
+    des.schedule(sendTime, "emission", { from: path[0], last: true }, () => {
+      let sending = `${run.pulses} ${decoy ? "pulses" : "photons"} sent over ${links.length} link${links.length > 1 ? "s" : ""} (${this.formatChannel(errorModel, noiseLevel)} per hop), ${(detection.signal * 100).toPrecision(3)}% ${decoy ? "of the signal pulses " : ""}expected to ${e91 ? "arrive in coincidence" : "click"}`
+      if (eve && !eve.onPath) sending = `${sending}; Eve waits on ${eveName}, which the key path does not cross`
+      else if (eve) sending = `Eve on ${eveName}: ${this.describeAttack(attack)}`
+      addStep("sending", 0.3, sending, { channelEffect })
+
+      des.schedule(delay, "propagation", { from: path[0], to: path[path.length - 1], detected: run.detected }, () => {
+        addStep(
+          "measuring",
+          0.45,
+          e91
+            ? `${alice} measures at 0°, 45° or 90° and ${bob} at 45°, 90° or 135°: ${run.detected} coincidences (${run.darkCounts} accidental) from ${run.pulses} pairs`
+            : `${bob} measures in random bases: ${run.detected} detections (${run.darkCounts} dark counts) from ${run.pulses} pulses`,
+        )
+
+        // Bob announces his settings, Alice answers which ones go into the key
+        des.schedule(delay, "classical", { from: path[path.length - 1], to: path[0], bases: run.detected }, () => {
+          des.schedule(delay, "classical", { from: path[0], to: path[path.length - 1], sifted: run.sifted }, () => {
+            addStep(
+              "sifting",
+              0.6,
+              e91
+                ? `Settings compared over the classical channel: ${run.sifted} key rounds with matching settings, ${run.chsh.rounds} CHSH rounds, the rest discarded`
+                : decoy
+                  ? `Bases and intensities compared over the classical channel: ${run.sifted} signal bits with matching bases kept, the ${run.detected - decoyState.statistics.signal.detected} decoy and vacuum detections set aside for the yield estimate`
+                  : `Bases compared over the classical channel: ${run.sifted} of ${run.detected} detections kept (${percent(run.detected > 0 ? run.sifted / run.detected : 0)})`,
+            )
+
+            // Alice discloses a random sample of her sifted bits (and her CHSH results), Bob compares
+            des.schedule(delay, "classical", { from: path[0], to: path[path.length - 1], sample: run.sampleSize }, () => {
+              const qber = `${run.sampleSize} sifted bits disclosed: ${run.sampleErrors} errors, estimated QBER ${percent(run.qber)}`
+              let estimate = e91 ? `${chsh} from ${run.chsh.rounds} rounds; ${qber}` : qber
+              if (decoy) {
+                const bounds = decoyState.bounds
+                estimate = `${qber}. Decoy and vacuum bits disclosed too: single-photon yield Y₁ ≥ ${percent(bounds.y1)} with errors e₁ ≤ ${percent(bounds.e1)}, so single photons made at least ${percent(bounds.share)} of the signal clicks`
+              }
+              addStep("estimating", 0.8, estimate, {
+                fidelity: 1 - run.qber,
+                errorRate: run.qber,
+              })
+
+              des.schedule(delay, "classical", { from: path[path.length - 1], to: path[0], aborted: run.aborted }, () => {
+                if (run.aborted) {
+                  let message = `QBER ${percent(run.qber)} exceeds the ${percent(run.threshold)} threshold, key discarded: the channel may be tapped`
+                  if (run.sifted === 0) message = "No sifted bits survived the channel, key exchange aborted"
+                  else if (e91 && run.chsh.value <= 2) message = `${chsh} does not violate the classical bound of 2, key discarded: the pairs may not be entangled`
+                  addStep("aborted", 1.0, message, { fidelity: 1 - run.qber, errorRate: run.qber })
+                  return
+                }
+
+                // Cascade's parity rounds, then Alice's hash of her key for Bob to check his against
+                const checked = `QBER ${percent(run.qber)} is below the ${percent(run.threshold)} threshold`
+                const residual = postProcessing.residualErrors / Math.max(postProcessing.siftedLength, 1)
+                des.schedule(2 * delay * postProcessing.rounds, "classical", { from: path[0], to: path[path.length - 1], parities: postProcessing.cascadeLeak }, () => {
+                  des.schedule(delay, "classical", { from: path[0], to: path[path.length - 1], hash: postProcessing.verificationBits }, () => {
+                    const cascade = `Cascade disclosed ${postProcessing.cascadeLeak} parities over ${postProcessing.passes} passes and corrected ${postProcessing.errorsCorrected} errors`
+                    addStep(
+                      "correcting",
+                      0.9,
+                      postProcessing.verified
+                        ? `${e91 ? `${chsh} and ${checked}` : checked}. ${cascade}; the ${postProcessing.verificationBits}-bit hash check passed`
+                        : `${cascade}, but ${postProcessing.residualErrors} remain and the ${postProcessing.verificationBits}-bit hash check failed`,
+                      { fidelity: 1 - residual, errorRate: residual },
+                    )
+
+                    if (!postProcessing.verified) {
+                      des.schedule(delay, "classical", { from: path[path.length - 1], to: path[0], verified: false }, () => {
+                        addStep("aborted", 1.0, "Error correction could not make the keys agree, key discarded", { fidelity: 1 - residual, errorRate: residual })
+                      })
+                      return
+                    }
+
+                    // Bob confirms the hash, Alice picks the Toeplitz matrix and publishes its seed
+                    des.schedule(delay, "classical", { from: path[path.length - 1], to: path[0], verified: true }, () => {
+                      addStep(
+                        "amplifying",
+                        0.95,
+                        `A random ${postProcessing.seedLength}-bit seed fixes a Toeplitz matrix that hashes the ${postProcessing.correctedLength}-bit corrected key down to ${postProcessing.finalLength} bits (${KeyPostProcessing.bounds[postProcessing.bound].toLowerCase()} bound, ${postProcessing.leaked} bits leaked${decoy ? `, only the ${percent(decoyState.bounds.share)} from single photons counted` : ""})`,
+                        { fidelity: 1, errorRate: 0 },
+                      )
+
+                      des.schedule(delay, "classical", { from: path[0], to: path[path.length - 1], seed: postProcessing.seedLength }, () => {
+                        const rate = postProcessing.finalLength / (des.now * 1e-6)
+                        addStep(
+                          postProcessing.finalLength > 0 ? "success" : "aborted",
+                          1.0,
+                          postProcessing.finalLength > 0
+                            ? `${postProcessing.finalLength}-bit secret key shared after ${formatDuration(des.now)}, ${rate.toFixed(0)} bits/s`
+                            : `Nothing is left after privacy amplification: the ${postProcessing.leaked} leaked bits and Eve's possible knowledge outweigh the ${postProcessing.correctedLength}-bit key`,
+                          { fidelity: 1, errorRate: 0 },
+                        )
+                      })
+                    })
+                  })
+                })
+              })
+            })
+          })
+        })
+      })
+    })
+    des.run()
+
+    // only the disclosed sample tells the parties anything about the key's quality
+    steps.forEach((step) => {
+      step.route = path
+      step.eve = eve
+      if (step.fidelity === undefined) return
+      this.fidelityHistory.push(step.fidelity)
+      this.errorRateHistory.push(step.errorRate)
+    })
+
+    const finalLength = postProcessing ? postProcessing.finalLength : 0
+    const results = {
+      success: finalLength > 0,
+      fidelity: 1 - run.qber,
+      errorRate: run.qber,
+      measurementShots: run.sampleSize,
+      purification: null,
+      channelEffect,
+      attempts: 1,
+      latency: des.now,
+      eventCount: des.log.length,
+      memory: { t1: this.memoryT1, t2: this.memoryT2 },
+      links: this.describeLinks(links),
+      qkd: {
+        ...stats,
+        path,
+        label: this.formatPath(path),
+        detection,
+        eveLink: eveName,
+        secretKeyRate: finalLength / (des.now * 1e-6), // bits per second over the whole exchange
+      },
+      noiseLevel,
+      purificationEnabled: false,
+      entanglementType,
+      errorModel,
+      nodeCount,
+      networkTopology,
+      fidelityHistory: this.fidelityHistory,
+      errorRateHistory: this.errorRateHistory,
+    }
+
+    this.steps = steps
+    this.results = results
+    return { steps, results }
+  }
+
+  // Teleports one qubit from the first node of the key path to the last. The pair source sits with
+  // Alice: her half stays in memory while the other crosses the whole path, and once the herald is
+  // back she measures and sends Bob her two bits, which his half waits for in memory.
+  simulateTeleportation(noiseLevel, errorModel) {
+    const steps = []
+    const entanglementType = "bell"
+    const nodeCount = this.nodeCount
+    const networkTopology = this.networkTopology
+    const route = this.planRoute(noiseLevel, errorModel, false, this.keyRequest()).chosen
+    const path = route.path
+    const links = route.links
+    const alice = this.graph.nodes[path[0]].name
+    const bob = this.graph.nodes[path[path.length - 1]].name
+    const { theta, phi } = this.teleportInput
+    const input = Teleportation.inputState(theta, phi)
+    const target = TargetStates.bell()
+
+    this.fidelityHistory = []
+    this.errorRateHistory = []
+
+    const des = new DiscreteEventSimulator()
+    const memory = new QuantumMemory(this.memoryT1, this.memoryT2)
+    let logIndex = 0
+    const timeline = () => {
+      const events = des.eventsSince(logIndex)
+      logIndex = des.log.length
+      return { time: des.now, events }
+    }
+
+    const degrees = (angle) => `${Math.round((angle * 180) / Math.PI)}°`
+    const percent = (value) => `${(value * 100).toFixed(1)}%`
+    const delay = links.reduce((sum, link) => sum + this.linkDelay(link), 0)
+    let run = null
+    let attempts = 0
+    let shared = null
+
+    const addStep = (status, progress, message, extra = {}) => {
+      steps.push({
+        status,
+        progress,
+        attempt: 1,
+        ...extra,
+        teleport: { stage: status, input: { theta, phi }, run },
+        ...timeline(),
+        message,
+        entanglementType,
+        errorModel,
+        nodeCount,
+        networkTopology,
+      })
+    }
+
+    const pair = StatePreparation.ghz(new DensityMatrix(2))
+    const inputLabel = `${alice} |ψ⟩`
+    const inputQubit = [DensityMatrix.fromStateVector(input), [inputLabel]]
+    addStep(
+      "preparing",
+      0.1,
+      `${alice} prepares |ψ⟩ = cos(θ/2)|0⟩ + e^{iφ} sin(θ/2)|1⟩ with θ = ${degrees(theta)}, φ = ${degrees(phi)}, and its source emits a Φ+ pair for ${bob} over ${this.formatPath(path)}`,
+      { fidelity: 1, errorRate: 0, qubits: this.heldQubits(inputQubit, [pair, [alice, bob]]) },
+    )
+
+    // Bob's half passes the noisy channel once per hop, composed as in the other modes
+    const excitedBefore = pair.excitedPopulation(1)
+    const coherenceBefore = pair.l1Coherence()
+    pair.applyChannel(NoiseChannels.forModel(errorModel, 1 - (1 - noiseLevel) ** links.length), [1])
+    const channelEffect = {
+      rate: noiseLevel,
+      excitedBefore,
+      excitedAfter: pair.excitedPopulation(1),
+      coherenceRetained: coherenceBefore > 0 ? pair.l1Coherence() / coherenceBefore : 1,
+    }
+
+    this.heraldPathPair(des, links, (emittedAt, arrivedAt, genuine, tries) => {
+      attempts = tries
+      const stored = memory.age(this.storedPair(pair, emittedAt, arrivedAt, genuine), des.now)
+      const pairFidelity = stored.state.fidelity(target)
+      addStep(
+        "sending",
+        0.3,
+        `Pair heralded after ${tries} attempt${tries > 1 ? "s" : ""} over ${links.length} link${links.length > 1 ? "s" : ""} (${this.formatChannel(errorModel, noiseLevel)} per hop${genuine ? "" : ", announced by a dark count"}): fidelity ${percent(pairFidelity)} once the herald is back`,
+        {
+          fidelity: pairFidelity,
+          errorRate: computationalErrorRate(stored.state, "bell"),
+          channelEffect,
+          qubits: this.heldQubits(inputQubit, [stored.state, [alice, bob]]),
+        },
+      )
+
+      shared = stored.state
+      // Bob's qubit keeps decohering for as long as the bits take to reach him
+      run = Teleportation.teleport(input, stored.state, memory.channel(delay))
+      run.delay = delay
+      run.genuine = genuine
+      run.measured = Teleportation.sample(run.outcomes)
+      const measured = run.measured
+      // Alice's qubits are left in the outcome she saw; Bob's is the input up to the Paulis he has not applied yet
+      const uncorrected = measured.state.clone()
+      Teleportation.corrections(measured.outcome)
+        .reverse()
+        .forEach((gate) => uncorrected.applyUnitary(Gates[gate], [0]))
+      const measuredBits = [this.measuredState(measured.outcome), [inputLabel, alice]]
+      const waiting = this.heldQubits(measuredBits, [uncorrected, [bob]])
+      addStep(
+        "measuring",
+        0.5,
+        `${alice} applies CNOT and H to |ψ⟩ and her half, then measures both: m₁m₂ = ${measured.outcome}, an outcome of probability ${percent(measured.probability)}`,
+        { fidelity: pairFidelity, errorRate: computationalErrorRate(stored.state, "bell"), qubits: waiting },
+      )
+
+      des.schedule(delay, "classical", { from: path[0], to: path[path.length - 1], bits: measured.outcome }, () => {
+        const corrections = Teleportation.corrections(measured.outcome)
+        addStep(
+          "signalling",
+          0.7,
+          `The bits ${measured.outcome} reach ${bob} after ${formatDuration(delay)} over the classical channel; his half waited in memory all that time`,
+          { fidelity: run.pairFidelity, errorRate: 1 - run.pairFidelity, qubits: waiting },
+        )
+        const corrected = this.heldQubits(measuredBits, [measured.state, [bob]])
+        addStep(
+          "correcting",
+          0.85,
+          corrections.length > 0
+            ? `${bob} applies ${corrections.join(" then ")}: teleported fidelity ${percent(measured.fidelity)}`
+            : `Outcome 00 needs no correction: teleported fidelity ${percent(measured.fidelity)}`,
+          { fidelity: measured.fidelity, errorRate: 1 - measured.fidelity, qubits: corrected },
+        )
+
+        // a pair good enough to beat measure-and-resend on average is what makes teleportation worth it
+        const success = run.averageFidelity > Teleportation.classicalLimit
+        addStep(
+          success ? "success" : "failed",
+          1.0,
+          success
+            ? `Qubit teleported after ${formatDuration(des.now)}: ${percent(measured.fidelity)} for this input, ${percent(run.averageFidelity)} averaged over all inputs against the classical ${percent(Teleportation.classicalLimit)}`
+            : `Averaged over all inputs the pair only reaches ${percent(run.averageFidelity)}, no better than measuring the qubit and sending the result (${percent(Teleportation.classicalLimit)})`,
+          { fidelity: measured.fidelity, errorRate: 1 - measured.fidelity, qubits: corrected },
+        )
+      })
+    })
+    des.run()
+
+    // the steps are pushed before run exists, so the later ones share it with the first
+    steps.forEach((step) => {
+      step.route = path
+      step.teleport.run = run
+      this.fidelityHistory.push(step.fidelity)
+      this.errorRateHistory.push(step.errorRate)
+    })
+
+    const results = {
+      success: run.averageFidelity > Teleportation.classicalLimit,
+      fidelity: run.measured.fidelity,
+      errorRate: 1 - run.measured.fidelity,
+      measurementShots: 1,
+      pairsConsumed: 1,
+      purification: null,
+      channelEffect,
+      attempts,
+      latency: des.now,
+      eventCount: des.log.length,
+      memory: { t1: this.memoryT1, t2: this.memoryT2 },
+      links: this.describeLinks(links),
+      teleportation: {
+        ...run,
+        input: { theta, phi },
+        path,
+        label: this.formatPath(path),
+        classicalLimit: Teleportation.classicalLimit,
+      },
+      finalState: {
+        ...this.heldQubits([shared, [alice, bob]]),
+        nodes: [alice, bob],
+        subject: "the shared pair once heralded, before the Bell measurement uses it up",
+      },
+      noiseLevel,
+      purificationEnabled: false,
+      entanglementType,
+      errorModel,
+      nodeCount,
+      networkTopology,
+      fidelityHistory: this.fidelityHistory,
+      errorRateHistory: this.errorRateHistory,
+    }
+
+    this.steps = steps
+    this.results = results
+    return { steps, results }
+  }
+
+  // Sends two classical bits from the first node of the key path to the last with one qubit. The
+  // pair is shared as for teleportation; once the herald is back Alice encodes the bits on her half
+  // and sends it across the same path, while Bob's half waits in memory for it to arrive.
+  simulateSuperdenseCoding(noiseLevel, errorModel) {
+    const steps = []
+    const entanglementType = "bell"
+    const nodeCount = this.nodeCount
+    const networkTopology = this.networkTopology
+    const route = this.planRoute(noiseLevel, errorModel, false, this.keyRequest()).chosen
+    const path = route.path
+    const links = route.links
+    const alice = this.graph.nodes[path[0]].name
+    const bob = this.graph.nodes[path[path.length - 1]].name
+    const message = this.denseMessage
+    const sent = DENSE_MESSAGES.indexOf(message)
+    const operation = SuperdenseCoding.operation(message)
+    const target = TargetStates.bell()
+
+    this.fidelityHistory = []
+    this.errorRateHistory = []
+
+    const des = new DiscreteEventSimulator()
+    const memory = new QuantumMemory(this.memoryT1, this.memoryT2)
+    let logIndex = 0
+    const timeline = () => {
+      const events = des.eventsSince(logIndex)
+      logIndex = des.log.length
+      return { time: des.now, events }
+    }
+
+    const percent = (value) => `${(value * 100).toFixed(1)}%`
+    const bits = (value) => `${value.toFixed(2)} bit${value.toFixed(2) === "1.00" ? "" : "s"}`
+    const delay = links.reduce((sum, link) => sum + this.linkDelay(link), 0)
+    let run = null
+    let attempts = 0
+    let shared = null
+
+    const addStep = (status, progress, text, extra = {}) => {
+      steps.push({
+        status,
+        progress,
+        attempt: 1,
+        ...extra,
+        superdense: { stage: status, message, run },
+        ...timeline(),
+        message: text,
+        entanglementType,
+        errorModel,
+        nodeCount,
+        networkTopology,
+      })
+    }
+
+    const pair = StatePreparation.ghz(new DensityMatrix(2))
+    addStep(
+      "preparing",
+      0.1,
+      `${alice} wants to send the bits ${message} to ${bob}; her source emits a Φ+ pair for ${bob} over ${this.formatPath(path)}`,
+      { fidelity: 1, errorRate: 0, qubits: this.heldQubits([pair, [alice, bob]]) },
+    )
+
+    // Bob's half passes the noisy channel once per hop, and so does Alice's qubit later on
+    const hopRate = 1 - (1 - noiseLevel) ** links.length
+    const channel = NoiseChannels.forModel(errorModel, hopRate)
+    const excitedBefore = pair.excitedPopulation(1)
+    const coherenceBefore = pair.l1Coherence()
+    pair.applyChannel(channel, [1])
+    const channelEffect = {
+      rate: noiseLevel,
+      excitedBefore,
+      excitedAfter: pair.excitedPopulation(1),
+      coherenceRetained: coherenceBefore > 0 ? pair.l1Coherence() / coherenceBefore : 1,
+    }
+
+    this.heraldPathPair(des, links, (emittedAt, arrivedAt, genuine, tries) => {
+      attempts = tries
+      const stored = memory.age(this.storedPair(pair, emittedAt, arrivedAt, genuine), des.now)
+      const pairFidelity = stored.state.fidelity(target)
+      addStep(
+        "sending",
+        0.3,
+        `Pair heralded after ${tries} attempt${tries > 1 ? "s" : ""} over ${links.length} link${links.length > 1 ? "s" : ""} (${this.formatChannel(errorModel, noiseLevel)} per hop${genuine ? "" : ", announced by a dark count"}): fidelity ${percent(pairFidelity)} once the herald is back`,
+        {
+          fidelity: pairFidelity,
+          errorRate: computationalErrorRate(stored.state, "bell"),
+          channelEffect,
+          qubits: this.heldQubits([stored.state, [alice, bob]]),
+        },
+      )
+
+      // Alice's qubit crosses the channel again while Bob's half waits in memory for it
+      shared = stored.state
+      run = SuperdenseCoding.analyse(stored.state, channel, memory.channel(delay))
+      run.delay = delay
+      run.genuine = genuine
+      run.decoded = SuperdenseCoding.sample(run.rows[sent])
+      const arriving = run.rows[sent][sent]
+      const encoded = stored.state.clone()
+      SuperdenseCoding.encoding(message).forEach((gate) => encoded.applyUnitary(Gates[gate], [0]))
+      addStep(
+        "encoding",
+        0.5,
+        operation === "I"
+          ? `${alice} leaves her half alone to send 00, keeping the pair in Φ+`
+          : `${alice} applies ${operation} to her half to send ${message}, turning the pair into ${DENSE_STATES[sent]}`,
+        { fidelity: pairFidelity, errorRate: computationalErrorRate(stored.state, "bell"), qubits: this.heldQubits([encoded, [alice, bob]]) },
+      )
+
+      des.schedule(delay, "propagation", { links, arrived: true, encoded: message }, () => {
+        encoded.applyKraus(channel, [0]).applyKraus(memory.channel(delay), [1])
+        const decoded = this.heldQubits([this.measuredState(run.decoded), [alice, bob]])
+        addStep(
+          "transmitting",
+          0.7,
+          `${alice}'s qubit reaches ${bob} after ${formatDuration(delay)}, picking up the channel noise again; the two qubits now hold ${DENSE_STATES[sent]} with fidelity ${percent(arriving)}`,
+          { fidelity: arriving, errorRate: 1 - arriving, qubits: this.heldQubits([encoded, [alice, bob]]) },
+        )
+        const correct = run.decoded === message
+        addStep(
+          "decoding",
+          0.85,
+          `${bob} applies CNOT and H and measures both qubits: he reads ${run.decoded}${correct ? ", the bits Alice sent" : `, not the ${message} Alice sent`}`,
+          { fidelity: arriving, errorRate: 1 - arriving, qubits: decoded },
+        )
+
+        // beating the one bit an unassisted qubit can carry is what makes the pair worth it
+        const success = run.information > SuperdenseCoding.classicalCapacity
+        addStep(
+          success ? "success" : "failed",
+          1.0,
+          success
+            ? `${correct ? "Message decoded" : "Message corrupted"} after ${formatDuration(des.now)}: at a ${percent(run.errorRate)} decoding error rate one qubit carries ${bits(run.information)}, above the classical ${bits(SuperdenseCoding.classicalCapacity)}`
+            : `At a ${percent(run.errorRate)} decoding error rate one qubit only carries ${bits(run.information)}, no more than the classical ${bits(SuperdenseCoding.classicalCapacity)} without the pair`,
+          { fidelity: arriving, errorRate: 1 - arriving, qubits: decoded },
+        )
+      })
+    })
+    des.run()
+
+    // the steps are pushed before run exists, so the later ones share it with the first
+    steps.forEach((step) => {
+      step.route = path
+      step.superdense.run = run
+      this.fidelityHistory.push(step.fidelity)
+      this.errorRateHistory.push(step.errorRate)
+    })
+
+    const results = {
+      success: run.information > SuperdenseCoding.classicalCapacity,
+      fidelity: run.rows[sent][sent],
+      errorRate: 1 - run.rows[sent][sent],
+      measurementShots: 1,
+      pairsConsumed: 1,
+      purification: null,
+      channelEffect,
+      attempts,
+      latency: des.now,
+      eventCount: des.log.length,
+      memory: { t1: this.memoryT1, t2: this.memoryT2 },
+      links: this.describeLinks(links),
+      superdense: {
+        ...run,
+        message,
+        operation,
+        path,
+        label: this.formatPath(path),
+        hops: links.length,
+        classicalCapacity: SuperdenseCoding.classicalCapacity,
+      },
+      finalState: {
+        ...this.heldQubits([shared, [alice, bob]]),
+        nodes: [alice, bob],
+        subject: "the shared pair once heralded, before Alice encodes her bits",
+      },
+      noiseLevel,
+      purificationEnabled: false,
+      entanglementType,
+      errorModel,
+      nodeCount,
+      networkTopology,
+      fidelityHistory: this.fidelityHistory,
+      errorRateHistory: this.errorRateHistory,
+    }
+
+    this.steps = steps
+    this.results = results
+    return { steps, results }
+  }
+
+  // Runs the built circuit next to a noiseless copy. Each gate is one step; a gate on qubits held by
+  // different nodes waits for the remote ones to arrive over the shortest path and return, while
+  // the qubits left behind sit in memory.
+  simulateCircuit(noiseLevel, errorModel) {
+    const steps = []
+    const circuit = this.circuit
+    const qubitCount = circuit.qubitCount
+    const entanglementType = "bell"
+    const nodeCount = this.nodeCount
+    const networkTopology = this.networkTopology
+    const links = this.graph.links
+    const measurementShots = 1024
+    const measured = circuit.measuredQubits().sort((a, b) => a - b)
+    const shown = measured.length > 0 ? measured : circuit.holders.map((_, qubit) => qubit)
+    const holderName = (qubit) => this.graph.nodes[circuit.holders[qubit]].name
+    const qubitName = (qubit) => `q${qubit + 1}`
+    const labels = circuit.holders.map((_, qubit) => `${qubitName(qubit)} · ${holderName(qubit)}`)
+
+    this.fidelityHistory = []
+    this.errorRateHistory = []
+
+    const des = new DiscreteEventSimulator()
+    const memory = new QuantumMemory(this.memoryT1, this.memoryT2)
+    let logIndex = 0
+    const timeline = () => {
+      const events = des.eventsSince(logIndex)
+      logIndex = des.log.length
+      return { time: des.now, events }
+    }
+
+    const ideal = new DensityMatrix(qubitCount)
+    const state = new DensityMatrix(qubitCount)
+    const crossed = new Map() // link key → link, every link a qubit travelled
+    let transfers = 0
+    let remoteGates = 0
+
+    const quality = () => ({
+      fidelity: CircuitBuilder.overlap(ideal, state),
+      errorRate: CircuitBuilder.totalVariation(CircuitBuilder.outcomes(ideal, shown), CircuitBuilder.outcomes(state, shown)),
+    })
+    const addStep = (status, index, message, route) => {
+      steps.push({
+        status,
+        progress: (index + 1) / (circuit.operations.length + 1),
+        attempt: 1,
+        ...quality(),
+        qubits: this.heldQubits([state, labels]),
+        circuit: { stage: status, index, run: null },
+        route,
+        ...timeline(),
+        message,
+        entanglementType,
+        errorModel,
+        nodeCount,
+        networkTopology,
+      })
+    }
+
+    const holders = [...new Set(circuit.holders)].map((node) => this.graph.nodes[node].name).join(", ")
+    addStep("preparing", -1, `${qubitCount} qubit${qubitCount > 1 ? "s" : ""} start in |0⟩ at ${holders}`, [circuit.holders[0]])
+
+    // Carries every remote operand to the gate's node and back; the others wait in memory meanwhile
+    const travel = (qubits, node, then) => {
+      const paths = qubits.map((qubit) =>
+        NetworkTopology.shortestPath(links, nodeCount, circuit.holders[qubit], node, (link) => this.linkDelay(link)),
+      )
+      const delays = paths.map((path) => this.pathDelay(links, nodeCount, path[0], node))
+      paths.forEach((path, i) => {
+        for (let hop = 0; hop + 1 < path.length; hop++) {
+          const link = NetworkTopology.findLink(links, path[hop], path[hop + 1])
+          crossed.set(NetworkTopology.linkKey(link.source, link.target), link)
+        }
+        state.applyKraus(this.sendingChannel(errorModel, noiseLevel, path.length - 1), [qubits[i]])
+      })
+      const waiting = circuit.holders.map((_, qubit) => qubit).filter((qubit) => !qubits.includes(qubit))
+      const wait = Math.max(...delays)
+      state.applyChannel(memory.channel(wait), waiting)
+      des.schedule(wait, "propagation", { qubits, to: node }, () => then(paths))
+    }
+
+    const perform = (index) => {
+      if (index >= circuit.operations.length) return
+      const operation = circuit.operations[index]
+      const definition = CIRCUIT_GATES[operation.gate]
+      const operands = operation.targets.map(qubitName).join(", ")
+      const label = definition.angle ? `${operation.gate}(${CircuitBuilder.formatAngle(operation.angle)})` : operation.gate
+      const node = circuit.holders[operation.targets[0]]
+      const remote = circuit.remoteQubits(operation)
+
+      if (remote.length === 0) {
+        CircuitBuilder.apply(ideal, operation)
+        CircuitBuilder.apply(state, operation)
+        const where = this.graph.nodes[node].name
+        addStep(
+          operation.gate === "MEASURE" ? "measuring" : "gate",
+          index,
+          operation.gate === "MEASURE"
+            ? `${where} measures ${operands}; the outcome is read at the end of the run`
+            : `${where} applies ${label} to ${operands}`,
+          [node],
+        )
+        perform(index + 1)
+        return
+      }
+
+      remoteGates++
+      transfers += remote.length
+      const departed = des.now
+      travel(remote, node, (paths) => {
+        CircuitBuilder.apply(ideal, operation)
+        CircuitBuilder.apply(state, operation)
+        const hops = paths.map((path, i) => `${qubitName(remote[i])} from ${holderName(remote[i])} (${path.length - 1} hop${path.length > 2 ? "s" : ""})`)
+        const trip = des.now - departed
+        travel(remote, node, () => {
+          addStep(
+            "sending",
+            index,
+            `${this.graph.nodes[node].name} applies ${label} to ${operands}: ${hops.join(", ")} crossed the channel in ${formatDuration(trip)} each way`,
+            paths.reduce((longest, path) => (path.length > longest.length ? path : longest)),
+          )
+          perform(index + 1)
+        })
+      })
+    }
+    perform(0)
+    des.run()
+
+    const idealOutcomes = CircuitBuilder.outcomes(ideal, shown)
+    const noisyOutcomes = CircuitBuilder.outcomes(state, shown)
+    const counts = CircuitBuilder.sampleCounts(noisyOutcomes, measurementShots)
+    const { fidelity, errorRate } = quality()
+    const threshold = 0.8
+    const success = fidelity >= threshold
+    const run = {
+      circuit: circuit.clone(), // later edits must not change what the playback draws
+      qubits: qubitCount,
+      holders: circuit.holders.map((node) => this.graph.nodes[node].name),
+      gates: circuit.operations.length,
+      depth: circuit.depth,
+      remoteGates,
+      transfers,
+      measured: shown,
+      measuredAll: measured.length === 0,
+      outcomes: idealOutcomes.map((probability, index) => ({
+        bits: index.toString(2).padStart(shown.length, "0"),
+        ideal: probability,
+        noisy: noisyOutcomes[index],
+        count: counts[index],
+      })),
+      threshold,
+    }
+    addStep(
+      success ? "success" : "failed",
+      circuit.operations.length - 1,
+      `Circuit finished after ${formatDuration(des.now)}: fidelity ${(fidelity * 100).toFixed(1)}% with the noiseless run, outcome distributions ${(errorRate * 100).toFixed(1)}% apart`,
+      [circuit.holders[0]],
+    )
+
+    steps.forEach((step) => {
+      step.circuit.run = run
+      this.fidelityHistory.push(step.fidelity)
+      this.errorRateHistory.push(step.errorRate)
+    })
+
+    // Amplitude damping shows up as a drift toward |0⟩, phase damping only as lost coherence
+    const qubits = circuit.holders.map((_, qubit) => qubit)
+    const idealCoherence = ideal.l1Coherence()
+    const results = {
+      success,
+      fidelity,
+      errorRate,
+      measurementShots,
+      pairsConsumed: 0,
+      purification: null,
+      channelEffect: {
+        rate: noiseLevel,
+        excitedBefore: this.averageExcitedPopulation(ideal, qubits),
+        excitedAfter: this.averageExcitedPopulation(state, qubits),
+        coherenceRetained: idealCoherence > 0 ? state.l1Coherence() / idealCoherence : 1,
+      },
+      attempts: 1,
+      latency: des.now,
+      eventCount: des.log.length,
+      memory: { t1: this.memoryT1, t2: this.memoryT2 },
+      links: this.describeLinks(crossed.size > 0 ? [...crossed.values()] : links),
+      circuit: run,
+      finalState: {
+        ...this.heldQubits([state, labels]),
+        nodes: circuit.holders.map((_, qubit) => holderName(qubit)),
+        subject: "the circuit's final state, before its measurements",
+      },
+      noiseLevel,
+      purificationEnabled: false,
+      entanglementType,
+      errorModel,
+      nodeCount,
+      networkTopology,
+      fidelityHistory: this.fidelityHistory,
+      errorRateHistory: this.errorRateHistory,
+    }
+
+    this.steps = steps
+    this.results = results
+    return { steps, results }
+  }
+
+  // What Eve does to the photons, for the sending step
+  describeAttack(attack) {
+    const share = `${Math.round(attack.fraction * 100)}% of the photons`
+    switch (attack.strategy) {
+      case "breidbart":
+        return `she measures ${share} in the Breidbart basis, halfway between + and ×, and resends what she saw`
+      case "cloning":
+        return `she clones every photon with a phase-covariant cloner at η = ${((attack.eta * 180) / Math.PI).toFixed(1)}° and keeps her copies until the bases are announced`
+      case "pns":
+        return `she splits one photon off every multi-photon pulse she can use from ${share}, sends the rest on losslessly and blocks ${Math.round((1 - attack.plan.forwardSingle) * 100)}% of the single photons`
+      default:
+        return `she measures ${share} in a random basis and resends what she saw`
+    }
+  }
+
+  formatPath(path) {
+    return path.map((node) => this.graph.nodes[node].name).join(" → ")
+  }
+
+  // One-way propagation delay of a link in μs
+  linkDelay(link) {
+    return this.getLinkParameters(link).length * FIBRE_DELAY_US_PER_KM
+  }
+
+  pathDelay(links, nodeCount, from, to) {
+    const path = NetworkTopology.shortestPath(links, nodeCount, from, to, (link) => this.linkDelay(link))
+    let delay = 0
+    for (let i = 0; i + 1 < path.length; i++) delay += this.linkDelay(NetworkTopology.findLink(links, path[i], path[i + 1]))
+    return delay
+  }
+
+  // Heralded generation of one pair: the source emits a photon, it propagates through the fibre and
+  // the far node signals back whether it clicked. Every failed attempt costs a round trip; they are
+  // sampled in one go and logged as a single empty herald so that very lossy links stay cheap.
+  heraldPair(des, link, onHeralded) {
+    this.heraldPathPair(des, [link], onHeralded)
+  }
+
+  // The same over several links when nothing stores the photon on the way; onHeralded also
+  // learns how many attempts it took
+  heraldPathPair(des, links, onHeralded) {
+    const delay = links.reduce((sum, link) => sum + this.linkDelay(link), 0)
+    const herald = LinkPhysics.pathHerald(links.map((link) => this.getLinkParameters(link)))
+    const attempts = Math.max(1, Math.ceil(Math.log(1 - Math.random()) / Math.log1p(-herald.successProbability)))
+    const failedTime = 2 * delay * (attempts - 1)
+
+    if (attempts > 1) des.schedule(failedTime, "heralding", { links, arrived: false, failedAttempts: attempts - 1 })
+    des.schedule(failedTime, "emission", { links, attempt: attempts }, () => {
+      const emittedAt = des.now
+      // the click may have been a dark count, in which case no photon was stored at the far end
+      const genuine = Math.random() >= herald.falseHeraldFraction
+      des.schedule(delay, "propagation", { links, arrived: true }, () => {
+        const arrivedAt = des.now
+        des.schedule(delay, "heralding", { links, arrived: true, genuine }, () => {
+          onHeralded(emittedAt, arrivedAt, genuine, attempts)
+        })
+      })
+    })
+  }
+
+  // Per-link physics and herald statistics for the results view
+  describeLinks(links) {
+    return links.map((link) => {
+      const params = this.getLinkParameters(link)
+      return { source: link.source, target: link.target, ...params, ...LinkPhysics.herald(params) }
+    })
+  }
+
+  // The channel a qubit suffers over the given number of hops. With a code selected, entanglement
+  // distribution sends it as a code block corrected at the far end, which leaves the logical channel.
+  sendingChannel(errorModel, noiseLevel, hops = 1) {
+    const rate = 1 - (1 - noiseLevel) ** hops
+    if (this.mode !== "distribution" || this.qecCode === "none") return NoiseChannels.forModel(errorModel, rate)
+    return ErrorCorrection.logicalChannel(this.qecCode, errorModel, rate).kraus
+  }
+
+  // Error rates with and without the code for one qubit sent over the given hops, and one block
+  // sampled for the circuit view; null without a code
+  describeQEC(errorModel, noiseLevel, hops) {
+    if (this.qecCode === "none") return null
+    const rate = 1 - (1 - noiseLevel) ** hops
+    const code = QEC_CODES[this.qecCode]
+    const channel = ErrorCorrection.logicalChannel(this.qecCode, errorModel, rate)
+    return {
+      code: this.qecCode,
+      name: code.name,
+      hops,
+      physicalQubits: code.qubits,
+      ancillas: code.stabilizers.length,
+      physicalErrorRate: channel.physicalErrorRate,
+      logicalErrorRate: channel.logicalErrorRate,
+      logical: channel.logical,
+      sample: ErrorCorrection.sample(this.qecCode, errorModel, rate),
+    }
+  }
+
+  formatQEC(qec) {
+    return `${qec.name} code: logical error ${(qec.logicalErrorRate * 100).toFixed(2)}% against ${(qec.physicalErrorRate * 100).toFixed(2)}% unencoded`
+  }
+
+  // A pair announced by a dark count leaves the two memories uncorrelated
+  storedPair(template, emittedAt, arrivedAt, genuine) {
+    const state = template.clone()
+    if (!genuine) state.applyChannel(NoiseChannels.depolarizing(1), [1])
+    return { state, storedSince: [emittedAt, arrivedAt] }
+  }
+
+  // One recurrence round on a link: both ends act on their halves of two stored pairs, then
+  // exchange their measurement outcomes to learn whether the surviving pair is kept
+  purifyPairs(des, memory, link, first, second, onDone) {
+    memory.age(first, des.now)
+    memory.age(second, des.now)
+    const outcome = Purification.round(
+      this.purificationProtocol,
+      BellStates.coefficients(first.state),
+      BellStates.coefficients(second.state),
+    )
+    const succeeded = Math.random() < outcome.successProbability
+    const operatedAt = des.now
+
+    des.schedule(this.linkDelay(link), "classical", { link, purification: true, succeeded }, () => {
+      onDone({
+        succeeded,
+        successProbability: outcome.successProbability,
+        pair: succeeded
+          ? { state: BellStates.fromCoefficients(outcome.coefficients), storedSince: [operatedAt, operatedAt] }
+          : null,
+      })
+    })
+  }
+
+  // Heralds one elementary link, purifying it recursively when rounds > 0. A failed round throws
+  // both inputs away and the link is regenerated; pair.pairs counts every raw pair that went in.
+  purifyLink(des, memory, link, rawPair, rounds, onReady, discarded = 0) {
+    if (rounds === 0) {
+      this.heraldPair(des, link, (emittedAt, arrivedAt, genuine) => {
+        onReady({ ...this.storedPair(rawPair, emittedAt, arrivedAt, genuine), pairs: discarded + 1 })
+      })
+      return
+    }
+
+    const inputs = []
+    const collect = (pair) => {
+      inputs.push(pair)
+      if (inputs.length < 2) return
+      const pairs = discarded + inputs[0].pairs + inputs[1].pairs
+      this.purifyPairs(des, memory, link, inputs[0], inputs[1], (outcome) => {
+        if (outcome.succeeded) onReady({ ...outcome.pair, pairs })
+        else this.purifyLink(des, memory, link, rawPair, rounds, onReady, pairs)
+      })
+    }
+    this.purifyLink(des, memory, link, rawPair, rounds - 1, collect)
+    this.purifyLink(des, memory, link, rawPair, rounds - 1, collect)
+  }
+
+  // Fastest route from node 0 to every node; paths[0] is just [0]
+  sourcePaths(links, nodeCount) {
+    const paths = []
+    for (let node = 0; node < nodeCount; node++) {
+      paths.push(NetworkTopology.shortestPath(links, nodeCount, 0, node, (link) => this.linkDelay(link)))
+    }
+    return paths
+  }
+
+  // The source prepares the whole state and teleports qubit q to node q along paths[q],
+  // one heralded pair per hop. Every qubit sits in some memory from then until all nodes hold theirs.
+  // Qubits teleported over a dark-count pair arrive as noise and are reported as corrupted.
+  distributeFromSource(des, links, paths, onReady) {
+    const emittedAt = des.now
+    const corruptedQubits = []
+    let pending = paths.length - 1
+    for (let node = 1; node < paths.length; node++) {
+      this.relayQubit(des, links, paths[node], 0, true, (genuine) => {
+        if (!genuine) corruptedQubits.push(node)
+        pending--
+        if (pending === 0) onReady(emittedAt, corruptedQubits)
+      })
+    }
+  }
+
+  relayQubit(des, links, path, hop, genuine, onArrived) {
+    if (hop === path.length - 1) {
+      onArrived(genuine)
+      return
+    }
+    const link = NetworkTopology.findLink(links, path[hop], path[hop + 1])
+    this.heraldPair(des, link, (emittedAt, arrivedAt, pairGenuine) => {
+      // the Bell-measurement outcome tells the next node which correction to apply
+      des.schedule(this.linkDelay(link), "classical", { link, from: path[hop], to: path[hop + 1] }, () =>
+        this.relayQubit(des, links, path, hop + 1, genuine && pairGenuine, onArrived),
+      )
+    })
+  }
+
+  formatNestingLevel() {
+    return Number.isFinite(this.nestingLevel) ? this.nestingLevel : "auto"
+  }
+
+  // The qubits held at a step under the names they go by, for the Bloch sphere and density matrix
+  // views. Each part is a state with its labels, and the parts are joined by a tensor product.
+  heldQubits(...parts) {
+    return {
+      labels: parts.flatMap(([, labels]) => labels),
+      matrix: parts.map(([state]) => state.matrix).reduce((joint, matrix) => joint.kron(matrix)).clone(),
+    }
+  }
+
+  // Measured qubits are left in the basis state they were found in, the first as the leftmost bit
+  measuredState(bits) {
+    const state = new DensityMatrix(bits.length)
+    const index = parseInt(bits, 2)
+    state.matrix.re[0] = 0
+    state.matrix.re[index * state.dim + index] = 1
+    return state
+  }
+
+  averageExcitedPopulation(state, qubits) {
+    if (qubits.length === 0) return 0
+    return qubits.reduce((sum, q) => sum + state.excitedPopulation(q), 0) / qubits.length
+  }
+
+  formatChannel(errorModel, rate) {
+    switch (errorModel) {
+      case "amplitude":
+        return `amplitude damping, γ = ${rate.toFixed(2)}`
+      case "phase":
+        return `phase damping, λ = ${rate.toFixed(2)}`
+      default:
+        return `depolarizing, p = ${rate.toFixed(2)}`
+    }
+  }
+
+  startSimulation(noiseLevel, purificationEnabled, speed, entanglementType, errorModel, onStep, onComplete) {
+    this.reset()
+    this.simulateQuantumCommunication(noiseLevel, purificationEnabled, entanglementType, errorModel)
+    this.isRunning = true
+    this.isPaused = false
+    this.currentStepIndex = 0
+    this.runNextStep(speed, onStep, onComplete)
+  }
+
+  runNextStep(speed, onStep, onComplete) {
+    if (!this.isRunning || this.isPaused) return
+
+    if (this.currentStepIndex < this.steps.length) {
+      const currentStep = this.steps[this.currentStepIndex]
+      if (onStep) onStep(currentStep, this.currentStepIndex, this.steps)
+      this.currentStepIndex++
+
+      const stepDelay = this.getStepDelay(this.currentStepIndex - 1) / speed
+
+      this.simulationTimer = setTimeout(() => {
+        this.runNextStep(speed, onStep, onComplete)
+      }, stepDelay)
+    } else {
+      this.isRunning = false
+      if (onComplete) onComplete(this.results)
+    }
+  }
+
+  // Playback follows the event timeline: the wait before the next step is its share of the simulated
+  // time, scaled so a whole run lasts about a second per step at 1x speed
+  getStepDelay(index) {
+    const baseDelay = 1000
+    const next = this.steps[index + 1]
+    const totalTime = this.steps[this.steps.length - 1].time
+    if (!next || !totalTime) return baseDelay
+
+    const share = (next.time - this.steps[index].time) / totalTime
+    return Math.min(3 * baseDelay, Math.max(0.2 * baseDelay, share * this.steps.length * baseDelay))
+  }
+
+  togglePause(speed, onStep, onComplete) {
+    this.isPaused = !this.isPaused
+
+    if (!this.isPaused && this.isRunning) {
+      this.runNextStep(speed, onStep, onComplete)
+    }
+  }
+
+  reset() {
+    if (this.simulationTimer) {
+      clearTimeout(this.simulationTimer)
+      this.simulationTimer = null
+    }
+
+    this.steps = []
+    this.results = null
+    this.currentStepIndex = 0
+    this.isRunning = false
+    this.isPaused = false
+    this.fidelityHistory = []
+    this.errorRateHistory = []
+  }
+
+  getCurrentStep() {
+    if (this.currentStepIndex > 0 && this.currentStepIndex <= this.steps.length) {
+      return this.steps[this.currentStepIndex - 1]
+    }
+    return null
+  }
+
+  getSimulationHistory() {
+    return this.steps
+  }
+
+  getResults() {
+    return this.results
+  }
+
+  getFidelityHistory() {
+    return this.fidelityHistory
+  }
+
+  getErrorRateHistory() {
+    return this.errorRateHistory
+  }
+}
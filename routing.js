@@ -0,0 +1,75 @@
+// Path selection for entanglement requests between two nodes. Each metric becomes an additive link
+// weight so the shortest-path search in NetworkTopology can pick the route:
+//   hops      one per link
+//   fidelity  −log W per link, W = (4F − 1)/3 the Werner parameter; swapping multiplies W along the path
+//   rate      expected time to generate the link, so the route minimises the summed generation time
+
+const EntanglementRouting = {
+  metrics: {
+    hops: "Hop Count",
+    fidelity: "Expected Fidelity",
+    rate: "Expected Rate",
+  },
+
+  // Expected pair on one link and how long it takes to make. coefficients are the Bell-diagonal
+  // weights of a genuine pair after the channel; dark-count heralds mix in the maximally mixed state.
+  linkEstimate(params, coefficients, protocol, rounds) {
+    const herald = LinkPhysics.herald(params)
+    const delay = params.length * FIBRE_DELAY_US_PER_KM
+    let mixed = coefficients.map((c) => (1 - herald.falseHeraldFraction) * c + herald.falseHeraldFraction / 4)
+    let generationTime = (2 * delay) / herald.successProbability
+
+    for (let round = 0; round < rounds; round++) {
+      const outcome = Purification.round(protocol, mixed, mixed)
+      mixed = outcome.coefficients
+      // both inputs are made in parallel (the longer of two exponential waits averages 1.5 of them),
+      // then one classical message decides the round, and a failure starts the round over
+      generationTime = (1.5 * generationTime + delay) / outcome.successProbability
+    }
+    return { fidelity: mixed[0], generationTime }
+  },
+
+  weight(metric, estimate) {
+    switch (metric) {
+      case "fidelity":
+        // links that carry no entanglement at all still get a finite, very large weight
+        return -Math.log(Math.max((4 * estimate.fidelity - 1) / 3, 1e-9))
+      case "rate":
+        return estimate.generationTime
+      case "hops":
+      default:
+        return 1
+    }
+  },
+
+  pathEstimate(estimates) {
+    const werner = estimates.reduce((product, estimate) => product * Math.max((4 * estimate.fidelity - 1) / 3, 0), 1)
+    const generationTime = estimates.reduce((sum, estimate) => sum + estimate.generationTime, 0)
+    return {
+      hops: estimates.length,
+      fidelity: 0.25 + 0.75 * werner,
+      generationTime,
+      rate: 1e6 / generationTime, // pairs per second
+    }
+  },
+
+  // Best path from source to target under one metric, or null when they are not connected
+  route(graph, source, target, metric, estimateLink) {
+    const estimates = new Map(graph.links.map((link) => [link, estimateLink(link)]))
+    const path = NetworkTopology.shortestPath(graph.links, graph.nodeCount, source, target, (link) =>
+      EntanglementRouting.weight(metric, estimates.get(link)),
+    )
+    if (!path) return null
+
+    const links = []
+    for (let i = 0; i + 1 < path.length; i++) links.push(graph.findLink(path[i], path[i + 1]))
+    return { metric, path, links, estimate: EntanglementRouting.pathEstimate(links.map((link) => estimates.get(link))) }
+  },
+
+  // The same request routed under every metric, for side-by-side comparison
+  compare(graph, source, target, estimateLink) {
+    return Object.keys(EntanglementRouting.metrics).map((metric) =>
+      EntanglementRouting.route(graph, source, target, metric, estimateLink),
+    )
+  },
+}
@@ -1,337 +1,9 @@
 document.addEventListener("DOMContentLoaded", () => {
-    class QuantumSimulation {
-      constructor() {
-        this.steps = []
-        this.results = null
-        this.currentStepIndex = 0
-        this.isRunning = false
-        this.isPaused = false
-        this.simulationTimer = null
-        this.fidelityHistory = []
-        this.errorRateHistory = []
-        this.nodeCount = 2 // set it to default at start btw: Alice and Bob
-        this.networkTopology = "linear" // default: linear chain of nodes
-      }
-  
-      setNodeCount(count) {
-        this.nodeCount = Math.min(Math.max(2, count), 10) // we can fix the limit btw 2-10 nodes at a time
-      }
-  
-      setNetworkTopology(topology) {
-        this.networkTopology = topology
-      }
-  
-      simulateQuantumCommunication(
-        noiseLevel,
-        purificationEnabled,
-        entanglementType = "bell",
-        errorModel = "depolarizing",
-      ) {
-        const steps = []
-        const threshold = 0.8
-        const maxAttempts = 3
-        let attempt = 0
-        let success = false
-  
-        this.fidelityHistory = []
-        this.errorRateHistory = []
-  
-        // we'll get the node counts and topology from class properties
-        const nodeCount = this.nodeCount
-        const networkTopology = this.networkTopology
-  
-        while (!success && attempt < maxAttempts) {
-          attempt++
-  
-          steps.push({
-            status: "initializing",
-            progress: 0.1,
-            attempt,
-            message: `Attempt ${attempt}/${maxAttempts}: Initializing ${nodeCount} qubits`,
-            entanglementType,
-            errorModel,
-            nodeCount,
-            networkTopology,
-          })
-  
-          let entanglementDescription = ""
-          switch (entanglementType) {
-            case "ghz":
-              entanglementDescription = `Creating GHZ state across ${nodeCount} nodes`
-              break
-            case "w":
-              entanglementDescription = `Creating W state across ${nodeCount} nodes`
-              break
-            default:
-              entanglementDescription = `Creating Bell pairs between nodes in ${networkTopology} topology`
-          }
-  
-          steps.push({
-            status: "initializing",
-            progress: 0.2,
-            attempt,
-            message: entanglementDescription,
-            entanglementType,
-            errorModel,
-            nodeCount,
-            networkTopology,
-          })
-  
-          steps.push({
-            status: "sending",
-            progress: 0.3,
-            attempt,
-            message: `Distributing entangled qubits across ${nodeCount} nodes`,
-            entanglementType,
-            errorModel,
-            nodeCount,
-            networkTopology,
-          })
-  
-          // Calculate fidelity based on network complexity
-          // More nodes or complex topologies have lower base fidelity
-          const topologyFactor =
-            networkTopology === "mesh" ? 0.15 : networkTopology === "ring" ? 0.1 : networkTopology === "star" ? 0.05 : 0
-  
-          const nodeFactor = Math.max(0, (nodeCount - 2) * 0.03)
-          const adjustedNoiseLevel = noiseLevel + topologyFactor + nodeFactor
-  
-          let fidelity = this.calculateFidelity(adjustedNoiseLevel, attempt, errorModel)
-          let errorRate = adjustedNoiseLevel
-  
-          this.fidelityHistory.push(fidelity)
-          this.errorRateHistory.push(errorRate)
-  
-          if (purificationEnabled && fidelity < threshold) {
-            steps.push({
-              status: "purifying",
-              progress: 0.4,
-              fidelity,
-              errorRate,
-              attempt,
-              message: `Applying purification protocols across ${nodeCount} nodes`,
-              entanglementType,
-              errorModel,
-              nodeCount,
-              networkTopology,
-            })
-  
-            // Purification is less effective with more nodes because as the number of nodes increased more prone to noise
-            const purificationEfficiency = 1 - (nodeCount - 2) * 0.1
-            fidelity += (0.2 + Math.random() * 0.1) * purificationEfficiency
-            fidelity = Math.min(fidelity, 1.0)
-  
-            errorRate *= 0.6
-  
-            this.fidelityHistory.push(fidelity)
-            this.errorRateHistory.push(errorRate)
-  
-            steps.push({
-              status: "purifying",
-              progress: 0.5,
-              fidelity,
-              errorRate,
-              attempt,
-              message: `Purification complete, new fidelity: ${(fidelity * 100).toFixed(1)}%`,
-              entanglementType,
-              errorModel,
-              nodeCount,
-              networkTopology,
-            })
-          }
-  
-          steps.push({
-            status: "measuring",
-            progress: 0.7,
-            fidelity,
-            errorRate,
-            attempt,
-            message: `Measuring quantum state across ${nodeCount} nodes`,
-            entanglementType,
-            errorModel,
-            nodeCount,
-            networkTopology,
-          })
-  
-          this.fidelityHistory.push(fidelity)
-          this.errorRateHistory.push(errorRate)
-  
-          if (fidelity >= threshold) {
-            success = true
-            steps.push({
-              status: "success",
-              progress: 1.0,
-              fidelity,
-              errorRate,
-              attempt,
-              message: `Network entanglement successful with fidelity ${(fidelity * 100).toFixed(1)}%`,
-              entanglementType,
-              errorModel,
-              nodeCount,
-              networkTopology,
-            })
-          } else if (attempt < maxAttempts) {
-            steps.push({
-              status: "retry",
-              progress: 0.9,
-              fidelity,
-              errorRate,
-              attempt,
-              message: `Fidelity too low (${(fidelity * 100).toFixed(1)}%), retrying...`,
-              entanglementType,
-              errorModel,
-              nodeCount,
-              networkTopology,
-            })
-          } else {
-            steps.push({
-              status: "retry",
-              progress: 1.0,
-              fidelity,
-              errorRate,
-              attempt,
-              message: `Maximum attempts reached. Final fidelity: ${(fidelity * 100).toFixed(1)}%`,
-              entanglementType,
-              errorModel,
-              nodeCount,
-              networkTopology,
-            })
-          }
-  
-          this.fidelityHistory.push(fidelity)
-          this.errorRateHistory.push(errorRate)
-        }
-  
-        // Latency increases with node count and topology complexity
-        const topologyLatencyFactor =
-          networkTopology === "mesh"
-            ? nodeCount * 0.2
-            : networkTopology === "ring"
-              ? nodeCount * 0.1
-              : networkTopology === "star"
-                ? nodeCount * 0.05
-                : nodeCount * 0.03
-  
-        const latency = attempt * (1 + noiseLevel) + topologyLatencyFactor
-  
-        const results = {
-          success,
-          fidelity: steps[steps.length - 1].fidelity || 0,
-          errorRate: steps[steps.length - 1].errorRate || noiseLevel,
-          attempts: attempt,
-          latency,
-          noiseLevel,
-          purificationEnabled,
-          entanglementType,
-          errorModel,
-          nodeCount,
-          networkTopology,
-          fidelityHistory: this.fidelityHistory,
-          errorRateHistory: this.errorRateHistory,
-        }
-  
-        this.steps = steps
-        this.results = results
-        return { steps, results }
-      }
-  
-      calculateFidelity(noiseLevel, attempt, errorModel) {
-        const baseFidelity = 1.0 - noiseLevel
-        const randomFactor = Math.random() * 0.2 - 0.1
-        const attemptBonus = (attempt - 1) * 0.05
-  
-        let errorModelFactor = 0
-        switch (errorModel) {
-          case "amplitude":
-            errorModelFactor = 0.1
-            break
-          case "phase":
-            errorModelFactor = 0.05
-            break
-          default:
-            errorModelFactor = -0.05
-        }
-  
-        const fidelity = baseFidelity + randomFactor + attemptBonus + errorModelFactor
-        return Math.max(0.5, Math.min(1.0, fidelity))
-      }
-  
-      startSimulation(noiseLevel, purificationEnabled, speed, entanglementType, errorModel, onStep, onComplete) {
-        this.reset()
-        this.simulateQuantumCommunication(noiseLevel, purificationEnabled, entanglementType, errorModel)
-        this.isRunning = true
-        this.isPaused = false
-        this.currentStepIndex = 0
-        this.runNextStep(speed, onStep, onComplete)
-      }
-  
-      runNextStep(speed, onStep, onComplete) {
-        if (!this.isRunning || this.isPaused) return
-  
-        if (this.currentStepIndex < this.steps.length) {
-          const currentStep = this.steps[this.currentStepIndex]
-          if (onStep) onStep(currentStep, this.currentStepIndex, this.steps)
-          this.currentStepIndex++
-  
-          const baseDelay = 1000
-          const stepDelay = baseDelay / speed
-  
-          this.simulationTimer = setTimeout(() => {
-            this.runNextStep(speed, onStep, onComplete)
-          }, stepDelay)
-        } else {
-          this.isRunning = false
-          if (onComplete) onComplete(this.results)
-        }
-      }
-  
-      togglePause(speed, onStep, onComplete) {
-        this.isPaused = !this.isPaused
-  
-        if (!this.isPaused && this.isRunning) {
-          this.runNextStep(speed, onStep, onComplete)
-        }
-      }
-  
-      reset() {
-        if (this.simulationTimer) {
-          clearTimeout(this.simulationTimer)
-          this.simulationTimer = null
-        }
-  
-        this.steps = []
-        this.results = null
-        this.currentStepIndex = 0
-        this.isRunning = false
-        this.isPaused = false
-        this.fidelityHistory = []
-        this.errorRateHistory = []
-      }
-  
-      getCurrentStep() {
-        if (this.currentStepIndex > 0 && this.currentStepIndex <= this.steps.length) {
-          return this.steps[this.currentStepIndex - 1]
-        }
-        return null
-      }
-  
-      getSimulationHistory() {
-        return this.steps
-      }
-  
-      getResults() {
-        return this.results
-      }
-  
-      getFidelityHistory() {
-        return this.fidelityHistory
-      }
-  
-      getErrorRateHistory() {
-        return this.errorRateHistory
-      }
-    }
-  
+    // Node names are typed on the page or read from shared network files, so anything that puts them
+    // into HTML escapes them first
+    const escapeHtml = (text) =>
+      String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;")
+
     class QuantumNetworkVisualizer {
       constructor(canvasId) {
         this.canvas = document.getElementById(canvasId)
@@ -342,16 +14,195 @@ document.addEventListener("DOMContentLoaded", () => {
         this.entanglementType = "bell"
         this.errorModel = "depolarizing"
         this.animationFrame = null
-        this.nodeCount = 2 // Default: Alice and Bob
-        this.networkTopology = "linear" // Default: linear chain of nodes
+        this.graph = NetworkGraph.preset("linear", 2) // Shared with the simulation, edited on the canvas
         this.nodes = [] // Will store node information
         this.connections = [] // Will store connection information
+        this.segments = null // Repeater segments sharing a swapped pair
+        this.swapNodes = [] // Nodes performing Bell-state measurements in the current step
+        this.route = null // Node path of the routed request, highlighted under the links
+        this.eve = null // Link an eavesdropper taps during key distribution
+        this.plannedEve = null // Where she will sit, shown before the run
+        this.selectedConnection = null // Connection open in the link editor
+        this.selectedNode = null // Node index open in the node editor
+        this.editingLocked = false // The graph is frozen while a simulation runs
+        this.drag = null // Node being moved, or the start of a link being drawn
+        this.pointer = null
+        this.onConnectionClick = null
+        this.onNodeClick = null
+        this.onGraphChange = null
   
         this.initializeNodes()
         this.resizeCanvas()
         window.addEventListener("resize", () => this.resizeCanvas())
+        this.initGraphEditing()
         this.animate()
       }
+
+      // Drag a node to pin it, Shift+drag from one node to another to link them,
+      // double-click empty space to add a node, click a node or link to edit it
+      initGraphEditing() {
+        const pointerPosition = (e) => {
+          const rect = this.canvas.getBoundingClientRect()
+          return { x: e.clientX - rect.left, y: e.clientY - rect.top }
+        }
+        let suppressClick = false
+
+        this.canvas.addEventListener("mousedown", (e) => {
+          if (this.editingLocked) return
+          const { x, y } = pointerPosition(e)
+          const index = this.nodeAt(x, y)
+          if (index === null) return
+          this.drag = { index, startX: x, startY: y, linking: e.shiftKey, moved: false }
+          this.pointer = { x, y }
+        })
+
+        this.canvas.addEventListener("mousemove", (e) => {
+          const { x, y } = pointerPosition(e)
+          this.pointer = { x, y }
+
+          if (this.drag && !this.drag.linking) {
+            if (Math.hypot(x - this.drag.startX, y - this.drag.startY) > 4) this.drag.moved = true
+            if (this.drag.moved) {
+              const width = this.canvas.clientWidth || 1
+              const height = this.canvas.clientHeight || 1
+              this.graph.pinNode(this.drag.index, {
+                x: Math.min(Math.max(x / width, 0), 1),
+                y: Math.min(Math.max(y / height, 0), 1),
+              })
+            }
+          }
+
+          if (this.editingLocked) {
+            this.canvas.style.cursor = "default"
+          } else if (this.drag) {
+            this.canvas.style.cursor = this.drag.linking ? "crosshair" : "grabbing"
+          } else {
+            this.canvas.style.cursor = this.nodeAt(x, y) !== null || this.connectionAt(x, y) ? "pointer" : "default"
+          }
+        })
+
+        window.addEventListener("mouseup", (e) => {
+          const drag = this.drag
+          if (!drag) return
+          this.drag = null
+          const { x, y } = pointerPosition(e)
+
+          if (drag.linking) {
+            const target = this.nodeAt(x, y)
+            if (target !== null && target !== drag.index && !this.graph.findLink(drag.index, target)) {
+              this.pinLayout()
+              this.graph.addLink(drag.index, target)
+              this.graphChanged()
+            }
+            suppressClick = true
+          } else if (drag.moved) {
+            suppressClick = true
+          } else if (this.onNodeClick) {
+            this.onNodeClick(drag.index)
+            suppressClick = true
+          }
+        })
+
+        this.canvas.addEventListener("click", (e) => {
+          if (suppressClick) {
+            suppressClick = false
+            return
+          }
+          if (this.editingLocked) return
+          const { x, y } = pointerPosition(e)
+          const conn = this.connectionAt(x, y)
+          if (conn && this.onConnectionClick) this.onConnectionClick(conn)
+        })
+
+        this.canvas.addEventListener("dblclick", (e) => {
+          if (this.editingLocked) return
+          const { x, y } = pointerPosition(e)
+          if (this.nodeAt(x, y) !== null || this.connectionAt(x, y)) return
+          this.pinLayout()
+          this.graph.addNode(null, { x: x / (this.canvas.clientWidth || 1), y: y / (this.canvas.clientHeight || 1) })
+          this.graphChanged()
+        })
+      }
+
+      // Editing turns a preset into a custom graph; pinning every node first keeps the layout from jumping
+      pinLayout() {
+        const width = this.canvas.clientWidth || 1
+        const height = this.canvas.clientHeight || 1
+        this.nodes.forEach((node, i) => {
+          if (!this.graph.nodes[i].pinned) this.graph.pinNode(i, { x: node.x / width, y: node.y / height })
+        })
+      }
+
+      // Rebuilds the drawn nodes and links after the graph's structure changed
+      graphChanged() {
+        this.initializeNodes()
+        if (this.onGraphChange) this.onGraphChange()
+      }
+
+      setGraph(graph) {
+        this.graph = graph
+        this.initializeNodes()
+      }
+
+      setEditingLocked(locked) {
+        this.editingLocked = locked
+        this.drag = null
+      }
+
+      // Topmost node under the point, or null
+      nodeAt(x, y) {
+        for (let i = this.nodes.length - 1; i >= 0; i--) {
+          const node = this.nodes[i]
+          if (Math.hypot(x - node.x, y - node.y) < node.radius) return i
+        }
+        return null
+      }
+
+      // Nearest connection within a few pixels of the point, ignoring clicks on the nodes themselves
+      connectionAt(x, y) {
+        const tolerance = 8
+        let closest = null
+        let closestDistance = tolerance
+
+        this.connections.forEach((conn) => {
+          const source = this.nodes[conn.source]
+          const target = this.nodes[conn.target]
+          if (!source || !target) return
+          if (Math.hypot(x - source.x, y - source.y) < source.radius) return
+          if (Math.hypot(x - target.x, y - target.y) < target.radius) return
+
+          const dx = target.x - source.x
+          const dy = target.y - source.y
+          const lengthSquared = dx * dx + dy * dy || 1
+          const t = Math.max(0, Math.min(1, ((x - source.x) * dx + (y - source.y) * dy) / lengthSquared))
+          const distance = Math.hypot(x - (source.x + t * dx), y - (source.y + t * dy))
+          if (distance < closestDistance) {
+            closest = conn
+            closestDistance = distance
+          }
+        })
+        return closest
+      }
+
+      getLinkParameters(conn) {
+        return this.graph.linkParameters(this.graph.findLink(conn.source, conn.target))
+      }
+
+      selectConnection(conn) {
+        this.selectedConnection = conn
+      }
+
+      selectNode(index) {
+        this.selectedNode = index
+      }
+
+      setRoute(path) {
+        this.route = path
+      }
+
+      setPlannedEavesdropper(eve) {
+        this.plannedEve = eve
+      }
   
       initializeNodes() {
         this.nodes = []
@@ -371,91 +222,34 @@ document.addEventListener("DOMContentLoaded", () => {
           "#f43f5e", // Rose
         ]
   
-        const nodeNames = ["Alice", "Bob", "Charlie", "Dave", "Eve", "Frank", "Grace", "Heidi", "Ivan", "Judy"]
+        // Shrink the nodes once there are more than ten so large graphs still fit
+        const radius = Math.max(18, 40 - Math.max(0, this.graph.nodeCount - 10) * 2)
   
-        for (let i = 0; i < this.nodeCount; i++) {
+        this.graph.nodes.forEach((graphNode, i) => {
           this.nodes.push({
             id: i,
-            name: nodeNames[i] || `Node ${i + 1}`,
+            name: graphNode.name,
             color: nodeColors[i % nodeColors.length],
             glowColor: nodeColors[i % nodeColors.length],
             x: 0, // Will be calculated in draw()
             y: 0, // Will be calculated in draw()
-            radius: 40,
+            radius,
             entangled: false,
             fidelity: 0,
           })
-        }
+        })
   
-        // Create connections based on topology
+        // Create connections from the graph's links
         this.createConnections()
       }
   
       createConnections() {
-        this.connections = []
-  
-        switch (this.networkTopology) {
-          case "star":
-            // Central node (0) connected to all others
-            for (let i = 1; i < this.nodes.length; i++) {
-              this.connections.push({
-                source: 0,
-                target: i,
-                active: false,
-                fidelity: 0,
-              })
-            }
-            break
-  
-          case "ring":
-            // Each node connected to next in a circle
-            for (let i = 0; i < this.nodes.length; i++) {
-              this.connections.push({
-                source: i,
-                target: (i + 1) % this.nodes.length,
-                active: false,
-                fidelity: 0,
-              })
-            }
-            break
-  
-          case "mesh":
-            // Every node connected to every other node
-            for (let i = 0; i < this.nodes.length; i++) {
-              for (let j = i + 1; j < this.nodes.length; j++) {
-                this.connections.push({
-                  source: i,
-                  target: j,
-                  active: false,
-                  fidelity: 0,
-                })
-              }
-            }
-            break
-  
-          case "linear":
-          default:
-            // Each node connected to next in a line
-            for (let i = 0; i < this.nodes.length - 1; i++) {
-              this.connections.push({
-                source: i,
-                target: i + 1,
-                active: false,
-                fidelity: 0,
-              })
-            }
-            break
-        }
-      }
-  
-      setNodeCount(count) {
-        this.nodeCount = Math.min(Math.max(2, count), 10) // Limit between 2 and 10 nodes
-        this.initializeNodes()
-      }
-  
-      setNetworkTopology(topology) {
-        this.networkTopology = topology
-        this.createConnections()
+        this.connections = this.graph.links.map((link) => ({
+          source: link.source,
+          target: link.target,
+          active: false,
+          fidelity: 0,
+        }))
       }
   
       update(step, noiseLevel, purificationEnabled, entanglementType = "bell", errorModel = "depolarizing") {
@@ -469,22 +263,44 @@ document.addEventListener("DOMContentLoaded", () => {
         if (step) {
           const fidelity = step.fidelity || 0
   
+          this.segments = step.segments || null
+          this.swapNodes = step.swapNodes || []
+          this.eve = step.eve || null
+          if (step.route) this.route = step.route
+          const routeKeys = new Set((this.route || []).slice(1).map((node, i) => NetworkTopology.linkKey(this.route[i], node)))
+  
           // Update connections based on simulation step
-          this.connections.forEach((conn) => {
-            if (
+          this.connections.forEach((conn, index) => {
+            if (this.segments) {
+              // repeater steps only light up the elementary links that still hold their own pair
+              const key = NetworkTopology.linkKey(conn.source, conn.target)
+              const segment = this.segments.find((seg) => seg.hops === 1 && NetworkTopology.linkKey(seg.start, seg.end) === key)
+              conn.active = Boolean(segment)
+              conn.fidelity = segment ? segment.fidelity : 0
+            } else if (step.qkd || step.teleport || step.superdense || step.circuit) {
+              // the two-party modes and built circuits only use the links on their path; a key's quality is known after sampling
+              const inUse = !["preparing", "aborted"].includes(step.status)
+              conn.active = inUse && routeKeys.has(NetworkTopology.linkKey(conn.source, conn.target))
+              conn.fidelity = conn.active ? fidelity : 0
+            } else if (
               step.status === "success" ||
               step.status === "measuring" ||
               step.status === "purifying" ||
               step.status === "sending"
             ) {
               conn.active = true
-              conn.fidelity = fidelity
+              // Bell pairs live on each link separately, so each connection shows its own fidelity
+              conn.fidelity = step.linkFidelities ? step.linkFidelities[index] : fidelity
             } else {
               conn.active = false
               conn.fidelity = 0
             }
           })
         } else {
+          this.segments = null
+          this.swapNodes = []
+          this.eve = null
+  
           // Reset connections
           this.connections.forEach((conn) => {
             conn.active = false
@@ -547,7 +363,12 @@ document.addEventListener("DOMContentLoaded", () => {
         this.calculateNodePositions(width, height)
   
         // Draw connections
+        this.drawRoute(ctx)
         this.drawConnections(ctx)
+        this.drawRepeaterSegments(ctx)
+        this.drawEavesdropper(ctx)
+  
+        this.drawPendingLink(ctx)
   
         // Draw nodes
         this.drawNodes(ctx)
@@ -561,7 +382,7 @@ document.addEventListener("DOMContentLoaded", () => {
         const centerY = height / 2
         const radius = Math.min(width, height) * 0.35
   
-        switch (this.networkTopology) {
+        switch (this.graph.topology) {
           case "star":
             // Central node in the middle, others in a circle
             this.nodes[0].x = centerX
@@ -584,7 +405,8 @@ document.addEventListener("DOMContentLoaded", () => {
             break
   
           case "mesh":
-            // Nodes in a circle for mesh topology
+          case "custom":
+            // Nodes in a circle for mesh and hand-built topologies
             for (let i = 0; i < this.nodes.length; i++) {
               const angle = (i / this.nodes.length) * Math.PI * 2
               this.nodes[i].x = centerX + radius * Math.cos(angle)
@@ -602,10 +424,19 @@ document.addEventListener("DOMContentLoaded", () => {
             }
             break
         }
+
+        // Nodes the user placed by hand keep their spot whatever the layout
+        this.nodes.forEach((node, i) => {
+          const pinned = this.graph.nodes[i] && this.graph.nodes[i].pinned
+          if (pinned) {
+            node.x = pinned.x * width
+            node.y = pinned.y * height
+          }
+        })
       }
   
       drawNodes(ctx) {
-        this.nodes.forEach((node) => {
+        this.nodes.forEach((node, index) => {
           // Draw node
           ctx.shadowBlur = 15
           ctx.shadowColor = node.glowColor
@@ -615,12 +446,12 @@ document.addEventListener("DOMContentLoaded", () => {
           ctx.fill()
   
           ctx.shadowBlur = 0
-          ctx.strokeStyle = this.lightenColor(node.color, 20)
+          ctx.strokeStyle = index === this.selectedNode ? "#06b6d4" : this.lightenColor(node.color, 20)
           ctx.lineWidth = 3
           ctx.stroke()
   
           // Draw node name
-          ctx.font = "bold 16px Arial"
+          ctx.font = `bold ${Math.round(node.radius * 0.4)}px Arial`
           ctx.fillStyle = "white"
           ctx.textAlign = "center"
           ctx.textBaseline = "middle"
@@ -630,10 +461,22 @@ document.addEventListener("DOMContentLoaded", () => {
   
       drawConnections(ctx) {
         this.connections.forEach((conn) => {
-          if (!conn.active) return
-  
           const source = this.nodes[conn.source]
           const target = this.nodes[conn.target]
+
+          this.drawLinkLabel(ctx, conn, source, target)
+
+          // idle links stay faintly visible so they can be clicked and edited
+          if (!conn.active) {
+            const selected = this.isSelected(conn)
+            ctx.beginPath()
+            ctx.moveTo(source.x, source.y)
+            ctx.lineTo(target.x, target.y)
+            ctx.strokeStyle = selected ? "rgba(6, 182, 212, 0.8)" : "rgba(255, 255, 255, 0.15)"
+            ctx.lineWidth = selected ? 3 : 1
+            ctx.stroke()
+            return
+          }
   
           const fidelity = conn.fidelity || 0
           const lineOpacity = Math.max(0.2, fidelity)
@@ -662,7 +505,7 @@ document.addEventListener("DOMContentLoaded", () => {
   
           ctx.shadowBlur = 10
           ctx.shadowColor = `rgba(59, 130, 246, ${lineOpacity})`
-          ctx.strokeStyle = `rgba(255, 255, 255, ${lineOpacity})`
+          ctx.strokeStyle = this.isSelected(conn) ? `rgba(6, 182, 212, ${lineOpacity})` : `rgba(255, 255, 255, ${lineOpacity})`
           ctx.lineWidth = lineWidth
   
           if (this.currentStep && this.currentStep.status === "sending") {
@@ -710,6 +553,155 @@ document.addEventListener("DOMContentLoaded", () => {
         })
       }
   
+      isSelected(conn) {
+        const selected = this.selectedConnection
+        return Boolean(selected) && NetworkTopology.linkKey(selected.source, selected.target) === NetworkTopology.linkKey(conn.source, conn.target)
+      }
+
+      // Fibre length above the middle of the link, highlighted while the link is being edited
+      drawLinkLabel(ctx, conn, source, target) {
+        const params = this.getLinkParameters(conn)
+        const midX = (source.x + target.x) / 2
+        const midY = (source.y + target.y) / 2
+
+        ctx.font = "10px Arial"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "middle"
+        ctx.fillStyle = this.isSelected(conn) ? "#06b6d4" : "rgba(255, 255, 255, 0.5)"
+        ctx.fillText(`${params.length} km`, midX, midY - 12)
+      }
+
+      // Wide amber band along the routed path, with rings marking its two end nodes
+      drawRoute(ctx) {
+        if (!this.route || this.route.some((index) => !this.nodes[index])) return
+        const points = this.route.map((index) => this.nodes[index])
+
+        ctx.beginPath()
+        ctx.moveTo(points[0].x, points[0].y)
+        points.slice(1).forEach((node) => ctx.lineTo(node.x, node.y))
+        ctx.strokeStyle = "rgba(245, 158, 11, 0.3)"
+        ctx.lineWidth = 16
+        ctx.lineJoin = "round"
+        ctx.stroke()
+
+        const ends = [points[0], points[points.length - 1]]
+        ends.forEach((node) => {
+          ctx.beginPath()
+          ctx.arc(node.x, node.y, node.radius + 7, 0, Math.PI * 2)
+          ctx.strokeStyle = "#f59e0b"
+          ctx.lineWidth = 3
+          ctx.stroke()
+        })
+      }
+
+      // Rubber band from the node a Shift+drag started on to the pointer
+      drawPendingLink(ctx) {
+        if (!this.drag || !this.drag.linking || !this.pointer) return
+        const source = this.nodes[this.drag.index]
+        ctx.beginPath()
+        ctx.moveTo(source.x, source.y)
+        ctx.lineTo(this.pointer.x, this.pointer.y)
+        ctx.setLineDash([6, 6])
+        ctx.strokeStyle = "rgba(6, 182, 212, 0.8)"
+        ctx.lineWidth = 2
+        ctx.stroke()
+        ctx.setLineDash([])
+      }
+
+      // Swapped pairs span several links, so they are drawn as arcs above the chain
+      drawRepeaterSegments(ctx) {
+        if (!this.segments) return
+  
+        this.segments.forEach((segment) => {
+          if (segment.hops < 2) return
+          const source = this.nodes[segment.start]
+          const target = this.nodes[segment.end]
+          const midX = (source.x + target.x) / 2
+          const apexY = Math.min(source.y, target.y) - source.radius - 20 - 15 * segment.hops
+          const color = segment.fidelity > 0.8 ? "#10b981" : segment.fidelity > 0.5 ? "#f59e0b" : "#ef4444"
+  
+          ctx.beginPath()
+          ctx.moveTo(source.x, source.y - source.radius)
+          ctx.quadraticCurveTo(midX, 2 * apexY - source.y + source.radius, target.x, target.y - target.radius)
+          ctx.shadowBlur = 10
+          ctx.shadowColor = color
+          ctx.strokeStyle = color
+          ctx.lineWidth = Math.max(1, segment.fidelity * 5)
+          ctx.stroke()
+          ctx.shadowBlur = 0
+  
+          ctx.font = "10px Arial"
+          ctx.fillStyle = "white"
+          ctx.textAlign = "center"
+          ctx.textBaseline = "bottom"
+          ctx.fillText(`${(segment.fidelity * 100).toFixed(0)}%`, midX, apexY - 4)
+        })
+  
+        this.swapNodes.forEach((index) => {
+          const node = this.nodes[index]
+          ctx.beginPath()
+          ctx.arc(node.x, node.y, node.radius + 8, 0, Math.PI * 2)
+          ctx.setLineDash([4, 4])
+          ctx.lineDashOffset = -performance.now() / 50
+          ctx.strokeStyle = "#f59e0b"
+          ctx.lineWidth = 2
+          ctx.stroke()
+          ctx.setLineDash([])
+  
+          ctx.font = "bold 10px Arial"
+          ctx.fillStyle = "#f59e0b"
+          ctx.textAlign = "center"
+          ctx.textBaseline = "top"
+          ctx.fillText("BSM", node.x, node.y + node.radius + 12)
+        })
+      }
+  
+      // Eve sits on the tapped link close to the sender, pulsing while photons pass her. Before a run
+      // the planned position is shown; off the key path she is drawn faded.
+      drawEavesdropper(ctx) {
+        const eve = this.eve || this.plannedEve
+        if (!eve) return
+        const source = this.nodes[eve.source]
+        const target = this.nodes[eve.target]
+        if (!source || !target) return
+        const x = source.x + (target.x - source.x) * 0.35
+        const y = source.y + (target.y - source.y) * 0.35
+        const radius = 12
+
+        ctx.save()
+        if (!eve.onPath) ctx.globalAlpha = 0.4
+        if (eve.onPath && this.currentStep && this.currentStep.status === "sending") {
+          ctx.beginPath()
+          ctx.arc(x, y, radius + 4 + 3 * Math.sin(performance.now() / 150), 0, Math.PI * 2)
+          ctx.strokeStyle = "rgba(239, 68, 68, 0.6)"
+          ctx.lineWidth = 2
+          ctx.stroke()
+        }
+
+        ctx.beginPath()
+        ctx.arc(x, y, radius, 0, Math.PI * 2)
+        ctx.shadowBlur = 10
+        ctx.shadowColor = "#ef4444"
+        ctx.fillStyle = "#7f1d1d"
+        ctx.fill()
+        ctx.shadowBlur = 0
+        ctx.strokeStyle = "#ef4444"
+        ctx.lineWidth = 2
+        ctx.stroke()
+
+        ctx.font = "bold 10px Arial"
+        ctx.fillStyle = "white"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "middle"
+        ctx.fillText("Eve", x, y)
+
+        ctx.font = "10px Arial"
+        ctx.fillStyle = "#fca5a5"
+        ctx.textBaseline = "top"
+        ctx.fillText(QKD_ATTACKS[eve.strategy], x, y + radius + 4)
+        ctx.restore()
+      }
+
       drawNoiseParticlesOnConnection(ctx, source, target) {
         const particleCount = Math.floor(this.noiseLevel * 30)
         const time = performance.now() / 1000
@@ -775,7 +767,19 @@ document.addEventListener("DOMContentLoaded", () => {
         if (!statusElement) return
   
         let statusMessage = ""
-        if (this.currentStep) {
+        if (this.currentStep && this.currentStep.qkd) {
+          statusMessage = this.qkdStatusMessage(this.currentStep)
+          if (statusMessage) statusMessage += ` (t = ${formatDuration(this.currentStep.time)})`
+        } else if (this.currentStep && this.currentStep.teleport) {
+          statusMessage = this.teleportStatusMessage(this.currentStep)
+          if (statusMessage) statusMessage += ` (t = ${formatDuration(this.currentStep.time)})`
+        } else if (this.currentStep && this.currentStep.superdense) {
+          statusMessage = this.superdenseStatusMessage(this.currentStep)
+          if (statusMessage) statusMessage += ` (t = ${formatDuration(this.currentStep.time)})`
+        } else if (this.currentStep && this.currentStep.circuit) {
+          statusMessage = this.circuitStatusMessage(this.currentStep)
+          if (statusMessage) statusMessage += ` (t = ${formatDuration(this.currentStep.time)})`
+        } else if (this.currentStep) {
           switch (this.currentStep.status) {
             case "initializing":
               statusMessage = "Initializing qubits..."
@@ -795,9 +799,16 @@ document.addEventListener("DOMContentLoaded", () => {
             case "purifying":
               statusMessage = "Purifying entanglement..."
               break
+            case "swapping":
+              statusMessage = "Swapping entanglement..."
+              break
             default:
               statusMessage = ""
           }
+          // show where the step sits on the simulated clock
+          if (statusMessage && this.currentStep.time !== undefined) {
+            statusMessage += ` (t = ${formatDuration(this.currentStep.time)})`
+          }
         } else {
           statusMessage = "Adjust parameters and start the simulation"
         }
@@ -805,20 +816,109 @@ document.addEventListener("DOMContentLoaded", () => {
         statusElement.textContent = statusMessage
       }
   
-      lightenColor(color, percent) {
-        // Convert hex to RGB
-        let r, g, b
-        if (color.startsWith("#")) {
-          r = Number.parseInt(color.slice(1, 3), 16)
-          g = Number.parseInt(color.slice(3, 5), 16)
-          b = Number.parseInt(color.slice(5, 7), 16)
-        } else if (color.startsWith("rgb")) {
-          const match = color.match(/rgba?$$(\d+),\s*(\d+),\s*(\d+)(?:,\s*[\d.]+)?$$/)
-          if (match) {
-            r = Number.parseInt(match[1])
-            g = Number.parseInt(match[2])
-            b = Number.parseInt(match[3])
-          } else {
+      qkdStatusMessage(step) {
+        const e91 = step.qkd.run.protocol === "e91"
+        switch (step.status) {
+          case "preparing":
+            return e91 ? "Emitting entangled pairs..." : "Preparing random bits and bases..."
+          case "sending":
+            return this.eve ? "Sending photons past the eavesdropper..." : "Sending photons..."
+          case "measuring":
+            return e91 ? "Measuring at random angles..." : "Measuring in random bases..."
+          case "sifting":
+            return e91 ? "Sifting: comparing settings..." : "Sifting: comparing bases..."
+          case "estimating":
+            return e91 ? "Estimating CHSH S and QBER..." : "Estimating QBER..."
+          case "correcting":
+            return "Correcting errors with Cascade..."
+          case "amplifying":
+            return "Amplifying privacy..."
+          case "success":
+            return "Secret key established!"
+          case "aborted":
+            return step.qkd.run.postProcessing ? "No secret key left, key aborted" : "Security check failed, key aborted"
+          default:
+            return ""
+        }
+      }
+
+      teleportStatusMessage(step) {
+        switch (step.status) {
+          case "preparing":
+            return "Preparing the input qubit and the pair..."
+          case "sending":
+            return "Sending Bob's half of the pair..."
+          case "measuring":
+            return "Bell measurement at Alice..."
+          case "signalling":
+            return "Classical bits on their way..."
+          case "correcting":
+            return "Applying Bob's corrections..."
+          case "success":
+            return "Qubit teleported!"
+          case "failed":
+            return "Teleportation no better than classical"
+          default:
+            return ""
+        }
+      }
+
+      superdenseStatusMessage(step) {
+        switch (step.status) {
+          case "preparing":
+            return "Sharing a pair for the message..."
+          case "sending":
+            return "Sending Bob's half of the pair..."
+          case "encoding":
+            return "Encoding two bits on Alice's half..."
+          case "transmitting":
+            return "Sending Alice's qubit to Bob..."
+          case "decoding":
+            return "Bell measurement at Bob..."
+          case "success":
+            return "Two bits sent with one qubit!"
+          case "failed":
+            return "Superdense coding no better than classical"
+          default:
+            return ""
+        }
+      }
+
+      circuitStatusMessage(step) {
+        const { index, run } = step.circuit
+        const gates = `gate ${index + 1} of ${run.gates}`
+        switch (step.status) {
+          case "preparing":
+            return "Preparing the circuit's qubits..."
+          case "gate":
+            return `Applying ${gates}...`
+          case "sending":
+            return `Moving qubits for ${gates}...`
+          case "measuring":
+            return `Measuring (${gates})...`
+          case "success":
+            return "Circuit complete!"
+          case "failed":
+            return "Circuit complete, noise dominates the result"
+          default:
+            return ""
+        }
+      }
+
+      lightenColor(color, percent) {
+        // Convert hex to RGB
+        let r, g, b
+        if (color.startsWith("#")) {
+          r = Number.parseInt(color.slice(1, 3), 16)
+          g = Number.parseInt(color.slice(3, 5), 16)
+          b = Number.parseInt(color.slice(5, 7), 16)
+        } else if (color.startsWith("rgb")) {
+          const match = color.match(/rgba?$$(\d+),\s*(\d+),\s*(\d+)(?:,\s*[\d.]+)?$$/)
+          if (match) {
+            r = Number.parseInt(match[1])
+            g = Number.parseInt(match[2])
+            b = Number.parseInt(match[3])
+          } else {
             return color
           }
         } else {
@@ -850,44 +950,50 @@ document.addEventListener("DOMContentLoaded", () => {
         this.entanglementType = "bell"
         this.errorModel = "depolarizing"
         this.viewMode = "standard"
+        this.preview = null // { circuit, names } drawn while no run is playing
+        this.blochView = { yaw: -0.6, pitch: 0.35 } // shared by every sphere, turned by dragging
   
         this.resizeCanvas()
         window.addEventListener("resize", () => this.resizeCanvas())
         this.initViewModeButtons()
+        this.initBlochRotation()
       }
   
       initViewModeButtons() {
-        const standardBtn = document.getElementById("circuit-view-standard")
-        const detailedBtn = document.getElementById("circuit-view-detailed")
-        const blochBtn = document.getElementById("circuit-view-bloch")
-  
-        if (standardBtn && detailedBtn && blochBtn) {
-          standardBtn.addEventListener("click", () => {
-            this.viewMode = "standard"
-            standardBtn.classList.add("active")
-            detailedBtn.classList.remove("active")
-            blochBtn.classList.remove("active")
-            this.draw()
-          })
-  
-          detailedBtn.addEventListener("click", () => {
-            this.viewMode = "detailed"
-            standardBtn.classList.remove("active")
-            detailedBtn.classList.add("active")
-            blochBtn.classList.remove("active")
-            this.draw()
-          })
-  
-          blochBtn.addEventListener("click", () => {
-            this.viewMode = "bloch"
-            standardBtn.classList.remove("active")
-            detailedBtn.classList.remove("active")
-            blochBtn.classList.add("active")
+        const buttons = ["standard", "detailed", "bloch", "density"].map((mode) => [mode, document.getElementById(`circuit-view-${mode}`)])
+        if (buttons.some(([, button]) => !button)) return
+
+        buttons.forEach(([mode, button]) => {
+          button.addEventListener("click", () => {
+            this.viewMode = mode
+            buttons.forEach(([other, otherButton]) => otherButton.classList.toggle("active", other === mode))
             this.draw()
           })
-        }
+        })
       }
-  
+
+      // Dragging across the Bloch view turns the spheres, sideways about z and up and down toward the viewer
+      initBlochRotation() {
+        let last = null
+        this.canvas.addEventListener("mousedown", (e) => {
+          if (this.viewMode !== "bloch") return
+          last = { x: e.clientX, y: e.clientY }
+          this.canvas.style.cursor = "grabbing"
+        })
+        window.addEventListener("mousemove", (e) => {
+          if (!last) return
+          this.blochView.yaw += (e.clientX - last.x) * 0.01
+          this.blochView.pitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.blochView.pitch + (e.clientY - last.y) * 0.01))
+          last = { x: e.clientX, y: e.clientY }
+          this.draw()
+        })
+        window.addEventListener("mouseup", () => {
+          if (!last) return
+          last = null
+          this.canvas.style.cursor = ""
+        })
+      }
+
       resizeCanvas() {
         const container = this.canvas.parentElement
         const devicePixelRatio = window.devicePixelRatio || 1
@@ -910,14 +1016,24 @@ document.addEventListener("DOMContentLoaded", () => {
         this.draw()
   
         const descriptionElement = document.getElementById("circuit-description")
-        if (descriptionElement && step) {
+        if (descriptionElement && step && step.qkd) {
+          descriptionElement.textContent = this.getQKDDescription(step)
+        } else if (descriptionElement && step && step.teleport) {
+          descriptionElement.textContent = this.getTeleportDescription(step)
+        } else if (descriptionElement && step && step.superdense) {
+          descriptionElement.textContent = this.getSuperdenseDescription(step)
+        } else if (descriptionElement && step && step.circuit) {
+          descriptionElement.textContent = this.getCircuitDescription(step)
+        } else if (descriptionElement && step) {
           let description = ""
           switch (step.status) {
             case "initializing":
               description = this.getEntanglementDescription()
               break
             case "sending":
-              description = "Sending one qubit of the entangled pair to Bob."
+              description = step.qec
+                ? `Sending one qubit of the entangled pair to Bob encoded in the ${step.qec.name} code: ${step.qec.physicalQubits} physical qubits cross the channel and ${step.qec.ancillas} ancillas read the syndrome at the far end.`
+                : "Sending one qubit of the entangled pair to Bob."
               break
             case "measuring":
               description = "Measuring quantum state to verify entanglement."
@@ -925,6 +1041,9 @@ document.addEventListener("DOMContentLoaded", () => {
             case "purifying":
               description = "Applying purification protocol to improve fidelity."
               break
+            case "swapping":
+              description = "Intermediate nodes perform Bell-state measurements to swap entanglement toward the end nodes."
+              break
             case "success":
               description = "Entanglement successfully established with high fidelity."
               break
@@ -949,6 +1068,54 @@ document.addEventListener("DOMContentLoaded", () => {
         }
       }
   
+      getQKDDescription(step) {
+        const run = step.qkd.run
+        const postProcessing = run.postProcessing
+        switch (step.status) {
+          case "correcting":
+            return "Cascade compares block parities and halves every block that disagrees until Bob finds and flips the wrong bit; amber cells were corrected."
+          case "amplifying":
+            return postProcessing.finalLength > 0
+              ? `Both sides hash the corrected key with the same random Toeplitz matrix, leaving ${postProcessing.finalLength} bits about which Eve knows next to nothing.`
+              : "Privacy amplification would have to remove more bits than the corrected key holds."
+          case "success":
+            return `Alice and Bob share a ${postProcessing.finalLength}-bit secret key.`
+          case "aborted":
+            // the security checks passed but post-processing used up the key
+            if (postProcessing) {
+              return postProcessing.verified
+                ? "The information leaked during error correction leaves no secret bits after privacy amplification."
+                : "Cascade did not remove every error, so the keys are discarded."
+            }
+        }
+        if (run.protocol === "e91") return this.getE91Description(step)
+        const decoyState = run.decoyState
+        switch (step.status) {
+          case "preparing":
+            return decoyState
+              ? "Alice encodes each random bit in a random basis on a laser pulse whose mean photon number is the signal μ, the decoy ν or the vacuum ω; the photon count is Poissonian."
+              : "Alice encodes each random bit in a randomly chosen basis: + for |0⟩/|1⟩, × for |+⟩/|−⟩."
+          case "sending":
+            return run.eavesdropper && run.eavesdropper.onPath
+              ? this.getAttackDescription(run.eavesdropper)
+              : "Photons travel through the fibre, where loss removes some and channel noise can flip others."
+          case "measuring":
+            return "Bob measures every arriving photon in his own random basis. Lost photons leave gaps."
+          case "sifting":
+            return decoyState
+              ? "Alice and Bob publish their bases and Alice the intensities; only signal pulses with matching bases are kept for the key."
+              : "Alice and Bob publish their bases and keep only the positions where they agree."
+          case "estimating":
+            return decoyState
+              ? "Eve cannot tell the intensities apart, so the decoy and vacuum gains bound how many signal clicks came from single photons, which she cannot split."
+              : "A random sample of the sifted key is compared in public; red cells mark errors."
+          case "aborted":
+            return `QBER above ${(run.threshold * 100).toFixed(1)}%: the key is discarded.`
+          default:
+            return ""
+        }
+      }
+
       draw() {
         const ctx = this.ctx
         const width = this.canvas.clientWidth
@@ -961,19 +1128,856 @@ document.addEventListener("DOMContentLoaded", () => {
         gradient.addColorStop(1, "#0a0f24")
         ctx.fillStyle = gradient
         ctx.fillRect(0, 0, width, height)
+
+        // the spheres and the density matrix follow the qubits of any protocol, so they come before the
+        // protocols' own circuits
+        if (this.viewMode === "bloch") {
+          this.drawBlochSphereView(ctx, width, height)
+          return
+        }
+        if (this.viewMode === "density") {
+          this.drawDensityMatrixView(ctx, width, height)
+          return
+        }
+
+        // key distribution has no circuit to draw, its steps show the first pulses instead; teleportation,
+        // superdense coding and built circuits have their own
+        if (this.currentStep && this.currentStep.qkd) {
+          this.drawQKDTable(ctx, width, height, this.currentStep.qkd)
+          return
+        }
+        if (this.currentStep && this.currentStep.teleport) {
+          this.drawTeleportationCircuit(ctx, width, height, this.currentStep.teleport)
+          return
+        }
+        if (this.currentStep && this.currentStep.superdense) {
+          this.drawSuperdenseCircuit(ctx, width, height, this.currentStep.superdense)
+          return
+        }
+        if (this.currentStep && this.currentStep.circuit) {
+          const { run, index, stage } = this.currentStep.circuit
+          this.drawBuiltCircuit(ctx, width, height, run.circuit, run.holders, { active: stage === "preparing" ? -1 : index })
+          return
+        }
+        if (!this.currentStep && this.preview) {
+          this.drawBuiltCircuit(ctx, width, height, this.preview.circuit, this.preview.names)
+          return
+        }
   
         switch (this.viewMode) {
           case "detailed":
-            this.drawDetailedCircuit(ctx, width, height)
-            break
-          case "bloch":
-            this.drawBlochSphereView(ctx, width, height)
+            // an encoded qubit's block, syndrome extraction and correction take the whole view; GHZ and W
+            // states show the gates that prepare them
+            if (this.currentStep && this.currentStep.qec) this.drawQECCircuit(ctx, width, height, this.currentStep.qec)
+            else if (this.currentStep && this.currentStep.preparation) this.drawPreparationCircuit(ctx, width, height, this.currentStep.preparation)
+            else this.drawDetailedCircuit(ctx, width, height)
             break
           default:
             this.drawStandardCircuit(ctx, width, height)
         }
       }
   
+      getAttackDescription(attack) {
+        switch (attack.strategy) {
+          case "breidbart":
+            return "Eve measures in the Breidbart basis, between + and ×: she guesses right 85% of the time in either basis but still causes 25% errors."
+          case "cloning":
+            return "Eve entangles each photon with a probe; the stronger the coupling, the better her copy and the noisier Bob's photon."
+          case "pns":
+            return "Some pulses carry several photons. Eve keeps one of them, which Bob never misses, and hides the theft by blocking single photons."
+          default:
+            return "Eve measures photons in a random basis and resends her result; a wrong guess disturbs the state."
+        }
+      }
+
+      getE91Description(step) {
+        const run = step.qkd.run
+        switch (step.status) {
+          case "preparing":
+            return "The source prepares each pair in (|00⟩ + |11⟩)/√2; Alice keeps one photon and Bob receives the other."
+          case "sending":
+            return run.eavesdropper && run.eavesdropper.onPath
+              ? this.getAttackDescription(run.eavesdropper)
+              : "Bob's photon travels through the fibre, where loss removes some pairs and noise weakens the correlations."
+          case "measuring":
+            return "Alice measures along 0°, 45° or 90° and Bob along 45°, 90° or 135° in the X–Z plane, each chosen at random."
+          case "sifting":
+            return "Matching angles (45°/45°, 90°/90°) give the key; the four 0°/90° × 45°/135° combinations feed the CHSH test."
+          case "estimating":
+            return "S = E(0°,45°) − E(0°,135°) + E(90°,45°) + E(90°,135°) is at most 2 for any classical source and 2√2 ≈ 2.83 for a perfect pair."
+          case "aborted":
+            return `S = ${run.chsh.value.toFixed(2)}, QBER ${(run.qber * 100).toFixed(1)}%: the security check failed and the key is discarded.`
+          default:
+            return ""
+        }
+      }
+
+      getTeleportDescription(step) {
+        const run = step.teleport.run
+        switch (step.status) {
+          case "preparing":
+            return "Alice rotates her input qubit to the chosen point on the Bloch sphere, and H and CNOT at the source make the Φ+ pair."
+          case "sending":
+            return "Bob's half of the pair crosses the fibre and the noisy channel while Alice keeps hers in memory until the herald returns."
+          case "measuring":
+            return "CNOT and H followed by two measurements project Alice's qubits onto the Bell basis. Bob's qubit now holds the input up to a Pauli error he cannot know yet."
+          case "signalling":
+            return "The two outcome bits travel over the classical channel (double lines). Bob's qubit waits in memory, and nothing about the input reaches him any earlier."
+          case "correcting":
+            return `Bob applies X if m₂ = 1 and Z if m₁ = 1; outcome ${run.measured.outcome} calls for ${Teleportation.corrections(run.measured.outcome).join(" and ") || "nothing"}.`
+          case "success":
+            return `Bob's qubit matches the input with fidelity ${(run.measured.fidelity * 100).toFixed(1)}%, and the pair beats the classical ${(Teleportation.classicalLimit * 100).toFixed(1)}% on average.`
+          case "failed":
+            return "The shared pair is too noisy: on average, measuring the input and sending the result would do as well."
+          default:
+            return ""
+        }
+      }
+
+      getSuperdenseDescription(step) {
+        const { message, run } = step.superdense
+        switch (step.status) {
+          case "preparing":
+            return "H and CNOT at Alice's source make the Φ+ pair; sharing it needs no knowledge of the message, so it can happen well in advance."
+          case "sending":
+            return "Bob's half of the pair crosses the fibre and the noisy channel while Alice keeps hers in memory until the herald returns."
+          case "encoding":
+            return `Alice applies Z if b₁ = 1 and X if b₂ = 1. The message ${message} calls for ${SuperdenseCoding.operation(message)}, taking Φ+ to ${DENSE_STATES[DENSE_MESSAGES.indexOf(message)]}; on her half alone the four look identical.`
+          case "transmitting":
+            return "Alice's qubit crosses the same fibre to Bob, picking up the channel noise again, while his half waits in memory."
+          case "decoding":
+            return `CNOT and H map Φ+, Ψ+, Φ− and Ψ− to 00, 01, 10 and 11, so measuring both qubits reads the message: Bob sees ${run.decoded}.`
+          case "success":
+            return `One qubit carries ${run.information.toFixed(2)} bits here, more than the single bit it could hold without the pair.`
+          case "failed":
+            return `The noise leaves ${run.information.toFixed(2)} bits per qubit, no better than sending a classical bit on the qubit itself.`
+          default:
+            return ""
+        }
+      }
+
+      // Custom Circuit mode shows the built circuit until a run starts; null goes back to the protocol views
+      previewCircuit(preview) {
+        this.preview = preview
+        this.draw()
+      }
+
+      getCircuitDescription(step) {
+        const run = step.circuit.run
+        const operation = run.circuit.operations[step.circuit.index]
+        switch (step.status) {
+          case "preparing":
+            return `The circuit's ${run.qubits} qubits start in |0⟩ at the nodes that hold them; a noiseless copy runs alongside to compare against.`
+          case "gate":
+            return `${CIRCUIT_GATES[operation.gate].name} inside one node, which the simulator takes as perfect.`
+          case "sending":
+            return `The ${CIRCUIT_GATES[operation.gate].name} spans several nodes, so the remote qubits cross the channel to the node of its first qubit and back, while the others wait in memory.`
+          case "measuring":
+            return "Nothing acts on a measured qubit afterwards, so its outcome is read at the end together with the others."
+          case "success":
+          case "failed":
+            return `The noisy run ends with fidelity ${(step.fidelity * 100).toFixed(1)}% with the noiseless one; the Results tab compares their outcome distributions.`
+          default:
+            return ""
+        }
+      }
+
+      // One column per pulse; rows appear as the protocol reaches them
+      drawQKDTable(ctx, width, height, qkd) {
+        const stages = ["preparing", "sending", "measuring", "sifting", "estimating", "correcting", "amplifying"]
+        const postProcessing = qkd.run.postProcessing
+        // the run ends either right after the security check or once the key is post-processed
+        const lastStage = postProcessing ? stages.length - 1 : stages.indexOf("estimating")
+        const stage = qkd.stage === "success" || qkd.stage === "aborted" ? lastStage : stages.indexOf(qkd.stage)
+        const eve = qkd.run.eavesdropper
+        const e91 = qkd.run.protocol === "e91"
+        // Eve's basis when she measures, or what she did to the pulse otherwise
+        const eveAction = (p) => {
+          if (!p.attacked) return ""
+          if (p.eveBasis) return QKD.formatBasis(p.eveBasis)
+          if (eve.strategy === "cloning") return "clone"
+          return p.split ? "split" : ""
+        }
+        const eveRow = eve ? [{ label: "Eve", from: 1, value: eveAction }] : []
+        const decoyState = qkd.run.decoyState
+        const photonRow = (eve && eve.strategy === "pns") || decoyState ? [{ label: "Photons", from: 0, value: (p) => p.photons }] : []
+        const intensityRow = decoyState
+          ? [{ label: "Intensity", from: 0, value: (p) => ({ signal: "μ", decoy: "ν", vacuum: "ω" })[p.intensity] }]
+          : []
+        // E91 results only exist once both photons are measured, BB84 bits are chosen up front
+        const rows = (
+          e91
+            ? [
+                { label: "Alice angle", from: 0, value: (p) => QKD.formatAngle(E91_ALICE_ANGLES[p.aliceSetting]) },
+                ...eveRow,
+                { label: "Bob angle", from: 2, value: (p) => QKD.formatAngle(E91_BOB_ANGLES[p.bobSetting]) },
+                { label: "Alice bit", from: 2, value: (p) => (p.detected ? p.aliceBit : "–") },
+                { label: "Bob bit", from: 2, value: (p) => (p.detected ? p.bobBit : "–") },
+                { label: "Use", from: 3, value: (p) => (p.sifted ? "key" : p.chsh ? "S" : "") },
+              ]
+            : [
+                { label: "Alice bit", from: 0, value: (p) => p.aliceBit },
+                { label: "Alice basis", from: 0, value: (p) => QKD.formatBasis(p.aliceBasis) },
+                ...intensityRow,
+                ...photonRow,
+                ...eveRow,
+                { label: "Bob basis", from: 2, value: (p) => QKD.formatBasis(p.bobBasis) },
+                { label: "Bob bit", from: 2, value: (p) => (p.detected ? p.bobBit : "–") },
+                { label: "Sifted", from: 3, value: (p) => (p.sifted ? "✓" : "") },
+              ]
+        )
+          .concat([
+            { label: "Sample", from: 4, value: (p) => (p.sampled ? (p.error ? "✗" : "✓") : "") },
+            // Bob's key bit once Cascade is done, which matches Alice's
+            { label: "Corrected", from: 5, value: (p) => (p.sifted && !p.sampled ? p.bobBit ^ (p.reconciled ? 1 : 0) : "") },
+          ])
+          .filter((row) => row.from <= stage)
+
+        const labelWidth = 90
+        const margin = 20
+        const cellWidth = (width - labelWidth - 2 * margin) / qkd.pulses.length
+        const cellHeight = Math.min(32, (height - 2 * margin - 20) / 10)
+        const top = margin + 20
+
+        ctx.font = "bold 14px Arial"
+        ctx.fillStyle = "white"
+        ctx.textAlign = "left"
+        ctx.textBaseline = "middle"
+        ctx.fillText(`${e91 ? "E91" : decoyState ? "Decoy-state BB84" : "BB84"}: first ${qkd.pulses.length} of ${qkd.run.pulses} pulses`, margin, margin)
+
+        rows.forEach((row, r) => {
+          const y = top + r * cellHeight
+          ctx.font = "12px Arial"
+          ctx.fillStyle = "rgba(255, 255, 255, 0.7)"
+          ctx.textAlign = "left"
+          ctx.fillText(row.label, margin, y + cellHeight / 2)
+
+          qkd.pulses.forEach((pulse, i) => {
+            const x = margin + labelWidth + i * cellWidth
+            // from sifting on, discarded pulses fade and sampled errors turn red
+            let fill = "rgba(59, 130, 246, 0.15)"
+            if (stage >= 3 && pulse.chsh) fill = "rgba(139, 92, 246, 0.25)"
+            if (stage >= 3 && !pulse.sifted && !pulse.chsh) fill = "rgba(255, 255, 255, 0.03)"
+            if (stage >= 4 && pulse.sampled) fill = pulse.error ? "rgba(239, 68, 68, 0.45)" : "rgba(16, 185, 129, 0.3)"
+            if (row.label === "Eve" && !e91 && QKD_BASES.includes(pulse.eveBasis) && pulse.eveBasis !== pulse.aliceBasis) {
+              fill = "rgba(239, 68, 68, 0.25)"
+            }
+            if (row.label === "Corrected" && pulse.reconciled) fill = "rgba(245, 158, 11, 0.45)"
+            ctx.fillStyle = fill
+            ctx.fillRect(x + 1, y + 1, cellWidth - 2, cellHeight - 2)
+
+            ctx.font = "13px Arial"
+            ctx.fillStyle = "white"
+            ctx.textAlign = "center"
+            ctx.fillText(String(row.value(pulse)), x + cellWidth / 2, y + cellHeight / 2)
+          })
+        })
+
+        const run = qkd.run
+        const summary = [`${run.pulses} sent`]
+        if (stage >= 2) summary.push(`${run.detected} detected`)
+        if (stage >= 3) summary.push(`${run.sifted} sifted`)
+        if (stage >= 3 && e91) summary.push(`${run.chsh.rounds} CHSH`)
+        if (stage >= 4 && e91) summary.push(`S = ${run.chsh.value.toFixed(2)} ± ${run.chsh.error.toFixed(2)}`)
+        if (stage >= 4) summary.push(`QBER ${(run.qber * 100).toFixed(1)}% (${run.sampleErrors}/${run.sampleSize})`)
+        if (stage >= 4 && decoyState) summary.push(`Y₁ ≥ ${(decoyState.bounds.y1 * 100).toFixed(1)}%, e₁ ≤ ${(decoyState.bounds.e1 * 100).toFixed(1)}%`)
+        if (stage >= 5) summary.push(`${postProcessing.errorsCorrected} corrected, ${postProcessing.leaked} bits leaked`)
+        if (stage >= 6) summary.push(`${postProcessing.finalLength}-bit secret key`)
+        ctx.font = "12px Arial"
+        ctx.fillStyle = "rgba(255, 255, 255, 0.8)"
+        ctx.textAlign = "left"
+        ctx.fillText(summary.join(" · "), margin, top + rows.length * cellHeight + 16)
+      }
+
+      // The input and Alice's half of the pair on top, Bob's half below. The outcome bits run as double
+      // lines from Alice's meters to the X and Z they control; a correction is solid when its bit is 1.
+      drawTeleportationCircuit(ctx, width, height, teleport) {
+        const stages = ["preparing", "sending", "measuring", "signalling", "correcting"]
+        const stage = teleport.stage === "success" || teleport.stage === "failed" ? stages.length - 1 : stages.indexOf(teleport.stage)
+        const run = teleport.run
+        const measured = stage >= 2 ? run.measured : null
+        const gateSize = 34
+        const wireStart = 90
+        const wireEnd = width - 40
+        const at = (fraction) => wireStart + (wireEnd - wireStart) * fraction
+        const wires = [0.28, 0.5, 0.72].map((fraction) => height * fraction)
+        const meterX = at(0.6)
+        const xGate = at(0.76)
+        const zGate = at(0.88)
+        const degrees = (angle) => `${Math.round((angle * 180) / Math.PI)}°`
+
+        ctx.font = "bold 16px Arial"
+        ctx.fillStyle = "white"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "top"
+        ctx.fillText("Quantum Teleportation Circuit", width / 2, 10)
+
+        ctx.font = "14px Arial"
+        ctx.textAlign = "right"
+        ctx.textBaseline = "middle"
+        const labels = ["|ψ⟩ Alice", "|0⟩ Alice", "|0⟩ Bob"]
+        labels.forEach((label, i) => {
+          ctx.fillStyle = i < 2 ? "rgba(59, 130, 246, 1)" : "rgba(139, 92, 246, 1)"
+          ctx.fillText(label, wireStart - 10, wires[i])
+        })
+
+        // Alice's qubits are gone once measured; only bits continue from her meters
+        wires.forEach((y, i) => {
+          ctx.beginPath()
+          ctx.moveTo(wireStart, y)
+          ctx.lineTo(i < 2 ? meterX : wireEnd, y)
+          ctx.strokeStyle = i < 2 ? "rgba(59, 130, 246, 0.7)" : "rgba(139, 92, 246, 0.7)"
+          ctx.lineWidth = 2
+          ctx.stroke()
+        })
+
+        this.drawSpecialGate(ctx, at(0.05), wires[0], gateSize, "ψ")
+        ctx.font = "11px Arial"
+        ctx.fillStyle = "rgba(255, 255, 255, 0.7)"
+        ctx.textAlign = "center"
+        ctx.fillText(`θ ${degrees(teleport.input.theta)}, φ ${degrees(teleport.input.phi)}`, at(0.05), wires[0] + gateSize / 2 + 10)
+        this.drawHGate(ctx, at(0.05), wires[1], gateSize)
+        this.drawCNOTGate(ctx, at(0.13), wires[1], wires[2], gateSize)
+
+        ctx.font = "11px Arial"
+        ctx.fillStyle = "rgba(255, 255, 255, 0.6)"
+        ctx.fillText("fibre", at(0.28), wires[2] + 16)
+        if (stage === 1) this.drawNoiseEffects(ctx, at(0.2), at(0.36), [wires[2]], 1 - (this.currentStep.fidelity || 0.5))
+
+        // Bell measurement
+        const bellOpacity = stage >= 2 ? 1 : 0.3
+        this.drawCNOTGate(ctx, at(0.44), wires[0], wires[1], gateSize, bellOpacity)
+        this.drawHGate(ctx, at(0.52), wires[0], gateSize, bellOpacity)
+        this.drawMeasurementGate(ctx, meterX, wires[0], gateSize, bellOpacity)
+        this.drawMeasurementGate(ctx, meterX, wires[1], gateSize, bellOpacity)
+        ctx.setLineDash([4, 4])
+        ctx.strokeStyle = `rgba(255, 255, 255, ${bellOpacity * 0.4})`
+        ctx.lineWidth = 1
+        ctx.strokeRect(at(0.4), wires[0] - gateSize, meterX + gateSize - at(0.4), wires[1] - wires[0] + 2 * gateSize)
+        ctx.setLineDash([])
+        ctx.font = "11px Arial"
+        ctx.fillStyle = `rgba(255, 255, 255, ${bellOpacity * 0.7})`
+        ctx.textAlign = "center"
+        ctx.fillText("Bell measurement", (at(0.4) + meterX + gateSize) / 2, wires[1] + gateSize + 8)
+
+        // classical wires: a wide stroke with a narrow one in the background colour on top reads as a double line
+        const classicalOpacity = stage >= 3 ? 0.9 : stage === 2 ? 0.4 : 0.15
+        const strokes = [
+          [5, `rgba(245, 158, 11, ${classicalOpacity})`],
+          [2, "#080b1c"],
+        ]
+        const drawBits = (y, x) => {
+          strokes.forEach(([lineWidth, color]) => {
+            ctx.beginPath()
+            ctx.moveTo(meterX + gateSize / 3, y)
+            ctx.lineTo(x, y)
+            ctx.lineTo(x, wires[2] - gateSize / 2)
+            ctx.strokeStyle = color
+            ctx.lineWidth = lineWidth
+            ctx.stroke()
+          })
+        }
+        drawBits(wires[0], zGate)
+        drawBits(wires[1], xGate)
+        ctx.lineWidth = 2
+
+        if (measured) {
+          ctx.font = "bold 12px Arial"
+          ctx.fillStyle = "#f59e0b"
+          ctx.textAlign = "left"
+          ctx.textBaseline = "bottom"
+          ctx.fillText(`m₁ = ${measured.outcome[0]}`, meterX + gateSize / 2 + 4, wires[0] - 4)
+          ctx.fillText(`m₂ = ${measured.outcome[1]}`, meterX + gateSize / 2 + 4, wires[1] - 4)
+          ctx.font = "11px Arial"
+          ctx.fillStyle = "rgba(255, 255, 255, 0.7)"
+          ctx.textAlign = "center"
+          ctx.fillText(formatDuration(run.delay), (xGate + zGate) / 2, wires[0] - 4)
+          ctx.textBaseline = "middle"
+        }
+
+        // both corrections are drawn from the start, solid once Bob applies them
+        const applied = stage >= 4 ? Teleportation.corrections(measured.outcome) : []
+        this.drawSpecialGate(ctx, xGate, wires[2], gateSize, "X", applied.includes("X") ? 1 : 0.25)
+        this.drawSpecialGate(ctx, zGate, wires[2], gateSize, "Z", applied.includes("Z") ? 1 : 0.25)
+
+        const highlights = [
+          [at(0.09), "Preparing"],
+          [at(0.28), "Sending"],
+          [at(0.5), "Bell Measurement"],
+          [(meterX + xGate) / 2, "Classical Bits"],
+          [(xGate + zGate) / 2, teleport.stage === "success" ? "Teleported!" : teleport.stage === "failed" ? "Too Noisy" : "Correcting"],
+        ]
+        const [highlightX, highlightText] = highlights[stage]
+        ctx.fillStyle = "rgba(59, 130, 246, 0.2)"
+        ctx.shadowBlur = 15
+        ctx.shadowColor = "rgba(59, 130, 246, 0.3)"
+        ctx.fillRect(highlightX - 50, 40, 100, height - 80)
+        ctx.shadowBlur = 0
+
+        ctx.font = "bold 14px Arial"
+        ctx.fillStyle = "white"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "bottom"
+        ctx.fillText(highlightText, highlightX, 40)
+
+        if (stage >= 4) {
+          ctx.font = "14px Arial"
+          ctx.fillStyle = "rgba(139, 92, 246, 1)"
+          ctx.textAlign = "right"
+          ctx.textBaseline = "middle"
+          ctx.fillText("|ψ⟩", wireEnd + 30, wires[2])
+        }
+
+        if (this.currentStep.fidelity !== undefined) {
+          ctx.font = "14px Arial"
+          ctx.fillStyle = this.currentStep.fidelity > 0.8 ? "#10b981" : this.currentStep.fidelity > 0.5 ? "#f59e0b" : "#ef4444"
+          ctx.textAlign = "right"
+          ctx.textBaseline = "bottom"
+          ctx.fillText(`${stage >= 4 ? "Teleported" : "Pair"} Fidelity: ${(this.currentStep.fidelity * 100).toFixed(1)}%`, wireEnd, height - 10)
+        }
+      }
+
+      // Alice's half of the pair on top and Bob's below. Her qubit joins Bob halfway along the top wire,
+      // which changes colour there; the encoding gates are solid when the message calls for them.
+      drawSuperdenseCircuit(ctx, width, height, superdense) {
+        const stages = ["preparing", "sending", "encoding", "transmitting", "decoding"]
+        const stage = superdense.stage === "success" || superdense.stage === "failed" ? stages.length - 1 : stages.indexOf(superdense.stage)
+        const run = superdense.run
+        const gateSize = 34
+        const wireStart = 90
+        const wireEnd = width - 60
+        const at = (fraction) => wireStart + (wireEnd - wireStart) * fraction
+        const wires = [0.36, 0.64].map((fraction) => height * fraction)
+        const handover = at(0.6)
+        const meterX = at(0.95)
+        const alice = "rgba(59, 130, 246, 1)"
+        const bob = "rgba(139, 92, 246, 1)"
+
+        ctx.font = "bold 16px Arial"
+        ctx.fillStyle = "white"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "top"
+        ctx.fillText("Superdense Coding Circuit", width / 2, 10)
+
+        ctx.font = "14px Arial"
+        ctx.textAlign = "right"
+        ctx.textBaseline = "middle"
+        ctx.fillStyle = alice
+        ctx.fillText("|0⟩ Alice", wireStart - 10, wires[0])
+        ctx.fillStyle = bob
+        ctx.fillText("|0⟩ Bob", wireStart - 10, wires[1])
+
+        const segments = [
+          [wires[0], wireStart, handover, "rgba(59, 130, 246, 0.7)"],
+          [wires[0], handover, meterX, "rgba(139, 92, 246, 0.7)"],
+          [wires[1], wireStart, meterX, "rgba(139, 92, 246, 0.7)"],
+        ]
+        segments.forEach(([y, from, to, color]) => {
+          ctx.beginPath()
+          ctx.moveTo(from, y)
+          ctx.lineTo(to, y)
+          ctx.strokeStyle = color
+          ctx.lineWidth = 2
+          ctx.stroke()
+        })
+
+        this.drawHGate(ctx, at(0.05), wires[0], gateSize)
+        this.drawCNOTGate(ctx, at(0.13), wires[0], wires[1], gateSize)
+
+        ctx.font = "11px Arial"
+        ctx.fillStyle = "rgba(255, 255, 255, 0.6)"
+        ctx.textAlign = "center"
+        ctx.fillText("fibre", at(0.27), wires[1] + 16)
+        ctx.fillText("fibre to Bob", handover, wires[0] + 16)
+        ctx.fillText("memory", handover, wires[1] + 16)
+        const noise = 1 - (this.currentStep.fidelity || 0.5)
+        if (stage === 1) this.drawNoiseEffects(ctx, at(0.2), at(0.34), [wires[1]], noise)
+        if (stage === 3) this.drawNoiseEffects(ctx, at(0.53), at(0.67), [wires[0]], noise)
+
+        // both encoding gates are drawn from the start, solid once Alice applies them
+        const applied = stage >= 2 ? SuperdenseCoding.encoding(superdense.message) : []
+        this.drawSpecialGate(ctx, at(0.38), wires[0], gateSize, "Z", applied.includes("Z") ? 1 : 0.25)
+        this.drawSpecialGate(ctx, at(0.46), wires[0], gateSize, "X", applied.includes("X") ? 1 : 0.25)
+        ctx.font = "bold 12px Arial"
+        ctx.fillStyle = "#f59e0b"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "bottom"
+        ctx.fillText(`b₁b₂ = ${superdense.message}`, at(0.42), wires[0] - gateSize / 2 - 6)
+
+        // Bell measurement
+        const bellOpacity = stage >= 4 ? 1 : 0.3
+        this.drawCNOTGate(ctx, at(0.76), wires[0], wires[1], gateSize, bellOpacity)
+        this.drawHGate(ctx, at(0.85), wires[0], gateSize, bellOpacity)
+        this.drawMeasurementGate(ctx, meterX, wires[0], gateSize, bellOpacity)
+        this.drawMeasurementGate(ctx, meterX, wires[1], gateSize, bellOpacity)
+        ctx.setLineDash([4, 4])
+        ctx.strokeStyle = `rgba(255, 255, 255, ${bellOpacity * 0.4})`
+        ctx.lineWidth = 1
+        ctx.strokeRect(at(0.72), wires[0] - gateSize, meterX + gateSize - at(0.72), wires[1] - wires[0] + 2 * gateSize)
+        ctx.setLineDash([])
+        ctx.font = "11px Arial"
+        ctx.fillStyle = `rgba(255, 255, 255, ${bellOpacity * 0.7})`
+        ctx.textAlign = "center"
+        ctx.textBaseline = "middle"
+        ctx.fillText("Bell measurement", (at(0.72) + meterX + gateSize) / 2, wires[1] + gateSize + 8)
+
+        if (stage >= 4) {
+          ctx.font = "bold 12px Arial"
+          ctx.fillStyle = run.decoded === superdense.message ? "#10b981" : "#ef4444"
+          ctx.textAlign = "left"
+          ctx.fillText(`b₁ = ${run.decoded[0]}`, meterX + gateSize / 2 + 6, wires[0])
+          ctx.fillText(`b₂ = ${run.decoded[1]}`, meterX + gateSize / 2 + 6, wires[1])
+        }
+
+        const highlights = [
+          [at(0.09), "Preparing"],
+          [at(0.27), "Sending"],
+          [at(0.42), "Encoding"],
+          [handover, "Transmitting"],
+          [at(0.85), superdense.stage === "success" ? "Decoded!" : superdense.stage === "failed" ? "Too Noisy" : "Decoding"],
+        ]
+        const [highlightX, highlightText] = highlights[stage]
+        ctx.fillStyle = "rgba(59, 130, 246, 0.2)"
+        ctx.shadowBlur = 15
+        ctx.shadowColor = "rgba(59, 130, 246, 0.3)"
+        ctx.fillRect(highlightX - 50, 40, 100, height - 80)
+        ctx.shadowBlur = 0
+
+        ctx.font = "bold 14px Arial"
+        ctx.fillStyle = "white"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "bottom"
+        ctx.fillText(highlightText, highlightX, 40)
+
+        if (this.currentStep.fidelity !== undefined) {
+          ctx.font = "14px Arial"
+          ctx.fillStyle = this.currentStep.fidelity > 0.8 ? "#10b981" : this.currentStep.fidelity > 0.5 ? "#f59e0b" : "#ef4444"
+          ctx.textAlign = "right"
+          ctx.textBaseline = "bottom"
+          ctx.fillText(`${stage >= 3 ? "Encoded State" : "Pair"} Fidelity: ${(this.currentStep.fidelity * 100).toFixed(1)}%`, wireEnd, height - 10)
+        }
+      }
+
+      // The sent qubit as a code block: the encoder, the channel with the errors this block picked up,
+      // one ancilla per stabilizer generator (H, controlled Paulis onto the data, H, measure), the
+      // correction the syndrome calls for and the decoder
+      drawQECCircuit(ctx, width, height, qec) {
+        const code = QEC_CODES[qec.code]
+        const sample = qec.sample
+        const stage = this.currentStep.status === "preparing" ? 0 : this.currentStep.status === "sending" ? 1 : 2
+        const wireCount = code.qubits + code.stabilizers.length
+        const top = 64
+        const bottom = height - 40
+        const spacing = (bottom - top) / wireCount
+        const wires = Array.from({ length: wireCount }, (_, i) => top + spacing * (i + 0.5))
+        const data = wires.slice(0, code.qubits)
+        const ancillas = wires.slice(code.qubits)
+        const gateSize = Math.min(30, spacing * 0.8)
+        const wireStart = 70
+        const wireEnd = width - 40
+        const columns = code.encoder.length + code.stabilizers.length + 6
+        const at = (column) => wireStart + ((wireEnd - wireStart) * (column + 0.5)) / columns
+        const channelColumn = code.encoder.length
+        const stabilizerColumn = channelColumn + 2
+        const measureColumn = stabilizerColumn + code.stabilizers.length + 1
+        const opacity = (needed) => (stage >= needed ? 1 : 0.25)
+
+        const box = (x, y, label, color, alpha) => {
+          ctx.fillStyle = `rgba(${color}, ${alpha})`
+          ctx.strokeStyle = `rgba(255, 255, 255, ${alpha})`
+          ctx.lineWidth = 1.5
+          ctx.fillRect(x - gateSize / 2, y - gateSize / 2, gateSize, gateSize)
+          ctx.strokeRect(x - gateSize / 2, y - gateSize / 2, gateSize, gateSize)
+          ctx.font = `bold ${gateSize * 0.6}px Arial`
+          ctx.fillStyle = `rgba(255, 255, 255, ${alpha})`
+          ctx.textAlign = "center"
+          ctx.textBaseline = "middle"
+          ctx.fillText(label, x, y)
+        }
+
+        ctx.font = "bold 16px Arial"
+        ctx.fillStyle = "white"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "top"
+        ctx.fillText(`${code.name} Code`, width / 2, 10)
+
+        ctx.font = `${Math.min(13, spacing * 0.6)}px Arial`
+        ctx.textAlign = "right"
+        ctx.textBaseline = "middle"
+        wires.forEach((y, i) => {
+          const ancilla = i >= code.qubits
+          ctx.fillStyle = ancilla ? "rgba(245, 158, 11, 1)" : "rgba(59, 130, 246, 1)"
+          ctx.fillText(ancilla ? `|0⟩ a${i - code.qubits + 1}` : i === 0 ? "|ψ⟩ q1" : `|0⟩ q${i + 1}`, wireStart - 8, y)
+          ctx.beginPath()
+          ctx.moveTo(ancilla ? at(stabilizerColumn - 1) - gateSize : wireStart, y)
+          ctx.lineTo(ancilla ? at(measureColumn) : wireEnd, y)
+          ctx.strokeStyle = ancilla ? "rgba(245, 158, 11, 0.6)" : "rgba(59, 130, 246, 0.6)"
+          ctx.lineWidth = 1.5
+          ctx.stroke()
+        })
+
+        code.encoder.forEach((operation, column) => {
+          if (operation.gate === "H") {
+            operation.targets.forEach((target) => this.drawHGate(ctx, at(column), data[target], gateSize))
+            return
+          }
+          operation.targets.forEach((target) => this.drawCNOTGate(ctx, at(column), data[operation.control], data[target], gateSize))
+        })
+
+        // the channel: every physical qubit on its own, marked where this block was hit
+        ctx.font = "11px Arial"
+        ctx.fillStyle = "rgba(255, 255, 255, 0.6)"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "bottom"
+        ctx.fillText("channel", at(channelColumn), top - 4)
+        if (stage === 1) this.drawNoiseEffects(ctx, at(channelColumn) - gateSize, at(channelColumn) + gateSize, data, 1 - (this.currentStep.fidelity || 0.5))
+        sample.errors.forEach((letter, qubit) => {
+          if (letter !== "I") box(at(channelColumn), data[qubit], letter, "239, 68, 68", opacity(1))
+        })
+
+        // syndrome extraction
+        ancillas.forEach((y) => {
+          this.drawHGate(ctx, at(stabilizerColumn - 1), y, gateSize, opacity(2))
+          this.drawHGate(ctx, at(measureColumn - 1), y, gateSize, opacity(2))
+          this.drawMeasurementGate(ctx, at(measureColumn), y, gateSize, opacity(2))
+        })
+        code.stabilizers.forEach((stabilizer, i) => {
+          const x = at(stabilizerColumn + i)
+          const touched = [...stabilizer].map((letter, qubit) => (letter === "I" ? -1 : qubit)).filter((qubit) => qubit >= 0)
+          ctx.beginPath()
+          ctx.moveTo(x, ancillas[i])
+          ctx.lineTo(x, data[touched[0]])
+          ctx.strokeStyle = `rgba(255, 255, 255, ${opacity(2)})`
+          ctx.lineWidth = 1.5
+          ctx.stroke()
+          ctx.beginPath()
+          ctx.arc(x, ancillas[i], gateSize / 6, 0, Math.PI * 2)
+          ctx.fillStyle = `rgba(255, 255, 255, ${opacity(2)})`
+          ctx.fill()
+          touched.forEach((qubit) => box(x, data[qubit], stabilizer[qubit], "6, 182, 212", opacity(2)))
+        })
+        if (stage >= 2) {
+          ctx.font = "bold 12px Arial"
+          ctx.textAlign = "left"
+          ctx.textBaseline = "middle"
+          ancillas.forEach((y, i) => {
+            ctx.fillStyle = sample.syndrome[i] === "1" ? "#f59e0b" : "rgba(255, 255, 255, 0.7)"
+            ctx.fillText(sample.syndrome[i], at(measureColumn) + gateSize / 2 + 4, y)
+          })
+        }
+
+        // the correction the decoder picks, then the encoder run backwards
+        sample.correction.forEach((letter, qubit) => {
+          if (letter !== "I") box(at(measureColumn + 1), data[qubit], letter, "16, 185, 129", opacity(2))
+        })
+        const decodeX = at(measureColumn + 2)
+        ctx.setLineDash([4, 4])
+        ctx.strokeStyle = `rgba(255, 255, 255, ${opacity(2) * 0.6})`
+        ctx.lineWidth = 1
+        ctx.strokeRect(decodeX - gateSize * 0.6, data[0] - gateSize / 2, gateSize * 1.2, data[data.length - 1] - data[0] + gateSize)
+        ctx.setLineDash([])
+        ctx.save()
+        ctx.translate(decodeX, (data[0] + data[data.length - 1]) / 2)
+        ctx.rotate(-Math.PI / 2)
+        ctx.font = "bold 12px Arial"
+        ctx.fillStyle = `rgba(255, 255, 255, ${opacity(2)})`
+        ctx.textAlign = "center"
+        ctx.textBaseline = "middle"
+        ctx.fillText("Decode", 0, 0)
+        ctx.restore()
+
+        const highlights = [
+          [(at(0) + at(channelColumn - 1)) / 2, "Encoding"],
+          [at(channelColumn), "Channel"],
+          [(at(stabilizerColumn - 1) + at(measureColumn + 1)) / 2, "Syndrome & Correction"],
+        ]
+        const [highlightX, highlightText] = highlights[stage]
+        ctx.fillStyle = "rgba(59, 130, 246, 0.15)"
+        ctx.fillRect(highlightX - 50, top - 4, 100, bottom - top + 8)
+        ctx.font = "bold 13px Arial"
+        ctx.fillStyle = "white"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "bottom"
+        ctx.fillText(highlightText, highlightX, top - 16)
+
+        ctx.font = "13px Arial"
+        ctx.textBaseline = "bottom"
+        ctx.textAlign = "left"
+        ctx.fillStyle = "rgba(255, 255, 255, 0.8)"
+        ctx.fillText(
+          `${code.qubits} qubits + ${code.stabilizers.length} ancillas · logical error ${(qec.logicalErrorRate * 100).toFixed(2)}% vs ${(qec.physicalErrorRate * 100).toFixed(2)}% unencoded`,
+          wireStart,
+          height - 10,
+        )
+        if (stage >= 2) {
+          ctx.textAlign = "right"
+          ctx.fillStyle = sample.logical === "I" ? "#10b981" : "#ef4444"
+          ctx.fillText(sample.logical === "I" ? "Block corrected" : `Logical ${sample.logical} error left`, wireEnd, height - 10)
+        }
+      }
+
+      // The gates that prepare a GHZ or W state at the source, one wire per node the qubit is sent to, and
+      // the witness of the state the current step holds
+      drawPreparationCircuit(ctx, width, height, preparation) {
+        const { circuit, names } = preparation
+        const step = this.currentStep
+        const parties = circuit.qubitCount
+
+        ctx.font = "bold 16px Arial"
+        ctx.fillStyle = "white"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "top"
+        ctx.fillText(`${this.getEntanglementTypeName()} over ${parties} Nodes`, width / 2, 10)
+
+        // the first step comes before any gate
+        this.drawBuiltCircuit(ctx, width, height, circuit, names, { active: step.progress < 0.2 ? -1 : null })
+
+        ctx.font = "12px Arial"
+        ctx.textBaseline = "bottom"
+        ctx.textAlign = "left"
+        ctx.fillStyle = "rgba(255, 255, 255, 0.7)"
+        ctx.fillText(`Prepared at ${names[0]}'s source; every other qubit then crosses the channel to its node`, 20, height - 6)
+        if (step.qubits) {
+          const { fidelity, value } = Multipartite.witness(new DensityMatrix(parties, step.qubits.matrix), step.entanglementType)
+          ctx.textAlign = "right"
+          ctx.fillStyle = Multipartite.certifies(value) ? "#10b981" : "#ef4444"
+          ctx.fillText(`F = ${(fidelity * 100).toFixed(1)}% · witness ${Multipartite.formatWitness(value)}`, width - 20, height - 6)
+        }
+      }
+
+      // Where the wires and gates of a built circuit go; the builder tab hit-tests against the same layout
+      circuitLayout(width, height, circuit) {
+        const top = 36
+        const bottom = height - 24
+        const spacing = (bottom - top) / Math.max(circuit.qubitCount, 1)
+        const wires = circuit.holders.map((_, qubit) => top + spacing * (qubit + 0.5))
+        const wireStart = 110
+        const wireEnd = width - 20
+        const columns = circuit.columns()
+        const slots = Math.max(circuit.depth + 1, 6)
+        const columnWidth = Math.min(64, (wireEnd - wireStart) / slots)
+        const gateSize = Math.min(32, spacing * 0.7, columnWidth * 0.75)
+        return {
+          wires,
+          spacing,
+          wireStart,
+          wireEnd,
+          columnWidth,
+          gateSize,
+          x: columns.map((column) => wireStart + columnWidth * (column + 0.75)),
+        }
+      }
+
+      // A built circuit, one wire per qubit labelled with its node. active is the operation being run:
+      // those before it are solid, the rest faded; selected gets an outline in the builder.
+      drawBuiltCircuit(ctx, width, height, circuit, holderNames, { active = null, selected = null } = {}) {
+        const layout = this.circuitLayout(width, height, circuit)
+        const { wires, wireStart, wireEnd, gateSize } = layout
+
+        ctx.font = "13px Arial"
+        ctx.textAlign = "right"
+        ctx.textBaseline = "middle"
+        wires.forEach((y, qubit) => {
+          ctx.fillStyle = "rgba(59, 130, 246, 1)"
+          ctx.fillText(`q${qubit + 1} · ${holderNames[qubit]}`, wireStart - 10, y)
+          ctx.beginPath()
+          ctx.moveTo(wireStart, y)
+          ctx.lineTo(wireEnd, y)
+          ctx.strokeStyle = "rgba(255, 255, 255, 0.5)"
+          ctx.lineWidth = 2
+          ctx.stroke()
+        })
+
+        circuit.operations.forEach((operation, index) => {
+          const x = layout.x[index]
+          const opacity = active === null || index <= active ? 1 : 0.3
+          const ys = operation.targets.map((qubit) => wires[qubit])
+
+          // gates across nodes are framed, since their remote qubits travel
+          if (circuit.remoteQubits(operation).length > 0) {
+            ctx.setLineDash([4, 3])
+            ctx.strokeStyle = `rgba(6, 182, 212, ${opacity})`
+            ctx.lineWidth = 1.5
+            ctx.strokeRect(x - gateSize * 0.7, Math.min(...ys) - gateSize * 0.7, gateSize * 1.4, Math.max(...ys) - Math.min(...ys) + gateSize * 1.4)
+            ctx.setLineDash([])
+          }
+          this.drawCircuitOperation(ctx, operation, x, ys, gateSize, opacity)
+
+          if (index === selected || index === active) {
+            ctx.strokeStyle = index === selected ? "#f59e0b" : "rgba(59, 130, 246, 0.9)"
+            ctx.lineWidth = 2
+            ctx.strokeRect(x - gateSize * 0.8, Math.min(...ys) - gateSize * 0.8, gateSize * 1.6, Math.max(...ys) - Math.min(...ys) + gateSize * 1.6)
+          }
+        })
+
+        if (circuit.operations.length === 0) {
+          ctx.font = "14px Arial"
+          ctx.fillStyle = "rgba(255, 255, 255, 0.6)"
+          ctx.textAlign = "center"
+          ctx.fillText("Drag gates onto the wires", (wireStart + wireEnd) / 2, height / 2)
+        }
+      }
+
+      // One gate of a built circuit; ys are the wire heights of its operands, controls first
+      drawCircuitOperation(ctx, operation, x, ys, size, opacity = 1) {
+        const dot = (y) => {
+          ctx.beginPath()
+          ctx.arc(x, y, size / 6, 0, Math.PI * 2)
+          ctx.fillStyle = `rgba(255, 255, 255, ${opacity})`
+          ctx.fill()
+        }
+        const span = () => {
+          ctx.beginPath()
+          ctx.moveTo(x, Math.min(...ys))
+          ctx.lineTo(x, Math.max(...ys))
+          ctx.strokeStyle = `rgba(255, 255, 255, ${opacity})`
+          ctx.lineWidth = 2
+          ctx.stroke()
+        }
+
+        switch (operation.gate) {
+          case "H":
+            this.drawHGate(ctx, x, ys[0], size, opacity)
+            break
+          case "MEASURE":
+            this.drawMeasurementGate(ctx, x, ys[0], size, opacity)
+            break
+          case "CNOT":
+            this.drawCNOTGate(ctx, x, ys[0], ys[1], size, opacity)
+            break
+          case "TOFFOLI":
+            span()
+            dot(ys[0])
+            this.drawCNOTGate(ctx, x, ys[1], ys[2], size, opacity)
+            break
+          case "CZ":
+            span()
+            dot(ys[0])
+            dot(ys[1])
+            break
+          case "SWAP":
+            span()
+            ys.forEach((y) => {
+              ctx.beginPath()
+              ctx.moveTo(x - size / 5, y - size / 5)
+              ctx.lineTo(x + size / 5, y + size / 5)
+              ctx.moveTo(x + size / 5, y - size / 5)
+              ctx.lineTo(x - size / 5, y + size / 5)
+              ctx.stroke()
+            })
+            break
+          default:
+            this.drawSpecialGate(ctx, x, ys[0], size, operation.gate, opacity)
+            if (CIRCUIT_GATES[operation.gate].angle) {
+              ctx.font = "10px Arial"
+              ctx.fillStyle = `rgba(255, 255, 255, ${opacity * 0.8})`
+              ctx.textAlign = "center"
+              ctx.textBaseline = "top"
+              ctx.fillText(CircuitBuilder.formatAngle(operation.angle), x, ys[0] + size / 2 + 2)
+            }
+        }
+      }
+
       //more of the QuantumCircuitVisualizer class methods are here
       drawStandardCircuit(ctx, width, height) {
         const margin = 50;
@@ -1090,6 +2094,10 @@ document.addEventListener("DOMContentLoaded", () => {
             highlightX = purifyPosition;
             highlightText = 'Purifying';
             break;
+          case 'swapping':
+            highlightX = purifyPosition;
+            highlightText = 'Swapping';
+            break;
           case 'measuring':
             highlightX = measurePosition;
             highlightText = 'Measuring';
@@ -1351,185 +2359,299 @@ document.addEventListener("DOMContentLoaded", () => {
         return states;
       }
       
+      // One sphere per qubit the current step holds, its vector taken from the qubit's reduced state
       drawBlochSphereView(ctx, width, height) {
-        ctx.font = 'bold 16px Arial';
-        ctx.fillStyle = 'white';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'top';
-        ctx.fillText('Bloch Sphere Representation', width / 2, 10);
-        const sphereRadius = 80;
-        const sphereSpacing = 200;
-        const sphereY = height / 2;
-        const maxSpheres = Math.floor((width - 100) / sphereSpacing);
-        const sphereCount = Math.min(maxSpheres, 3);
-        const startX = (width - (sphereCount - 1) * sphereSpacing) / 2;
-        for (let i = 0; i < sphereCount; i++) {
-          const sphereX = startX + i * sphereSpacing;
-          this.drawBlochSphere(ctx, sphereX, sphereY, sphereRadius, i);
+        ctx.font = "bold 16px Arial"
+        ctx.fillStyle = "white"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "top"
+        ctx.fillText("Bloch Sphere Representation", width / 2, 10)
+
+        const held = this.currentStep ? this.currentStep.qubits : null
+        if (!held) {
+          this.drawNoHeldQubits(ctx, width, height)
+          return
         }
-        ctx.font = '14px Arial';
-        ctx.fillStyle = 'white';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'top';
-        const labels = ['Initial State', 'After Gates', 'Final State'];
-        for (let i = 0; i < sphereCount; i++) {
-          const labelX = startX + i * sphereSpacing;
-          ctx.fillText(labels[i], labelX, sphereY + sphereRadius + 20);
+        const state = new DensityMatrix(held.labels.length, held.matrix)
+        const qubits = held.labels.map((label, qubit) => ({ label, ...state.blochVector(qubit) }))
+
+        // as many columns as fit, the spheres shrinking to keep every qubit in view
+        const top = 40
+        const bottom = height - 34
+        const columns = Math.max(1, Math.min(qubits.length, Math.floor(width / 170)))
+        const rows = Math.ceil(qubits.length / columns)
+        const cellWidth = width / columns
+        const cellHeight = (bottom - top) / rows
+        const radius = Math.max(12, Math.min(80, cellWidth / 2 - 30, cellHeight / 2 - 26))
+        qubits.forEach((qubit, i) => {
+          const row = Math.floor(i / columns)
+          const inRow = Math.min(columns, qubits.length - row * columns)
+          const x = (width - inRow * cellWidth) / 2 + ((i % columns) + 0.5) * cellWidth
+          const y = top + (row + 0.5) * cellHeight - 8
+          this.drawBlochSphere(ctx, x, y, radius, qubit)
+        })
+
+        ctx.font = "12px Arial"
+        ctx.fillStyle = "rgba(255, 255, 255, 0.7)"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "bottom"
+        ctx.fillText("A pure qubit points to the surface; noise and entanglement with other qubits pull the vector inside. Drag to rotate.", width / 2, height - 10)
+      }
+
+      // Screen position of a point of the unit sphere under the current view: turned about z by the yaw,
+      // then tilted toward the viewer by the pitch. depth > 0 is the front half.
+      projectBloch(x, y, z) {
+        const { yaw, pitch } = this.blochView
+        const front = x * Math.cos(yaw) - y * Math.sin(yaw)
+        const across = x * Math.sin(yaw) + y * Math.cos(yaw)
+        return {
+          h: across,
+          v: z * Math.cos(pitch) - front * Math.sin(pitch),
+          depth: front * Math.cos(pitch) + z * Math.sin(pitch),
         }
-        ctx.font = '12px Arial';
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'bottom';
-        ctx.fillText('The Bloch sphere represents the quantum state of a single qubit.', width / 2, height - 30);
-        ctx.fillText('Points on the surface represent pure states, while points inside represent mixed states.', width / 2, height - 10);
       }
-      
-      drawBlochSphere(ctx, x, y, radius, stateIndex) {
-        const gradient = ctx.createRadialGradient(x - radius / 3, y - radius / 3, 0, x, y, radius);
-        gradient.addColorStop(0, 'rgba(59, 130, 246, 0.7)');
-        gradient.addColorStop(1, 'rgba(59, 130, 246, 0.1)');
-        ctx.shadowBlur = 20;
-        ctx.shadowColor = 'rgba(59, 130, 246, 0.5)';
-        ctx.beginPath();
-        ctx.arc(x, y, radius, 0, Math.PI * 2);
-        ctx.fillStyle = gradient;
-        ctx.fill();
-        ctx.shadowBlur = 0;
-        ctx.beginPath();
-        ctx.arc(x, y, radius, 0, Math.PI * 2);
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
-        ctx.lineWidth = 1;
-        ctx.stroke();
-        ctx.beginPath();
-        ctx.moveTo(x - radius, y);
-        ctx.lineTo(x + radius, y);
-        ctx.moveTo(x, y - radius);
-        ctx.lineTo(x, y + radius);
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
-        ctx.lineWidth = 1;
-        ctx.stroke();
-        ctx.beginPath();
-        ctx.arc(x, y, radius, 0, Math.PI * 2);
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
-        ctx.lineWidth = 1;
-        ctx.stroke();
-        ctx.beginPath();
-        ctx.arc(x, y, radius, 0, Math.PI * 2);
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
-        ctx.lineWidth = 1;
-        ctx.stroke();
-        ctx.font = '12px Arial';
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText('Z', x, y - radius - 10);
-        ctx.fillText('X', x + radius + 10, y);
-        ctx.fillText('Y', x + 10, y + 10);
-        let theta, phi, purity;
-        if (this.currentStep) {
-          const progress = this.currentStep.progress || 0;
-          const fidelity = this.currentStep.fidelity || 0.7;
-      
-          switch (stateIndex) {
-            case 0:
-              theta = 0;
-              phi = 0;
-              purity = 1.0;
-              break;
-            case 1:
-              if (progress < 0.3) {
-                theta = Math.PI / 2;
-                phi = 0;
-                purity = 1.0;
-              } else {
-                theta = Math.PI / 2;
-                phi = Math.PI / 4;
-                purity = 0.8;
+
+      drawBlochSphere(ctx, x, y, radius, qubit) {
+        const point = (px, py, pz) => {
+          const p = this.projectBloch(px, py, pz)
+          return { x: x + radius * p.h, y: y - radius * p.v, depth: p.depth }
+        }
+
+        const gradient = ctx.createRadialGradient(x - radius / 3, y - radius / 3, 0, x, y, radius)
+        gradient.addColorStop(0, "rgba(59, 130, 246, 0.45)")
+        gradient.addColorStop(1, "rgba(59, 130, 246, 0.08)")
+        ctx.beginPath()
+        ctx.arc(x, y, radius, 0, Math.PI * 2)
+        ctx.fillStyle = gradient
+        ctx.fill()
+        ctx.strokeStyle = "rgba(255, 255, 255, 0.5)"
+        ctx.lineWidth = 1
+        ctx.stroke()
+
+        // the equator and two meridians, their far halves fainter
+        const circles = [
+          (t) => [Math.cos(t), Math.sin(t), 0],
+          (t) => [Math.cos(t), 0, Math.sin(t)],
+          (t) => [0, Math.cos(t), Math.sin(t)],
+        ]
+        circles.forEach((circle, index) => {
+          for (let k = 0; k < 48; k++) {
+            const a = point(...circle((k / 48) * Math.PI * 2))
+            const b = point(...circle(((k + 1) / 48) * Math.PI * 2))
+            ctx.beginPath()
+            ctx.moveTo(a.x, a.y)
+            ctx.lineTo(b.x, b.y)
+            const alpha = index === 0 ? 0.35 : 0.15
+            ctx.strokeStyle = `rgba(255, 255, 255, ${a.depth + b.depth >= 0 ? alpha : alpha / 3})`
+            ctx.stroke()
+          }
+        })
+
+        ctx.font = "11px Arial"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "middle"
+        const axes = [
+          { to: [1, 0, 0], label: "x" },
+          { to: [0, 1, 0], label: "y" },
+          { to: [0, 0, 1], label: "|0⟩" },
+          { to: [0, 0, -1], label: "|1⟩" },
+        ]
+        const centre = point(0, 0, 0)
+        axes.forEach(({ to, label }) => {
+          const end = point(...to)
+          const tip = point(...to.map((c) => c * 1.22))
+          ctx.beginPath()
+          ctx.moveTo(centre.x, centre.y)
+          ctx.lineTo(end.x, end.y)
+          ctx.strokeStyle = `rgba(255, 255, 255, ${end.depth >= 0 ? 0.35 : 0.15})`
+          ctx.stroke()
+          ctx.fillStyle = `rgba(255, 255, 255, ${end.depth >= 0 ? 0.8 : 0.4})`
+          ctx.fillText(label, tip.x, tip.y)
+        })
+
+        // a mixed qubit's vector stops short of the surface; the dashed line shows where a pure one would point
+        const length = Math.min(1, Math.hypot(qubit.x, qubit.y, qubit.z))
+        const colour = length > 0.8 ? "#10b981" : length > 0.5 ? "#f59e0b" : "#ef4444"
+        const head = point(qubit.x, qubit.y, qubit.z)
+        if (length > 1e-6) {
+          const surface = point(qubit.x / length, qubit.y / length, qubit.z / length)
+          ctx.setLineDash([3, 3])
+          ctx.beginPath()
+          ctx.moveTo(head.x, head.y)
+          ctx.lineTo(surface.x, surface.y)
+          ctx.strokeStyle = "rgba(255, 255, 255, 0.35)"
+          ctx.stroke()
+          ctx.setLineDash([])
+        }
+        ctx.beginPath()
+        ctx.moveTo(centre.x, centre.y)
+        ctx.lineTo(head.x, head.y)
+        ctx.strokeStyle = colour
+        ctx.lineWidth = 2.5
+        ctx.stroke()
+        ctx.lineWidth = 1
+        ctx.beginPath()
+        ctx.arc(head.x, head.y, head.depth >= 0 ? 5 : 4, 0, Math.PI * 2)
+        ctx.fillStyle = colour
+        ctx.fill()
+        ctx.strokeStyle = "white"
+        ctx.stroke()
+
+        ctx.font = "bold 13px Arial"
+        ctx.fillStyle = "white"
+        ctx.textBaseline = "top"
+        ctx.fillText(qubit.label, x, y + radius + 8)
+        ctx.font = "11px Arial"
+        ctx.fillStyle = "rgba(255, 255, 255, 0.7)"
+        ctx.fillText(`|r| = ${length.toFixed(2)} · (${qubit.x.toFixed(2)}, ${qubit.y.toFixed(2)}, ${qubit.z.toFixed(2)})`, x, y + radius + 24)
+      }
+
+      // The Bloch and density matrix views have nothing to draw before a run or while no qubit is held
+      drawNoHeldQubits(ctx, width, height) {
+        ctx.font = "14px Arial"
+        ctx.fillStyle = "rgba(255, 255, 255, 0.6)"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "middle"
+        const reason = !this.currentStep
+          ? "Start the simulation, or pick a step of the last run, to see every qubit's state."
+          : this.currentStep.qkd
+            ? "Key distribution measures every photon as it arrives, so no qubit is held at this step."
+            : "No qubit is held at this step."
+        ctx.fillText(reason, width / 2, height / 2)
+      }
+
+      // Re ρ and Im ρ of the qubits the current step holds, side by side: populations on the diagonal and
+      // coherences off it. Both maps share one colour scale, set by the largest entry of the step.
+      drawDensityMatrixView(ctx, width, height) {
+        ctx.font = "bold 16px Arial"
+        ctx.fillStyle = "white"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "top"
+        ctx.fillText("Density Matrix ρ", width / 2, 10)
+
+        const held = this.currentStep ? this.currentStep.qubits : null
+        if (!held) {
+          this.drawNoHeldQubits(ctx, width, height)
+          return
+        }
+        const matrix = held.matrix
+        const dim = matrix.rows
+        const bits = held.labels.length
+        const state = new DensityMatrix(bits, matrix)
+        let scale = 0
+        for (let i = 0; i < dim * dim; i++) scale = Math.max(scale, Math.abs(matrix.re[i]), Math.abs(matrix.im[i]))
+        scale = scale || 1
+
+        ctx.font = "12px Arial"
+        ctx.fillStyle = "rgba(255, 255, 255, 0.7)"
+        ctx.fillText(`Basis states list the qubits left to right: ${held.labels.join(", ")}`, width / 2, 32)
+
+        // two square maps with room for the basis labels on their left and top
+        const labelWidth = bits * 7 + 18
+        const gap = 30
+        const top = 64 + 16
+        const bottom = height - 62
+        const size = Math.max(40, Math.min(bottom - top, (width - 2 * labelWidth - gap - 20) / 2))
+        const cell = size / dim
+        const block = Math.ceil(2 / cell)
+        const left = (width - 2 * (labelWidth + size) - gap) / 2 + labelWidth
+        const every = Math.ceil(Math.max(12, labelWidth - 6) / cell) // label every n-th state when they would overlap
+        const basis = (index) => `|${index.toString(2).padStart(bits, "0")}⟩`
+
+        // dark at zero, cyan for positive entries and red for negative ones
+        const colour = (value) => {
+          const t = Math.max(-1, Math.min(1, value / scale))
+          const base = [20, 26, 52]
+          const end = t >= 0 ? [0, 212, 255] : [255, 99, 132]
+          const mix = base.map((channel, i) => Math.round(channel + Math.abs(t) * (end[i] - channel)))
+          return `rgb(${mix.join(", ")})`
+        }
+
+        const panels = [
+          ["Re ρ", matrix.re],
+          ["Im ρ", matrix.im],
+        ]
+        panels.forEach(([title, values], panel) => {
+          const x0 = left + panel * (size + labelWidth + gap)
+          ctx.font = "bold 13px Arial"
+          ctx.fillStyle = "white"
+          ctx.textAlign = "center"
+          ctx.textBaseline = "bottom"
+          ctx.fillText(title, x0 + size / 2, top - 18)
+
+          // below two pixels a cell stands for a block of entries, drawn as the largest of them
+          for (let r = 0; r < dim; r += block) {
+            for (let c = 0; c < dim; c += block) {
+              let value = values[r * dim + c]
+              for (let i = r; i < Math.min(dim, r + block); i++) {
+                for (let j = c; j < Math.min(dim, c + block); j++) {
+                  if (Math.abs(values[i * dim + j]) > Math.abs(value)) value = values[i * dim + j]
+                }
               }
-              break;
-            case 2:
-              if (progress < 0.7) {
-                theta = Math.PI / 2;
-                phi = Math.PI / 4;
-                purity = fidelity;
-              } else {
-                theta = Math.random() * Math.PI;
-                phi = Math.random() * 2 * Math.PI;
-                purity = fidelity > 0.8 ? 1.0 : 0.6;
+              ctx.fillStyle = colour(value)
+              ctx.fillRect(x0 + c * cell, top + r * cell, cell * block, cell * block)
+              if (cell >= 36) {
+                ctx.font = "10px Arial"
+                ctx.fillStyle = Math.abs(value / scale) > 0.6 ? "#050714" : "rgba(255, 255, 255, 0.8)"
+                ctx.textBaseline = "middle"
+                ctx.fillText(Math.abs(value) < 0.005 ? "0" : value.toFixed(2), x0 + (c + 0.5) * cell, top + (r + 0.5) * cell)
               }
-              break;
-            default:
-              theta = 0;
-              phi = 0;
-              purity = 1.0;
+            }
           }
-        } else {
-          switch (stateIndex) {
-            case 0:
-              theta = 0;
-              phi = 0;
-              purity = 1.0;
-              break;
-            case 1:
-              theta = Math.PI / 2;
-              phi = 0;
-              purity = 1.0;
-              break;
-            case 2:
-              theta = Math.PI / 2;
-              phi = Math.PI / 4;
-              purity = 0.7;
-              break;
-            default:
-              theta = 0;
-              phi = 0;
-              purity = 1.0;
+          if (cell >= 6) {
+            ctx.strokeStyle = "rgba(255, 255, 255, 0.08)"
+            for (let i = 0; i <= dim; i++) {
+              ctx.beginPath()
+              ctx.moveTo(x0 + i * cell, top)
+              ctx.lineTo(x0 + i * cell, top + size)
+              ctx.moveTo(x0, top + i * cell)
+              ctx.lineTo(x0 + size, top + i * cell)
+              ctx.stroke()
+            }
           }
-        }
-      
-        const stateX = x + radius * purity * Math.sin(theta) * Math.cos(phi);
-        const stateY = y + radius * purity * Math.cos(theta);
-        ctx.beginPath();
-        ctx.moveTo(x, y);
-        ctx.lineTo(stateX, stateY);
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
-        ctx.lineWidth = 2;
-        ctx.stroke();
-      
-        ctx.beginPath();
-        ctx.arc(stateX, stateY, 5, 0, Math.PI * 2);
-        ctx.fillStyle = purity > 0.8 ? '#10b981' : purity > 0.5 ? '#f59e0b' : '#ef4444';
-        ctx.fill();
-        ctx.strokeStyle = 'white';
-        ctx.lineWidth = 1;
-        ctx.stroke();
-      
-        let stateLabel;
-        switch (stateIndex) {
-          case 0:
-            stateLabel = '|0⟩';
-            break;
-          case 1:
-            stateLabel = this.currentStep && this.currentStep.progress >= 0.3 ? '|Φ⁺⟩' : '|+⟩';
-            break;
-          case 2:
-            stateLabel = this.currentStep && this.currentStep.progress >= 0.7 ?
-              (this.currentStep.fidelity > 0.8 ? '|0/1⟩' : '|?⟩') : '|Φ⁺⟩';
-            break;
-          default:
-            stateLabel = '|ψ⟩';
-        }
-      
-        ctx.font = 'bold 14px Arial';
-        ctx.fillStyle = 'white';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText(stateLabel, stateX, stateY - 15);
-        ctx.font = '12px Arial';
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
-        ctx.fillText(`Purity: ${(purity * 100).toFixed(0)}%`, x, y + radius + 5);
+          ctx.strokeStyle = "rgba(255, 255, 255, 0.4)"
+          ctx.strokeRect(x0, top, size, size)
+
+          ctx.font = "10px Arial"
+          ctx.fillStyle = "rgba(255, 255, 255, 0.7)"
+          for (let i = 0; i < dim; i += every) {
+            ctx.textAlign = "center"
+            ctx.textBaseline = "bottom"
+            ctx.fillText(basis(i), x0 + (i + 0.5) * cell, top - 3)
+            ctx.textAlign = "right"
+            ctx.textBaseline = "middle"
+            ctx.fillText(basis(i), x0 - 4, top + (i + 0.5) * cell)
+          }
+        })
+
+        // colour bar from −scale to +scale under the maps
+        const barWidth = Math.min(240, width - 80)
+        const barX = (width - barWidth) / 2
+        const barY = top + size + 12
+        const gradient = ctx.createLinearGradient(barX, 0, barX + barWidth, 0)
+        gradient.addColorStop(0, colour(-scale))
+        gradient.addColorStop(0.5, colour(0))
+        gradient.addColorStop(1, colour(scale))
+        ctx.fillStyle = gradient
+        ctx.fillRect(barX, barY, barWidth, 8)
+        ctx.font = "10px Arial"
+        ctx.fillStyle = "rgba(255, 255, 255, 0.7)"
+        ctx.textBaseline = "top"
+        ctx.textAlign = "center"
+        ctx.fillText(`−${scale.toFixed(2)}`, barX, barY + 11)
+        ctx.fillText("0", barX + barWidth / 2, barY + 11)
+        ctx.fillText(`+${scale.toFixed(2)}`, barX + barWidth, barY + 11)
+
+        ctx.font = "12px Arial"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "bottom"
+        ctx.fillText(
+          `Populations on the diagonal, coherences off it · purity Tr ρ² = ${state.purity().toFixed(3)} · l1 coherence = ${state.l1Coherence().toFixed(3)}`,
+          width / 2,
+          height - 10,
+        )
       }
-      
+
       drawDetailedLegend(ctx, width, height) {
         const legendItems = [
           { symbol: '|0⟩', description: 'Ground state' },
@@ -1886,6 +3008,229 @@ document.addEventListener("DOMContentLoaded", () => {
       }
     }
   
+    // Canvas of the Circuit Builder tab. Gates come from the palette by drag and drop, placed gates are
+    // dragged to move them and clicked to edit them; the drawing is the circuit view's own.
+    class CircuitBuilderEditor {
+      constructor(canvasId, painter) {
+        this.canvas = document.getElementById(canvasId)
+        this.ctx = this.canvas.getContext("2d")
+        this.painter = painter // QuantumCircuitVisualizer that knows how to draw a built circuit
+        this.circuit = null
+        this.graph = null
+        this.selected = null // operation open in the gate editor
+        this.active = null // operation the playback has reached, or null outside a run
+        this.editingLocked = false // the circuit is frozen while a simulation runs
+        this.drag = null // placed gate being moved
+        this.dropX = null // where a gate from the palette would land
+        this.onGateClick = null
+        this.onCircuitChange = null
+        this.onProblem = null
+
+        this.resizeCanvas()
+        window.addEventListener("resize", () => this.resizeCanvas())
+        this.initEditing()
+      }
+
+      initEditing() {
+        const pointerPosition = (e) => {
+          const rect = this.canvas.getBoundingClientRect()
+          return { x: e.clientX - rect.left, y: e.clientY - rect.top }
+        }
+
+        this.canvas.addEventListener("dragover", (e) => {
+          if (this.editingLocked || !this.circuit) return
+          e.preventDefault()
+          this.dropX = pointerPosition(e).x
+          this.draw()
+        })
+
+        this.canvas.addEventListener("dragleave", () => {
+          this.dropX = null
+          this.draw()
+        })
+
+        this.canvas.addEventListener("drop", (e) => {
+          e.preventDefault()
+          this.dropX = null
+          const gate = e.dataTransfer.getData("text/plain")
+          if (this.editingLocked || !CIRCUIT_GATES[gate]) return
+          const { x, y } = pointerPosition(e)
+          this.place(gate, this.wireAt(y), this.positionAt(x))
+        })
+
+        this.canvas.addEventListener("mousedown", (e) => {
+          if (this.editingLocked || !this.circuit) return
+          const { x, y } = pointerPosition(e)
+          const index = this.gateAt(x, y)
+          if (index === null) return
+          this.drag = { index, startX: x, startY: y, moved: false }
+        })
+
+        this.canvas.addEventListener("mousemove", (e) => {
+          const { x, y } = pointerPosition(e)
+          if (this.drag) {
+            if (Math.hypot(x - this.drag.startX, y - this.drag.startY) > 4) this.drag.moved = true
+            this.dropX = this.drag.moved ? x : null
+            this.draw()
+          }
+
+          if (this.editingLocked || !this.circuit) {
+            this.canvas.style.cursor = "default"
+          } else if (this.drag) {
+            this.canvas.style.cursor = "grabbing"
+          } else {
+            this.canvas.style.cursor = this.gateAt(x, y) !== null ? "pointer" : "default"
+          }
+        })
+
+        window.addEventListener("mouseup", (e) => {
+          const drag = this.drag
+          if (!drag) return
+          this.drag = null
+          this.dropX = null
+          if (!drag.moved) {
+            if (this.onGateClick) this.onGateClick(drag.index)
+            return
+          }
+
+          // operands keep their spacing and follow the wire the gate was grabbed on
+          const { x, y } = pointerPosition(e)
+          const operation = this.circuit.operations[drag.index]
+          const shift = this.wireAt(y) - this.wireAt(drag.startY)
+          const moved = { ...operation, targets: operation.targets.map((target) => target + shift) }
+          this.report(this.circuit.replace(drag.index, moved, this.positionAt(x, drag.index)))
+        })
+      }
+
+      resizeCanvas() {
+        const container = this.canvas.parentElement
+        const devicePixelRatio = window.devicePixelRatio || 1
+
+        this.canvas.style.width = container.clientWidth + "px"
+        this.canvas.style.height = "300px"
+
+        this.canvas.width = container.clientWidth * devicePixelRatio
+        this.canvas.height = 300 * devicePixelRatio
+
+        this.ctx.scale(devicePixelRatio, devicePixelRatio)
+        this.draw()
+      }
+
+      setCircuit(circuit, graph) {
+        this.circuit = circuit
+        this.graph = graph
+        this.selected = null
+        this.draw()
+      }
+
+      setEditingLocked(locked) {
+        this.editingLocked = locked
+        this.drag = null
+        this.dropX = null
+        this.draw()
+      }
+
+      selectGate(index) {
+        this.selected = index
+        this.draw()
+      }
+
+      setActive(index) {
+        this.active = index
+        this.draw()
+      }
+
+      layout() {
+        return this.painter.circuitLayout(this.canvas.clientWidth, this.canvas.clientHeight, this.circuit)
+      }
+
+      // Nearest wire to a height on the canvas
+      wireAt(y) {
+        const { wires } = this.layout()
+        return wires.reduce((best, wireY, qubit) => (Math.abs(wireY - y) < Math.abs(wires[best] - y) ? qubit : best), 0)
+      }
+
+      // Where in the operation list a gate dropped at x goes: before the first gate drawn at or to its
+      // right. The gate being moved is left out of the count.
+      positionAt(x, moving = null) {
+        const layout = this.layout()
+        const others = this.circuit.operations.map((_, index) => index).filter((index) => index !== moving)
+        const next = others.findIndex((index) => layout.x[index] >= x)
+        return next === -1 ? others.length : next
+      }
+
+      // Topmost gate under the point, or null
+      gateAt(x, y) {
+        const layout = this.layout()
+        for (let index = this.circuit.operations.length - 1; index >= 0; index--) {
+          const ys = this.circuit.operations[index].targets.map((qubit) => layout.wires[qubit])
+          const reach = layout.gateSize * 0.8
+          if (Math.abs(x - layout.x[index]) < reach && y > Math.min(...ys) - reach && y < Math.max(...ys) + reach) return index
+        }
+        return null
+      }
+
+      // Puts a gate on consecutive wires from the given one, shifted up when it would run off the last
+      place(gate, wire = 0, position = this.circuit.operations.length) {
+        const definition = CIRCUIT_GATES[gate]
+        if (this.circuit.qubitCount < definition.qubits) {
+          this.report(`${definition.name} needs ${definition.qubits} qubits; add more in the qubit list`)
+          return
+        }
+        const start = Math.min(wire, this.circuit.qubitCount - definition.qubits)
+        const targets = Array.from({ length: definition.qubits }, (_, i) => start + i)
+        this.report(this.circuit.insert({ gate, targets, angle: definition.angle ? Math.PI / 2 : undefined }, position))
+      }
+
+      // Tells the page what went wrong, or that the circuit changed
+      report(problem) {
+        if (problem) {
+          if (this.onProblem) this.onProblem(problem)
+          this.draw()
+        } else if (this.onCircuitChange) {
+          this.onCircuitChange()
+        }
+      }
+
+      draw() {
+        const ctx = this.ctx
+        const width = this.canvas.clientWidth
+        const height = this.canvas.clientHeight
+
+        ctx.clearRect(0, 0, width, height)
+
+        const gradient = ctx.createLinearGradient(0, 0, 0, height)
+        gradient.addColorStop(0, "#050714")
+        gradient.addColorStop(1, "#0a0f24")
+        ctx.fillStyle = gradient
+        ctx.fillRect(0, 0, width, height)
+        if (!this.circuit || !this.graph || width === 0) return
+
+        if (this.circuit.qubitCount === 0) {
+          ctx.font = "14px Arial"
+          ctx.fillStyle = "rgba(255, 255, 255, 0.6)"
+          ctx.textAlign = "center"
+          ctx.textBaseline = "middle"
+          ctx.fillText("Add a qubit to start building", width / 2, height / 2)
+          return
+        }
+
+        const names = this.circuit.holders.map((node) => this.graph.nodes[node].name)
+        this.painter.drawBuiltCircuit(ctx, width, height, this.circuit, names, { active: this.active, selected: this.selected })
+
+        if (this.dropX !== null) {
+          ctx.setLineDash([4, 4])
+          ctx.strokeStyle = "#f59e0b"
+          ctx.lineWidth = 1.5
+          ctx.beginPath()
+          ctx.moveTo(this.dropX, 20)
+          ctx.lineTo(this.dropX, height - 10)
+          ctx.stroke()
+          ctx.setLineDash([])
+        }
+      }
+    }
+
     class FidelityChartVisualizer {
       constructor(canvasId) {
         this.canvas = document.getElementById(canvasId)
@@ -1895,6 +3240,7 @@ document.addEventListener("DOMContentLoaded", () => {
         this.fidelityHistory = []
         this.errorRateHistory = []
         this.chartType = "line"
+        this.batch = null
         this.tooltip = document.getElementById("chart-tooltip")
         this.resizeCanvas()
         window.addEventListener("resize", () => this.resizeCanvas())
@@ -1904,36 +3250,28 @@ document.addEventListener("DOMContentLoaded", () => {
   
       // Methods for FidelityChartVisualizer are go here
       initChartTypeButtons() {
-        const lineBtn = document.getElementById('chart-view-line');
-        const barBtn = document.getElementById('chart-view-bar');
-        const areaBtn = document.getElementById('chart-view-area');
-
-        if (lineBtn && barBtn && areaBtn) {
-            lineBtn.addEventListener('click', () => {
-                this.chartType = 'line';
-                lineBtn.classList.add('active');
-                barBtn.classList.remove('active');
-                areaBtn.classList.remove('active');
-                this.draw();
-            });
+        const chartTypes = ["line", "bar", "area", "histogram"]
+        const buttons = chartTypes.map((type) => document.getElementById(`chart-view-${type}`))
+        buttons.forEach((button, index) => {
+          if (!button) return
+          button.addEventListener("click", () => this.setChartType(chartTypes[index]))
+        })
+        this.chartTypeButtons = buttons
+      }
 
-            barBtn.addEventListener('click', () => {
-                this.chartType = 'bar';
-                lineBtn.classList.remove('active');
-                barBtn.classList.add('active');
-                areaBtn.classList.remove('active');
-                this.draw();
-            });
+      setChartType(chartType) {
+        this.chartType = chartType
+        this.chartTypeButtons.forEach((button) => {
+          if (button) button.classList.toggle("active", button.id === `chart-view-${chartType}`)
+        })
+        this.draw()
+      }
 
-            areaBtn.addEventListener('click', () => {
-                this.chartType = 'area';
-                lineBtn.classList.remove('active');
-                barBtn.classList.remove('active');
-                areaBtn.classList.add('active');
-                this.draw();
-            });
-        }
-    }
+      // The trials of the last Monte Carlo batch, shown straight away as a histogram
+      setBatch(batch) {
+        this.batch = batch
+        this.setChartType("histogram")
+      }
 
     initTooltip() {
         if (this.tooltip) {
@@ -1941,7 +3279,7 @@ document.addEventListener("DOMContentLoaded", () => {
                 const rect = this.canvas.getBoundingClientRect();
                 const x = e.clientX - rect.left;
                 const y = e.clientY - rect.top;
-                if (this.fidelityHistory.length > 0) {
+                if (this.chartType !== 'histogram' && this.fidelityHistory.length > 0) {
                     const margin = { top: 30, right: 30, bottom: 50, left: 60 };
                     const chartWidth = this.canvas.clientWidth - margin.left - margin.right;
                     const chartHeight = this.canvas.clientHeight - margin.top - margin.bottom;
@@ -2048,6 +3386,10 @@ document.addEventListener("DOMContentLoaded", () => {
         const margin = { top: 30, right: 30, bottom: 50, left: 60 };
         const chartWidth = width - margin.left - margin.right;
         const chartHeight = height - margin.top - margin.bottom;
+        if (this.chartType === 'histogram') {
+            this.drawHistogram(ctx, width, height, margin, chartWidth, chartHeight);
+            return;
+        }
         if (this.fidelityHistory.length === 0) {
             ctx.font = '14px Arial';
             ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
@@ -2293,20 +3635,517 @@ document.addEventListener("DOMContentLoaded", () => {
         }
     }
   
+      // The fidelities of the last batch's trials in equal bins, with the mean and its 95% interval
+      drawHistogram(ctx, width, height, margin, chartWidth, chartHeight) {
+        if (!this.batch) {
+          ctx.font = "14px Arial"
+          ctx.fillStyle = "rgba(255, 255, 255, 0.7)"
+          ctx.textAlign = "center"
+          ctx.textBaseline = "middle"
+          ctx.fillText("No batch yet. Run a batch to see how the fidelity varies from trial to trial.", width / 2, height / 2)
+          return
+        }
+
+        const fidelities = this.batch.samples.map((sample) => sample.fidelity)
+        const { min, max, counts } = MonteCarlo.histogram(fidelities)
+        const { mean, low, high } = this.batch.summary.fidelity
+        const peak = Math.max(...counts)
+        const bottom = margin.top + chartHeight
+        const binWidth = chartWidth / counts.length
+        const x = (fidelity) => margin.left + ((fidelity - min) / (max - min)) * chartWidth
+        const y = (count) => bottom - (count / peak) * chartHeight
+
+        ctx.fillStyle = "rgba(17, 24, 39, 0.7)"
+        ctx.fillRect(margin.left, margin.top, chartWidth, chartHeight)
+
+        ctx.font = "12px Arial"
+        ctx.strokeStyle = "rgba(255, 255, 255, 0.1)"
+        ctx.lineWidth = 1
+        ctx.fillStyle = "rgba(255, 255, 255, 0.7)"
+        ctx.textAlign = "right"
+        ctx.textBaseline = "middle"
+        const countStep = Math.max(1, Math.ceil(peak / 5))
+        for (let count = 0; count <= peak; count += countStep) {
+          ctx.beginPath()
+          ctx.moveTo(margin.left, y(count))
+          ctx.lineTo(margin.left + chartWidth, y(count))
+          ctx.stroke()
+          ctx.fillText(String(count), margin.left - 10, y(count))
+        }
+
+        // ticks fine enough to tell the bins apart when the trials barely differ
+        const tickStep = ((max - min) * 100) / 4
+        const digits = Math.min(3, Math.max(0, Math.ceil(-Math.log10(tickStep)) + 1))
+        ctx.textAlign = "center"
+        ctx.textBaseline = "top"
+        for (let i = 0; i <= 4; i++) {
+          const fidelity = min + (i * (max - min)) / 4
+          ctx.fillText(`${(fidelity * 100).toFixed(digits)}%`, x(fidelity), bottom + 10)
+        }
+
+        counts.forEach((count, bin) => {
+          if (count === 0) return
+          const barGradient = ctx.createLinearGradient(0, y(count), 0, bottom)
+          barGradient.addColorStop(0, "rgba(59, 130, 246, 1)")
+          barGradient.addColorStop(1, "rgba(59, 130, 246, 0.5)")
+          ctx.fillStyle = barGradient
+          ctx.fillRect(margin.left + bin * binWidth + 1, y(count), Math.max(1, binWidth - 2), bottom - y(count))
+        })
+
+        // the 95% interval for the mean, the mean itself and the success threshold when it is in range
+        const clamp = (fidelity) => Math.min(max, Math.max(min, fidelity))
+        ctx.fillStyle = "rgba(255, 255, 255, 0.12)"
+        ctx.fillRect(x(clamp(low)), margin.top, Math.max(1, x(clamp(high)) - x(clamp(low))), chartHeight)
+        ctx.strokeStyle = "white"
+        ctx.lineWidth = 2
+        ctx.beginPath()
+        ctx.moveTo(x(clamp(mean)), margin.top)
+        ctx.lineTo(x(clamp(mean)), bottom)
+        ctx.stroke()
+        if (min <= 0.8 && 0.8 <= max) {
+          ctx.setLineDash([5, 5])
+          ctx.strokeStyle = "rgba(16, 185, 129, 0.8)"
+          ctx.beginPath()
+          ctx.moveTo(x(0.8), margin.top)
+          ctx.lineTo(x(0.8), bottom)
+          ctx.stroke()
+          ctx.setLineDash([])
+        }
+
+        ctx.strokeStyle = "rgba(255, 255, 255, 0.5)"
+        ctx.beginPath()
+        ctx.moveTo(margin.left, margin.top)
+        ctx.lineTo(margin.left, bottom)
+        ctx.lineTo(margin.left + chartWidth, bottom)
+        ctx.stroke()
+
+        ctx.font = "14px Arial"
+        ctx.fillStyle = "white"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "bottom"
+        ctx.fillText("Fidelity", margin.left + chartWidth / 2, height - 10)
+        ctx.save()
+        ctx.translate(15, margin.top + chartHeight / 2)
+        ctx.rotate(-Math.PI / 2)
+        ctx.textBaseline = "middle"
+        ctx.fillText("Trials", 0, 0)
+        ctx.restore()
+
+        ctx.font = "bold 16px Arial"
+        ctx.textBaseline = "top"
+        ctx.fillText(`Fidelity over ${fidelities.length} Trials: mean ${(mean * 100).toFixed(2)}%`, width / 2, 10)
+      }
+
       destroy() {
         window.removeEventListener("resize", this.resizeCanvas)
       }
     }
   
-    class ResultsVisualizer {
-      constructor(containerId) {
-        this.container = document.getElementById(containerId)
-        this.results = null
-      }
-  
-      update(results) {
-        this.results = results
-        this.render()
+    // Plots a parameter sweep in the style of the fidelity chart: a line with 95% error bars for one
+    // swept parameter, a heatmap for two
+    class ParameterSweepVisualizer {
+      constructor(canvasId, descriptionId) {
+        this.canvas = document.getElementById(canvasId)
+        this.ctx = this.canvas.getContext("2d")
+        this.description = document.getElementById(descriptionId)
+        this.sweep = null
+        this.metric = "fidelity"
+        this.resizeCanvas()
+        window.addEventListener("resize", () => this.resizeCanvas())
+      }
+
+      resizeCanvas() {
+        const container = this.canvas.parentElement
+        const devicePixelRatio = window.devicePixelRatio || 1
+        this.canvas.style.width = container.clientWidth + "px"
+        this.canvas.style.height = "300px"
+        this.canvas.width = container.clientWidth * devicePixelRatio
+        this.canvas.height = 300 * devicePixelRatio
+        this.ctx.scale(devicePixelRatio, devicePixelRatio)
+        this.draw()
+      }
+
+      // sweep: { axes: [{ key, values }], summaries } with one MonteCarlo.summary per point
+      update(sweep) {
+        this.sweep = sweep
+        this.draw()
+        this.describe()
+      }
+
+      setMetric(metric) {
+        this.metric = metric
+        this.draw()
+        this.describe()
+      }
+
+      // Fidelity and success rate live on [0, 1]; the others start from zero
+      metricRange(summaries) {
+        if (this.metric === "fidelity" || this.metric === "success") {
+          const low = Math.min(...summaries.map((summary) => summary[this.metric].low))
+          return { min: Math.min(0.4, Math.floor(low * 10) / 10), max: 1 }
+        }
+        const high = Math.max(...summaries.map((summary) => summary[this.metric].high))
+        return { min: 0, max: high > 0 ? high * 1.1 : 1 }
+      }
+
+      draw() {
+        const ctx = this.ctx
+        const width = this.canvas.clientWidth
+        const height = this.canvas.clientHeight
+        ctx.clearRect(0, 0, width, height)
+        const gradient = ctx.createLinearGradient(0, 0, 0, height)
+        gradient.addColorStop(0, "#050714")
+        gradient.addColorStop(1, "#0a0f24")
+        ctx.fillStyle = gradient
+        ctx.fillRect(0, 0, width, height)
+
+        if (!this.sweep) {
+          ctx.font = "14px Arial"
+          ctx.fillStyle = "rgba(255, 255, 255, 0.7)"
+          ctx.textAlign = "center"
+          ctx.textBaseline = "middle"
+          ctx.fillText("No sweep yet. Choose the parameters below and run a sweep.", width / 2, height / 2)
+          return
+        }
+
+        const axes = this.sweep.axes
+        const margin = { top: 30, right: axes.length > 1 ? 90 : 30, bottom: 50, left: axes.length > 1 ? 130 : 70 }
+        const chartWidth = width - margin.left - margin.right
+        const chartHeight = height - margin.top - margin.bottom
+        if (axes.length > 1) this.drawHeatmap(ctx, margin, chartWidth, chartHeight)
+        else this.drawLinePlot(ctx, margin, chartWidth, chartHeight)
+
+        ctx.font = "14px Arial"
+        ctx.fillStyle = "white"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "bottom"
+        ctx.fillText(SWEEP_PARAMETERS[axes[0].key].name, margin.left + chartWidth / 2, height - 8)
+        ctx.save()
+        ctx.translate(15, margin.top + chartHeight / 2)
+        ctx.rotate(-Math.PI / 2)
+        ctx.textBaseline = "middle"
+        ctx.fillText(axes.length > 1 ? SWEEP_PARAMETERS[axes[1].key].name : MONTE_CARLO_METRICS[this.metric], 0, 0)
+        ctx.restore()
+
+        ctx.font = "bold 16px Arial"
+        ctx.textBaseline = "top"
+        const title = `${MONTE_CARLO_METRICS[this.metric]} over ${this.sweep.summaries.length} Points, ${this.sweep.trials} Trials Each`
+        ctx.fillText(title, width / 2, 6)
+      }
+
+      // Numeric parameters sit at their values, options evenly spaced
+      axisPosition(axis, index, start, length) {
+        const parameter = SWEEP_PARAMETERS[axis.key]
+        const count = axis.values.length
+        if (parameter.type === "options" || count === 1) return start + ((index + 0.5) / count) * length
+        const first = axis.values[0]
+        const last = axis.values[count - 1]
+        return start + ((axis.values[index] - first) / (last - first)) * length
+      }
+
+      drawLinePlot(ctx, margin, chartWidth, chartHeight) {
+        const axis = this.sweep.axes[0]
+        const summaries = this.sweep.summaries.map((summary) => summary[this.metric])
+        const { min, max } = this.metricRange(this.sweep.summaries)
+        const bottom = margin.top + chartHeight
+        const x = (index) => this.axisPosition(axis, index, margin.left, chartWidth)
+        const y = (value) => bottom - ((Math.min(max, Math.max(min, value)) - min) / (max - min)) * chartHeight
+
+        ctx.fillStyle = "rgba(17, 24, 39, 0.7)"
+        ctx.fillRect(margin.left, margin.top, chartWidth, chartHeight)
+
+        ctx.font = "12px Arial"
+        ctx.strokeStyle = "rgba(255, 255, 255, 0.1)"
+        ctx.lineWidth = 1
+        ctx.fillStyle = "rgba(255, 255, 255, 0.7)"
+        ctx.textAlign = "right"
+        ctx.textBaseline = "middle"
+        for (let i = 0; i <= 5; i++) {
+          const value = min + ((max - min) * i) / 5
+          ctx.beginPath()
+          ctx.moveTo(margin.left, y(value))
+          ctx.lineTo(margin.left + chartWidth, y(value))
+          ctx.stroke()
+          ctx.fillText(this.metric === "latency" ? formatDuration(value) : value.toFixed(this.metric === "attempts" ? 1 : 2), margin.left - 8, y(value))
+        }
+
+        // label every value while they fit, otherwise every few
+        ctx.textAlign = "center"
+        ctx.textBaseline = "top"
+        const labelEvery = Math.ceil((axis.values.length * 60) / chartWidth)
+        axis.values.forEach((value, index) => {
+          if (index % labelEvery === 0) ctx.fillText(ParameterSweep.formatValue(axis.key, value), x(index), bottom + 10)
+        })
+
+        if (this.metric === "fidelity") {
+          ctx.setLineDash([5, 5])
+          ctx.strokeStyle = "rgba(16, 185, 129, 0.8)"
+          ctx.lineWidth = 2
+          ctx.beginPath()
+          ctx.moveTo(margin.left, y(SWEEP_THRESHOLD))
+          ctx.lineTo(margin.left + chartWidth, y(SWEEP_THRESHOLD))
+          ctx.stroke()
+          ctx.setLineDash([])
+        }
+
+        ctx.strokeStyle = "rgba(255, 255, 255, 0.6)"
+        ctx.lineWidth = 1.5
+        summaries.forEach(({ low, high }, index) => {
+          ctx.beginPath()
+          ctx.moveTo(x(index), y(low))
+          ctx.lineTo(x(index), y(high))
+          ctx.moveTo(x(index) - 4, y(low))
+          ctx.lineTo(x(index) + 4, y(low))
+          ctx.moveTo(x(index) - 4, y(high))
+          ctx.lineTo(x(index) + 4, y(high))
+          ctx.stroke()
+        })
+
+        ctx.beginPath()
+        summaries.forEach(({ mean }, index) => {
+          if (index === 0) ctx.moveTo(x(index), y(mean))
+          else ctx.lineTo(x(index), y(mean))
+        })
+        ctx.shadowBlur = 10
+        ctx.shadowColor = "rgba(59, 130, 246, 0.5)"
+        ctx.strokeStyle = "rgba(59, 130, 246, 1)"
+        ctx.lineWidth = 3
+        ctx.stroke()
+        ctx.shadowBlur = 0
+
+        summaries.forEach(({ mean }, index) => {
+          ctx.beginPath()
+          ctx.arc(x(index), y(mean), 4, 0, Math.PI * 2)
+          ctx.fillStyle = "white"
+          ctx.fill()
+          ctx.strokeStyle = "rgba(59, 130, 246, 1)"
+          ctx.lineWidth = 2
+          ctx.stroke()
+        })
+      }
+
+      // Dark navy through blue to cyan as the share of the range grows
+      heatColor(share) {
+        const stops = [
+          [15, 23, 42],
+          [59, 130, 246],
+          [103, 232, 249],
+        ]
+        const position = Math.min(1, Math.max(0, share)) * (stops.length - 1)
+        const index = Math.min(stops.length - 2, Math.floor(position))
+        const t = position - index
+        const channel = (c) => Math.round(stops[index][c] + (stops[index + 1][c] - stops[index][c]) * t)
+        return `rgb(${channel(0)}, ${channel(1)}, ${channel(2)})`
+      }
+
+      drawHeatmap(ctx, margin, chartWidth, chartHeight) {
+        const [columns, rows] = this.sweep.axes
+        const summaries = this.sweep.summaries
+        const { min, max } = this.metricRange(summaries)
+        const cellWidth = chartWidth / columns.values.length
+        const cellHeight = chartHeight / rows.values.length
+        const bottom = margin.top + chartHeight
+        const showValues = cellWidth >= 44 && cellHeight >= 18
+
+        ctx.font = "11px Arial"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "middle"
+        columns.values.forEach((_, column) => {
+          rows.values.forEach((_, row) => {
+            // points run with the first parameter slowest, so a column of the map is a run of points
+            const { mean } = summaries[column * rows.values.length + row][this.metric]
+            const left = margin.left + column * cellWidth
+            const top = bottom - (row + 1) * cellHeight
+            const share = (mean - min) / (max - min)
+            ctx.fillStyle = this.heatColor(share)
+            ctx.fillRect(left, top, cellWidth, cellHeight)
+            if (this.metric === "fidelity" && mean >= SWEEP_THRESHOLD) {
+              ctx.strokeStyle = "rgba(16, 185, 129, 0.9)"
+              ctx.lineWidth = 2
+              ctx.strokeRect(left + 1, top + 1, cellWidth - 2, cellHeight - 2)
+            }
+            if (showValues) {
+              ctx.fillStyle = share > 0.6 ? "#0a0f24" : "white"
+              ctx.fillText(MonteCarlo.formatValue(this.metric, mean).replace(/\.(\d)\d%$/, ".$1%"), left + cellWidth / 2, top + cellHeight / 2)
+            }
+          })
+        })
+
+        ctx.font = "12px Arial"
+        ctx.fillStyle = "rgba(255, 255, 255, 0.7)"
+        ctx.textBaseline = "top"
+        const labelEvery = Math.ceil((columns.values.length * 60) / chartWidth)
+        columns.values.forEach((value, column) => {
+          if (column % labelEvery === 0) {
+            ctx.fillText(ParameterSweep.formatValue(columns.key, value), margin.left + (column + 0.5) * cellWidth, bottom + 10)
+          }
+        })
+        ctx.textAlign = "right"
+        ctx.textBaseline = "middle"
+        const rowEvery = Math.ceil((rows.values.length * 16) / chartHeight)
+        rows.values.forEach((value, row) => {
+          if (row % rowEvery === 0) ctx.fillText(ParameterSweep.formatValue(rows.key, value), margin.left - 8, bottom - (row + 0.5) * cellHeight)
+        })
+
+        // the colour bar
+        const barLeft = margin.left + chartWidth + 20
+        for (let i = 0; i < chartHeight; i++) {
+          ctx.fillStyle = this.heatColor(1 - i / chartHeight)
+          ctx.fillRect(barLeft, margin.top + i, 14, 1)
+        }
+        ctx.textAlign = "left"
+        ctx.fillStyle = "rgba(255, 255, 255, 0.7)"
+        ctx.fillText(MonteCarlo.formatValue(this.metric, max), barLeft + 18, margin.top + 6)
+        ctx.fillText(MonteCarlo.formatValue(this.metric, min), barLeft + 18, bottom - 6)
+      }
+
+      // The finding under the plot: where a line crosses the threshold, or how much of a map reaches it
+      describe() {
+        if (!this.description || !this.sweep) return
+        const { axes, summaries, trials } = this.sweep
+        const means = summaries.map((summary) => summary[this.metric].mean)
+        const each = `Each point is the mean of ${trials} trials`
+        if (this.metric !== "fidelity") {
+          this.description.textContent = axes.length > 1 ? `${each}.` : `${each}; the bars show its 95% confidence interval.`
+          return
+        }
+
+        const threshold = SWEEP_THRESHOLD.toFixed(1)
+        if (axes.length > 1) {
+          const reached = means.filter((mean) => mean >= SWEEP_THRESHOLD).length
+          this.description.textContent = `${each}. ${reached} of ${means.length} points reach a mean fidelity of ${threshold}; they are outlined in green.`
+          return
+        }
+
+        const axis = axes[0]
+        const name = SWEEP_PARAMETERS[axis.key].name.toLowerCase()
+        const crossing = SWEEP_PARAMETERS[axis.key].type === "range" ? ParameterSweep.crossing(axis.values, means) : null
+        let finding = `The mean fidelity stays ${means[0] >= SWEEP_THRESHOLD ? "above" : "below"} ${threshold} over the whole range.`
+        if (crossing) {
+          finding = `The mean fidelity ${crossing.falling ? "falls below" : "rises above"} ${threshold} at a ${name} of about ${crossing.value.toFixed(SWEEP_PARAMETERS[axis.key].integer ? 1 : 3)}.`
+        } else if (means.some((mean) => mean >= SWEEP_THRESHOLD) && means.some((mean) => mean < SWEEP_THRESHOLD)) {
+          finding = `${means.filter((mean) => mean >= SWEEP_THRESHOLD).length} of ${means.length} settings reach a mean fidelity of ${threshold}.`
+        }
+        this.description.textContent = `${finding} ${each}; the bars show its 95% confidence interval.`
+      }
+
+      destroy() {
+        window.removeEventListener("resize", this.resizeCanvas)
+      }
+    }
+  
+    class ResultsVisualizer {
+      constructor(containerId) {
+        this.container = document.getElementById(containerId)
+        this.results = null
+        this.batch = null
+      }
+  
+      update(results) {
+        this.results = results
+        this.batch = null
+        this.render()
+      }
+
+      // A Monte Carlo batch replaces the results of a single run, see monte-carlo.js
+      updateBatch(batch) {
+        this.results = null
+        this.batch = batch
+        this.renderBatch()
+      }
+
+      renderBatch() {
+        if (!this.container) return
+
+        const { summary, settings } = this.batch
+        const { fidelity, success } = summary
+        const percent = (value) => `${(value * 100).toFixed(1)}%`
+        const statusIcon = success.mean === 1 ? "success-icon" : success.mean === 0 ? "error-icon" : "warning-icon"
+        this.container.innerHTML = `
+                  <div class="flex-center">
+                      <div class="icon ${statusIcon}"></div>
+                      <h3>Batch of ${fidelity.count} Trials</h3>
+                      <p class="text-secondary">Mean fidelity ${percent(fidelity.mean)} (95% CI ${percent(fidelity.low)} – ${percent(fidelity.high)}), and ${percent(success.mean)} of the trials succeeded.</p>
+                  </div>
+              `
+
+        const resultsGrid = document.createElement("div")
+        resultsGrid.className = "results-grid"
+
+        const statisticsCard = document.createElement("div")
+        statisticsCard.className = "result-card animate-fade-in stagger-1"
+        const rows = Object.entries(MONTE_CARLO_METRICS).map(([metric, name]) => {
+          const { mean, std, low, high } = summary[metric]
+          const format = (value) => MonteCarlo.formatValue(metric, value)
+          return `
+                      <tr>
+                          <th>${name}</th>
+                          <td>${format(mean)}</td>
+                          <td>${format(std)}</td>
+                          <td>${format(low)} – ${format(high)}</td>
+                      </tr>`
+        })
+        statisticsCard.innerHTML = `
+                  <h4>Trial Statistics</h4>
+                  <table class="batch-table">
+                      <tr><th></th><th>Mean</th><th>Std Dev</th><th>95% CI</th></tr>${rows.join("")}
+                  </table>
+                  <p class="text-secondary">Means take Student's t interval; the success rate takes the Wilson score interval, which stays meaningful when every trial succeeds or every trial fails.</p>
+              `
+
+        const configCard = document.createElement("div")
+        configCard.className = "result-card animate-fade-in stagger-2"
+        configCard.innerHTML = `
+                  <h4>Configuration</h4>
+                  <div class="result-item">
+                      <span class="result-label">Protocol:</span>
+                      <span class="result-value">${settings.protocol}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Error Model:</span>
+                      <span class="result-value">${settings.errorModel}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Noise Level:</span>
+                      <span class="result-value">${(settings.noiseLevel * 100).toFixed(0)}%</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Purification:</span>
+                      <span class="result-value">${settings.purificationEnabled ? "Enabled" : "Disabled"}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Network:</span>
+                      <span class="result-value">${settings.nodeCount} nodes, ${this.formatTopologyName(settings.topology)}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Run Time:</span>
+                      <span class="result-value">${(this.batch.elapsed / 1000).toFixed(1)} s ${this.batch.inWorker ? "in a Web Worker" : "on the page"}</span>
+                  </div>
+              `
+
+        const observations = []
+        if (fidelity.std < 1e-6) {
+          observations.push(
+            "Every trial ended with the same fidelity, so the chance in this configuration lies in how many attempts it takes and how long, not in the state delivered.",
+          )
+        }
+        if (success.mean > 0 && success.mean < 1) {
+          observations.push(`Only ${percent(success.mean)} of the trials succeeded, so a single run of this configuration can go either way.`)
+        }
+        observations.push("The intervals shrink with the square root of the number of trials: four times as many trials halve them.")
+
+        const analysisCard = document.createElement("div")
+        analysisCard.className = "result-card analysis-card animate-fade-in"
+        analysisCard.innerHTML = `
+                  <h4>Analysis</h4>
+                  <p>Each trial is one random run of the configuration, without the animation. The Histogram view of the Fidelity Chart shows how the trials spread.</p>
+                  <h5>Observations:</h5><ul class="observations-list">${observations.map((obs) => `<li>${obs}</li>`).join("")}</ul>
+              `
+
+        resultsGrid.appendChild(statisticsCard)
+        resultsGrid.appendChild(configCard)
+        resultsGrid.appendChild(analysisCard)
+        this.container.appendChild(resultsGrid)
       }
   
       formatTopologyName(topology) {
@@ -2319,11 +4158,782 @@ document.addEventListener("DOMContentLoaded", () => {
             return "Ring Network"
           case "mesh":
             return "Fully Connected Mesh"
+          case "custom":
+            return "Custom Graph"
           default:
             return topology.charAt(0).toUpperCase() + topology.slice(1)
         }
       }
-  
+  
+      formatPurification(purification, enabled) {
+        if (!enabled) return "Disabled"
+        if (!purification) return "Not needed"
+        return `${Purification.protocols[purification.protocol]}, ${purification.roundsCompleted}/${purification.rounds} rounds`
+      }
+  
+      formatEavesdropper(qkd) {
+        if (!qkd.eavesdropper) return "None"
+        const name = `${QKD_ATTACKS[qkd.eavesdropper.strategy]} on ${escapeHtml(qkd.eveLink)}`
+        if (!qkd.eavesdropper.onPath) return `${name} (off the key path)`
+        if (qkd.eveInformation === null) return name
+        return `${name}, ${qkd.eveInformation.toFixed(2)} bits per kept bit`
+      }
+
+      describeAttackOutcome(qkd) {
+        const attack = qkd.eavesdropper
+        const percent = (value) => `${(value * 100).toFixed(1)}%`
+        const share = `${Math.round(attack.fraction * 100)}% of the photons`
+        if (!attack.onPath) {
+          return `Eve tapped ${escapeHtml(qkd.eveLink)}, which the key path does not cross, so she learnt nothing and caused no errors.`
+        }
+
+        const theory = QKD.tradeoff(attack.strategy, attack.strength, attack.plan ? attack.plan.knownShare : 1)
+        if (qkd.chsh) {
+          return attack.strategy === "cloning"
+            ? `Eve's probe gets entangled with Bob's photon, so less of the pair's entanglement reaches Bob; her cloner alone adds about ${percent(theory.qber)} QBER.`
+            : `Eve's measurement leaves Bob's photon in a definite state, so the pairs she touched are no longer entangled and S falls to at most √2 ≈ 1.41 for them. She attacked ${share}.`
+        }
+
+        const learnt = `Eve holds ${qkd.eveInformation.toFixed(2)} bits per kept bit (theory ${theory.information.toFixed(2)}) and the sample showed ${percent(qkd.qber)} QBER`
+        switch (attack.strategy) {
+          case "breidbart":
+            return `${learnt}. Measuring ${share} in the Breidbart basis adds about ${percent(theory.qber)} errors, the same as intercept-resend, for 0.40 instead of 0.5 bits per attacked bit; her guesses are right 85% of the time instead of being all or nothing.`
+          case "cloning":
+            return `${learnt}. A cloner at η = ${((attack.eta * 180) / Math.PI).toFixed(1)}° adds about ${percent(theory.qber)} errors; at 45° both sides get 85.4% fidelity, 14.6% QBER for 0.40 bits, the best individual attack on BB84.`
+          case "pns":
+            return qkd.decoyState
+              ? `${learnt}: splitting multi-photon pulses causes no errors at all, but she cannot tell decoys from signals. Blocking single photons cut the decoy gain to ${(qkd.decoyState.statistics.decoy.gain * 100).toPrecision(3)}%, which pulled the single-photon bound down to ${(qkd.decoyState.bounds.share * 100).toFixed(1)}% of the signal clicks.`
+              : `${learnt}: splitting multi-photon pulses causes no errors at all. Only the detection statistics change, which decoy-state BB84 checks; the single-photon key length here does not account for her.`
+          default:
+            return `${learnt}. Attacking ${share} adds about ${percent(theory.qber)} errors: a wrong basis guess, half the time, flips Bob's result half the time.`
+        }
+      }
+
+      // Eve's information against the QBER she causes as her attack grows, for every strategy, with
+      // the chosen one highlighted and this run's measurement on top
+      drawAttackTradeoff(canvas, qkd) {
+        const ctx = canvas.getContext("2d")
+        const width = (canvas.width = canvas.clientWidth || 320)
+        const height = (canvas.height = canvas.clientHeight || 200)
+        const margin = { top: 12, right: 12, bottom: 32, left: 40 }
+        const maxQber = 0.3
+        const x = (qber) => margin.left + (Math.min(qber, maxQber) / maxQber) * (width - margin.left - margin.right)
+        const y = (information) => height - margin.bottom - information * (height - margin.top - margin.bottom)
+        const attack = qkd.eavesdropper
+        const colors = { intercept: "#ef4444", breidbart: "#f59e0b", cloning: "#8b5cf6", pns: "#06b6d4" }
+
+        ctx.clearRect(0, 0, width, height)
+        ctx.strokeStyle = "rgba(255, 255, 255, 0.3)"
+        ctx.lineWidth = 1
+        ctx.beginPath()
+        ctx.moveTo(margin.left, margin.top)
+        ctx.lineTo(margin.left, height - margin.bottom)
+        ctx.lineTo(width - margin.right, height - margin.bottom)
+        ctx.stroke()
+
+        // the abort threshold
+        ctx.setLineDash([4, 4])
+        ctx.beginPath()
+        ctx.moveTo(x(qkd.threshold), margin.top)
+        ctx.lineTo(x(qkd.threshold), height - margin.bottom)
+        ctx.stroke()
+        ctx.setLineDash([])
+
+        ctx.font = "10px Arial"
+        ctx.fillStyle = "rgba(255, 255, 255, 0.7)"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "top"
+        const qberTicks = [0, 0.1, 0.2, 0.3]
+        qberTicks.forEach((qber) => ctx.fillText(`${Math.round(qber * 100)}%`, x(qber), height - margin.bottom + 4))
+        ctx.fillText("QBER caused by Eve", (margin.left + width - margin.right) / 2, height - 12)
+        ctx.textAlign = "right"
+        ctx.textBaseline = "middle"
+        const informationTicks = [0, 0.5, 1]
+        informationTicks.forEach((information) => ctx.fillText(String(information), margin.left - 6, y(information)))
+
+        Object.keys(QKD_ATTACKS).forEach((strategy) => {
+          const knownShare = attack.plan ? attack.plan.knownShare : 1
+          ctx.beginPath()
+          for (let i = 0; i <= 50; i++) {
+            const point = QKD.tradeoff(strategy, i / 50, knownShare)
+            if (i === 0) ctx.moveTo(x(point.qber), y(point.information))
+            else ctx.lineTo(x(point.qber), y(point.information))
+          }
+          ctx.strokeStyle = colors[strategy]
+          ctx.globalAlpha = strategy === attack.strategy ? 1 : 0.3
+          ctx.lineWidth = strategy === attack.strategy ? 2.5 : 1.5
+          ctx.stroke()
+        })
+        ctx.globalAlpha = 1
+
+        // the run itself: the QBER also holds the channel's own errors
+        if (qkd.eveInformation !== null && attack.onPath) {
+          ctx.beginPath()
+          ctx.arc(x(qkd.qber), y(qkd.eveInformation), 5, 0, Math.PI * 2)
+          ctx.fillStyle = "white"
+          ctx.fill()
+          ctx.strokeStyle = colors[attack.strategy]
+          ctx.lineWidth = 2
+          ctx.stroke()
+        }
+      }
+
+      // Class gains, single-photon bounds and the range they allow on this path's fibre
+      formatDecoyState(qkd) {
+        const { intensities, statistics, bounds, model, maxRange, maxRangeWithoutDecoys } = qkd.decoyState
+        const percent = (value) => `${(value * 100).toPrecision(3)}%`
+        const range = (distance) => `${distance.toFixed(0)} km (${(distance * model.attenuation).toFixed(1)} dB)`
+        return `
+                  <div class="result-item">
+                      <span class="result-label">Intensities μ / ν / ω:</span>
+                      <span class="result-value">${DECOY_CLASSES.map((name) => intensities[name]).join(" / ")}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Gains Q_μ / Q_ν / Q_ω:</span>
+                      <span class="result-value">${DECOY_CLASSES.map((name) => percent(statistics[name].gain)).join(" / ")}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Single-Photon Bounds:</span>
+                      <span class="result-value">Y₁ ≥ ${percent(bounds.y1)}, e₁ ≤ ${percent(bounds.e1)}, ${percent(bounds.share)} of signal clicks</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Maximum Range:</span>
+                      <span class="result-value">${maxRange > 0 ? range(maxRange) : "No key at any distance"}${maxRangeWithoutDecoys > 0 ? `, ${range(maxRangeWithoutDecoys)} without decoys` : ""}</span>
+                  </div>
+              `
+      }
+
+      // Expected secret bits per pulse against distance on the path's mean attenuation, with and
+      // without decoys, on a log scale; the dot is this run at the path's length
+      drawKeyRateCurve(canvas, qkd) {
+        const ctx = canvas.getContext("2d")
+        const width = (canvas.width = canvas.clientWidth || 320)
+        const height = (canvas.height = canvas.clientHeight || 200)
+        const margin = { top: 12, right: 12, bottom: 32, left: 44 }
+        const { model, maxRange } = qkd.decoyState
+        const maxDistance = Math.min(DecoyState.maxDistance, Math.max(50, Math.ceil((Math.max(maxRange, model.length) * 1.2) / 50) * 50))
+        const minExponent = -7
+        const x = (distance) => margin.left + (distance / maxDistance) * (width - margin.left - margin.right)
+        const y = (rate) =>
+          height - margin.bottom - ((Math.max(Math.log10(rate), minExponent) - minExponent) / -minExponent) * (height - margin.top - margin.bottom)
+        const colors = { decoy: "#10b981", single: "#f59e0b" }
+
+        ctx.clearRect(0, 0, width, height)
+        ctx.strokeStyle = "rgba(255, 255, 255, 0.3)"
+        ctx.lineWidth = 1
+        ctx.beginPath()
+        ctx.moveTo(margin.left, margin.top)
+        ctx.lineTo(margin.left, height - margin.bottom)
+        ctx.lineTo(width - margin.right, height - margin.bottom)
+        ctx.stroke()
+
+        // the range with decoys
+        if (maxRange > 0) {
+          ctx.setLineDash([4, 4])
+          ctx.beginPath()
+          ctx.moveTo(x(maxRange), margin.top)
+          ctx.lineTo(x(maxRange), height - margin.bottom)
+          ctx.stroke()
+          ctx.setLineDash([])
+        }
+
+        ctx.font = "10px Arial"
+        ctx.fillStyle = "rgba(255, 255, 255, 0.7)"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "top"
+        for (let distance = 0; distance <= maxDistance; distance += maxDistance / 5) {
+          ctx.fillText(String(Math.round(distance)), x(distance), height - margin.bottom + 4)
+        }
+        ctx.fillText(`Distance (km) at ${model.attenuation.toFixed(2)} dB/km`, (margin.left + width - margin.right) / 2, height - 12)
+        ctx.textAlign = "right"
+        ctx.textBaseline = "middle"
+        for (let exponent = 0; exponent >= minExponent; exponent -= 2) {
+          ctx.fillText(`1e${exponent}`, margin.left - 6, y(10 ** exponent))
+        }
+
+        const curves = [
+          { decoys: true, color: colors.decoy, label: "Decoy state" },
+          { decoys: false, color: colors.single, label: "No decoys" },
+        ]
+        curves.forEach((curve, i) => {
+          ctx.beginPath()
+          let drawing = false
+          for (let step = 0; step <= 100; step++) {
+            const distance = (step / 100) * maxDistance
+            const rate = DecoyState.rateAt(model, distance, curve.decoys)
+            if (rate <= 0) break
+            if (!drawing) ctx.moveTo(x(distance), y(rate))
+            else ctx.lineTo(x(distance), y(rate))
+            drawing = true
+          }
+          ctx.strokeStyle = curve.color
+          ctx.lineWidth = 2
+          ctx.stroke()
+
+          ctx.fillStyle = curve.color
+          ctx.textAlign = "right"
+          ctx.fillText(curve.label, width - margin.right, margin.top + 6 + i * 14)
+        })
+
+        // the run itself, when it kept any key, per signal pulse like the curves
+        const signalPulses = qkd.decoyState.statistics.signal.pulses
+        const rate = qkd.postProcessing && signalPulses > 0 ? qkd.postProcessing.finalLength / signalPulses : 0
+        if (rate > 0) {
+          ctx.beginPath()
+          ctx.arc(x(model.length), y(rate), 5, 0, Math.PI * 2)
+          ctx.fillStyle = "white"
+          ctx.fill()
+          ctx.strokeStyle = colors.decoy
+          ctx.lineWidth = 2
+          ctx.stroke()
+        }
+      }
+
+      // Leakage, bound and rate of the post-processing that follows a successful security check
+      formatPostProcessing(qkd) {
+        const postProcessing = qkd.postProcessing
+        const rate = qkd.secretKeyRate >= 1000 ? `${(qkd.secretKeyRate / 1000).toFixed(2)} kbit/s` : `${qkd.secretKeyRate.toFixed(1)} bit/s`
+        return `
+                  <div class="result-item">
+                      <span class="result-label">Leaked in Reconciliation:</span>
+                      <span class="result-value">${postProcessing.cascadeLeak} + ${postProcessing.verificationBits} hash bits${postProcessing.efficiency ? ` (f = ${postProcessing.efficiency.toFixed(2)})` : ""}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Key Length Bound:</span>
+                      <span class="result-value">${KeyPostProcessing.bounds[postProcessing.bound]} Devetak–Winter</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Secret Key Rate:</span>
+                      <span class="result-value">${rate}</span>
+                  </div>
+              `
+      }
+
+      formatKeyExchange(qkd) {
+        const qberBadge = qkd.aborted
+          ? `<span class="badge badge-error">Aborted</span>`
+          : qkd.qber > qkd.threshold / 2
+            ? `<span class="badge badge-warning">Marginal</span>`
+            : `<span class="badge badge-success">Secure</span>`
+        return `
+                  <h4>Key Exchange</h4>
+                  <div class="result-item">
+                      <span class="result-label">Path:</span>
+                      <span class="result-value">${escapeHtml(qkd.label)}</span>
+                  </div>
+                  ${
+                    qkd.postProcessing
+                      ? `<div class="result-item">
+                      <span class="result-label">Raw / Sifted / Corrected / Final:</span>
+                      <span class="result-value">${qkd.detected} / ${qkd.sifted} / ${qkd.postProcessing.correctedLength} / ${qkd.postProcessing.finalLength} bits</span>
+                  </div>`
+                      : `<div class="result-item">
+                      <span class="result-label">Detected / Sifted:</span>
+                      <span class="result-value">${qkd.detected} / ${qkd.sifted} bits</span>
+                  </div>`
+                  }
+                  <div class="result-item">
+                      <span class="result-label">QBER:</span>
+                      <span class="result-value">${(qkd.qber * 100).toFixed(1)}% (${qkd.sampleErrors}/${qkd.sampleSize} sampled) ${qberBadge}</span>
+                  </div>
+                  ${
+                    qkd.chsh
+                      ? `<div class="result-item">
+                      <span class="result-label">CHSH S:</span>
+                      <span class="result-value">${qkd.chsh.value.toFixed(3)} ± ${qkd.chsh.error.toFixed(3)} (${qkd.chsh.rounds} rounds) ${qkd.chsh.value > 2 ? `<span class="badge badge-success">Violates 2</span>` : `<span class="badge badge-error">No violation</span>`}</span>
+                  </div>`
+                      : ""
+                  }
+                  <div class="result-item">
+                      <span class="result-label">Abort Threshold:</span>
+                      <span class="result-value">${(qkd.threshold * 100).toFixed(1)}%</span>
+                  </div>
+                  ${qkd.decoyState ? this.formatDecoyState(qkd) : ""}
+                  ${qkd.postProcessing ? this.formatPostProcessing(qkd) : ""}
+                  <div class="result-item">
+                      <span class="result-label">Eavesdropper:</span>
+                      <span class="result-value">${this.formatEavesdropper(qkd)}</span>
+                  </div>
+              `
+      }
+
+      formatTeleportation(teleportation) {
+        const percent = (value) => `${(value * 100).toFixed(1)}%`
+        const degrees = (angle) => `${Math.round((angle * 180) / Math.PI)}°`
+        const corrections = Teleportation.corrections(teleportation.measured.outcome)
+        const averageBadge =
+          teleportation.averageFidelity > teleportation.classicalLimit
+            ? `<span class="badge badge-success">Beats classical</span>`
+            : `<span class="badge badge-error">Classical</span>`
+        return `
+                  <h4>Teleportation</h4>
+                  <div class="result-item">
+                      <span class="result-label">Path:</span>
+                      <span class="result-value">${escapeHtml(teleportation.label)}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Input State:</span>
+                      <span class="result-value">θ = ${degrees(teleportation.input.theta)}, φ = ${degrees(teleportation.input.phi)}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Bell Outcome / Correction:</span>
+                      <span class="result-value">${teleportation.measured.outcome} / ${corrections.join(" then ") || "none"}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Teleported Fidelity:</span>
+                      <span class="result-value">${percent(teleportation.measured.fidelity)}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Per Outcome:</span>
+                      <span class="result-value">${teleportation.outcomes.map((branch) => `${branch.outcome}: ${percent(branch.fidelity)}`).join(" · ")}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Average over Inputs:</span>
+                      <span class="result-value">${percent(teleportation.averageFidelity)} vs ${percent(teleportation.classicalLimit)} ${averageBadge}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Classical Bits Latency:</span>
+                      <span class="result-value">${formatDuration(teleportation.delay)}</span>
+                  </div>
+              `
+      }
+
+      formatSuperdenseCoding(superdense) {
+        const percent = (value) => `${(value * 100).toFixed(1)}%`
+        const capacityBadge =
+          superdense.information > superdense.classicalCapacity
+            ? `<span class="badge badge-success">Beats classical</span>`
+            : `<span class="badge badge-error">Classical</span>`
+        return `
+                  <h4>Superdense Coding</h4>
+                  <div class="result-item">
+                      <span class="result-label">Path:</span>
+                      <span class="result-value">${escapeHtml(superdense.label)}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Sent / Decoded:</span>
+                      <span class="result-value">${superdense.message} (${superdense.operation}) / ${superdense.decoded}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Decoded Correctly:</span>
+                      <span class="result-value">${DENSE_MESSAGES.map((message, i) => `${message}: ${percent(superdense.rows[i][i])}`).join(" · ")}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Decoding Error Rate:</span>
+                      <span class="result-value">${percent(superdense.errorRate)}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Bits per Qubit:</span>
+                      <span class="result-value">${superdense.information.toFixed(3)} vs ${superdense.classicalCapacity} ${capacityBadge}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Without the Pair:</span>
+                      <span class="result-value">${superdense.classicalInformation.toFixed(3)} bits over the same channel</span>
+                  </div>
+              `
+      }
+
+      // Bits per qubit sent (left axis) and the decoding error rate (right axis) against the per-hop
+      // noise of the run's error model on a path of the same length; the dot is this run, memory included
+      drawCapacityCurve(canvas, superdense, errorModel, noiseLevel) {
+        const ctx = canvas.getContext("2d")
+        const width = (canvas.width = canvas.clientWidth || 320)
+        const height = (canvas.height = canvas.clientHeight || 200)
+        const margin = { top: 12, right: 40, bottom: 32, left: 40 }
+        const maxNoise = 0.5
+        const x = (noise) => margin.left + (noise / maxNoise) * (width - margin.left - margin.right)
+        const y = (information) => height - margin.bottom - (information / 2) * (height - margin.top - margin.bottom)
+        const colors = { superdense: "#10b981", classical: "#f59e0b", error: "#ef4444" }
+        const points = SuperdenseCoding.curve(errorModel, superdense.hops, maxNoise)
+
+        ctx.clearRect(0, 0, width, height)
+        ctx.strokeStyle = "rgba(255, 255, 255, 0.3)"
+        ctx.lineWidth = 1
+        ctx.beginPath()
+        ctx.moveTo(margin.left, margin.top)
+        ctx.lineTo(margin.left, height - margin.bottom)
+        ctx.lineTo(width - margin.right, height - margin.bottom)
+        ctx.lineTo(width - margin.right, margin.top)
+        ctx.stroke()
+
+        // the most a qubit carries without entanglement
+        ctx.setLineDash([4, 4])
+        ctx.beginPath()
+        ctx.moveTo(margin.left, y(superdense.classicalCapacity))
+        ctx.lineTo(width - margin.right, y(superdense.classicalCapacity))
+        ctx.stroke()
+        ctx.setLineDash([])
+
+        ctx.font = "10px Arial"
+        ctx.fillStyle = "rgba(255, 255, 255, 0.7)"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "top"
+        const noiseTicks = [0, 0.1, 0.2, 0.3, 0.4, 0.5]
+        noiseTicks.forEach((noise) => ctx.fillText(noise.toFixed(1), x(noise), height - margin.bottom + 4))
+        ctx.fillText("Noise per hop", (margin.left + width - margin.right) / 2, height - 12)
+        ctx.textBaseline = "middle"
+        const informationTicks = [0, 1, 2]
+        ctx.textAlign = "right"
+        informationTicks.forEach((information) => ctx.fillText(`${information} bit${information === 1 ? "" : "s"}`, margin.left - 4, y(information)))
+        ctx.textAlign = "left"
+        informationTicks.forEach((information) => ctx.fillText(`${information * 50}%`, width - margin.right + 4, y(information)))
+
+        const curves = [
+          { key: "information", scale: 1, color: colors.superdense, label: "With the pair" },
+          { key: "classicalInformation", scale: 1, color: colors.classical, label: "Without" },
+          { key: "errorRate", scale: 2, color: colors.error, label: "Error rate" },
+        ]
+        curves.forEach((curve, i) => {
+          ctx.beginPath()
+          points.forEach((point, index) => {
+            if (index === 0) ctx.moveTo(x(point.noise), y(point[curve.key] * curve.scale))
+            else ctx.lineTo(x(point.noise), y(point[curve.key] * curve.scale))
+          })
+          ctx.strokeStyle = curve.color
+          ctx.lineWidth = 2
+          ctx.stroke()
+
+          ctx.fillStyle = curve.color
+          ctx.textAlign = "right"
+          ctx.fillText(curve.label, width - margin.right - 4, margin.top + 6 + i * 14)
+        })
+
+        ctx.beginPath()
+        ctx.arc(x(Math.min(noiseLevel, maxNoise)), y(superdense.information), 5, 0, Math.PI * 2)
+        ctx.fillStyle = "white"
+        ctx.fill()
+        ctx.strokeStyle = colors.superdense
+        ctx.lineWidth = 2
+        ctx.stroke()
+      }
+
+      // Witness against the number of parties for both states, with the run's own value marked
+      drawMultipartiteScaling(canvas, multipartite, entanglementType, errorModel, noiseLevel) {
+        const ctx = canvas.getContext("2d")
+        const width = (canvas.width = canvas.clientWidth || 320)
+        const height = (canvas.height = canvas.clientHeight || 200)
+        const margin = { top: 12, right: 16, bottom: 32, left: 44 }
+        const range = 0.5
+        const x = (parties) => margin.left + ((parties - 2) / (MULTIPARTITE_MAX_PARTIES - 2)) * (width - margin.left - margin.right)
+        const y = (value) => margin.top + ((range - Math.max(-range, Math.min(range, value))) / (2 * range)) * (height - margin.top - margin.bottom)
+        const colors = { ghz: "#06b6d4", w: "#8b5cf6" }
+
+        ctx.clearRect(0, 0, width, height)
+        ctx.strokeStyle = "rgba(255, 255, 255, 0.3)"
+        ctx.lineWidth = 1
+        ctx.strokeRect(margin.left, margin.top, width - margin.left - margin.right, height - margin.top - margin.bottom)
+
+        // biseparable states never go below zero
+        ctx.setLineDash([4, 4])
+        ctx.beginPath()
+        ctx.moveTo(margin.left, y(0))
+        ctx.lineTo(width - margin.right, y(0))
+        ctx.stroke()
+        ctx.setLineDash([])
+
+        ctx.font = "10px Arial"
+        ctx.fillStyle = "rgba(255, 255, 255, 0.7)"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "top"
+        for (let parties = 2; parties <= MULTIPARTITE_MAX_PARTIES; parties++) ctx.fillText(parties, x(parties), height - margin.bottom + 4)
+        ctx.fillText("Parties", (margin.left + width - margin.right) / 2, height - 12)
+        ctx.textAlign = "right"
+        ctx.textBaseline = "middle"
+        const valueTicks = [-0.5, -0.25, 0, 0.25, 0.5]
+        valueTicks.forEach((value) => ctx.fillText(value.toFixed(2), margin.left - 4, y(value)))
+
+        const types = ["ghz", "w"]
+        types.forEach((type, i) => {
+          const points = Multipartite.scaling(type, errorModel, noiseLevel)
+          const curves = [
+            { values: points.map((point) => [point.parties, point.value]), dash: [] },
+            { values: points.filter((point) => point.afterLoss).map((point) => [point.parties, point.afterLoss.value]), dash: [5, 4] },
+          ]
+          curves.forEach(({ values, dash }) => {
+            ctx.setLineDash(dash)
+            ctx.beginPath()
+            values.forEach(([parties, value], index) => {
+              if (index === 0) ctx.moveTo(x(parties), y(value))
+              else ctx.lineTo(x(parties), y(value))
+            })
+            ctx.strokeStyle = colors[type]
+            ctx.lineWidth = 2
+            ctx.stroke()
+          })
+          ctx.setLineDash([])
+          ctx.fillStyle = colors[type]
+          ctx.textAlign = "right"
+          ctx.fillText(type === "w" ? "W" : "GHZ", width - margin.right - 4, margin.top + 8 + i * 14)
+        })
+
+        if (multipartite.parties <= MULTIPARTITE_MAX_PARTIES) {
+          ctx.beginPath()
+          ctx.arc(x(multipartite.parties), y(multipartite.value), 5, 0, Math.PI * 2)
+          ctx.fillStyle = "white"
+          ctx.fill()
+          ctx.strokeStyle = colors[entanglementType]
+          ctx.lineWidth = 2
+          ctx.stroke()
+        }
+      }
+
+      // Concurrence for a chosen pair, negativity for a chosen split and every node's entropy. The pair and
+      // the split are picked in the card, which recomputes only the figure that changed.
+      formatEntanglementMeasures(finalState) {
+        const qubits = finalState.labels.length
+        const options = (selected) =>
+          finalState.labels.map((label, qubit) => `<option value="${qubit}"${qubit === selected ? " selected" : ""}>${escapeHtml(label)}</option>`).join("")
+        const state = new DensityMatrix(qubits, finalState.matrix)
+        const entropies = EntanglementMeasures.nodeEntropies(state, finalState.nodes)
+        const whole = qubits <= MEASURES_MAX_QUBITS ? `${EntanglementMeasures.entropy(state).toFixed(3)} bits` : `over ${MEASURES_MAX_QUBITS} qubits, not computed`
+        const twoOrMore = qubits >= 2
+          ? `
+                  <div class="measure-controls">
+                      <span class="result-label">Pair:</span>
+                      <select class="custom-select measure-first">${options(0)}</select>
+                      <select class="custom-select measure-second">${options(1)}</select>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Concurrence / Formation:</span>
+                      <span class="result-value measure-pair"></span>
+                  </div>
+                  ${
+                    qubits <= MEASURES_MAX_QUBITS
+                      ? `
+                  <div class="measure-controls measure-split">
+                      <span class="result-label">Split off:</span>
+                      ${finalState.labels.map((label, qubit) => `<label><input type="checkbox" value="${qubit}"${qubit === 0 ? " checked" : ""}> ${escapeHtml(label)}</label>`).join("")}
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Negativity / Log Negativity:</span>
+                      <span class="result-value measure-negativity"></span>
+                  </div>`
+                      : `
+                  <div class="result-item">
+                      <span class="result-label">Negativity:</span>
+                      <span class="result-value">over ${MEASURES_MAX_QUBITS} qubits, not computed</span>
+                  </div>`
+                  }`
+          : `
+                  <p class="text-secondary">A single qubit has nothing to be entangled with.</p>`
+        return `
+                  <h4>Entanglement Measures</h4>
+                  <p class="text-secondary">Of ${finalState.subject}.</p>
+                  ${twoOrMore}
+                  <div class="result-item">
+                      <span class="result-label">Node Entropies:</span>
+                      <span class="result-value">${entropies.map((node) => `${escapeHtml(node.name)} ${node.entropy.toFixed(3)}`).join(" · ")} bits</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Whole State:</span>
+                      <span class="result-value">${whole}</span>
+                  </div>
+                  <p class="text-secondary">Concurrence and entanglement of formation (in ebits) take the pair alone, the other qubits traced out. Negativity is positive only when the split-off qubits are entangled with the rest. A node's entropy measures its entanglement with the others only while the whole state is pure, with zero entropy.</p>
+              `
+      }
+
+      initEntanglementMeasures(card, finalState) {
+        const state = new DensityMatrix(finalState.labels.length, finalState.matrix)
+        const first = card.querySelector(".measure-first")
+        const second = card.querySelector(".measure-second")
+        const pairValue = card.querySelector(".measure-pair")
+        const split = card.querySelector(".measure-split")
+        const negativityValue = card.querySelector(".measure-negativity")
+
+        const showPair = () => {
+          const a = Number(first.value)
+          const b = Number(second.value)
+          if (a === b) {
+            pairValue.textContent = "pick two different qubits"
+            return
+          }
+          const { concurrence, entanglementOfFormation } = EntanglementMeasures.pair(state, a, b)
+          pairValue.textContent = `${concurrence.toFixed(3)} / ${entanglementOfFormation.toFixed(3)} ebits`
+        }
+        const showNegativity = () => {
+          const side = [...split.querySelectorAll("input:checked")].map((input) => Number(input.value))
+          if (side.length === 0 || side.length === finalState.labels.length) {
+            negativityValue.textContent = "split off some qubits, not all"
+            return
+          }
+          const { negativity, logNegativity } = EntanglementMeasures.negativity(state, side)
+          negativityValue.textContent = `${negativity.toFixed(3)} / ${logNegativity.toFixed(3)} ebits`
+        }
+
+        if (first && second) {
+          first.addEventListener("change", showPair)
+          second.addEventListener("change", showPair)
+          showPair()
+        }
+        if (split) {
+          split.addEventListener("change", showNegativity)
+          showNegativity()
+        }
+      }
+
+      // Qubits, gates and where the circuit's qubits had to travel
+      formatCircuitRun(circuit) {
+        const percent = (value) => `${(value * 100).toFixed(1)}%`
+        const qualityBadge = this.results.success
+          ? `<span class="badge badge-success">High</span>`
+          : `<span class="badge badge-error">Low</span>`
+        return `
+                  <h4>Custom Circuit</h4>
+                  <div class="result-item">
+                      <span class="result-label">Qubits / Gates / Depth:</span>
+                      <span class="result-value">${circuit.qubits} / ${circuit.gates} / ${circuit.depth}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Held By:</span>
+                      <span class="result-value">${circuit.holders.map((name, qubit) => `q${qubit + 1} ${escapeHtml(name)}`).join(" · ")}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Gates Across Nodes:</span>
+                      <span class="result-value">${circuit.remoteGates} (${circuit.transfers} qubit transfer${circuit.transfers === 1 ? "" : "s"})</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Fidelity with Noiseless Run:</span>
+                      <span class="result-value">${percent(this.results.fidelity)} ${qualityBadge}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Outcome Distance:</span>
+                      <span class="result-value">${percent(this.results.errorRate)} total variation</span>
+                  </div>
+              `
+      }
+
+      // One pair of bars per outcome: without noise and with it, the sampled counts above the noisy one
+      drawOutcomeBars(canvas, circuit) {
+        const ctx = canvas.getContext("2d")
+        const width = (canvas.width = canvas.clientWidth || 320)
+        const height = (canvas.height = canvas.clientHeight || 200)
+        const margin = { top: 24, right: 12, bottom: 32, left: 40 }
+        const colors = { ideal: "rgba(255, 255, 255, 0.5)", noisy: "#3b82f6" }
+        const outcomes = circuit.outcomes
+        const slot = (width - margin.left - margin.right) / outcomes.length
+        const bar = Math.min(18, slot * 0.4)
+        const y = (probability) => height - margin.bottom - probability * (height - margin.top - margin.bottom)
+
+        ctx.clearRect(0, 0, width, height)
+        ctx.strokeStyle = "rgba(255, 255, 255, 0.3)"
+        ctx.lineWidth = 1
+        ctx.beginPath()
+        ctx.moveTo(margin.left, margin.top)
+        ctx.lineTo(margin.left, height - margin.bottom)
+        ctx.lineTo(width - margin.right, height - margin.bottom)
+        ctx.stroke()
+
+        ctx.font = "10px Arial"
+        ctx.fillStyle = "rgba(255, 255, 255, 0.7)"
+        ctx.textAlign = "right"
+        ctx.textBaseline = "middle"
+        const probabilityTicks = [0, 0.5, 1]
+        probabilityTicks.forEach((probability) => ctx.fillText(`${probability * 100}%`, margin.left - 4, y(probability)))
+
+        // labels are skipped when the outcomes are too many to read
+        const labelled = slot >= 14
+        outcomes.forEach((outcome, i) => {
+          const center = margin.left + slot * (i + 0.5)
+          ctx.fillStyle = colors.ideal
+          ctx.fillRect(center - bar, y(outcome.ideal), bar, height - margin.bottom - y(outcome.ideal))
+          ctx.fillStyle = colors.noisy
+          ctx.fillRect(center, y(outcome.noisy), bar, height - margin.bottom - y(outcome.noisy))
+          if (!labelled) return
+          ctx.fillStyle = "rgba(255, 255, 255, 0.7)"
+          ctx.textAlign = "center"
+          ctx.textBaseline = "top"
+          ctx.fillText(outcome.bits, center, height - margin.bottom + 4)
+          if (outcome.count > 0) {
+            ctx.textBaseline = "bottom"
+            ctx.fillText(String(outcome.count), center + bar / 2, y(outcome.noisy) - 2)
+          }
+        })
+
+        const legend = [
+          { color: colors.ideal, label: "Noiseless" },
+          { color: colors.noisy, label: "Noisy" },
+        ]
+        ctx.textAlign = "right"
+        ctx.textBaseline = "middle"
+        legend.forEach((entry, i) => {
+          ctx.fillStyle = entry.color
+          ctx.fillText(entry.label, width - margin.right - i * 70, 10)
+        })
+      }
+
+      // Error rate of the qubit after decoding against the per-hop noise, for every code and unencoded
+      // (dashed); the run's code is drawn thicker and the dot is this run's noise
+      drawQECCurve(canvas, qec, errorModel, noiseLevel) {
+        const ctx = canvas.getContext("2d")
+        const width = (canvas.width = canvas.clientWidth || 320)
+        const height = (canvas.height = canvas.clientHeight || 200)
+        const margin = { top: 12, right: 12, bottom: 32, left: 40 }
+        const maxNoise = 0.5
+        const maxError = 0.75
+        const x = (noise) => margin.left + (noise / maxNoise) * (width - margin.left - margin.right)
+        const y = (error) => height - margin.bottom - (Math.min(error, maxError) / maxError) * (height - margin.top - margin.bottom)
+        const colors = { bitflip: "#3b82f6", phaseflip: "#06b6d4", shor: "#8b5cf6", steane: "#10b981" }
+
+        ctx.clearRect(0, 0, width, height)
+        ctx.strokeStyle = "rgba(255, 255, 255, 0.3)"
+        ctx.lineWidth = 1
+        ctx.beginPath()
+        ctx.moveTo(margin.left, margin.top)
+        ctx.lineTo(margin.left, height - margin.bottom)
+        ctx.lineTo(width - margin.right, height - margin.bottom)
+        ctx.stroke()
+
+        ctx.font = "10px Arial"
+        ctx.fillStyle = "rgba(255, 255, 255, 0.7)"
+        ctx.textAlign = "center"
+        ctx.textBaseline = "top"
+        const noiseTicks = [0, 0.1, 0.2, 0.3, 0.4, 0.5]
+        noiseTicks.forEach((noise) => ctx.fillText(noise.toFixed(1), x(noise), height - margin.bottom + 4))
+        ctx.fillText("Noise per hop", (margin.left + width - margin.right) / 2, height - 12)
+        ctx.textAlign = "right"
+        ctx.textBaseline = "middle"
+        const errorTicks = [0, 0.25, 0.5, 0.75]
+        errorTicks.forEach((error) => ctx.fillText(`${error * 100}%`, margin.left - 4, y(error)))
+
+        const unencoded = ErrorCorrection.curve(qec.code, errorModel, qec.hops, maxNoise)
+        ctx.setLineDash([4, 4])
+        ctx.beginPath()
+        unencoded.forEach((point, index) => {
+          if (index === 0) ctx.moveTo(x(point.noise), y(point.physicalErrorRate))
+          else ctx.lineTo(x(point.noise), y(point.physicalErrorRate))
+        })
+        ctx.strokeStyle = "rgba(255, 255, 255, 0.6)"
+        ctx.lineWidth = 1.5
+        ctx.stroke()
+        ctx.setLineDash([])
+
+        Object.keys(QEC_CODES).forEach((code, i) => {
+          const points = code === qec.code ? unencoded : ErrorCorrection.curve(code, errorModel, qec.hops, maxNoise)
+          ctx.beginPath()
+          points.forEach((point, index) => {
+            if (index === 0) ctx.moveTo(x(point.noise), y(point.logicalErrorRate))
+            else ctx.lineTo(x(point.noise), y(point.logicalErrorRate))
+          })
+          ctx.strokeStyle = colors[code]
+          ctx.lineWidth = code === qec.code ? 3 : 1
+          ctx.stroke()
+
+          ctx.fillStyle = colors[code]
+          ctx.textAlign = "left"
+          ctx.fillText(QEC_CODES[code].name, margin.left + 6, margin.top + 6 + i * 14)
+        })
+        ctx.fillStyle = "rgba(255, 255, 255, 0.6)"
+        ctx.fillText("Unencoded", margin.left + 6, margin.top + 6 + Object.keys(QEC_CODES).length * 14)
+
+        ctx.beginPath()
+        ctx.arc(x(Math.min(noiseLevel, maxNoise)), y(qec.logicalErrorRate), 5, 0, Math.PI * 2)
+        ctx.fillStyle = "white"
+        ctx.fill()
+        ctx.strokeStyle = colors[qec.code]
+        ctx.lineWidth = 2
+        ctx.stroke()
+      }
+
       render() {
         if (!this.container) return
   
@@ -2340,11 +4950,43 @@ document.addEventListener("DOMContentLoaded", () => {
         }
   
         const resultsContent = document.createElement("div")
+        const qkd = this.results.qkd
+        const teleportation = this.results.teleportation
+        const superdense = this.results.superdense
+        const circuit = this.results.circuit
         const statusIcon = this.results.success ? "success-icon" : "error-icon"
-        const statusTitle = this.results.success ? "Entanglement Successful" : "Entanglement Failed"
-        const statusDescription = this.results.success
+        let statusTitle = this.results.success ? "Entanglement Successful" : "Entanglement Failed"
+        let statusDescription = this.results.success
           ? "Quantum entanglement was successfully established with high fidelity."
           : "Quantum entanglement could not be established with sufficient fidelity."
+        if (qkd) {
+          statusTitle = this.results.success ? "Key Exchange Completed" : "Key Exchange Aborted"
+          statusDescription = this.results.success
+            ? `The estimated QBER stayed below the ${(qkd.threshold * 100).toFixed(1)}% threshold and post-processing left a ${qkd.postProcessing.finalLength}-bit secret key.`
+            : qkd.postProcessing
+              ? "The security checks passed, but error correction and privacy amplification left no secret key."
+              : qkd.chsh && qkd.chsh.value <= 2
+              ? "The CHSH value did not exceed the classical bound of 2, so the key was discarded."
+              : `The estimated QBER exceeded the ${(qkd.threshold * 100).toFixed(1)}% threshold, so the key was discarded.`
+        }
+        if (teleportation) {
+          statusTitle = this.results.success ? "Teleportation Successful" : "Teleportation No Better Than Classical"
+          statusDescription = this.results.success
+            ? "The shared pair teleports an unknown qubit better than any scheme without entanglement could."
+            : `Averaged over all inputs the teleported fidelity does not exceed the classical ${(teleportation.classicalLimit * 100).toFixed(1)}%.`
+        }
+        if (superdense) {
+          statusTitle = this.results.success ? "Superdense Coding Beats Classical" : "Superdense Coding No Better Than Classical"
+          statusDescription = this.results.success
+            ? `Each qubit sent carries ${superdense.information.toFixed(2)} bits, more than any qubit can carry without a shared pair.`
+            : `The noise leaves ${superdense.information.toFixed(2)} bits per qubit, no more than the ${superdense.classicalCapacity} bit a qubit carries on its own.`
+        }
+        if (circuit) {
+          statusTitle = this.results.success ? "Circuit Completed" : "Circuit Dominated by Noise"
+          statusDescription = this.results.success
+            ? `The noisy run kept at least ${(circuit.threshold * 100).toFixed(0)}% fidelity with the noiseless circuit.`
+            : `The noisy run fell below ${(circuit.threshold * 100).toFixed(0)}% fidelity with the noiseless circuit.`
+        }
   
         resultsContent.innerHTML = `
                   <div class="flex-center">
@@ -2367,7 +5009,15 @@ document.addEventListener("DOMContentLoaded", () => {
             ? `<span class="badge badge-warning">Medium</span>`
             : `<span class="badge badge-error">Low</span>`
   
-        fidelityCard.innerHTML = `
+        fidelityCard.innerHTML = qkd
+          ? this.formatKeyExchange(qkd)
+          : teleportation
+            ? this.formatTeleportation(teleportation)
+            : superdense
+              ? this.formatSuperdenseCoding(superdense)
+              : circuit
+                ? this.formatCircuitRun(circuit)
+                : `
                   <h4>Quantum Fidelity</h4>
                   <div class="result-item">
                       <span class="result-label">Final Fidelity:</span>
@@ -2394,11 +5044,19 @@ document.addEventListener("DOMContentLoaded", () => {
                   </div>
                   <div class="result-item">
                       <span class="result-label">Latency:</span>
-                      <span class="result-value">${this.results.latency.toFixed(2)} units</span>
+                      <span class="result-value">${formatDuration(this.results.latency)}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Events Processed:</span>
+                      <span class="result-value">${this.results.eventCount}</span>
                   </div>
                   <div class="result-item">
                       <span class="result-label">Purification:</span>
-                      <span class="result-value">${this.results.purificationEnabled ? "Enabled" : "Disabled"}</span>
+                      <span class="result-value">${this.formatPurification(this.results.purification, this.results.purificationEnabled)}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">${qkd ? "Pulses Sent" : "Bell Pairs Consumed"}:</span>
+                      <span class="result-value">${qkd ? qkd.pulses : this.results.pairsConsumed}</span>
                   </div>
               `
   
@@ -2408,6 +5066,17 @@ document.addEventListener("DOMContentLoaded", () => {
         let entanglementTypeName = "Bell State"
         if (this.results.entanglementType === "ghz") entanglementTypeName = "GHZ State"
         if (this.results.entanglementType === "w") entanglementTypeName = "W State"
+        if (qkd) {
+          entanglementTypeName =
+            qkd.protocol === "e91"
+              ? "E91 (entanglement based)"
+              : qkd.decoyState
+                ? "Decoy-State BB84 (weak coherent pulses)"
+                : "BB84 (prepare and measure)"
+        }
+        if (teleportation) entanglementTypeName = "Quantum Teleportation"
+        if (superdense) entanglementTypeName = "Superdense Coding"
+        if (circuit) entanglementTypeName = "Custom Circuit"
   
         let errorModelName = "Depolarizing"
         if (this.results.errorModel === "amplitude") errorModelName = "Amplitude Damping"
@@ -2416,7 +5085,7 @@ document.addEventListener("DOMContentLoaded", () => {
         configCard.innerHTML = `
                   <h4>Configuration</h4>
                   <div class="result-item">
-                      <span class="result-label">Entanglement Type:</span>
+                      <span class="result-label">${qkd || teleportation || superdense || circuit ? "Protocol" : "Entanglement Type"}:</span>
                       <span class="result-value">${entanglementTypeName}</span>
                   </div>
                   <div class="result-item">
@@ -2437,14 +5106,147 @@ document.addEventListener("DOMContentLoaded", () => {
                   </div>
               `
   
+        const channelCard = document.createElement("div")
+        channelCard.className = "result-card animate-fade-in stagger-4"
+        const channelEffect = this.results.channelEffect
+        const rateSymbol = this.results.errorModel === "amplitude" ? "γ" : this.results.errorModel === "phase" ? "λ" : "p"
+  
+        channelCard.innerHTML = `
+                  <h4>Channel Effects</h4>
+                  <div class="result-item">
+                      <span class="result-label">Channel Rate:</span>
+                      <span class="result-value">${rateSymbol} = ${channelEffect.rate.toFixed(2)}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Excited Population:</span>
+                      <span class="result-value">${(channelEffect.excitedBefore * 100).toFixed(1)}% → ${(channelEffect.excitedAfter * 100).toFixed(1)}%</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Coherence Retained:</span>
+                      <span class="result-value">${(channelEffect.coherenceRetained * 100).toFixed(1)}%</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Memory T1 / T2:</span>
+                      <span class="result-value">${formatDuration(this.results.memory.t1)} / ${formatDuration(this.results.memory.t2)}</span>
+                  </div>
+              `
+  
+        const linksCard = document.createElement("div")
+        linksCard.className = "result-card animate-fade-in stagger-4"
+        const links = this.results.links
+        const heraldProbabilities = links.map((link) => link.successProbability)
+        const totalFibre = links.reduce((sum, link) => sum + link.length, 0)
+        const weakestLink = links.reduce((worst, link) => (link.successProbability < worst.successProbability ? link : worst))
+        const falseHeralds = Math.max(...links.map((link) => link.falseHeraldFraction))
+
+        linksCard.innerHTML = `
+                  <h4>Link Physics</h4>
+                  <div class="result-item">
+                      <span class="result-label">Total Fibre:</span>
+                      <span class="result-value">${totalFibre.toFixed(1)} km over ${links.length} link${links.length > 1 ? "s" : ""}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">${qkd ? "Click Probability" : "Herald Probability"}:</span>
+                      <span class="result-value">${(Math.min(...heraldProbabilities) * 100).toPrecision(3)}% – ${(Math.max(...heraldProbabilities) * 100).toPrecision(3)}%</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Weakest Link:</span>
+                      <span class="result-value">Node ${weakestLink.source + 1}–${weakestLink.target + 1} (${weakestLink.length} km)</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">${qkd ? "Dark-Count Clicks" : "Dark-Count Heralds"}:</span>
+                      <span class="result-value">up to ${(falseHeralds * 100).toFixed(2)}%</span>
+                  </div>
+              `
+
+        let routingCard = null
+        if (this.results.routing) {
+          const routing = this.results.routing
+          routingCard = document.createElement("div")
+          routingCard.className = "result-card animate-fade-in stagger-4"
+          // each metric's own path with its estimates, so the choices can be compared on one topology
+          const comparison = routing.alternatives
+            .map(
+              (route) => `
+                  <div class="result-item">
+                      <span class="result-label">${EntanglementRouting.metrics[route.metric]}${route.metric === routing.metric ? " ✓" : ""}:</span>
+                      <span class="result-value">${escapeHtml(route.label)} (F ≈ ${(route.estimate.fidelity * 100).toFixed(1)}%, ≈ ${formatDuration(route.estimate.generationTime)})</span>
+                  </div>`,
+            )
+            .join("")
+          routingCard.innerHTML = `
+                  <h4>Entanglement Routing</h4>
+                  <div class="result-item">
+                      <span class="result-label">Chosen Path:</span>
+                      <span class="result-value">${escapeHtml(routing.label)} (${routing.estimate.hops} hop${routing.estimate.hops > 1 ? "s" : ""})</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Expected / Simulated Fidelity:</span>
+                      <span class="result-value">${(routing.estimate.fidelity * 100).toFixed(1)}% / ${fidelityValue}%</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Expected / Simulated Time:</span>
+                      <span class="result-value">${formatDuration(routing.estimate.generationTime)} / ${formatDuration(this.results.latency)}</span>
+                  </div>
+                  ${comparison}
+              `
+        }
+
+        let repeaterCard = null
+        if (this.results.repeater) {
+          const repeater = this.results.repeater
+          repeaterCard = document.createElement("div")
+          repeaterCard.className = "result-card animate-fade-in stagger-4"
+          repeaterCard.innerHTML = `
+                  <h4>Repeater Chain</h4>
+                  <div class="result-item">
+                      <span class="result-label">End-to-End Fidelity:</span>
+                      <span class="result-value">${fidelityValue}%</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Generation Time:</span>
+                      <span class="result-value">${formatDuration(repeater.generationTime)}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Links Ready After:</span>
+                      <span class="result-value">${formatDuration(repeater.linkReadyTime)}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Elementary Link Fidelity:</span>
+                      <span class="result-value">${(repeater.elementaryFidelity * 100).toFixed(1)}%</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Swap Rounds:</span>
+                      <span class="result-value">${repeater.swapRounds} (nesting level ${repeater.nestingLevel})</span>
+                  </div>
+              `
+        }
+  
         const efficiencyCard = document.createElement("div")
         efficiencyCard.className = "result-card animate-fade-in stagger-4"
         const successRate = this.results.success ? (1 / this.results.attempts) * 100 : 0
-        const purificationGain = this.results.purificationEnabled
-          ? (this.results.fidelity / (1 - this.results.noiseLevel) - 1) * 100
-          : 0
+        const purification = this.results.purification
+        const purificationGain = purification ? (purification.fidelityAfter - purification.fidelityBefore) * 100 : 0
   
-        efficiencyCard.innerHTML = `
+        const share = (part, whole) => `${((whole > 0 ? part / whole : 0) * 100).toFixed(1)}%`
+  
+        efficiencyCard.innerHTML = qkd
+          ? `
+                  <h4>Efficiency Analysis</h4>
+                  <div class="result-item">
+                      <span class="result-label">Detection Rate:</span>
+                      <span class="result-value">${share(qkd.detected, qkd.pulses)}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Sifting Efficiency:</span>
+                      <span class="result-value">${share(qkd.sifted, qkd.detected)}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Secret Bits per Pulse:</span>
+                      <span class="result-value">${(qkd.postProcessing ? qkd.postProcessing.finalLength / qkd.pulses : 0).toFixed(4)}</span>
+                  </div>
+              `
+          : `
                   <h4>Efficiency Analysis</h4>
                   <div class="result-item">
                       <span class="result-label">Success Rate:</span>
@@ -2460,13 +5262,126 @@ document.addEventListener("DOMContentLoaded", () => {
                   </div>
               `
   
+        let tradeoffCard = null
+        if (qkd && qkd.eavesdropper) {
+          tradeoffCard = document.createElement("div")
+          tradeoffCard.className = "result-card animate-fade-in stagger-4"
+          tradeoffCard.innerHTML = `
+                  <h4>Eavesdropper Tradeoff</h4>
+                  <canvas class="tradeoff-chart"></canvas>
+                  <p class="text-secondary">Eve's information per kept bit (bits) against the errors her attack adds, as it grows. ${
+                    qkd.eveInformation === null ? "E91 runs do not track her bits." : "The dot is this run, channel errors included."
+                  }</p>
+              `
+        }
+
+        let keyRateCard = null
+        if (qkd && qkd.decoyState) {
+          keyRateCard = document.createElement("div")
+          keyRateCard.className = "result-card animate-fade-in stagger-4"
+          keyRateCard.innerHTML = `
+                  <h4>Key Rate vs Distance</h4>
+                  <canvas class="tradeoff-chart"></canvas>
+                  <p class="text-secondary">Expected secret bits per signal pulse for this path's channel stretched over more fibre, with the decoy estimate and with every multi-photon pulse assumed split. The dashed line is the maximum range.</p>
+              `
+        }
+
+        let capacityCard = null
+        if (superdense) {
+          capacityCard = document.createElement("div")
+          capacityCard.className = "result-card animate-fade-in stagger-4"
+          capacityCard.innerHTML = `
+                  <h4>Capacity vs Noise</h4>
+                  <canvas class="tradeoff-chart"></canvas>
+                  <p class="text-secondary">Bits Bob learns per qubit sent, with the pair and with a lone qubit over the same channel, and the decoding error rate (right axis) as the noise on every hop grows. The dashed line is the 1 bit a qubit carries without entanglement.</p>
+              `
+        }
+
+        let outcomesCard = null
+        if (circuit) {
+          outcomesCard = document.createElement("div")
+          outcomesCard.className = "result-card animate-fade-in stagger-4"
+          outcomesCard.innerHTML = `
+                  <h4>Measurement Outcomes</h4>
+                  <canvas class="tradeoff-chart"></canvas>
+                  <p class="text-secondary">Probability of every outcome of ${circuit.measuredAll ? "all qubits (the circuit measures none)" : circuit.measured.map((qubit) => `q${qubit + 1}`).join(" ")}, leftmost bit first, without noise and with it; the numbers are the counts of ${this.results.measurementShots} noisy shots.</p>
+              `
+        }
+
+        const qec = this.results.qec
+        let qecCard = null
+        if (qec) {
+          const sample = qec.sample
+          const hits = sample.errors.map((letter, qubit) => (letter === "I" ? null : `${letter}${qubit + 1}`)).filter(Boolean)
+          const fixes = sample.correction.map((letter, qubit) => (letter === "I" ? null : `${letter}${qubit + 1}`)).filter(Boolean)
+          qecCard = document.createElement("div")
+          qecCard.className = "result-card animate-fade-in stagger-4"
+          qecCard.innerHTML = `
+                  <h4>Error Correction</h4>
+                  <div class="result-item">
+                      <span class="result-label">Code:</span>
+                      <span class="result-value">${qec.name}, ${qec.physicalQubits} qubits + ${qec.ancillas} ancillas per sent qubit</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Logical / Unencoded Error:</span>
+                      <span class="result-value">${(qec.logicalErrorRate * 100).toFixed(3)}% / ${(qec.physicalErrorRate * 100).toFixed(3)}%</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Sampled Block:</span>
+                      <span class="result-value">errors ${hits.join(" ") || "none"}, syndrome ${sample.syndrome}, correction ${fixes.join(" ") || "none"}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Left on the Qubit:</span>
+                      <span class="result-value">${sample.logical === "I" ? "nothing, the block was corrected" : `a logical ${sample.logical}`}</span>
+                  </div>
+                  <canvas class="tradeoff-chart"></canvas>
+                  <p class="text-secondary">Error rate of the sent qubit after decoding for every code as the noise on every hop grows; the dashed line is the qubit sent unencoded. Amplitude and phase damping are analysed through their Pauli twirl.</p>
+              `
+        }
+
+        const multipartite = this.results.multipartite
+        let multipartiteCard = null
+        if (multipartite) {
+          const name = this.results.entanglementType === "w" ? "|W⟩" : "|GHZ⟩"
+          const loss = multipartite.afterLoss
+          const badge = (value) =>
+            Multipartite.certifies(value) ? `<span class="badge badge-success">Genuine</span>` : `<span class="badge badge-error">Not certified</span>`
+          multipartiteCard = document.createElement("div")
+          multipartiteCard.className = "result-card animate-fade-in stagger-4"
+          multipartiteCard.innerHTML = `
+                  <h4>Multipartite Entanglement</h4>
+                  <div class="result-item">
+                      <span class="result-label">Fidelity with ${name}:</span>
+                      <span class="result-value">${(multipartite.fidelity * 100).toFixed(1)}% over ${multipartite.parties} nodes</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">Witness α − F:</span>
+                      <span class="result-value">${Multipartite.formatWitness(multipartite.value)} with α = ${multipartite.bound.toFixed(3)} ${badge(multipartite.value)}</span>
+                  </div>
+                  <div class="result-item">
+                      <span class="result-label">After Losing One Qubit:</span>
+                      <span class="result-value">${loss ? `${escapeHtml(loss.node)} lost, ${(loss.fidelity * 100).toFixed(1)}% and witness ${Multipartite.formatWitness(loss.value)} ${badge(loss.value)}` : "one qubit is left, with nothing to share"}</span>
+                  </div>
+                  <canvas class="tradeoff-chart"></canvas>
+                  <p class="text-secondary">Witness of GHZ and W states as the number of parties grows, with every qubit but the source's crossing one hop at this noise; dashed lines are the other parties after the worst single loss. Below zero the entanglement is genuinely multipartite.</p>
+              `
+        }
+
+        const finalState = this.results.finalState
+        let measuresCard = null
+        if (finalState) {
+          measuresCard = document.createElement("div")
+          measuresCard.className = "result-card animate-fade-in stagger-4"
+          measuresCard.innerHTML = this.formatEntanglementMeasures(finalState)
+        }
+
         const analysisCard = document.createElement("div")
         analysisCard.className = "result-card analysis-card animate-fade-in"
         let analysisText = ""
         const observations = []
   
         // Add network topology observations
-        if (this.results.nodeCount > 2) {
+        if (this.results.nodeCount > 2 && !qkd) {
           observations.push(
             `The network consisted of ${this.results.nodeCount} nodes in a ${this.formatTopologyName(this.results.networkTopology)} configuration.`,
           )
@@ -2488,12 +5403,120 @@ document.addEventListener("DOMContentLoaded", () => {
           }
         }
   
-        if (this.results.success) {
+        if (qkd) {
+          const postProcessing = qkd.postProcessing
+          if (this.results.success) {
+            analysisText = `Alice and Bob corrected their sifted key with Cascade and compressed it to ${postProcessing.finalLength} bits, enough to remove what Eve could have learnt from the channel and from the public discussion.`
+          } else if (postProcessing && !postProcessing.verified) {
+            analysisText = "Cascade left errors that the hash check caught, so the keys were discarded."
+          } else if (postProcessing) {
+            analysisText = "The sifted key passed the security check but was too short to survive privacy amplification: what leaked during error correction, plus what Eve may know, used up every bit."
+          } else if (qkd.sifted === 0) {
+            analysisText = "No photon reached Bob in a matching basis, so no key could be formed."
+          } else if (qkd.chsh && qkd.chsh.value <= 2) {
+            analysisText = "The measured correlations could be explained without entanglement, so nothing guarantees the key is private and it was discarded."
+          } else {
+            analysisText = "The error rate in the disclosed sample was too high to rule out an eavesdropper, so the key was discarded."
+          }
+          if (qkd.chsh) {
+            const sigmas = (qkd.chsh.value - 2) / qkd.chsh.error
+            observations.push(
+              sigmas > 0
+                ? `S = ${qkd.chsh.value.toFixed(3)} ± ${qkd.chsh.error.toFixed(3)} lies ${sigmas.toFixed(1)} standard errors above the classical bound; an ideal pair gives 2√2 ≈ 2.828.`
+                : `S = ${qkd.chsh.value.toFixed(3)} ± ${qkd.chsh.error.toFixed(3)} does not exceed the classical bound of 2.`,
+            )
+          }
+          if (qkd.eavesdropper) {
+            observations.push(this.describeAttackOutcome(qkd))
+          } else if (qkd.aborted && qkd.sifted > 0) {
+            observations.push("No eavesdropper was present: channel noise alone pushed the QBER over the threshold, which BB84 cannot tell apart from an attack.")
+          }
+          if (qkd.detected > 0 && qkd.darkCounts / qkd.detected > 0.05) {
+            observations.push(
+              `Dark counts made up ${((qkd.darkCounts / qkd.detected) * 100).toFixed(1)}% of Bob's detections; each one gives a random bit and raises the QBER.`,
+            )
+          }
+          if (qkd.decoyState) {
+            const { bounds, maxRange, maxRangeWithoutDecoys } = qkd.decoyState
+            observations.push(
+              `Single photons made at least ${(bounds.share * 100).toFixed(1)}% of the signal clicks, and only that share of the key counts as private. ${
+                maxRange > 0
+                  ? `On this fibre the decoy estimate keeps a key up to ${maxRange.toFixed(0)} km, against ${maxRangeWithoutDecoys.toFixed(0)} km if every multi-photon pulse had to be given to Eve.`
+                  : "On this channel no distance leaves a key: the errors alone cost more than the single photons are worth."
+              }`,
+            )
+          }
+          if (postProcessing && postProcessing.bound === "finite") {
+            observations.push(
+              `The finite-key bound widens the ${qkd.sampleSize}-bit QBER estimate by ${(KeyPostProcessing.finiteKeyDeviation(postProcessing.siftedLength, qkd.sampleSize) * 100).toFixed(1)} points${
+                qkd.decoyState ? `, moves every decoy-state gain ${DecoyState.finiteDeviations} standard deviations the wrong way` : ""
+              } and subtracts ${Math.ceil(2 * Math.log2(1 / KeyPostProcessing.epsilonSecurity) + 1)} bits for ε = ${KeyPostProcessing.epsilonSecurity}; more pulses shrink both costs.`,
+            )
+          }
+          if (postProcessing && postProcessing.efficiency) {
+            observations.push(
+              `Cascade disclosed ${postProcessing.cascadeLeak} parities, ${postProcessing.efficiency.toFixed(2)} times the Shannon minimum n·h(e) for the ${postProcessing.errorsCorrected} errors it found in ${postProcessing.siftedLength} bits.`,
+            )
+          }
+          if (Math.abs(qkd.keyQber - qkd.qber) > 0.02) {
+            observations.push(
+              `With ${qkd.sampleSize} sampled bits the estimate is rough: the kept bits actually differ in ${(qkd.keyQber * 100).toFixed(1)}% of positions.`,
+            )
+          }
+        } else if (teleportation) {
+          const percent = (value) => `${(value * 100).toFixed(1)}%`
+          analysisText = this.results.success
+            ? `Bob recovered the input with fidelity ${percent(teleportation.measured.fidelity)}, using one shared pair and two classical bits that took ${formatDuration(teleportation.delay)} to reach him.`
+            : `The pair reached Bob with fidelity ${percent(teleportation.pairFidelity)} to Φ+, too little to teleport better than measuring the qubit and sending the result.`
+          observations.push(
+            `Averaged over all inputs the fidelity is (2F + 1)/3 = ${percent(teleportation.averageFidelity)} for a pair fidelity F = ${percent(teleportation.pairFidelity)}; it beats the classical 2/3 whenever F > 1/2.`,
+          )
+          const fidelities = teleportation.outcomes.map((branch) => branch.fidelity)
+          if (Math.max(...fidelities) - Math.min(...fidelities) > 0.005) {
+            observations.push(
+              `The four outcomes leave Bob with different fidelities (${percent(Math.min(...fidelities))} to ${percent(Math.max(...fidelities))}): the noise is not symmetric under the Pauli corrections, so the result depends on which correction was needed.`,
+            )
+          }
+          if (!teleportation.genuine) {
+            observations.push("The herald came from a dark count, so no photon was stored at Bob's end and his qubit carried nothing of the input.")
+          }
+        } else if (superdense) {
+          const percent = (value) => `${(value * 100).toFixed(1)}%`
+          analysisText = this.results.success
+            ? `Bob ${superdense.decoded === superdense.message ? "read" : "misread"} the two bits ${superdense.message} from one qubit; with every message equally likely each qubit carries ${superdense.information.toFixed(3)} bits, against at most 1 without the shared pair.`
+            : `The pair reached Bob with fidelity ${percent(superdense.pairFidelity)} to Φ+ and the decoding error rate is ${percent(superdense.errorRate)}, so a qubit carries no more than the 1 bit it could hold on its own.`
+          observations.push(
+            `Over the same channel a lone qubit carries ${superdense.classicalInformation.toFixed(3)} bits; the pair ${superdense.information > superdense.classicalInformation ? "adds" : "loses"} ${Math.abs(superdense.information - superdense.classicalInformation).toFixed(3)} bits per qubit sent.`,
+          )
+          const correct = superdense.rows.map((row, i) => row[i])
+          if (Math.max(...correct) - Math.min(...correct) > 0.005) {
+            observations.push(
+              `Some messages survive the noise better than others (${percent(Math.min(...correct))} to ${percent(Math.max(...correct))} read correctly): the channel does not treat the four Bell states alike.`,
+            )
+          }
+          if (!superdense.genuine) {
+            observations.push("The herald came from a dark count, so Bob's memory held no half of the pair and his measurement reads random bits.")
+          }
+        } else if (circuit) {
+          const percent = (value) => `${(value * 100).toFixed(1)}%`
+          analysisText = `The circuit's ${circuit.gates} gate${circuit.gates > 1 ? "s" : ""} on ${circuit.qubits} qubit${circuit.qubits > 1 ? "s" : ""} ran at depth ${circuit.depth}; the noisy run ends with fidelity ${percent(this.results.fidelity)} with the noiseless one, and its outcome distribution is ${percent(this.results.errorRate)} away in total variation.`
+          observations.push(
+            circuit.remoteGates > 0
+              ? `${circuit.remoteGates} gate${circuit.remoteGates > 1 ? "s" : ""} spanned several nodes, so ${circuit.transfers} qubit transfer${circuit.transfers > 1 ? "s" : ""} each crossed the channel there and back; gates inside one node add no noise.`
+              : "Every gate ran inside one node, so only the memory's decoherence acted on the qubits.",
+          )
+          const likeliest = circuit.outcomes.reduce((best, outcome) => (outcome.ideal > best.ideal ? outcome : best))
+          observations.push(
+            `The likeliest outcome ${likeliest.bits} comes up with ${percent(likeliest.ideal)} probability without noise and ${percent(likeliest.noisy)} with it.`,
+          )
+        } else if (this.results.success) {
           analysisText =
             "The quantum entanglement was successfully established with high fidelity, allowing for reliable quantum communication."
   
-          if (this.results.purificationEnabled) {
-            observations.push("Purification significantly improved the fidelity, mitigating the effects of noise.")
+          if (purification && purification.roundsCompleted > 0) {
+            observations.push(
+              `${Purification.protocols[purification.protocol]} purification raised the fidelity from ${(purification.fidelityBefore * 100).toFixed(1)}% to ${(purification.fidelityAfter * 100).toFixed(1)}% over ${purification.roundsCompleted} round${purification.roundsCompleted > 1 ? "s" : ""}.`,
+            )
           }
           if (this.results.attempts > 1) {
             observations.push(
@@ -2510,9 +5533,82 @@ document.addEventListener("DOMContentLoaded", () => {
           }
         }
   
-        if (this.results.latency > 1) {
+        // an encoded qubit sees the twirled logical channel, which the code observation below covers
+        if (!qec && this.results.errorModel === "amplitude" && channelEffect.excitedAfter < channelEffect.excitedBefore) {
+          observations.push(
+            `Amplitude damping drained the transmitted qubits toward |0⟩: excited population fell from ${(channelEffect.excitedBefore * 100).toFixed(1)}% to ${(channelEffect.excitedAfter * 100).toFixed(1)}%.`,
+          )
+        }
+  
+        if (!qec && this.results.errorModel === "phase") {
+          observations.push(
+            `Phase damping left the populations unchanged but removed ${((1 - channelEffect.coherenceRetained) * 100).toFixed(1)}% of the coherence between basis states.`,
+          )
+        }
+  
+        if (falseHeralds > 0.05 && !qkd && !circuit) {
+          observations.push(
+            `Dark counts trigger up to ${(falseHeralds * 100).toFixed(1)}% of the heralds on the lossiest link; those pairs carry no entanglement and pull its fidelity down.`,
+          )
+        }
+
+        if (qec) {
+          observations.push(
+            qec.logicalErrorRate < qec.physicalErrorRate
+              ? `The ${qec.name} code cut the error on every sent qubit from ${(qec.physicalErrorRate * 100).toFixed(2)}% to ${(qec.logicalErrorRate * 100).toFixed(2)}%, at the cost of ${qec.physicalQubits - 1} extra qubits and ${qec.ancillas} ancillas.`
+              : `At this noise the ${qec.name} code does worse than sending the qubit bare (${(qec.logicalErrorRate * 100).toFixed(2)}% against ${(qec.physicalErrorRate * 100).toFixed(2)}%): the errors it cannot undo on ${qec.physicalQubits} qubits outweigh the ones it corrects.`,
+          )
+        }
+
+        if (multipartite) {
+          observations.push(
+            Multipartite.certifies(multipartite.value)
+              ? `The witness ${Multipartite.formatWitness(multipartite.value)} is negative, so all ${multipartite.parties} nodes share the entanglement: no split of them into two groups explains the state.`
+              : `The witness ${Multipartite.formatWitness(multipartite.value)} is not negative, so at this noise nothing rules out a split of the ${multipartite.parties} nodes into two unentangled groups.`,
+          )
+          const loss = multipartite.afterLoss
+          if (loss) {
+            observations.push(
+              Multipartite.certifies(loss.value)
+                ? `Losing ${escapeHtml(loss.node)}'s qubit still leaves the other ${multipartite.parties - 1} nodes genuinely entangled (witness ${Multipartite.formatWitness(loss.value)}), the robustness W states are known for.`
+                : this.results.entanglementType === "ghz"
+                  ? `Losing ${escapeHtml(loss.node)}'s qubit leaves the other ${multipartite.parties - 1} nodes a mixture of |0…0⟩ and |1…1⟩: a GHZ state has no entanglement left once any party is gone.`
+                  : `Losing ${escapeHtml(loss.node)}'s qubit leaves the other ${multipartite.parties - 1} nodes without certified entanglement (witness ${Multipartite.formatWitness(loss.value)}); the noise has used up the W state's robustness to loss.`,
+            )
+          }
+        }
+
+        // fidelity to the target misses entanglement of another kind, which the concurrence still sees
+        if (finalState && finalState.labels.length === 2 && !teleportation && !superdense && this.results.fidelity <= 0.5) {
+          const concurrence = EntanglementMeasures.concurrence(new DensityMatrix(2, finalState.matrix))
+          if (concurrence > 1e-6) {
+            observations.push(
+              `Fidelity ${(this.results.fidelity * 100).toFixed(1)}% alone would suggest no entanglement, yet the concurrence is ${concurrence.toFixed(3)}: the pair is entangled, just not in the state it was meant to be.`,
+            )
+          }
+        }
+
+        const routing = this.results.routing
+        if (routing) {
+          const differing = routing.alternatives.filter((route) => route.label !== routing.label)
+          if (differing.length > 0) {
+            observations.push(
+              `Routing by ${EntanglementRouting.metrics[routing.metric].toLowerCase()} chose ${escapeHtml(routing.label)}; ${differing.map((route) => `${EntanglementRouting.metrics[route.metric].toLowerCase()} would use ${escapeHtml(route.label)}`).join(", ")}.`,
+            )
+          } else {
+            observations.push(`All routing metrics agree on ${escapeHtml(routing.label)} for this request.`)
+          }
+        }
+
+        if (this.results.latency > 1000 && !qkd) {
           observations.push("The latency is relatively high, suggesting possible bottlenecks in the system.")
         }
+
+        if (this.results.latency > 0.1 * this.results.memory.t2 && !qkd) {
+          observations.push(
+            `The run took ${formatDuration(this.results.latency)}, ${((this.results.latency / this.results.memory.t2) * 100).toFixed(0)}% of the memory T2, so stored qubits lost a noticeable part of their coherence while waiting.`,
+          )
+        }
   
         analysisCard.innerHTML = `
                   <h4>Analysis</h4>
@@ -2523,10 +5619,32 @@ document.addEventListener("DOMContentLoaded", () => {
         resultsGrid.appendChild(fidelityCard)
         resultsGrid.appendChild(performanceCard)
         resultsGrid.appendChild(configCard)
+        resultsGrid.appendChild(channelCard)
+        resultsGrid.appendChild(linksCard)
+        if (routingCard) resultsGrid.appendChild(routingCard)
+        if (repeaterCard) resultsGrid.appendChild(repeaterCard)
+        if (qecCard) resultsGrid.appendChild(qecCard)
+        if (multipartiteCard) resultsGrid.appendChild(multipartiteCard)
+        if (measuresCard) resultsGrid.appendChild(measuresCard)
+        if (outcomesCard) resultsGrid.appendChild(outcomesCard)
         resultsGrid.appendChild(efficiencyCard)
+        if (tradeoffCard) resultsGrid.appendChild(tradeoffCard)
+        if (keyRateCard) resultsGrid.appendChild(keyRateCard)
+        if (capacityCard) resultsGrid.appendChild(capacityCard)
         resultsGrid.appendChild(analysisCard)
         this.container.appendChild(resultsContent)
         this.container.appendChild(resultsGrid)
+        if (tradeoffCard) this.drawAttackTradeoff(tradeoffCard.querySelector("canvas"), qkd)
+        if (keyRateCard) this.drawKeyRateCurve(keyRateCard.querySelector("canvas"), qkd)
+        if (capacityCard) {
+          this.drawCapacityCurve(capacityCard.querySelector("canvas"), superdense, this.results.errorModel, this.results.noiseLevel)
+        }
+        if (qecCard) this.drawQECCurve(qecCard.querySelector("canvas"), qec, this.results.errorModel, this.results.noiseLevel)
+        if (outcomesCard) this.drawOutcomeBars(outcomesCard.querySelector("canvas"), circuit)
+        if (measuresCard) this.initEntanglementMeasures(measuresCard, finalState)
+        if (multipartiteCard) {
+          this.drawMultipartiteScaling(multipartiteCard.querySelector("canvas"), multipartite, this.results.entanglementType, this.results.errorModel, this.results.noiseLevel)
+        }
       }
     }
   
@@ -2534,7 +5652,9 @@ document.addEventListener("DOMContentLoaded", () => {
     const simulation = new QuantumSimulation()
     const networkVisualizer = new QuantumNetworkVisualizer("quantum-network")
     const circuitVisualizer = new QuantumCircuitVisualizer("quantum-circuit")
+    const circuitBuilder = new CircuitBuilderEditor("circuit-builder", circuitVisualizer)
     const fidelityChartVisualizer = new FidelityChartVisualizer("fidelity-chart")
+    const sweepVisualizer = new ParameterSweepVisualizer("sweep-chart", "sweep-description")
     const resultsVisualizer = new ResultsVisualizer("results-container")
   
     // UI Elements
@@ -2546,15 +5666,171 @@ document.addEventListener("DOMContentLoaded", () => {
     const startBtn = document.getElementById("start-btn")
     const pauseBtn = document.getElementById("pause-btn")
     const resetBtn = document.getElementById("reset-btn")
+    const batchTrialsSelect = document.getElementById("batch-trials")
+    const batchBtn = document.getElementById("batch-btn")
+    const batchProgress = document.getElementById("batch-progress")
+    const sweepParameterSelects = [1, 2].map((axis) => document.getElementById(`sweep-parameter-${axis}`))
+    const sweepRanges = [1, 2].map((axis) => ({
+      container: document.getElementById(`sweep-range-${axis}`),
+      from: document.getElementById(`sweep-from-${axis}`),
+      to: document.getElementById(`sweep-to-${axis}`),
+      steps: document.getElementById(`sweep-steps-${axis}`),
+    }))
+    const sweepMetricSelect = document.getElementById("sweep-metric")
+    const sweepTrialsSelect = document.getElementById("sweep-trials")
+    const sweepBtn = document.getElementById("sweep-btn")
+    const sweepProgress = document.getElementById("sweep-progress")
     const entanglementTypeSelect = document.getElementById("entanglement-type")
     const errorModelSelect = document.getElementById("error-model")
     const nodeCountSelect = document.getElementById("node-count")
     const networkTopologySelect = document.getElementById("network-topology")
+    const purificationProtocolSelect = document.getElementById("purification-protocol")
+    const purificationRoundsSelect = document.getElementById("purification-rounds")
+    const repeaterToggle = document.getElementById("repeater-mode")
+    const nestingLevelSelect = document.getElementById("nesting-level")
+    const routeSourceSelect = document.getElementById("route-source")
+    const routeTargetSelect = document.getElementById("route-target")
+    const routeMetricSelect = document.getElementById("route-metric")
+    const modeSelect = document.getElementById("simulation-mode")
+    const qkdPulsesSelect = document.getElementById("qkd-pulses")
+    const qberThresholdSlider = document.getElementById("qber-threshold")
+    const qberThresholdValue = document.getElementById("qber-threshold-value")
+    const eavesdropperToggle = document.getElementById("eavesdropper")
+    const eveStrategySelect = document.getElementById("eve-strategy")
+    const eveStrengthSlider = document.getElementById("eve-strength")
+    const eveStrengthValue = document.getElementById("eve-strength-value")
+    const eveStrengthLabel = document.getElementById("eve-strength-label")
+    const eveLinkSelect = document.getElementById("eve-link")
+    const keyBoundSelect = document.getElementById("key-bound")
+    const decoySliders = {
+      signal: document.getElementById("decoy-signal"),
+      decoy: document.getElementById("decoy-decoy"),
+      vacuum: document.getElementById("decoy-vacuum"),
+    }
+    const teleportThetaSlider = document.getElementById("teleport-theta")
+    const teleportPhiSlider = document.getElementById("teleport-phi")
+    const denseMessageSelect = document.getElementById("dense-message")
+    const qecCodeSelect = document.getElementById("qec-code")
+    const memoryT1Slider = document.getElementById("memory-t1")
+    const memoryT1Value = document.getElementById("memory-t1-value")
+    const memoryT2Slider = document.getElementById("memory-t2")
+    const memoryT2Value = document.getElementById("memory-t2-value")
+    const linkEditor = document.getElementById("link-editor")
+    const linkEditorTitle = document.getElementById("link-editor-title")
+    const linkEditorSummary = document.getElementById("link-editor-summary")
+    const linkApplyBtn = document.getElementById("link-apply-btn")
+    const linkCloseBtn = document.getElementById("link-close-btn")
+    const linkRemoveBtn = document.getElementById("link-remove-btn")
+    const nodeEditor = document.getElementById("node-editor")
+    const nodeEditorTitle = document.getElementById("node-editor-title")
+    const nodeNameInput = document.getElementById("node-name")
+    const nodeApplyBtn = document.getElementById("node-apply-btn")
+    const nodeCloseBtn = document.getElementById("node-close-btn")
+    const nodeUnpinBtn = document.getElementById("node-unpin-btn")
+    const nodeRemoveBtn = document.getElementById("node-remove-btn")
+    const topologySaveJsonBtn = document.getElementById("topology-save-json-btn")
+    const topologySaveGraphmlBtn = document.getElementById("topology-save-graphml-btn")
+    const topologyLoadBtn = document.getElementById("topology-load-btn")
+    const topologyFileInput = document.getElementById("topology-file-input")
     const exportBtn = document.getElementById("export-btn")
     const settingsBtn = document.getElementById("settings-btn")
+    const gatePaletteButtons = document.querySelectorAll(".gate-btn")
+    const gateEditor = document.getElementById("gate-editor")
+    const gateEditorTitle = document.getElementById("gate-editor-title")
+    const gateEditorOperands = document.getElementById("gate-editor-operands")
+    const gateEditorSummary = document.getElementById("gate-editor-summary")
+    const gateAngleLabel = document.getElementById("gate-angle-label")
+    const gateAngleInput = document.getElementById("gate-angle")
+    const gateApplyBtn = document.getElementById("gate-apply-btn")
+    const gateCloseBtn = document.getElementById("gate-close-btn")
+    const gateRemoveBtn = document.getElementById("gate-remove-btn")
+    const circuitBuilderMessage = document.getElementById("circuit-builder-message")
+    const qubitList = document.getElementById("qubit-list")
+    const addQubitBtn = document.getElementById("add-qubit-btn")
+    const clearGatesBtn = document.getElementById("clear-gates-btn")
+    const runCircuitBtn = document.getElementById("run-circuit-btn")
+    const qasmExport2Btn = document.getElementById("qasm-export-2-btn")
+    const qasmExport3Btn = document.getElementById("qasm-export-3-btn")
+    const qasmImportBtn = document.getElementById("qasm-import-btn")
+    const qasmFileInput = document.getElementById("qasm-file-input")
+    const stepScrubber = document.getElementById("step-scrubber")
+    const stepScrubberValue = document.getElementById("step-scrubber-value")
     const tabButtons = document.querySelectorAll(".tab-btn")
     const tabPanes = document.querySelectorAll(".tab-pane")
   
+    // Configuration controls are locked while a simulation is playing
+    const configControls = [
+      noiseSlider,
+      purificationToggle,
+      batchTrialsSelect,
+      batchBtn,
+      ...sweepParameterSelects,
+      ...sweepRanges.flatMap(({ from, to, steps }) => [from, to, steps]),
+      sweepTrialsSelect,
+      sweepBtn,
+      entanglementTypeSelect,
+      errorModelSelect,
+      nodeCountSelect,
+      networkTopologySelect,
+      purificationProtocolSelect,
+      purificationRoundsSelect,
+      repeaterToggle,
+      nestingLevelSelect,
+      routeSourceSelect,
+      routeTargetSelect,
+      routeMetricSelect,
+      modeSelect,
+      qkdPulsesSelect,
+      qberThresholdSlider,
+      eavesdropperToggle,
+      eveStrategySelect,
+      eveStrengthSlider,
+      eveLinkSelect,
+      keyBoundSelect,
+      ...Object.values(decoySliders),
+      teleportThetaSlider,
+      teleportPhiSlider,
+      denseMessageSelect,
+      qecCodeSelect,
+      memoryT1Slider,
+      memoryT2Slider,
+      topologySaveJsonBtn,
+      topologySaveGraphmlBtn,
+      topologyLoadBtn,
+      ...gatePaletteButtons,
+      clearGatesBtn,
+      runCircuitBtn,
+      qasmImportBtn,
+    ]
+  
+    const setConfigControlsDisabled = (disabled) => {
+      configControls.forEach((control) => {
+        if (control) control.disabled = disabled
+      })
+      networkVisualizer.setEditingLocked(disabled)
+      circuitBuilder.setEditingLocked(disabled)
+      if (disabled) closeGateEditor()
+      renderQubitList()
+    }
+  
+    // The scrubber follows playback while a run plays and afterwards shows any of its steps
+    const syncStepScrubber = (index = null) => {
+      if (!stepScrubber) return
+      const steps = simulation.getSimulationHistory()
+      stepScrubber.max = String(Math.max(0, steps.length - 1))
+      if (index !== null) stepScrubber.value = String(index)
+      stepScrubber.disabled = simulation.isRunning || steps.length === 0
+      stepScrubberValue.textContent = steps.length > 0 ? `${Number.parseInt(stepScrubber.value) + 1} / ${steps.length}` : "–"
+    }
+
+    if (stepScrubber) {
+      stepScrubber.addEventListener("input", () => {
+        const step = simulation.getSimulationHistory()[Number.parseInt(stepScrubber.value)]
+        syncStepScrubber()
+        if (step) circuitVisualizer.update(step, purificationToggle.checked, entanglementTypeSelect.value, errorModelSelect.value)
+      })
+    }
+
     // Initialize UI
     if (noiseSlider && noiseValue) {
       noiseSlider.addEventListener("input", () => {
@@ -2581,28 +5857,148 @@ document.addEventListener("DOMContentLoaded", () => {
         circuitVisualizer.update(null, purificationToggle.checked, entanglementTypeSelect.value, errorModelSelect.value)
       })
     }
-  
-    if (speedSlider && speedValue) {
-      speedSlider.addEventListener("input", () => {
-        speedValue.textContent = Number.parseFloat(speedSlider.value).toFixed(1)
+  
+    if (speedSlider && speedValue) {
+      speedSlider.addEventListener("input", () => {
+        speedValue.textContent = Number.parseFloat(speedSlider.value).toFixed(1)
+      })
+    }
+  
+    if (entanglementTypeSelect) {
+      entanglementTypeSelect.addEventListener("change", () => {
+        networkVisualizer.update(
+          null,
+          Number.parseFloat(noiseSlider.value),
+          purificationToggle.checked,
+          entanglementTypeSelect.value,
+          errorModelSelect.value,
+        )
+        circuitVisualizer.update(null, purificationToggle.checked, entanglementTypeSelect.value, errorModelSelect.value)
+      })
+    }
+  
+    // Key distribution settings; the protocol choice also decides which route is previewed
+    if (modeSelect) {
+      modeSelect.addEventListener("change", () => {
+        simulation.setMode(modeSelect.value)
+        networkVisualizer.update(
+          null,
+          Number.parseFloat(noiseSlider.value),
+          purificationToggle.checked,
+          entanglementTypeSelect.value,
+          errorModelSelect.value,
+        )
+        circuitVisualizer.update(null, purificationToggle.checked, entanglementTypeSelect.value, errorModelSelect.value)
+        refreshCircuitPreview()
+      })
+    }
+
+    if (qkdPulsesSelect) {
+      qkdPulsesSelect.addEventListener("change", () => {
+        simulation.setQKDPulses(Number.parseInt(qkdPulsesSelect.value))
+      })
+    }
+
+    if (qberThresholdSlider && qberThresholdValue) {
+      qberThresholdSlider.addEventListener("input", () => {
+        const threshold = Number.parseFloat(qberThresholdSlider.value)
+        simulation.setQberThreshold(threshold)
+        qberThresholdValue.textContent = (threshold * 100).toFixed(1)
+      })
+    }
+
+    if (eavesdropperToggle) {
+      eavesdropperToggle.addEventListener("change", () => {
+        simulation.setEavesdropper(eavesdropperToggle.checked)
+      })
+    }
+
+    // for the cloner the slider sets how strongly she couples to the pulse, otherwise how many she attacks
+    const updateEveStrength = () => {
+      if (!eveStrategySelect || !eveStrengthSlider) return
+      const strength = Number.parseFloat(eveStrengthSlider.value)
+      simulation.setEveStrategy(eveStrategySelect.value)
+      simulation.setEveStrength(strength)
+      if (eveStrengthValue) eveStrengthValue.textContent = (strength * 100).toFixed(0)
+      if (eveStrengthLabel) {
+        eveStrengthLabel.textContent = eveStrategySelect.value === "cloning" ? "Cloner Strength" : "Pulses Attacked"
+      }
+    }
+
+    if (eveStrategySelect && eveStrengthSlider) {
+      updateEveStrength()
+      eveStrategySelect.addEventListener("change", updateEveStrength)
+      eveStrengthSlider.addEventListener("input", updateEveStrength)
+    }
+
+    if (eveLinkSelect) {
+      eveLinkSelect.addEventListener("change", () => {
+        const [source, target] = eveLinkSelect.value.split("-").map((index) => Number.parseInt(index))
+        simulation.setEveLink(eveLinkSelect.value === "" ? null : { source, target })
+      })
+    }
+
+    if (keyBoundSelect) {
+      keyBoundSelect.addEventListener("change", () => {
+        simulation.setKeyBound(keyBoundSelect.value)
       })
     }
-  
-    if (entanglementTypeSelect) {
-      entanglementTypeSelect.addEventListener("change", () => {
-        networkVisualizer.update(
-          null,
-          Number.parseFloat(noiseSlider.value),
-          purificationToggle.checked,
-          entanglementTypeSelect.value,
-          errorModelSelect.value,
-        )
-        circuitVisualizer.update(null, purificationToggle.checked, entanglementTypeSelect.value, errorModelSelect.value)
+
+    const updateDecoyIntensities = () => {
+      const intensities = {}
+      Object.entries(decoySliders).forEach(([name, slider]) => {
+        if (!slider) return
+        intensities[name] = Number.parseFloat(slider.value)
+        const label = document.getElementById(`decoy-${name}-value`)
+        if (label) label.textContent = intensities[name].toFixed(name === "vacuum" ? 3 : 2)
+      })
+      simulation.setDecoyIntensities(intensities)
+    }
+
+    updateDecoyIntensities()
+    Object.values(decoySliders).forEach((slider) => {
+      if (slider) slider.addEventListener("input", updateDecoyIntensities)
+    })
+
+    const updateTeleportInput = () => {
+      const theta = Number.parseFloat(teleportThetaSlider.value)
+      const phi = Number.parseFloat(teleportPhiSlider.value)
+      simulation.setTeleportInput(theta, phi)
+      const thetaLabel = document.getElementById("teleport-theta-value")
+      const phiLabel = document.getElementById("teleport-phi-value")
+      if (thetaLabel) thetaLabel.textContent = theta.toFixed(0)
+      if (phiLabel) phiLabel.textContent = phi.toFixed(0)
+    }
+
+    if (teleportThetaSlider && teleportPhiSlider) {
+      updateTeleportInput()
+      teleportThetaSlider.addEventListener("input", updateTeleportInput)
+      teleportPhiSlider.addEventListener("input", updateTeleportInput)
+    }
+
+    if (denseMessageSelect) {
+      denseMessageSelect.addEventListener("change", () => {
+        simulation.setDenseMessage(denseMessageSelect.value)
+      })
+    }
+
+    if (qecCodeSelect) {
+      qecCodeSelect.addEventListener("change", () => {
+        simulation.setQECCode(qecCodeSelect.value)
       })
     }
+
+    const noiseParameter = document.getElementById("noise-parameter")
+    const updateNoiseParameter = () => {
+      if (!noiseParameter || !errorModelSelect) return
+      noiseParameter.textContent =
+        errorModelSelect.value === "amplitude" ? "γ" : errorModelSelect.value === "phase" ? "λ" : "p"
+    }
   
     if (errorModelSelect) {
+      updateNoiseParameter()
       errorModelSelect.addEventListener("change", () => {
+        updateNoiseParameter()
         networkVisualizer.update(
           null,
           Number.parseFloat(noiseSlider.value),
@@ -2614,37 +6010,670 @@ document.addEventListener("DOMContentLoaded", () => {
       })
     }
   
-    // Node configuration controls
+    // Node configuration controls. The simulation and the network view share one graph; the selects
+    // load presets and follow along when the graph is edited on the canvas.
+    const graph = simulation.graph
+    networkVisualizer.setGraph(graph)
+    circuitBuilder.setCircuit(simulation.circuit, graph)
+
+    // In Custom Circuit mode the Quantum Circuit tab shows the built circuit until a run starts
+    const refreshCircuitPreview = () => {
+      const circuit = simulation.circuit
+      const names = circuit.holders.map((holder) => graph.nodes[holder].name)
+      circuitVisualizer.previewCircuit(modeSelect.value === "circuit" ? { circuit, names } : null)
+    }
+
+    const showCircuitProblem = (message) => {
+      if (circuitBuilderMessage) circuitBuilderMessage.textContent = message
+    }
+
+    const closeGateEditor = () => {
+      if (gateEditor) gateEditor.classList.remove("visible")
+      circuitBuilder.selectGate(null)
+    }
+
+    // One row per qubit with the node that holds it
+    const renderQubitList = () => {
+      if (!qubitList) return
+      const circuit = simulation.circuit
+      qubitList.innerHTML = ""
+      circuit.holders.forEach((holder, qubit) => {
+        const row = document.createElement("div")
+        row.className = "qubit-row"
+        const label = document.createElement("span")
+        label.textContent = `q${qubit + 1}`
+        const select = document.createElement("select")
+        select.className = "custom-select"
+        graph.nodes.forEach((node, i) => select.add(new Option(node.name, String(i))))
+        select.value = String(holder)
+        select.disabled = circuitBuilder.editingLocked
+        select.addEventListener("change", () => {
+          circuit.setHolder(qubit, Number.parseInt(select.value))
+          circuitChanged()
+        })
+        const removeBtn = document.createElement("button")
+        removeBtn.className = "secondary-btn"
+        removeBtn.textContent = "Remove"
+        removeBtn.disabled = circuitBuilder.editingLocked
+        removeBtn.addEventListener("click", () => {
+          circuit.removeQubit(qubit)
+          circuitChanged()
+        })
+        row.append(label, select, removeBtn)
+        qubitList.appendChild(row)
+      })
+      if (addQubitBtn) addQubitBtn.disabled = circuitBuilder.editingLocked || circuit.qubitCount >= CIRCUIT_MAX_QUBITS
+    }
+
+    const refreshCircuitBuilder = () => {
+      renderQubitList()
+      circuitBuilder.draw()
+      refreshCircuitPreview()
+    }
+
+    const circuitChanged = () => {
+      showCircuitProblem("")
+      closeGateEditor()
+      refreshCircuitBuilder()
+    }
+
+    circuitBuilder.onCircuitChange = circuitChanged
+    circuitBuilder.onProblem = showCircuitProblem
+
+    gatePaletteButtons.forEach((button) => {
+      button.addEventListener("dragstart", (e) => {
+        e.dataTransfer.setData("text/plain", button.dataset.gate)
+        e.dataTransfer.effectAllowed = "copy"
+      })
+      button.addEventListener("click", () => {
+        if (!circuitBuilder.editingLocked) circuitBuilder.place(button.dataset.gate)
+      })
+    })
+
+    // Gate editor: clicking a placed gate lets its qubits and angle be changed, or the gate removed
+    if (gateEditor) {
+      const readOperands = () => Array.from(gateEditorOperands.querySelectorAll("select")).map((select) => Number.parseInt(select.value))
+
+      circuitBuilder.onGateClick = (index) => {
+        if (simulation.isRunning) return
+        const circuit = simulation.circuit
+        const operation = circuit.operations[index]
+        const definition = CIRCUIT_GATES[operation.gate]
+        gateEditorTitle.textContent = `${definition.name} (gate ${index + 1})`
+        gateEditorOperands.innerHTML = ""
+        const operands = definition.operands || ["Qubit"]
+        operands.forEach((name, i) => {
+          const label = document.createElement("label")
+          label.htmlFor = `gate-operand-${i}`
+          label.textContent = name
+          const select = document.createElement("select")
+          select.id = `gate-operand-${i}`
+          circuit.holders.forEach((holder, qubit) => select.add(new Option(`q${qubit + 1} (${graph.nodes[holder].name})`, String(qubit))))
+          select.value = String(operation.targets[i])
+          gateEditorOperands.append(label, select)
+        })
+        gateAngleLabel.style.display = definition.angle ? "" : "none"
+        gateAngleInput.style.display = definition.angle ? "" : "none"
+        if (definition.angle) gateAngleInput.value = String(Math.round(((operation.angle * 180) / Math.PI) * 100) / 100)
+        gateEditorSummary.textContent = ""
+        circuitBuilder.selectGate(index)
+        gateEditor.classList.add("visible")
+      }
+
+      gateApplyBtn.addEventListener("click", () => {
+        const index = circuitBuilder.selected
+        if (index === null) return
+        const operation = simulation.circuit.operations[index]
+        const angle = (Number.parseFloat(gateAngleInput.value) * Math.PI) / 180
+        const problem = simulation.circuit.replace(index, { gate: operation.gate, targets: readOperands(), angle })
+        if (problem) {
+          gateEditorSummary.textContent = problem
+          return
+        }
+        circuitChanged()
+      })
+
+      gateRemoveBtn.addEventListener("click", () => {
+        const index = circuitBuilder.selected
+        if (index === null) return
+        simulation.circuit.remove(index)
+        circuitChanged()
+      })
+
+      gateCloseBtn.addEventListener("click", closeGateEditor)
+    }
+
+    if (addQubitBtn) {
+      addQubitBtn.addEventListener("click", () => {
+        // new qubits go round the nodes, so the default circuit already spans the network
+        simulation.circuit.addQubit(simulation.circuit.qubitCount % graph.nodeCount)
+        circuitChanged()
+      })
+    }
+
+    if (clearGatesBtn) {
+      clearGatesBtn.addEventListener("click", () => {
+        simulation.circuit.clear()
+        circuitChanged()
+      })
+    }
+
+    // Runs the circuit through the usual controls, so playback, charts and results work as for any protocol
+    if (runCircuitBtn) {
+      runCircuitBtn.addEventListener("click", () => {
+        if (simulation.isRunning) return
+        modeSelect.value = "circuit"
+        modeSelect.dispatchEvent(new Event("change"))
+        startBtn.click()
+      })
+    }
+
+    const syncGraphControls = () => {
+      if (nodeCountSelect) {
+        const value = String(graph.nodeCount)
+        const options = Array.from(nodeCountSelect.options)
+        if (!options.some((option) => option.value === value)) {
+          // keep the list ordered when the canvas grows the graph past the preset sizes
+          const next = options.find((option) => Number.parseInt(option.value) > graph.nodeCount)
+          nodeCountSelect.add(new Option(`${value} Nodes`, value), next || null)
+        }
+        nodeCountSelect.value = value
+      }
+      if (networkTopologySelect) networkTopologySelect.value = graph.topology
+
+      // route endpoints follow the node list; a choice survives only if it still names the same node
+      const routeSelects = [routeSourceSelect, routeTargetSelect]
+      routeSelects.forEach((select) => {
+        if (!select) return
+        const selected = select.selectedOptions[0]
+        const previous = selected && selected.value !== "" ? { value: selected.value, name: selected.textContent } : null
+        while (select.options.length > 1) select.remove(1)
+        graph.nodes.forEach((node, i) => select.add(new Option(node.name, String(i))))
+        const kept = previous && graph.nodes[Number.parseInt(previous.value)]
+        select.value = kept && kept.name === previous.name ? previous.value : ""
+      })
+
+      // Eve's link keeps its place while the same two nodes are still joined
+      if (eveLinkSelect) {
+        const selected = eveLinkSelect.selectedOptions[0]
+        const previous = selected && selected.value !== "" ? { value: selected.value, name: selected.textContent } : null
+        while (eveLinkSelect.options.length > 1) eveLinkSelect.remove(1)
+        graph.links.forEach((link) => {
+          const name = `${graph.nodes[link.source].name} – ${graph.nodes[link.target].name}`
+          eveLinkSelect.add(new Option(name, `${link.source}-${link.target}`))
+        })
+        const kept = previous && Array.from(eveLinkSelect.options).find((option) => option.value === previous.value)
+        eveLinkSelect.value = kept && kept.textContent === previous.name ? previous.value : ""
+        eveLinkSelect.dispatchEvent(new Event("change"))
+      }
+
+      // qubits of removed nodes move to the first node
+      simulation.circuit.clampHolders(graph.nodeCount)
+      refreshCircuitBuilder()
+      updateRouting()
+    }
+
+    // Routing: a Bell pair between two chosen nodes, previewed on the canvas before the run
+    const updateRouting = () => {
+      if (!routeSourceSelect || !routeTargetSelect || !routeMetricSelect) return
+      const source = routeSourceSelect.value
+      const target = routeTargetSelect.value
+      simulation.setRoutingRequest(
+        source !== "" && target !== ""
+          ? { source: Number.parseInt(source), target: Number.parseInt(target), metric: routeMetricSelect.value }
+          : null,
+      )
+
+      // key distribution and teleportation always run between two nodes, so their path is shown even without a request
+      // a built circuit has no single path to preview
+      const twoParty = simulation.mode !== "distribution"
+      const routable =
+        simulation.mode !== "circuit" &&
+        (twoParty || entanglementTypeSelect.value === "bell") &&
+        simulation.validateNetwork(entanglementTypeSelect.value) === null
+      const routing = routable
+        ? simulation.planRoute(
+            Number.parseFloat(noiseSlider.value),
+            errorModelSelect.value,
+            purificationToggle.checked && !twoParty,
+            twoParty ? simulation.keyRequest() : simulation.routingRequest,
+          )
+        : null
+      networkVisualizer.setRoute(routing ? routing.chosen.path : null)
+
+      // show where Eve will sit before the run, faded when the key path misses her link
+      const path = routing ? routing.chosen.path : null
+      const eveLink = simulation.eveLink || (path ? { source: path[0], target: path[1] } : null)
+      const onPath =
+        !!path &&
+        !!eveLink &&
+        path.slice(1).some((node, i) => NetworkTopology.linkKey(path[i], node) === NetworkTopology.linkKey(eveLink.source, eveLink.target))
+      networkVisualizer.setPlannedEavesdropper(
+        simulation.keyDistribution && simulation.eavesdropper && eveLink
+          ? { source: eveLink.source, target: eveLink.target, strategy: simulation.eveStrategy, onPath }
+          : null,
+      )
+    }
+
+    // anything that changes the link estimates can change the preferred path
+    const routeInputs = [
+      routeSourceSelect,
+      routeTargetSelect,
+      routeMetricSelect,
+      noiseSlider,
+      errorModelSelect,
+      entanglementTypeSelect,
+      purificationToggle,
+      purificationProtocolSelect,
+      purificationRoundsSelect,
+      modeSelect,
+      eavesdropperToggle,
+      eveStrategySelect,
+      eveLinkSelect,
+      ...Object.values(decoySliders),
+    ]
+    routeInputs.forEach((control) => {
+      if (control) control.addEventListener(control.type === "range" ? "input" : "change", updateRouting)
+    })
+    syncGraphControls()
+
+    const refreshNetworkView = () => {
+      networkVisualizer.initializeNodes()
+      networkVisualizer.update(
+        null,
+        Number.parseFloat(noiseSlider.value),
+        purificationToggle.checked,
+        entanglementTypeSelect.value,
+        errorModelSelect.value,
+      )
+      syncGraphControls()
+    }
+
     if (nodeCountSelect) {
       nodeCountSelect.addEventListener("change", () => {
         const nodeCount = Number.parseInt(nodeCountSelect.value)
-        simulation.setNodeCount(nodeCount)
-        networkVisualizer.setNodeCount(nodeCount)
-        networkVisualizer.update(
-          null,
-          Number.parseFloat(noiseSlider.value),
-          purificationToggle.checked,
-          entanglementTypeSelect.value,
-          errorModelSelect.value,
-        )
+        // a hand-built graph keeps its links and only grows or shrinks at the end
+        if (graph.topology === "custom") graph.resize(nodeCount)
+        else graph.applyPreset(graph.topology, nodeCount)
+        closeEditors()
+        refreshNetworkView()
       })
     }
   
     if (networkTopologySelect) {
       networkTopologySelect.addEventListener("change", () => {
         const topology = networkTopologySelect.value
-        simulation.setNetworkTopology(topology)
-        networkVisualizer.setNetworkTopology(topology)
-        networkVisualizer.update(
-          null,
-          Number.parseFloat(noiseSlider.value),
-          purificationToggle.checked,
-          entanglementTypeSelect.value,
-          errorModelSelect.value,
+        // picking "Custom" keeps the current graph as a starting point for editing
+        if (topology === "custom") graph.topology = "custom"
+        else graph.applyPreset(topology, graph.nodeCount)
+        closeEditors()
+        refreshNetworkView()
+      })
+    }
+  
+    if (purificationProtocolSelect) {
+      purificationProtocolSelect.addEventListener("change", () => {
+        simulation.setPurificationProtocol(purificationProtocolSelect.value)
+      })
+    }
+  
+    if (purificationRoundsSelect) {
+      purificationRoundsSelect.addEventListener("change", () => {
+        simulation.setPurificationRounds(Number.parseInt(purificationRoundsSelect.value))
+      })
+    }
+  
+    if (repeaterToggle) {
+      repeaterToggle.addEventListener("change", () => {
+        simulation.setRepeaterEnabled(repeaterToggle.checked)
+      })
+    }
+  
+    if (nestingLevelSelect) {
+      nestingLevelSelect.addEventListener("change", () => {
+        simulation.setNestingLevel(
+          nestingLevelSelect.value === "auto" ? Infinity : Number.parseInt(nestingLevelSelect.value),
         )
       })
     }
   
+    // T2 can never exceed 2·T1, the simulation clamps it and the label shows what is actually used
+    const updateMemoryTimes = () => {
+      if (!memoryT1Slider || !memoryT2Slider) return
+      const t1 = Number.parseFloat(memoryT1Slider.value)
+      const t2 = Math.min(Number.parseFloat(memoryT2Slider.value), 2 * t1)
+      simulation.setMemoryTimes(t1, t2)
+      if (memoryT1Value) memoryT1Value.textContent = t1.toFixed(0)
+      if (memoryT2Value) memoryT2Value.textContent = t2.toFixed(0)
+    }
+
+    if (memoryT1Slider && memoryT2Slider) {
+      updateMemoryTimes()
+      memoryT1Slider.addEventListener("input", updateMemoryTimes)
+      memoryT2Slider.addEventListener("input", updateMemoryTimes)
+    }
+
+    // Link editor: clicking a connection on the network canvas opens its physical parameters
+    const linkInputs = {
+      length: document.getElementById("link-length"),
+      attenuation: document.getElementById("link-attenuation"),
+      brightness: document.getElementById("link-brightness"),
+      detectorEfficiency: document.getElementById("link-detector-efficiency"),
+      darkCountRate: document.getElementById("link-dark-count-rate"),
+    }
+
+    const readLinkInputs = () => {
+      const params = {}
+      Object.entries(linkInputs).forEach(([key, input]) => {
+        params[key] = Number.parseFloat(input.value)
+      })
+      return LinkPhysics.sanitize(params)
+    }
+
+    const updateLinkSummary = () => {
+      if (!linkEditorSummary) return
+      const params = readLinkInputs()
+      const herald = LinkPhysics.herald(params)
+      linkEditorSummary.textContent = `Herald probability ${(herald.successProbability * 100).toPrecision(3)}%, dark-count heralds ${(herald.falseHeraldFraction * 100).toFixed(1)}%, one-way delay ${formatDuration(params.length * FIBRE_DELAY_US_PER_KM)}`
+    }
+
+    const closeLinkEditor = () => {
+      if (linkEditor) linkEditor.classList.remove("visible")
+      networkVisualizer.selectConnection(null)
+    }
+
+    const closeNodeEditor = () => {
+      if (nodeEditor) nodeEditor.classList.remove("visible")
+      networkVisualizer.selectNode(null)
+    }
+
+    const closeEditors = () => {
+      closeLinkEditor()
+      closeNodeEditor()
+    }
+
+    networkVisualizer.onGraphChange = () => {
+      closeEditors()
+      refreshNetworkView()
+    }
+
+    if (linkEditor) {
+      networkVisualizer.onConnectionClick = (conn) => {
+        if (simulation.isRunning) return
+        closeNodeEditor()
+        const params = networkVisualizer.getLinkParameters(conn)
+        Object.entries(linkInputs).forEach(([key, input]) => {
+          input.value = params[key]
+        })
+        linkEditorTitle.textContent = `${networkVisualizer.nodes[conn.source].name} – ${networkVisualizer.nodes[conn.target].name}`
+        networkVisualizer.selectConnection(conn)
+        updateLinkSummary()
+        linkEditor.classList.add("visible")
+      }
+
+      Object.values(linkInputs).forEach((input) => input.addEventListener("input", updateLinkSummary))
+
+      linkApplyBtn.addEventListener("click", () => {
+        const conn = networkVisualizer.selectedConnection
+        if (!conn) return
+        graph.setLinkParameters(conn.source, conn.target, readLinkInputs())
+        closeLinkEditor()
+        updateRouting()
+      })
+
+      linkRemoveBtn.addEventListener("click", () => {
+        const conn = networkVisualizer.selectedConnection
+        if (!conn) return
+        networkVisualizer.pinLayout()
+        graph.removeLink(conn.source, conn.target)
+        networkVisualizer.graphChanged()
+      })
+
+      linkCloseBtn.addEventListener("click", closeLinkEditor)
+    }
+
+    // Node editor: clicking a node lets it be renamed, unpinned or removed
+    if (nodeEditor) {
+      networkVisualizer.onNodeClick = (index) => {
+        if (simulation.isRunning) return
+        closeLinkEditor()
+        const node = graph.nodes[index]
+        nodeEditorTitle.textContent = `Node ${index + 1}`
+        nodeNameInput.value = node.name
+        nodeUnpinBtn.disabled = !node.pinned
+        // the simulation needs at least two nodes
+        nodeRemoveBtn.disabled = graph.nodeCount <= 2
+        networkVisualizer.selectNode(index)
+        nodeEditor.classList.add("visible")
+      }
+
+      const renameSelectedNode = () => {
+        const index = networkVisualizer.selectedNode
+        if (index === null) return
+        graph.renameNode(index, nodeNameInput.value)
+        networkVisualizer.initializeNodes()
+        refreshCircuitBuilder()
+        closeNodeEditor()
+      }
+
+      nodeApplyBtn.addEventListener("click", renameSelectedNode)
+      nodeNameInput.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") renameSelectedNode()
+      })
+
+      nodeUnpinBtn.addEventListener("click", () => {
+        const index = networkVisualizer.selectedNode
+        if (index === null) return
+        graph.unpinNode(index)
+        closeNodeEditor()
+      })
+
+      nodeRemoveBtn.addEventListener("click", () => {
+        const index = networkVisualizer.selectedNode
+        if (index === null || graph.nodeCount <= 2) return
+        networkVisualizer.pinLayout()
+        graph.removeNode(index)
+        networkVisualizer.graphChanged()
+      })
+
+      nodeCloseBtn.addEventListener("click", closeNodeEditor)
+    }
+
+    // Network files: the graph plus the settings that shape a run, see topology-io.js for the format
+    const currentSettings = () => ({
+      entanglementType: entanglementTypeSelect.value,
+      errorModel: errorModelSelect.value,
+      noiseLevel: Number.parseFloat(noiseSlider.value),
+      purification: {
+        enabled: purificationToggle.checked,
+        protocol: purificationProtocolSelect.value,
+        rounds: Number.parseInt(purificationRoundsSelect.value),
+      },
+      repeater: {
+        enabled: repeaterToggle.checked,
+        nestingLevel: nestingLevelSelect.value === "auto" ? "auto" : Number.parseInt(nestingLevelSelect.value),
+      },
+      memory: {
+        t1: Number.parseFloat(memoryT1Slider.value),
+        t2: Number.parseFloat(memoryT2Slider.value),
+      },
+      mode: modeSelect.value,
+      qkd: {
+        pulses: Number.parseInt(qkdPulsesSelect.value),
+        threshold: Number.parseFloat(qberThresholdSlider.value),
+        eavesdropper: eavesdropperToggle.checked,
+        eve: {
+          strategy: eveStrategySelect.value,
+          strength: Number.parseFloat(eveStrengthSlider.value),
+        },
+        bound: keyBoundSelect.value,
+        decoy: {
+          signal: Number.parseFloat(decoySliders.signal.value),
+          decoy: Number.parseFloat(decoySliders.decoy.value),
+          vacuum: Number.parseFloat(decoySliders.vacuum.value),
+        },
+      },
+      teleport: {
+        theta: Number.parseFloat(teleportThetaSlider.value),
+        phi: Number.parseFloat(teleportPhiSlider.value),
+      },
+      superdense: {
+        message: denseMessageSelect.value,
+      },
+      qec: {
+        code: qecCodeSelect.value,
+      },
+    })
+
+    // Settings go through the controls so their own handlers update the simulation
+    const applySettings = (settings) => {
+      const set = (control, value, eventType = "change") => {
+        if (!control || value === undefined) return
+        if (control.type === "checkbox") control.checked = value
+        else control.value = String(value)
+        control.dispatchEvent(new Event(eventType))
+      }
+      const purification = settings.purification || {}
+      const repeater = settings.repeater || {}
+      const memory = settings.memory || {}
+      const qkd = settings.qkd || {}
+      const teleport = settings.teleport || {}
+      const superdense = settings.superdense || {}
+      const qec = settings.qec || {}
+
+      set(entanglementTypeSelect, settings.entanglementType)
+      set(errorModelSelect, settings.errorModel)
+      set(noiseSlider, settings.noiseLevel, "input")
+      set(purificationToggle, purification.enabled)
+      set(purificationProtocolSelect, purification.protocol)
+      set(purificationRoundsSelect, purification.rounds)
+      set(repeaterToggle, repeater.enabled)
+      set(nestingLevelSelect, repeater.nestingLevel)
+      set(memoryT1Slider, memory.t1, "input")
+      set(memoryT2Slider, memory.t2, "input")
+      set(modeSelect, settings.mode)
+      set(qkdPulsesSelect, qkd.pulses)
+      set(qberThresholdSlider, qkd.threshold, "input")
+      set(eavesdropperToggle, qkd.eavesdropper)
+      set(eveStrategySelect, (qkd.eve || {}).strategy)
+      set(eveStrengthSlider, (qkd.eve || {}).strength, "input")
+      set(keyBoundSelect, qkd.bound)
+      Object.entries(decoySliders).forEach(([name, slider]) => set(slider, (qkd.decoy || {})[name], "input"))
+      set(teleportThetaSlider, teleport.theta, "input")
+      set(teleportPhiSlider, teleport.phi, "input")
+      set(denseMessageSelect, superdense.message)
+      set(qecCodeSelect, qec.code)
+    }
+
+    const downloadFile = (fileName, mimeType, text) => {
+      const linkElement = document.createElement("a")
+      linkElement.setAttribute("href", `data:${mimeType};charset=utf-8,` + encodeURIComponent(text))
+      linkElement.setAttribute("download", fileName)
+      linkElement.click()
+    }
+
+    // Long lists are cut short, the first problems are usually enough to find the mistake
+    const fileProblems = (errors) => {
+      const shown = errors.slice(0, 12).map((message) => `• ${message}`)
+      if (errors.length > shown.length) shown.push(`…and ${errors.length - shown.length} more`)
+      return shown.join("\n")
+    }
+
+    const topologyFileName = (extension) => `quantum-network-${new Date().toISOString().slice(0, 10)}.${extension}`
+
+    if (topologySaveJsonBtn) {
+      topologySaveJsonBtn.addEventListener("click", () => {
+        downloadFile(topologyFileName("json"), "application/json", TopologyIO.toJSON(graph, currentSettings()))
+      })
+    }
+
+    if (topologySaveGraphmlBtn) {
+      topologySaveGraphmlBtn.addEventListener("click", () => {
+        downloadFile(topologyFileName("graphml"), "application/xml", TopologyIO.toGraphML(graph))
+      })
+    }
+
+    if (topologyLoadBtn && topologyFileInput) {
+      topologyLoadBtn.addEventListener("click", () => topologyFileInput.click())
+
+      topologyFileInput.addEventListener("change", () => {
+        const file = topologyFileInput.files[0]
+        if (!file) return
+        const reader = new FileReader()
+        reader.onload = () => {
+          topologyFileInput.value = ""
+          let loaded
+          try {
+            loaded = TopologyIO.parse(reader.result)
+          } catch (error) {
+            if (!(error instanceof TopologyFormatError)) throw error
+            alert(`Could not load ${file.name}:\n\n${fileProblems(error.errors)}`)
+            return
+          }
+
+          graph.replaceWith(loaded.graph)
+          if (loaded.settings) applySettings(loaded.settings)
+          closeEditors()
+          refreshNetworkView()
+        }
+        reader.readAsText(file)
+      })
+    }
+
+    // OpenQASM: export writes the gates of the protocol as configured, import replaces the built circuit
+    const exportQASM = (version) => {
+      const problem = simulation.validateNetwork(entanglementTypeSelect.value)
+      if (problem) {
+        alert(problem)
+        return
+      }
+      const circuit = simulation.protocolCircuit(entanglementTypeSelect.value, purificationToggle.checked)
+      if (!circuit) {
+        alert("Key distribution measures every pulse in a randomly chosen basis, so it has no fixed circuit to export.")
+        return
+      }
+      const names = circuit.holders.map((holder) => graph.nodes[holder].name)
+      const fileName = `quantum-circuit-${simulation.mode}-${new Date().toISOString().slice(0, 10)}.qasm`
+      downloadFile(fileName, "text/plain", OpenQASM.export(circuit, version, names))
+    }
+
+    if (qasmExport2Btn) qasmExport2Btn.addEventListener("click", () => exportQASM("2.0"))
+    if (qasmExport3Btn) qasmExport3Btn.addEventListener("click", () => exportQASM("3.0"))
+
+    if (qasmImportBtn && qasmFileInput) {
+      qasmImportBtn.addEventListener("click", () => qasmFileInput.click())
+
+      qasmFileInput.addEventListener("change", () => {
+        const file = qasmFileInput.files[0]
+        if (!file) return
+        const reader = new FileReader()
+        reader.onload = () => {
+          qasmFileInput.value = ""
+          let loaded
+          try {
+            loaded = OpenQASM.parse(reader.result)
+          } catch (error) {
+            if (!(error instanceof QASMFormatError)) throw error
+            alert(`Could not import ${file.name}:\n\n${fileProblems(error.errors)}`)
+            return
+          }
+
+          // qubits return to the nodes the file names, the rest go round the nodes as Add Qubit places them
+          const { circuit, holderNames } = loaded
+          circuit.holders = holderNames.map((name, qubit) => {
+            const node = graph.nodes.findIndex((candidate) => candidate.name === name)
+            return node >= 0 ? node : qubit % graph.nodeCount
+          })
+          simulation.circuit.replaceWith(circuit)
+          modeSelect.value = "circuit"
+          modeSelect.dispatchEvent(new Event("change"))
+          circuitChanged()
+          showCircuitProblem(`Imported ${file.name}: ${circuit.qubitCount} qubits and ${circuit.operations.length} gates.`)
+        }
+        reader.readAsText(file)
+      })
+    }
+
     // Tab functionality
     tabButtons.forEach((button) => {
       button.addEventListener("click", () => {
@@ -2662,6 +6691,10 @@ document.addEventListener("DOMContentLoaded", () => {
             pane.classList.remove("active")
           }
         })
+
+        // the builder's canvas has no width while its tab is hidden
+        if (tabId === "builder") circuitBuilder.resizeCanvas()
+        if (tabId === "sweep") sweepVisualizer.resizeCanvas()
       })
     })
   
@@ -2675,10 +6708,17 @@ document.addEventListener("DOMContentLoaded", () => {
         const speed = Number.parseFloat(speedSlider.value)
         const entanglementType = entanglementTypeSelect.value
         const errorModel = errorModelSelect.value
+
+        const problem = simulation.validateNetwork(entanglementType)
+        if (problem) {
+          alert(problem)
+          return
+        }
   
         startBtn.disabled = true
         pauseBtn.disabled = false
         resetBtn.disabled = false
+        closeEditors()
   
         simulation.startSimulation(
           noiseLevel,
@@ -2690,21 +6730,20 @@ document.addEventListener("DOMContentLoaded", () => {
             // Step callback
             networkVisualizer.update(step, noiseLevel, purificationEnabled, entanglementType, errorModel)
             circuitVisualizer.update(step, purificationEnabled, entanglementType, errorModel)
+            circuitBuilder.setActive(step.circuit ? step.circuit.index : null)
             fidelityChartVisualizer.update(steps, step, simulation.getFidelityHistory(), simulation.getErrorRateHistory())
+            syncStepScrubber(index)
           },
           (results) => {
             // Complete callback
             startBtn.disabled = false
             pauseBtn.disabled = true
             resetBtn.disabled = false
-            noiseSlider.disabled = false
-            purificationToggle.disabled = false
-            if (entanglementTypeSelect) entanglementTypeSelect.disabled = false
-            if (errorModelSelect) errorModelSelect.disabled = false
-            if (nodeCountSelect) nodeCountSelect.disabled = false
-            if (networkTopologySelect) networkTopologySelect.disabled = false
+            setConfigControlsDisabled(false)
   
             resultsVisualizer.update(results)
+            circuitBuilder.setActive(null)
+            syncStepScrubber()
             networkVisualizer.update(null, noiseLevel, purificationEnabled, entanglementType, errorModel)
             circuitVisualizer.update(null, purificationEnabled, entanglementType, errorModel)
             fidelityChartVisualizer.update(
@@ -2717,12 +6756,7 @@ document.addEventListener("DOMContentLoaded", () => {
         )
   
         // Disable controls during simulation
-        noiseSlider.disabled = true
-        purificationToggle.disabled = true
-        if (entanglementTypeSelect) entanglementTypeSelect.disabled = true
-        if (errorModelSelect) errorModelSelect.disabled = true
-        if (nodeCountSelect) nodeCountSelect.disabled = true
-        if (networkTopologySelect) networkTopologySelect.disabled = true
+        setConfigControlsDisabled(true)
       })
     }
   
@@ -2748,21 +6782,20 @@ document.addEventListener("DOMContentLoaded", () => {
               entanglementTypeSelect.value,
               errorModelSelect.value,
             )
+            circuitBuilder.setActive(step.circuit ? step.circuit.index : null)
             fidelityChartVisualizer.update(steps, step, simulation.getFidelityHistory(), simulation.getErrorRateHistory())
+            syncStepScrubber(index)
           },
           (results) => {
             // Complete callback
             startBtn.disabled = false
             pauseBtn.disabled = true
             resetBtn.disabled = false
-            noiseSlider.disabled = false
-            purificationToggle.disabled = false
-            if (entanglementTypeSelect) entanglementTypeSelect.disabled = false
-            if (errorModelSelect) errorModelSelect.disabled = false
-            if (nodeCountSelect) nodeCountSelect.disabled = false
-            if (networkTopologySelect) networkTopologySelect.disabled = false
+            setConfigControlsDisabled(false)
   
             resultsVisualizer.update(results)
+            circuitBuilder.setActive(null)
+            syncStepScrubber()
             networkVisualizer.update(
               null,
               Number.parseFloat(noiseSlider.value),
@@ -2797,12 +6830,7 @@ document.addEventListener("DOMContentLoaded", () => {
         startBtn.disabled = false
         pauseBtn.disabled = true
         resetBtn.disabled = true
-        noiseSlider.disabled = false
-        purificationToggle.disabled = false
-        if (entanglementTypeSelect) entanglementTypeSelect.disabled = false
-        if (errorModelSelect) errorModelSelect.disabled = false
-        if (nodeCountSelect) nodeCountSelect.disabled = false
-        if (networkTopologySelect) networkTopologySelect.disabled = false
+        setConfigControlsDisabled(false)
   
         networkVisualizer.update(
           null,
@@ -2814,9 +6842,174 @@ document.addEventListener("DOMContentLoaded", () => {
         circuitVisualizer.update(null, purificationToggle.checked, entanglementTypeSelect.value, errorModelSelect.value)
         fidelityChartVisualizer.update([], null, [], [])
         resultsVisualizer.update(null)
+        circuitBuilder.setActive(null)
+        syncStepScrubber(0)
       })
     }
   
+    // Monte Carlo batches and parameter sweeps: trials of the current configuration without animation,
+    // see monte-carlo.js. One job runs at a time and its button cancels it.
+    let cancelJob = null
+
+    const startJob = (button, label) => {
+      closeEditors()
+      startBtn.disabled = true
+      setConfigControlsDisabled(true)
+      button.disabled = false
+      button.textContent = label
+    }
+
+    const finishJob = () => {
+      cancelJob = null
+      batchBtn.textContent = "Run Batch"
+      if (sweepBtn) sweepBtn.textContent = "Run Sweep"
+      startBtn.disabled = false
+      setConfigControlsDisabled(false)
+    }
+
+    const currentRun = () => ({
+      noiseLevel: Number.parseFloat(noiseSlider.value),
+      purificationEnabled: purificationToggle.checked,
+      entanglementType: entanglementTypeSelect.value,
+      errorModel: errorModelSelect.value,
+    })
+
+    if (batchBtn) {
+      batchBtn.addEventListener("click", () => {
+        if (cancelJob) {
+          cancelJob()
+          finishJob()
+          batchProgress.textContent = "Batch cancelled."
+          return
+        }
+        if (simulation.isRunning) return
+
+        const run = currentRun()
+        const problem = simulation.validateNetwork(run.entanglementType)
+        if (problem) {
+          alert(problem)
+          return
+        }
+
+        const trials = Number.parseInt(batchTrialsSelect.value)
+        const selectedText = (select) => select.options[select.selectedIndex].text
+        const settings = {
+          protocol: modeSelect.value === "distribution" ? selectedText(entanglementTypeSelect) : selectedText(modeSelect),
+          errorModel: selectedText(errorModelSelect),
+          noiseLevel: run.noiseLevel,
+          purificationEnabled: run.purificationEnabled,
+          nodeCount: simulation.nodeCount,
+          topology: simulation.networkTopology,
+        }
+        const started = performance.now()
+
+        startJob(batchBtn, "Cancel Batch")
+        batchProgress.textContent = `0 / ${trials} trials`
+
+        cancelJob = MonteCarlo.start({ configuration: simulation.configuration(), run, trials, points: [[]] }, {
+          onProgress: (completed) => {
+            batchProgress.textContent = `${completed} / ${trials} trials`
+          },
+          onComplete: ([samples], inWorker) => {
+            finishJob()
+            const elapsed = performance.now() - started
+            const batch = { samples, summary: MonteCarlo.summary(samples), settings, elapsed, inWorker }
+            batchProgress.textContent = `${trials} trials in ${(elapsed / 1000).toFixed(1)} s`
+            resultsVisualizer.updateBatch(batch)
+            fidelityChartVisualizer.setBatch(batch)
+          },
+          onError: (message) => {
+            finishJob()
+            batchProgress.textContent = ""
+            alert(`The batch stopped: ${message}`)
+          },
+        })
+      })
+    }
+
+    // Parameter sweeps, see parameter-sweep.js. Range parameters show their from, to and steps inputs,
+    // set to the parameter's defaults whenever it is chosen.
+    const updateSweepRange = (axis) => {
+      const key = sweepParameterSelects[axis].value
+      const range = sweepRanges[axis]
+      const parameter = SWEEP_PARAMETERS[key]
+      if (!parameter || parameter.type === "options") {
+        range.container.style.display = "none"
+        return
+      }
+      range.container.style.display = ""
+      const ends = [range.from, range.to]
+      ends.forEach((input) => {
+        input.min = String(parameter.min)
+        input.max = String(parameter.max)
+        input.step = parameter.integer ? "1" : "0.05"
+      })
+      range.from.value = String(parameter.defaults.from)
+      range.to.value = String(parameter.defaults.to)
+      range.steps.max = String(SWEEP_MAX_STEPS)
+      range.steps.value = String(parameter.defaults.steps)
+    }
+
+    if (sweepBtn) {
+      sweepParameterSelects.forEach((select, axis) => {
+        select.addEventListener("change", () => updateSweepRange(axis))
+        updateSweepRange(axis)
+      })
+      sweepMetricSelect.addEventListener("change", () => sweepVisualizer.setMetric(sweepMetricSelect.value))
+
+      sweepBtn.addEventListener("click", () => {
+        if (cancelJob) {
+          cancelJob()
+          finishJob()
+          sweepProgress.textContent = "Sweep cancelled."
+          return
+        }
+        if (simulation.isRunning) return
+
+        const keys = sweepParameterSelects.map((select) => select.value).filter((key) => key in SWEEP_PARAMETERS)
+        if (keys.length > 1 && keys[0] === keys[1]) {
+          alert("Choose two different parameters to sweep against each other.")
+          return
+        }
+        const axes = keys.map((key, axis) => {
+          const { from, to, steps } = sweepRanges[axis]
+          return {
+            key,
+            values: ParameterSweep.values(key, Number.parseFloat(from.value), Number.parseFloat(to.value), Number.parseInt(steps.value)),
+          }
+        })
+        if (axes.some(({ values }) => values.some((value) => Number.isNaN(value)))) {
+          alert("Enter a number for each end of the sweep and for its steps.")
+          return
+        }
+
+        const points = ParameterSweep.points(axes)
+        const trials = Number.parseInt(sweepTrialsSelect.value)
+        const total = points.length * trials
+        const started = performance.now()
+
+        startJob(sweepBtn, "Cancel Sweep")
+        sweepProgress.textContent = `0 / ${total} trials`
+
+        cancelJob = MonteCarlo.start({ configuration: simulation.configuration(), run: currentRun(), trials, points }, {
+          onProgress: (completed) => {
+            sweepProgress.textContent = `${completed} / ${total} trials`
+          },
+          onComplete: (samples, inWorker) => {
+            finishJob()
+            const elapsed = performance.now() - started
+            sweepProgress.textContent = `${points.length} points of ${trials} trials in ${(elapsed / 1000).toFixed(1)} s`
+            sweepVisualizer.update({ axes, summaries: samples.map(MonteCarlo.summary), trials, elapsed, inWorker })
+          },
+          onError: (message) => {
+            finishJob()
+            sweepProgress.textContent = ""
+            alert(`The sweep stopped: ${message}`)
+          },
+        })
+      })
+    }
+
     // Export data functionality
     if (exportBtn) {
       exportBtn.addEventListener("click", () => {
@@ -2837,14 +7030,8 @@ document.addEventListener("DOMContentLoaded", () => {
         }
   
         const dataStr = JSON.stringify(exportData, null, 2)
-        const dataUri = "data:application/json;charset=utf-8," + encodeURIComponent(dataStr)
-  
         const exportFileName = `quantum-simulation-${new Date().toISOString().slice(0, 10)}.json`
-  
-        const linkElement = document.createElement("a")
-        linkElement.setAttribute("href", dataUri)
-        linkElement.setAttribute("download", exportFileName)
-        linkElement.click()
+        downloadFile(exportFileName, "application/json", dataStr)
       })
     }
   
@@ -2871,6 +7058,7 @@ document.addEventListener("DOMContentLoaded", () => {
       networkVisualizer.destroy()
       circuitVisualizer.destroy()
       fidelityChartVisualizer.destroy()
+      sweepVisualizer.destroy()
     })
   })
   
\ No newline at end of file
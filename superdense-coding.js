@@ -0,0 +1,107 @@
+// Superdense coding (Bennett and Wiesner 1992). Alice and Bob share a Φ+ pair; Alice turns it into one
+// of the four Bell states by applying I, X, Z or XZ to her half and sends that qubit to Bob, who tells
+// the four apart with a Bell measurement. One qubit sent carries two bits, where a qubit without the
+// pair carries at most one (Holevo 1973).
+
+const DENSE_MESSAGES = ["00", "01", "10", "11"]
+const DENSE_STATES = ["Φ+", "Ψ+", "Φ−", "Ψ−"] // the Bell state each message leaves the pair in
+
+const SuperdenseCoding = {
+  classicalCapacity: 1, // bits per qubit sent without entanglement, the Holevo bound
+  curvePoints: 50,
+
+  // Messages are written b1 b2. Alice applies Z when b1 is set, then X when b2 is, which takes Φ+ to the
+  // Bell state Bob's measurement reads as b1 b2.
+  encoding(message) {
+    const gates = []
+    if (message[0] === "1") gates.push("Z")
+    if (message[1] === "1") gates.push("X")
+    return gates
+  },
+
+  // The whole encoding as one operator: I, X, Z or XZ
+  operation(message) {
+    const gates = SuperdenseCoding.encoding(message)
+    return gates.length > 0 ? [...gates].reverse().join("") : "I"
+  },
+
+  // P(Bob reads d | Alice sent m) for every message, over a pair with Alice's half first. channel is
+  // what her encoded qubit suffers on its way to Bob and bobWait what his half suffers in memory
+  // meanwhile, both as Kraus operators. CNOT and H turn the four Bell states into 00, 01, 10 and 11.
+  decode(pair, channel = null, bobWait = null) {
+    return DENSE_MESSAGES.map((message) => {
+      const state = pair.clone()
+      SuperdenseCoding.encoding(message).forEach((gate) => state.applyUnitary(Gates[gate], [0]))
+      if (channel) state.applyKraus(channel, [0])
+      if (bobWait) state.applyKraus(bobWait, [1])
+      state.applyUnitary(Gates.CNOT, [0, 1])
+      state.applyUnitary(Gates.H, [0])
+      return state.probabilities()
+    })
+  },
+
+  // Chance that Bob reads a different message than Alice sent, with every message equally likely
+  errorRate(rows) {
+    return rows.reduce((sum, row, sent) => sum + (1 - row[sent]) / rows.length, 0)
+  },
+
+  entropy(distribution) {
+    return distribution.reduce((sum, p) => (p > 0 ? sum - p * Math.log2(p) : sum), 0)
+  },
+
+  // Bits Bob learns per qubit with uniformly random messages: I(M;D) = H(D) − H(D|M)
+  mutualInformation(rows) {
+    const received = rows[0].map((_, decoded) => rows.reduce((sum, row) => sum + row[decoded] / rows.length, 0))
+    const equivocation = rows.reduce((sum, row) => sum + SuperdenseCoding.entropy(row) / rows.length, 0)
+    return Math.max(0, SuperdenseCoding.entropy(received) - equivocation)
+  },
+
+  // The same channel used without a pair: Alice sends |0⟩ or |1⟩ and Bob measures it
+  classicalBaseline(channel) {
+    const rows = ["0", "1"].map((bit) => {
+      const state = new DensityMatrix(1)
+      if (bit === "1") state.applyUnitary(Gates.X, [0])
+      if (channel) state.applyKraus(channel, [0])
+      return state.probabilities()
+    })
+    return SuperdenseCoding.mutualInformation(rows)
+  },
+
+  // Everything about one pair: the decoding table, its error rate and the information it carries
+  // against the unassisted qubit over the same channel
+  analyse(pair, channel = null, bobWait = null) {
+    const rows = SuperdenseCoding.decode(pair, channel, bobWait)
+    return {
+      rows,
+      errorRate: Math.max(0, SuperdenseCoding.errorRate(rows)),
+      information: SuperdenseCoding.mutualInformation(rows),
+      classicalInformation: SuperdenseCoding.classicalBaseline(channel),
+      pairFidelity: pair.fidelity(TargetStates.bell()),
+    }
+  },
+
+  // Error rate and bits per qubit as the per-hop noise grows, for a path of the given number of hops:
+  // the pair's second half crosses it once and Alice's encoded qubit once more. Memory is left out,
+  // so the curves show the channel alone.
+  curve(errorModel, hops, maxNoise = 0.5) {
+    const points = []
+    for (let i = 0; i <= SuperdenseCoding.curvePoints; i++) {
+      const noise = (i / SuperdenseCoding.curvePoints) * maxNoise
+      const channel = NoiseChannels.forModel(errorModel, 1 - (1 - noise) ** hops)
+      const pair = StatePreparation.ghz(new DensityMatrix(2)).applyKraus(channel, [1])
+      const { errorRate, information, classicalInformation } = SuperdenseCoding.analyse(pair, channel)
+      points.push({ noise, errorRate, information, classicalInformation })
+    }
+    return points
+  },
+
+  // Draws the message Bob actually reads
+  sample(row) {
+    let r = Math.random()
+    for (let decoded = 0; decoded < row.length; decoded++) {
+      r -= row[decoded]
+      if (r < 0) return DENSE_MESSAGES[decoded]
+    }
+    return DENSE_MESSAGES[row.length - 1]
+  },
+}
@@ -0,0 +1,69 @@
+// Quantum teleportation (Bennett et al. 1993). Alice holds the input qubit and her half of a shared
+// pair; a Bell measurement on the two leaves Bob's half in the input state up to a Pauli correction,
+// and the two outcome bits tell him which one. Until the bits arrive Bob's qubit is maximally mixed,
+// so nothing reaches him faster than the classical channel.
+
+const TELEPORT_OUTCOMES = ["00", "01", "10", "11"]
+
+const Teleportation = {
+  // best average fidelity without entanglement: measure the input and send what was seen (Massar and Popescu 1995)
+  classicalLimit: 2 / 3,
+
+  // cos(θ/2)|0⟩ + e^{iφ} sin(θ/2)|1⟩, the point at polar angle θ and azimuth φ on the Bloch sphere
+  inputState(theta, phi) {
+    return {
+      re: Float64Array.from([Math.cos(theta / 2), Math.sin(theta / 2) * Math.cos(phi)]),
+      im: Float64Array.from([0, Math.sin(theta / 2) * Math.sin(phi)]),
+    }
+  },
+
+  // Outcomes are written m1 m2, m1 from the input qubit. Bob applies X when m2 is set, then Z when m1 is.
+  corrections(outcome) {
+    const gates = []
+    if (outcome[1] === "1") gates.push("X")
+    if (outcome[0] === "1") gates.push("Z")
+    return gates
+  },
+
+  // Teleports the input over a two-qubit pair (Alice's half first) and follows every measurement
+  // outcome to Bob's corrected qubit. bobWait is the channel his half suffers while the bits travel;
+  // it acts on his qubit alone, so it commutes with Alice's measurement and is applied first.
+  teleport(input, pair, bobWait = null) {
+    const state = new DensityMatrix(3, DensityMatrix.fromStateVector(input).matrix.kron(pair.matrix))
+    if (bobWait) state.applyKraus(bobWait, [2])
+    state.applyUnitary(Gates.CNOT, [0, 1])
+    state.applyUnitary(Gates.H, [0])
+
+    const outcomes = TELEPORT_OUTCOMES.map((outcome, index) => {
+      const projector = new ComplexMatrix(4, 4)
+      projector.re[index * 4 + index] = 1
+      const branch = state.clone().applyKraus([projector], [0, 1])
+      const probability = branch.trace()
+      const bob = branch.partialTrace([2])
+      bob.matrix = bob.matrix.scale(probability > 0 ? 1 / probability : 0)
+      Teleportation.corrections(outcome).forEach((gate) => bob.applyUnitary(Gates[gate], [0]))
+      return { outcome, probability, state: bob, fidelity: bob.fidelity(input) }
+    })
+
+    // Averaged over every input the fidelity only depends on the pair's overlap with Φ+ (Horodecki et al. 1999)
+    const used = pair.clone()
+    if (bobWait) used.applyKraus(bobWait, [1])
+    const pairFidelity = used.fidelity(TargetStates.bell())
+    return {
+      outcomes,
+      fidelity: outcomes.reduce((sum, branch) => sum + branch.probability * branch.fidelity, 0),
+      pairFidelity,
+      averageFidelity: (2 * pairFidelity + 1) / 3,
+    }
+  },
+
+  // Draws the outcome Alice actually sees
+  sample(outcomes) {
+    let r = Math.random()
+    for (const branch of outcomes) {
+      r -= branch.probability
+      if (r < 0) return branch
+    }
+    return outcomes[outcomes.length - 1]
+  },
+}
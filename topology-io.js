@@ -0,0 +1,440 @@
+// Saving and loading networks. The JSON format carries a version so older files keep loading as it
+// grows; GraphML holds just the graph, for exchanging networks with other graph tools.
+
+const TOPOLOGY_FORMAT = "quantum-network-topology"
+const TOPOLOGY_FORMAT_VERSION = 1
+const GRAPHML_NAMESPACE = "http://graphml.graphdrawing.org/xmlns"
+
+// Thrown with every problem found in a file, not just the first
+class TopologyFormatError extends Error {
+  constructor(errors) {
+    super(errors.join("\n"))
+    this.name = "TopologyFormatError"
+    this.errors = errors
+  }
+}
+
+// Optional simulation settings stored next to the graph in the JSON format. Groups nest; leaves
+// describe the accepted values, which match the controls on the page.
+const TOPOLOGY_SETTINGS_SCHEMA = {
+  entanglementType: { type: "option", options: ["bell", "ghz", "w"] },
+  errorModel: { type: "option", options: ["depolarizing", "amplitude", "phase"] },
+  noiseLevel: { type: "number", min: 0.05, max: 0.5 },
+  purification: {
+    enabled: { type: "boolean" },
+    protocol: { type: "option", options: ["dejmps", "bbpssw"] },
+    rounds: { type: "integer", min: 1, max: 5 },
+  },
+  repeater: {
+    enabled: { type: "boolean" },
+    nestingLevel: { type: "option", options: ["auto", 0, 1, 2, 3] },
+  },
+  memory: {
+    t1: { type: "number", min: 1, max: 1000 }, // ms
+    t2: { type: "number", min: 1, max: 1000 }, // ms
+  },
+  mode: { type: "option", options: ["distribution", "bb84", "decoy", "e91", "teleport", "superdense", "circuit"] },
+  qkd: {
+    pulses: { type: "option", options: [1024, 4096, 16384] },
+    threshold: { type: "number", min: 0.01, max: 0.25 },
+    eavesdropper: { type: "boolean" },
+    bound: { type: "option", options: ["asymptotic", "finite"] },
+    decoy: {
+      signal: { type: "number", min: 0.05, max: 1 },
+      decoy: { type: "number", min: 0.01, max: 0.5 },
+      vacuum: { type: "number", min: 0, max: 0.05 },
+    },
+    eve: {
+      strategy: { type: "option", options: ["intercept", "breidbart", "cloning", "pns"] },
+      strength: { type: "number", min: 0, max: 1 },
+    },
+  },
+  teleport: {
+    theta: { type: "number", min: 0, max: 180 }, // degrees
+    phi: { type: "number", min: 0, max: 355 }, // degrees
+  },
+  superdense: {
+    message: { type: "option", options: ["00", "01", "10", "11"] },
+  },
+  qec: {
+    code: { type: "option", options: ["none", "bitflip", "phaseflip", "shor", "steane"] },
+  },
+}
+
+const TopologyIO = {
+  // JSON and GraphML are told apart by their first character
+  parse(text) {
+    return text.trimStart().startsWith("<") ? TopologyIO.parseGraphML(text) : TopologyIO.parseJSON(text)
+  },
+
+  toJSON(graph, settings = null) {
+    const data = {
+      format: TOPOLOGY_FORMAT,
+      version: TOPOLOGY_FORMAT_VERSION,
+      topology: graph.topology,
+      nodes: graph.nodes.map((node, i) => ({
+        id: `n${i}`,
+        name: node.name,
+        position: node.pinned ? { x: node.pinned.x, y: node.pinned.y } : null,
+      })),
+      links: graph.links.map((link) => ({
+        source: `n${link.source}`,
+        target: `n${link.target}`,
+        params: graph.linkParameters(link),
+      })),
+    }
+    if (settings) data.settings = settings
+    return JSON.stringify(data, null, 2)
+  },
+
+  parseJSON(text) {
+    let data
+    try {
+      data = JSON.parse(text)
+    } catch (error) {
+      throw new TopologyFormatError([`Not valid JSON: ${error.message}`])
+    }
+    if (!TopologyIO.isObject(data)) throw new TopologyFormatError(["The file must contain a JSON object."])
+
+    const errors = []
+    if (data.format !== TOPOLOGY_FORMAT) errors.push(`format: expected "${TOPOLOGY_FORMAT}", found ${TopologyIO.describe(data.format)}`)
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      errors.push(`version: expected a positive integer, found ${TopologyIO.describe(data.version)}`)
+    } else if (data.version > TOPOLOGY_FORMAT_VERSION) {
+      errors.push(`version: ${data.version} is newer than this simulator supports (${TOPOLOGY_FORMAT_VERSION})`)
+    }
+    if (errors.length > 0) throw new TopologyFormatError(errors)
+
+    TopologyIO.checkKeys(data, ["format", "version", "topology", "nodes", "links", "settings"], "", errors)
+    if (data.topology !== undefined && typeof data.topology !== "string") {
+      errors.push(`topology: expected a string, found ${TopologyIO.describe(data.topology)}`)
+    }
+
+    const nodes = []
+    const indexById = new Map()
+    if (!Array.isArray(data.nodes)) {
+      errors.push(`nodes: expected an array, found ${TopologyIO.describe(data.nodes)}`)
+    } else {
+      data.nodes.forEach((node, i) => {
+        const path = `nodes[${i}]`
+        if (!TopologyIO.isObject(node)) {
+          errors.push(`${path}: expected an object, found ${TopologyIO.describe(node)}`)
+          return
+        }
+        TopologyIO.checkKeys(node, ["id", "name", "position"], path, errors)
+
+        if (typeof node.id !== "string" || node.id === "") {
+          errors.push(`${path}.id: expected a non-empty string, found ${TopologyIO.describe(node.id)}`)
+        } else if (indexById.has(node.id)) {
+          errors.push(`${path}.id: "${node.id}" is already used by nodes[${indexById.get(node.id)}]`)
+        } else {
+          indexById.set(node.id, i)
+        }
+
+        if (node.name !== undefined && (typeof node.name !== "string" || node.name.trim() === "")) {
+          errors.push(`${path}.name: expected a non-empty string, found ${TopologyIO.describe(node.name)}`)
+        } else if (node.name !== undefined) {
+          TopologyIO.checkName(node.name, `${path}.name`, errors)
+        }
+
+        let pinned = null
+        if (node.position !== undefined && node.position !== null) {
+          pinned = TopologyIO.checkPosition(node.position, `${path}.position`, errors)
+        }
+        nodes.push({ name: typeof node.name === "string" ? node.name.trim() : null, pinned })
+      })
+      if (data.nodes.length < 2) errors.push(`nodes: the network needs at least 2 nodes, found ${data.nodes.length}`)
+    }
+
+    const links = []
+    if (!Array.isArray(data.links)) {
+      errors.push(`links: expected an array, found ${TopologyIO.describe(data.links)}`)
+    } else {
+      data.links.forEach((link, i) => {
+        const path = `links[${i}]`
+        if (!TopologyIO.isObject(link)) {
+          errors.push(`${path}: expected an object, found ${TopologyIO.describe(link)}`)
+          return
+        }
+        TopologyIO.checkKeys(link, ["source", "target", "params"], path, errors)
+
+        const source = TopologyIO.checkEndpoint(link.source, indexById, `${path}.source`, errors)
+        const target = TopologyIO.checkEndpoint(link.target, indexById, `${path}.target`, errors)
+        let params = null
+        if (link.params !== undefined && link.params !== null) params = TopologyIO.checkLinkParameters(link.params, `${path}.params`, errors)
+        links.push({ source, target, params, path })
+      })
+    }
+
+    const settings = data.settings === undefined ? null : TopologyIO.checkSettings(data.settings, errors)
+    const graph = errors.length === 0 ? TopologyIO.buildGraph(nodes, links, data.topology, errors) : null
+    if (errors.length > 0) throw new TopologyFormatError(errors)
+    return { graph, settings }
+  },
+
+  toGraphML(graph) {
+    const keys = [
+      '  <key id="name" for="node" attr.name="name" attr.type="string"/>',
+      '  <key id="x" for="node" attr.name="x" attr.type="double"/>',
+      '  <key id="y" for="node" attr.name="y" attr.type="double"/>',
+      ...Object.keys(LinkPhysics.ranges).map((key) => `  <key id="${key}" for="edge" attr.name="${key}" attr.type="double"/>`),
+    ]
+
+    const nodes = graph.nodes.map((node, i) => {
+      const data = [`<data key="name">${TopologyIO.escapeXml(node.name)}</data>`]
+      if (node.pinned) data.push(`<data key="x">${node.pinned.x}</data>`, `<data key="y">${node.pinned.y}</data>`)
+      return `    <node id="n${i}">${data.join("")}</node>`
+    })
+
+    const edges = graph.links.map((link) => {
+      const params = graph.linkParameters(link)
+      const data = Object.keys(LinkPhysics.ranges).map((key) => `<data key="${key}">${params[key]}</data>`)
+      return `    <edge source="n${link.source}" target="n${link.target}">${data.join("")}</edge>`
+    })
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<graphml xmlns="${GRAPHML_NAMESPACE}">`,
+      ...keys,
+      `  <graph id="quantum-network" edgedefault="undirected">`,
+      ...nodes,
+      ...edges,
+      "  </graph>",
+      "</graphml>",
+      "",
+    ].join("\n")
+  },
+
+  // Data keys are matched by attr.name, since other tools number their key ids (d0, d1, …). Nodes
+  // without a "name" fall back to a "label", then to their id. Edge direction is ignored.
+  parseGraphML(text) {
+    const doc = new DOMParser().parseFromString(text, "application/xml")
+    const parserError = doc.getElementsByTagName("parsererror")[0]
+    if (parserError) throw new TopologyFormatError([`Not valid XML: ${parserError.textContent.trim().split("\n")[0]}`])
+
+    const root = doc.documentElement
+    if (root.localName !== "graphml") throw new TopologyFormatError([`Expected a <graphml> root element, found <${root.localName}>`])
+    const graphs = TopologyIO.childElements(root, "graph")
+    if (graphs.length !== 1) throw new TopologyFormatError([`Expected exactly one <graph>, found ${graphs.length}`])
+
+    const errors = []
+    const keys = new Map()
+    TopologyIO.childElements(root, "key").forEach((key) => {
+      keys.set(key.getAttribute("id"), {
+        name: key.getAttribute("attr.name") || key.getAttribute("id"),
+        type: key.getAttribute("attr.type") || "string",
+        for: key.getAttribute("for") || "all",
+      })
+    })
+
+    const readData = (element, label) => {
+      const values = {}
+      TopologyIO.childElements(element, "data").forEach((data) => {
+        const key = keys.get(data.getAttribute("key"))
+        if (!key) {
+          errors.push(`${label}: <data key="${data.getAttribute("key")}"> has no matching <key> declaration`)
+          return
+        }
+        const raw = data.textContent.trim()
+        if (["double", "float", "int", "long"].includes(key.type)) {
+          const number = Number(raw)
+          if (raw === "" || !Number.isFinite(number)) errors.push(`${label}: ${key.name} should be a number, found "${raw}"`)
+          values[key.name] = number
+        } else if (key.type === "boolean") {
+          values[key.name] = raw === "true"
+        } else {
+          values[key.name] = raw
+        }
+      })
+      return values
+    }
+
+    const graphElement = graphs[0]
+    const nodes = []
+    const indexById = new Map()
+    TopologyIO.childElements(graphElement, "node").forEach((element, i) => {
+      const id = element.getAttribute("id")
+      const label = id ? `node "${id}"` : `node ${i + 1}`
+      if (!id) errors.push(`${label}: missing id attribute`)
+      else if (indexById.has(id)) errors.push(`${label}: id is used by more than one node`)
+      else indexById.set(id, i)
+
+      const data = readData(element, label)
+      const name = String(data.name || data.label || id || "").trim()
+      TopologyIO.checkName(name, `${label} name`, errors)
+      const hasPosition = Number.isFinite(data.x) && Number.isFinite(data.y)
+      nodes.push({ name: name || null, pinned: hasPosition ? { x: data.x, y: data.y } : null })
+    })
+    if (nodes.length < 2) errors.push(`The network needs at least 2 nodes, found ${nodes.length}`)
+    TopologyIO.fitPositions(nodes)
+
+    const links = []
+    TopologyIO.childElements(graphElement, "edge").forEach((element, i) => {
+      const label = `edge ${i + 1} (${element.getAttribute("source")} – ${element.getAttribute("target")})`
+      const source = TopologyIO.checkEndpoint(element.getAttribute("source"), indexById, `${label} source`, errors)
+      const target = TopologyIO.checkEndpoint(element.getAttribute("target"), indexById, `${label} target`, errors)
+
+      const data = readData(element, label)
+      const given = {}
+      Object.keys(LinkPhysics.ranges).forEach((key) => {
+        if (data[key] !== undefined) given[key] = data[key]
+      })
+      const params = Object.keys(given).length > 0 ? TopologyIO.checkLinkParameters(given, label, errors) : null
+      links.push({ source, target, params, path: label })
+    })
+
+    const graph = errors.length === 0 ? TopologyIO.buildGraph(nodes, links, "custom", errors) : null
+    if (errors.length > 0) throw new TopologyFormatError(errors)
+    return { graph, settings: null }
+  },
+
+  // Assembles the checked nodes and links; self-loops and repeated links are the last errors to catch.
+  // The graph keeps a preset name only while its links are exactly that preset's.
+  buildGraph(nodes, links, topology, errors) {
+    const graph = new NetworkGraph()
+    nodes.forEach((node) => graph.addNode(node.name, node.pinned))
+    links.forEach((link) => {
+      if (link.source === link.target) {
+        errors.push(`${link.path}: links a node to itself`)
+      } else if (!graph.addLink(link.source, link.target, link.params)) {
+        errors.push(`${link.path}: duplicates an earlier link between the same nodes`)
+      }
+    })
+    graph.topology = TopologyIO.detectPreset(graph, topology)
+    return graph
+  },
+
+  detectPreset(graph, preferred) {
+    const keys = (links) => new Set(links.map((link) => NetworkTopology.linkKey(link.source, link.target)))
+    const actual = keys(graph.links)
+    const candidates = [preferred, "linear", "star", "ring", "mesh"].filter((name) => ["linear", "star", "ring", "mesh"].includes(name))
+    return (
+      candidates.find((name) => {
+        const expected = keys(NetworkTopology.links(name, graph.nodeCount))
+        return expected.size === actual.size && [...expected].every((key) => actual.has(key))
+      }) || "custom"
+    )
+  },
+
+  // Positions from other tools are in their own units; squeeze them into the canvas
+  fitPositions(nodes) {
+    const placed = nodes.filter((node) => node.pinned)
+    if (placed.every((node) => node.pinned.x >= 0 && node.pinned.x <= 1 && node.pinned.y >= 0 && node.pinned.y <= 1)) return
+
+    const xs = placed.map((node) => node.pinned.x)
+    const ys = placed.map((node) => node.pinned.y)
+    const minX = Math.min(...xs)
+    const minY = Math.min(...ys)
+    const spanX = Math.max(...xs) - minX || 1
+    const spanY = Math.max(...ys) - minY || 1
+    placed.forEach((node) => {
+      node.pinned = { x: 0.1 + (0.8 * (node.pinned.x - minX)) / spanX, y: 0.1 + (0.8 * (node.pinned.y - minY)) / spanY }
+    })
+  },
+
+  checkPosition(position, path, errors) {
+    if (!TopologyIO.isObject(position)) {
+      errors.push(`${path}: expected { x, y } or null, found ${TopologyIO.describe(position)}`)
+      return null
+    }
+    TopologyIO.checkKeys(position, ["x", "y"], path, errors)
+    const invalid = ["x", "y"].filter((axis) => {
+      const value = position[axis]
+      return typeof value !== "number" || !Number.isFinite(value) || value < 0 || value > 1
+    })
+    invalid.forEach((axis) => {
+      errors.push(`${path}.${axis}: expected a number from 0 to 1 (fraction of the canvas), found ${TopologyIO.describe(position[axis])}`)
+    })
+    return invalid.length === 0 ? { x: position.x, y: position.y } : null
+  },
+
+  checkEndpoint(id, indexById, path, errors) {
+    if (typeof id !== "string" || id === "") {
+      errors.push(`${path}: expected a node id, found ${TopologyIO.describe(id)}`)
+      return null
+    }
+    if (!indexById.has(id)) {
+      errors.push(`${path}: no node has id "${id}"`)
+      return null
+    }
+    return indexById.get(id)
+  },
+
+  checkLinkParameters(params, path, errors) {
+    if (!TopologyIO.isObject(params)) {
+      errors.push(`${path}: expected an object, found ${TopologyIO.describe(params)}`)
+      return null
+    }
+    TopologyIO.checkKeys(params, Object.keys(LinkPhysics.ranges), path, errors)
+    Object.entries(LinkPhysics.ranges).forEach(([key, [min, max]]) => {
+      const value = params[key]
+      if (value === undefined) return
+      if (typeof value !== "number" || !Number.isFinite(value) || value < min || value > max) {
+        errors.push(`${path}.${key}: expected a number from ${min} to ${max}, found ${TopologyIO.describe(value)}`)
+      }
+    })
+    return params
+  },
+
+  checkSettings(settings, errors) {
+    const check = (value, schema, path) => {
+      if (!TopologyIO.isObject(value)) {
+        errors.push(`${path}: expected an object, found ${TopologyIO.describe(value)}`)
+        return
+      }
+      TopologyIO.checkKeys(value, Object.keys(schema), path, errors)
+      Object.entries(schema).forEach(([key, rule]) => {
+        const entry = value[key]
+        const entryPath = `${path}.${key}`
+        if (entry === undefined) return
+        if (!rule.type) {
+          check(entry, rule, entryPath)
+        } else if (rule.type === "option" && !rule.options.includes(entry)) {
+          errors.push(`${entryPath}: expected one of ${rule.options.map((option) => JSON.stringify(option)).join(", ")}, found ${TopologyIO.describe(entry)}`)
+        } else if (rule.type === "boolean" && typeof entry !== "boolean") {
+          errors.push(`${entryPath}: expected true or false, found ${TopologyIO.describe(entry)}`)
+        } else if (
+          (rule.type === "number" || rule.type === "integer") &&
+          (typeof entry !== "number" || !Number.isFinite(entry) || entry < rule.min || entry > rule.max || (rule.type === "integer" && !Number.isInteger(entry)))
+        ) {
+          errors.push(`${entryPath}: expected ${rule.type === "integer" ? "an integer" : "a number"} from ${rule.min} to ${rule.max}, found ${TopologyIO.describe(entry)}`)
+        }
+      })
+    }
+    check(settings, TOPOLOGY_SETTINGS_SCHEMA, "settings")
+    return settings
+  },
+
+  checkKeys(object, allowed, path, errors) {
+    Object.keys(object).forEach((key) => {
+      if (!allowed.includes(key)) errors.push(`${path ? `${path}.` : ""}${key}: unknown field (expected ${allowed.join(", ")})`)
+    })
+  },
+
+  childElements(parent, name) {
+    return Array.from(parent.children).filter((child) => child.localName === name)
+  },
+
+  isObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value)
+  },
+
+  // Short rendering of a bad value for error messages
+  // Node names label the page and the results, so markup and control characters are refused
+  checkName(name, path, errors) {
+    const character = name.match(/[\u0000-\u001f\u007f<>]/)
+    if (!character) return
+    const shown = character[0] === "<" || character[0] === ">" ? `"${character[0]}"` : `control character U+${character[0].charCodeAt(0).toString(16).toUpperCase().padStart(4, "0")}`
+    errors.push(`${path}: ${TopologyIO.describe(name)} contains ${shown}; node names cannot hold markup or control characters`)
+  },
+
+  describe(value) {
+    if (value === undefined) return "nothing"
+    const text = JSON.stringify(value)
+    return text.length > 40 ? `${text.slice(0, 37)}...` : text
+  },
+
+  escapeXml(text) {
+    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;")
+  },
+}